@@ -0,0 +1,209 @@
+/**
+ * Audit Log
+ * Append-only, hash-chained record of security-relevant daemon activity:
+ * session registrations, approval handoffs and decisions, acknowledgements,
+ * command rejections, ALLOW_ALL_COMMANDS bypasses, executions and inbox
+ * commands.
+ *
+ * Layout (~/.teleportation/audit/, dir 0700, files 0600):
+ *   audit.jsonl  one JSON record per line
+ *   head.json    { seq, hash } of the last record written
+ *
+ * Each record carries the previous record's hash and its own
+ * SHA-256(prev_hash + record-without-hash), so editing, removing or
+ * reordering any line breaks the chain from that point on, and truncating
+ * the tail no longer matches head.json. This makes tampering evident; it
+ * does not stop someone with write access to the directory from rebuilding
+ * the whole chain, so ship exports somewhere else if that matters.
+ */
+
+import {
+  mkdirSync,
+  readFileSync,
+  writeFileSync,
+  appendFileSync,
+  renameSync,
+  existsSync,
+  openSync,
+  readSync,
+  closeSync,
+  statSync
+} from 'fs';
+import { createHash } from 'crypto';
+import { join } from 'path';
+import { homedir } from 'os';
+
+const DEFAULT_AUDIT_DIR = join(homedir(), '.teleportation', 'audit');
+const LOG_FILE = 'audit.jsonl';
+const HEAD_FILE = 'head.json';
+const GENESIS_HASH = '0'.repeat(64);
+// Enough to hold the last record when resuming the chain
+const TAIL_BYTES = 256 * 1024;
+
+/**
+ * Audit directory (TELEPORTATION_AUDIT_DIR overrides the default)
+ */
+export function resolveAuditDir(env = process.env) {
+  return env.TELEPORTATION_AUDIT_DIR || DEFAULT_AUDIT_DIR;
+}
+
+/**
+ * Hash of a record, chained to the previous one
+ * @param {Object} record - Record without its `hash` field
+ * @returns {string} Hex SHA-256
+ */
+export function hashRecord(record) {
+  return createHash('sha256').update(record.prev_hash).update(JSON.stringify(record)).digest('hex');
+}
+
+export class AuditLog {
+  /**
+   * @param {string} [dir] - Audit directory
+   */
+  constructor(dir = DEFAULT_AUDIT_DIR) {
+    this.dir = dir;
+    this.logPath = join(dir, LOG_FILE);
+    this.headPath = join(dir, HEAD_FILE);
+    this.head = null; // { seq, hash } once loaded
+  }
+
+  /**
+   * Last record's seq/hash, read from the end of the log (not head.json, which may lag a crash)
+   */
+  loadHead() {
+    if (this.head) return this.head;
+    this.head = { seq: 0, hash: GENESIS_HASH };
+    if (!existsSync(this.logPath)) return this.head;
+
+    const size = statSync(this.logPath).size;
+    const length = Math.min(size, TAIL_BYTES);
+    const buffer = Buffer.alloc(length);
+    const fd = openSync(this.logPath, 'r');
+    try {
+      readSync(fd, buffer, 0, length, size - length);
+    } finally {
+      closeSync(fd);
+    }
+
+    const lines = buffer.toString('utf8').split('\n').filter(line => line.trim());
+    for (let i = lines.length - 1; i >= 0; i--) {
+      try {
+        const record = JSON.parse(lines[i]);
+        this.head = { seq: record.seq, hash: record.hash };
+        break;
+      } catch {
+        // Torn final line - chain from the last complete record (verify will flag it)
+      }
+    }
+    return this.head;
+  }
+
+  /**
+   * Append an event to the chain
+   * @param {string} event - e.g. 'session.register', 'approval.handoff', 'command.rejected'
+   * @param {Object} fields
+   * @param {string} fields.actor - Who caused it: daemon, local-api, relay, user...
+   * @param {string} [fields.session_id]
+   * @param {string} [fields.approval_id]
+   * @param {...*} [fields.details] - Any other event-specific fields
+   * @returns {Object} The written record
+   * @throws {Error} When no actor is given
+   */
+  append(event, { actor, session_id = null, approval_id = null, ...details } = {}) {
+    if (!actor || typeof actor !== 'string') {
+      throw new Error(`Audit event ${event} has no actor`);
+    }
+    const head = this.loadHead();
+    const record = {
+      seq: head.seq + 1,
+      ts: new Date().toISOString(),
+      event,
+      actor,
+      session_id,
+      approval_id,
+      details,
+      prev_hash: head.hash
+    };
+    record.hash = hashRecord(record);
+
+    mkdirSync(this.dir, { recursive: true, mode: 0o700 });
+    appendFileSync(this.logPath, JSON.stringify(record) + '\n', { mode: 0o600 });
+    this.head = { seq: record.seq, hash: record.hash };
+
+    const tmpPath = `${this.headPath}.${process.pid}.tmp`;
+    writeFileSync(tmpPath, JSON.stringify(this.head), { mode: 0o600 });
+    renameSync(tmpPath, this.headPath);
+    return record;
+  }
+
+  /**
+   * All records, oldest first (unparseable lines are skipped; verify() reports them)
+   */
+  read() {
+    if (!existsSync(this.logPath)) return [];
+    const records = [];
+    for (const line of readFileSync(this.logPath, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        records.push(JSON.parse(line));
+      } catch {
+        // Reported by verify()
+      }
+    }
+    return records;
+  }
+
+  /**
+   * Walk the chain and report every break
+   * @returns {{ ok: boolean, records: number, problems: Array<{ line: number, seq: number|null, reason: string }> }}
+   */
+  verify() {
+    const problems = [];
+    let prev = { seq: 0, hash: GENESIS_HASH };
+    let count = 0;
+
+    const lines = existsSync(this.logPath) ? readFileSync(this.logPath, 'utf8').split('\n') : [];
+    lines.forEach((line, index) => {
+      if (!line.trim()) return;
+      const lineNumber = index + 1;
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch {
+        problems.push({ line: lineNumber, seq: null, reason: 'unparseable line' });
+        return;
+      }
+      count++;
+
+      const { hash, ...rest } = record;
+      if (record.seq !== prev.seq + 1) {
+        problems.push({ line: lineNumber, seq: record.seq, reason: `sequence gap: expected ${prev.seq + 1}` });
+      }
+      if (record.prev_hash !== prev.hash) {
+        problems.push({ line: lineNumber, seq: record.seq, reason: 'prev_hash does not match the previous record' });
+      }
+      if (hashRecord(rest) !== hash) {
+        problems.push({ line: lineNumber, seq: record.seq, reason: 'record contents do not match its hash' });
+      }
+      prev = { seq: record.seq, hash };
+    });
+
+    if (existsSync(this.headPath)) {
+      try {
+        const head = JSON.parse(readFileSync(this.headPath, 'utf8'));
+        if (head.seq !== prev.seq || head.hash !== prev.hash) {
+          problems.push({ line: null, seq: head.seq, reason: `log ends at seq ${prev.seq} but head.json records seq ${head.seq} (truncated?)` });
+        }
+      } catch {
+        problems.push({ line: null, seq: null, reason: 'head.json is unreadable' });
+      }
+    } else if (count > 0) {
+      problems.push({ line: null, seq: null, reason: 'head.json is missing' });
+    }
+
+    return { ok: problems.length === 0, records: count, problems };
+  }
+}
+
+export { DEFAULT_AUDIT_DIR, GENESIS_HASH };
@@ -0,0 +1,83 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, rm, readFile, writeFile, stat } from 'fs/promises';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { AuditLog, GENESIS_HASH, resolveAuditDir } from './log.js';
+
+describe('AuditLog', () => {
+  let tmpDir;
+
+  beforeEach(async () => {
+    tmpDir = await mkdtemp(join(tmpdir(), 'teleportation-audit-'));
+  });
+
+  afterEach(async () => {
+    await rm(tmpDir, { recursive: true, force: true });
+  });
+
+  async function lines() {
+    return (await readFile(join(tmpDir, 'audit.jsonl'), 'utf8')).trim().split('\n');
+  }
+
+  function writeLines(content) {
+    return writeFile(join(tmpDir, 'audit.jsonl'), content.join('\n') + '\n');
+  }
+
+  it('should honour TELEPORTATION_AUDIT_DIR', () => {
+    expect(resolveAuditDir({ TELEPORTATION_AUDIT_DIR: '/var/audit' })).toBe('/var/audit');
+  });
+
+  it('should chain records and verify a clean log', async () => {
+    const log = new AuditLog(tmpDir);
+    const first = log.append('session.register', { actor: 'local-api', session_id: 's1', cwd: '/repo' });
+    const second = log.append('approval.ack', { actor: 'daemon', session_id: 's1', approval_id: 'a1', ok: true });
+
+    expect(first).toMatchObject({ seq: 1, event: 'session.register', actor: 'local-api', details: { cwd: '/repo' }, prev_hash: GENESIS_HASH });
+    expect(second).toMatchObject({ seq: 2, actor: 'daemon', approval_id: 'a1', prev_hash: first.hash });
+    expect(log.verify()).toEqual({ ok: true, records: 2, problems: [] });
+    expect((await stat(join(tmpDir, 'audit.jsonl'))).mode & 0o777).toBe(0o600);
+  });
+
+  it('should refuse events without an actor', () => {
+    const log = new AuditLog(tmpDir);
+    expect(() => log.append('execution.finish', { approval_id: 'a1' })).toThrow('Audit event execution.finish has no actor');
+    expect(log.read()).toEqual([]);
+  });
+
+  it('should continue the chain after reopening', () => {
+    new AuditLog(tmpDir).append('daemon.start', { actor: 'daemon', pid: 1 });
+    const record = new AuditLog(tmpDir).append('daemon.stop', { actor: 'daemon', pid: 1 });
+    expect(record.seq).toBe(2);
+    expect(new AuditLog(tmpDir).verify().ok).toBe(true);
+  });
+
+  it('should detect an edited record', async () => {
+    const log = new AuditLog(tmpDir);
+    log.append('command.rejected', { actor: 'relay', command: 'rm -rf /' });
+    log.append('daemon.stop', { actor: 'daemon' });
+
+    const [first, second] = await lines();
+    await writeLines([first.replace('rm -rf /', 'ls'), second]);
+
+    const result = new AuditLog(tmpDir).verify();
+    expect(result.ok).toBe(false);
+    expect(result.problems).toContainEqual({ line: 1, seq: 1, reason: 'record contents do not match its hash' });
+  });
+
+  it('should detect removed, reordered and truncated records', async () => {
+    const log = new AuditLog(tmpDir);
+    for (const event of ['a', 'b', 'c']) log.append(event, { actor: 'daemon' });
+    const [a, b, c] = await lines();
+
+    await writeLines([a, c]);
+    expect(new AuditLog(tmpDir).verify().problems.map(p => p.reason)).toContain('sequence gap: expected 2');
+
+    await writeLines([b, a, c]);
+    expect(new AuditLog(tmpDir).verify().ok).toBe(false);
+
+    await writeLines([a, b]);
+    expect(new AuditLog(tmpDir).verify().problems).toEqual([
+      { line: null, seq: 3, reason: 'log ends at seq 2 but head.json records seq 3 (truncated?)' }
+    ]);
+  });
+});
@@ -108,3 +108,54 @@ export async function validateApiKey(apiKey, relayApiUrl) {
   return { valid: true, warning: 'API key format is valid but not tested (no relay URL)' };
 }
 
+
+/**
+ * Relay error message from a failed response, if it sent one
+ */
+async function relayError(response, fallback) {
+  const data = await response.json().catch(() => null);
+  return `${fallback}: ${data?.error || `HTTP ${response.status}`}`;
+}
+
+/**
+ * Create a new API key for the same account (authenticated with the current key)
+ * @returns {Promise<{ key: string, id?: string, expiresAt: number|null }>}
+ */
+export async function createApiKey(apiKey, relayApiUrl, { name = 'teleportation-cli' } = {}) {
+  const response = await fetch(`${relayApiUrl}/api/keys`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${apiKey}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ name })
+  });
+  if (!response.ok) {
+    throw new Error(await relayError(response, 'Relay did not create a new API key'));
+  }
+
+  const data = await response.json();
+  const formatCheck = validateApiKeyFormat(data?.key);
+  if (!formatCheck.valid) {
+    throw new Error(`Relay returned an unusable API key: ${formatCheck.error}`);
+  }
+  return {
+    key: data.key,
+    id: data.id,
+    expiresAt: data.expires_at ? new Date(data.expires_at).getTime() : null
+  };
+}
+
+/**
+ * Revoke the API key used to authenticate the request
+ */
+export async function revokeApiKey(apiKey, relayApiUrl) {
+  const response = await fetch(`${relayApiUrl}/api/keys/current`, {
+    method: 'DELETE',
+    headers: { 'Authorization': `Bearer ${apiKey}` }
+  });
+  // Already gone is as good as revoked
+  if (!response.ok && response.status !== 404) {
+    throw new Error(await relayError(response, 'Relay did not revoke the old API key'));
+  }
+}
@@ -1,107 +1,26 @@
 #!/usr/bin/env node
 /**
  * Credential encryption and storage management
- * Uses AES-256 encryption with system keychain for key management
+ * Uses AES-256 encryption; the key comes from the configured secret backend
+ * (key file, passphrase or external command - see secret-backends.js)
  */
 
-import { createCipheriv, createDecipheriv, randomBytes, scrypt } from 'crypto';
-import { promisify } from 'util';
-import { readFile, writeFile, unlink, stat, mkdir } from 'fs/promises';
+import { createCipheriv, createDecipheriv, randomBytes } from 'crypto';
+import { readFile, writeFile, rename, unlink, stat, mkdir } from 'fs/promises';
 import { join, dirname } from 'path';
 import { homedir } from 'os';
+import { refreshAccessToken, credentialsFromTokens } from './device-code.js';
+import { FileKeyBackend, DEFAULT_KEY_PATH, resolveSecretBackend } from './secret-backends.js';
 
-const scryptAsync = promisify(scrypt);
-const KEY_LENGTH = 32; // 256 bits for AES-256
 const IV_LENGTH = 16; // 128 bits for AES IV
-const SALT_LENGTH = 32;
-const DEFAULT_CREDENTIALS_PATH = join(homedir(), '.teleportation', 'credentials');
-const DEFAULT_KEY_PATH = join(homedir(), '.teleportation', '.key');
-
-/**
- * Get encryption key from system keychain or fallback to file-based key
- */
-async function getEncryptionKey(keyPath = DEFAULT_KEY_PATH) {
-  // Try to use system keychain first (platform-specific)
-  // For macOS: use security command
-  // For Linux: use secret-tool or fallback to file
-  // For Windows: use Credential Manager or fallback to file
-  
-  const platform = process.platform;
-  
-  if (platform === 'darwin') {
-    // macOS - try to use keychain
-    try {
-      const { execSync } = await import('child_process');
-      try {
-        const key = execSync(
-          'security find-generic-password -a teleportation -s encryption-key -w 2>/dev/null',
-          { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }
-        ).trim();
-        if (key && key.length >= 32) {
-          return Buffer.from(key.slice(0, 64), 'hex'); // Use first 32 bytes
-        }
-      } catch (e) {
-        // Keychain entry doesn't exist, fall through to file-based
-      }
-    } catch (e) {
-      // security command not available, fall through
-    }
-  }
-  
-  // Fallback: use file-based key with scrypt derivation
-  try {
-    const keyData = await readFile(keyPath, 'utf8');
-    const parsed = JSON.parse(keyData);
-    
-    // If we have a stored derived key, use it directly
-    if (parsed.derivedKey) {
-      return Buffer.from(parsed.derivedKey, 'hex');
-    }
-    
-    // Legacy format: derive from salt and master key
-    if (parsed.salt && parsed.masterKey) {
-      const key = await scryptAsync(Buffer.from(parsed.masterKey, 'hex'), Buffer.from(parsed.salt, 'hex'), KEY_LENGTH);
-      // Update to new format
-      await writeFile(
-        keyPath,
-        JSON.stringify({
-          derivedKey: Buffer.from(key).toString('hex')
-        }),
-        { mode: 0o600 }
-      );
-      return Buffer.from(key);
-    }
-    
-    throw new Error('Invalid key file format');
-  } catch (e) {
-    if (e.code === 'ENOENT' || e.message === 'Invalid key file format') {
-      // Key file doesn't exist or is invalid, create a new one
-      const masterKey = randomBytes(KEY_LENGTH);
-      const salt = randomBytes(SALT_LENGTH);
-      const derivedKey = await scryptAsync(masterKey, salt, KEY_LENGTH);
-      
-      // Ensure directory exists
-      await mkdir(dirname(keyPath), { recursive: true });
-      
-      // Save derived key directly (32 bytes for AES-256)
-      await writeFile(
-        keyPath,
-        JSON.stringify({
-          derivedKey: Buffer.from(derivedKey).toString('hex')
-        }),
-        { mode: 0o600 } // Owner read/write only
-      );
-      
-      return Buffer.from(derivedKey);
-    }
-    throw e;
-  }
-}
+export const DEFAULT_CREDENTIALS_PATH = join(homedir(), '.teleportation', 'credentials');
+// Refresh access tokens this long before they expire
+export const REFRESH_MARGIN_MS = 5 * 60 * 1000;
 
 /**
  * Encrypt data using AES-256-GCM
  */
-function encrypt(data, key) {
+export function encrypt(data, key) {
   const iv = randomBytes(IV_LENGTH);
   const cipher = createCipheriv('aes-256-gcm', key, iv);
   
@@ -120,7 +39,7 @@ function encrypt(data, key) {
 /**
  * Decrypt data using AES-256-GCM
  */
-function decrypt(encryptedData, key) {
+export function decrypt(encryptedData, key) {
   const { data, iv, authTag } = encryptedData;
   
   if (!data || !iv || !authTag) {
@@ -140,9 +59,45 @@ function decrypt(encryptedData, key) {
  * CredentialManager - handles encryption, storage, and retrieval of credentials
  */
 export class CredentialManager {
-  constructor(credentialsPath = DEFAULT_CREDENTIALS_PATH, keyPath = DEFAULT_KEY_PATH) {
+  /**
+   * @param {string} [credentialsPath]
+   * @param {string} [keyPath] - Use a key file here instead of the configured backend
+   * @param {Object} [backend] - Secret backend (secret-backends.js); wins over keyPath
+   */
+  constructor(credentialsPath = DEFAULT_CREDENTIALS_PATH, keyPath = DEFAULT_KEY_PATH, backend = null) {
     this.credentialsPath = credentialsPath;
     this.keyPath = keyPath;
+    this.backend = backend || (keyPath !== DEFAULT_KEY_PATH ? new FileKeyBackend(keyPath) : null);
+  }
+
+  /**
+   * Encryption key from the secret backend (config.json `secrets` unless one was given)
+   */
+  async getKey() {
+    return (await this.getBackend()).getKey();
+  }
+
+  async getBackend() {
+    if (!this.backend) {
+      this.backend = await resolveSecretBackend();
+    }
+    return this.backend;
+  }
+
+  /**
+   * Encrypt, letting the daemon do it when it holds the key (passphrase backend)
+   */
+  async seal(data) {
+    const backend = await this.getBackend();
+    return (await backend.remoteEncrypt?.(data)) || encrypt(data, await backend.getKey());
+  }
+
+  /**
+   * Decrypt, letting the daemon do it when it holds the key (passphrase backend)
+   */
+  async open(sealed) {
+    const backend = await this.getBackend();
+    return (await backend.remoteDecrypt?.(sealed)) || decrypt(sealed, await backend.getKey());
   }
 
   /**
@@ -156,11 +111,8 @@ export class CredentialManager {
     // Ensure directory exists
     await mkdir(dirname(this.credentialsPath), { recursive: true });
 
-    // Get encryption key
-    const key = await getEncryptionKey(this.keyPath);
-
     // Encrypt credentials
-    const encrypted = encrypt(credentials, key);
+    const encrypted = await this.seal(credentials);
 
     // Add metadata
     const fileData = {
@@ -169,12 +121,16 @@ export class CredentialManager {
       ...encrypted
     };
 
-    // Write encrypted file with 600 permissions
-    await writeFile(
-      this.credentialsPath,
-      JSON.stringify(fileData, null, 2),
-      { mode: 0o600 }
-    );
+    // Write encrypted file with 600 permissions, then swap it in so readers
+    // never see a half-written file (matters when a key is rotated in place)
+    const tmpPath = `${this.credentialsPath}.${process.pid}.tmp`;
+    try {
+      await writeFile(tmpPath, JSON.stringify(fileData, null, 2), { mode: 0o600 });
+      await rename(tmpPath, this.credentialsPath);
+    } catch (error) {
+      await unlink(tmpPath).catch(() => {});
+      throw error;
+    }
   }
 
   /**
@@ -189,18 +145,12 @@ export class CredentialManager {
         throw new Error('Invalid credential file format');
       }
 
-      // Get encryption key
-      const key = await getEncryptionKey(this.keyPath);
-
       // Decrypt credentials
-      const credentials = decrypt(
-        {
-          data: fileData.data,
-          iv: fileData.iv,
-          authTag: fileData.authTag
-        },
-        key
-      );
+      const credentials = await this.open({
+        data: fileData.data,
+        iv: fileData.iv,
+        authTag: fileData.authTag
+      });
 
       return credentials;
     } catch (e) {
@@ -285,8 +235,8 @@ export class CredentialManager {
   }
 
   /**
-   * Refresh access token if refresh token is available
-   * This is a placeholder - actual implementation depends on OAuth provider
+   * Refresh the access token with the stored refresh token (device code login)
+   * @returns {Promise<Object>} The updated credentials
    */
   async refreshToken() {
     const credentials = await this.load();
@@ -294,9 +244,29 @@ export class CredentialManager {
       throw new Error('No refresh token available');
     }
 
-    // TODO: Implement actual token refresh with OAuth provider
-    // For now, this is a placeholder that would be implemented in oauth-client.js
-    throw new Error('Token refresh not yet implemented. Please run "teleportation login" to re-authenticate.');
+    const tokens = await refreshAccessToken(credentials.relayApiUrl, credentials.refreshToken);
+    return this.update(credentialsFromTokens(tokens, credentials));
+  }
+
+  /**
+   * Load credentials, refreshing the access token first when it is about to
+   * expire. If the refresh fails the stored credentials are returned as they are.
+   * @param {Object} [options]
+   * @param {number} [options.marginMs] - Refresh this long before expiry
+   * @param {(error: Error) => void} [options.onRefreshError]
+   */
+  async loadFresh({ marginMs = REFRESH_MARGIN_MS, onRefreshError } = {}) {
+    const credentials = await this.load();
+    if (!credentials?.refreshToken || !credentials.expiresAt || Date.now() < credentials.expiresAt - marginMs) {
+      return credentials;
+    }
+
+    try {
+      return await this.refreshToken();
+    } catch (error) {
+      onRefreshError?.(error);
+      return credentials;
+    }
   }
 
   /**
@@ -8,7 +8,7 @@ import { describe, it, expect, beforeEach, afterEach } from 'vitest';
 import { readFile, unlink, stat } from 'fs/promises';
 import { join } from 'path';
 import { homedir } from 'os';
-import { CredentialManager } from './credentials.js';
+import { CredentialManager, encrypt, decrypt } from './credentials.js';
 
 const TEST_CREDENTIALS_PATH = join(homedir(), '.teleportation', 'credentials.test');
 
@@ -69,6 +69,22 @@ describe('CredentialManager', () => {
       expect(fileContent).not.toContain('secret-token-12345');
       expect(fileContent).not.toContain('secret-api-key-67890');
     });
+
+    it('should let a backend encrypt and decrypt where its key is held', async () => {
+      // The daemon's unlocked passphrase key, which this process never sees
+      const daemonKey = Buffer.alloc(32, 7);
+      const backend = {
+        remoteEncrypt: async (data) => encrypt(data, daemonKey),
+        remoteDecrypt: async (sealed) => decrypt(sealed, daemonKey),
+        getKey: async () => { throw new Error('Passphrase required'); }
+      };
+      const delegated = new CredentialManager(TEST_CREDENTIALS_PATH, undefined, backend);
+
+      await delegated.save({ apiKey: 'secret-api-key' });
+      expect(await delegated.load()).toEqual({ apiKey: 'secret-api-key' });
+      const { data, iv, authTag } = JSON.parse(await readFile(TEST_CREDENTIALS_PATH, 'utf8'));
+      expect(decrypt({ data, iv, authTag }, daemonKey)).toEqual({ apiKey: 'secret-api-key' });
+    });
   });
 
   describe('file permissions', () => {
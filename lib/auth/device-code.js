@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+/**
+ * OAuth 2.0 device authorization grant (RFC 8628) against the relay
+ *
+ * The CLI asks the relay for a device code, the user approves it in a browser
+ * (on any device), and the CLI polls until the relay hands out tokens. Access
+ * tokens are short-lived; refreshAccessToken() swaps the refresh token for a
+ * new pair.
+ */
+
+const DEVICE_CODE_GRANT = 'urn:ietf:params:oauth:grant-type:device_code';
+export const DEFAULT_CLIENT_ID = 'teleportation-cli';
+const DEFAULT_POLL_INTERVAL_SECONDS = 5;
+// RFC 8628 §3.5: back off by 5 seconds on slow_down
+const SLOW_DOWN_SECONDS = 5;
+
+/**
+ * Error from the relay's token endpoint (error is the OAuth error code)
+ */
+export class DeviceAuthError extends Error {
+  constructor(message, error) {
+    super(message);
+    this.name = 'DeviceAuthError';
+    this.error = error;
+  }
+}
+
+async function postForm(url, params) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'Accept': 'application/json' },
+    body: new URLSearchParams(params).toString()
+  });
+  const data = await response.json().catch(() => ({}));
+  return { response, data };
+}
+
+/**
+ * Ask the relay for a device code
+ * @returns {Promise<{ device_code, user_code, verification_uri, verification_uri_complete?, expires_in, interval }>}
+ */
+export async function requestDeviceCode(relayUrl, { clientId = DEFAULT_CLIENT_ID, scope } = {}) {
+  const { response, data } = await postForm(`${relayUrl}/api/auth/device/code`, {
+    client_id: clientId,
+    ...(scope ? { scope } : {})
+  });
+
+  if (response.status === 404) {
+    throw new Error('This relay does not support device login. Use: teleportation login --api-key <key>');
+  }
+  if (!response.ok) {
+    throw new Error(`Device code request failed: ${data.error_description || data.error || response.status}`);
+  }
+  if (!data.device_code || !data.user_code || !data.verification_uri) {
+    throw new Error('Relay returned an incomplete device code response');
+  }
+  return {
+    ...data,
+    expires_in: Number(data.expires_in) || 900,
+    interval: Number(data.interval) || DEFAULT_POLL_INTERVAL_SECONDS
+  };
+}
+
+/**
+ * Poll the token endpoint until the user approves, denies or the code expires
+ * @param {string} relayUrl
+ * @param {{ device_code: string, interval: number, expires_in: number }} deviceCode
+ * @param {Object} [options]
+ * @param {(ms: number) => Promise<void>} [options.sleep] - Injected by tests
+ * @returns {Promise<Object>} Token response ({ access_token, refresh_token?, expires_in?, ... })
+ */
+export async function pollForToken(relayUrl, { device_code, interval, expires_in }, {
+  clientId = DEFAULT_CLIENT_ID,
+  sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms)),
+  now = Date.now
+} = {}) {
+  const deadline = now() + expires_in * 1000;
+  let waitSeconds = interval;
+
+  while (now() < deadline) {
+    await sleep(waitSeconds * 1000);
+
+    const { response, data } = await postForm(`${relayUrl}/api/auth/device/token`, {
+      grant_type: DEVICE_CODE_GRANT,
+      device_code,
+      client_id: clientId
+    });
+
+    if (response.ok && data.access_token) {
+      return data;
+    }
+
+    switch (data.error) {
+      case 'authorization_pending':
+        break;
+      case 'slow_down':
+        waitSeconds += SLOW_DOWN_SECONDS;
+        break;
+      case 'access_denied':
+        throw new DeviceAuthError('Login was denied in the browser', data.error);
+      case 'expired_token':
+        throw new DeviceAuthError('The login code expired. Run teleportation login --device again', data.error);
+      default:
+        throw new DeviceAuthError(`Login failed: ${data.error_description || data.error || response.status}`, data.error);
+    }
+  }
+
+  throw new DeviceAuthError('The login code expired. Run teleportation login --device again', 'expired_token');
+}
+
+/**
+ * Exchange a refresh token for new tokens
+ * @returns {Promise<Object>} Token response
+ */
+export async function refreshAccessToken(relayUrl, refreshToken, { clientId = DEFAULT_CLIENT_ID } = {}) {
+  if (!relayUrl) {
+    throw new Error('Relay API URL is required to refresh the access token');
+  }
+
+  const { response, data } = await postForm(`${relayUrl}/api/auth/token`, {
+    grant_type: 'refresh_token',
+    refresh_token: refreshToken,
+    client_id: clientId
+  });
+
+  if (!response.ok || !data.access_token) {
+    throw new DeviceAuthError(
+      `Token refresh failed: ${data.error_description || data.error || response.status}. Run: teleportation login --device`,
+      data.error
+    );
+  }
+  return data;
+}
+
+/**
+ * Credential fields for a token response (what CredentialManager stores)
+ * @param {Object} tokens - Token endpoint response
+ * @param {Object} [previous] - Current credentials; a refresh may not rotate the refresh token
+ */
+export function credentialsFromTokens(tokens, previous = {}, now = Date.now()) {
+  return {
+    accessToken: tokens.access_token,
+    refreshToken: tokens.refresh_token || previous.refreshToken || null,
+    expiresAt: tokens.expires_in ? now + Number(tokens.expires_in) * 1000 : null,
+    tokenType: tokens.token_type || 'Bearer'
+  };
+}
@@ -0,0 +1,120 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import http from 'http';
+import { requestDeviceCode, pollForToken, refreshAccessToken, credentialsFromTokens, DeviceAuthError } from './device-code.js';
+
+/**
+ * Local stand-in for the relay's OAuth endpoints. `tokenResponses` are
+ * returned in order by the device token endpoint.
+ */
+function startFakeRelay(state) {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const params = Object.fromEntries(new URLSearchParams(body));
+      state.requests.push({ url: req.url, params });
+      const send = (status, data) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+      };
+
+      if (req.url === '/api/auth/device/code') {
+        return send(200, {
+          device_code: 'dev-code-1',
+          user_code: 'WDJB-MJHT',
+          verification_uri: `${state.url}/device`,
+          verification_uri_complete: `${state.url}/device?user_code=WDJB-MJHT`,
+          expires_in: 600,
+          interval: 1
+        });
+      }
+      if (req.url === '/api/auth/device/token') {
+        const [status, data] = state.tokenResponses.shift();
+        return send(status, data);
+      }
+      if (req.url === '/api/auth/token' && params.refresh_token === 'refresh-1') {
+        return send(200, { access_token: 'access-2', expires_in: 3600, token_type: 'Bearer' });
+      }
+      send(400, { error: 'invalid_grant', error_description: 'Refresh token revoked' });
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    state.url = `http://127.0.0.1:${server.address().port}`;
+    resolve(server);
+  }));
+}
+
+describe('Device Code Flow', () => {
+  let server;
+  let state;
+  let sleeps;
+  const sleep = async (ms) => { sleeps.push(ms); };
+
+  beforeEach(async () => {
+    state = { requests: [], tokenResponses: [] };
+    sleeps = [];
+    server = await startFakeRelay(state);
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('should request a device code', async () => {
+    const code = await requestDeviceCode(state.url);
+    expect(code).toMatchObject({ device_code: 'dev-code-1', user_code: 'WDJB-MJHT', interval: 1, expires_in: 600 });
+    expect(state.requests[0].params).toEqual({ client_id: 'teleportation-cli' });
+  });
+
+  it('should poll through pending and slow_down until tokens arrive', async () => {
+    state.tokenResponses.push(
+      [400, { error: 'authorization_pending' }],
+      [400, { error: 'slow_down' }],
+      [200, { access_token: 'access-1', refresh_token: 'refresh-1', expires_in: 3600 }]
+    );
+
+    const tokens = await pollForToken(state.url, { device_code: 'dev-code-1', interval: 1, expires_in: 600 }, { sleep });
+
+    expect(tokens.access_token).toBe('access-1');
+    expect(sleeps).toEqual([1000, 1000, 6000]);
+    expect(state.requests[0].params).toEqual({
+      grant_type: 'urn:ietf:params:oauth:grant-type:device_code',
+      device_code: 'dev-code-1',
+      client_id: 'teleportation-cli'
+    });
+  });
+
+  it('should stop on denial and expiry', async () => {
+    const deviceCode = { device_code: 'dev-code-1', interval: 1, expires_in: 600 };
+
+    state.tokenResponses.push([400, { error: 'access_denied' }]);
+    await expect(pollForToken(state.url, deviceCode, { sleep })).rejects.toThrow('denied');
+
+    state.tokenResponses.push([400, { error: 'expired_token' }]);
+    await expect(pollForToken(state.url, deviceCode, { sleep })).rejects.toMatchObject({ error: 'expired_token' });
+
+    let clock = 0;
+    state.tokenResponses.push(...Array(5).fill([400, { error: 'authorization_pending' }]));
+    const error = await pollForToken(state.url, { ...deviceCode, expires_in: 3 }, {
+      sleep: async (ms) => { clock += ms; },
+      now: () => clock
+    }).catch(e => e);
+    expect(error).toBeInstanceOf(DeviceAuthError);
+    expect(error.message).toContain('expired');
+  });
+
+  it('should refresh tokens and keep the old refresh token when not rotated', async () => {
+    const tokens = await refreshAccessToken(state.url, 'refresh-1');
+    expect(tokens.access_token).toBe('access-2');
+    expect(state.requests[0].params).toMatchObject({ grant_type: 'refresh_token', refresh_token: 'refresh-1' });
+
+    expect(credentialsFromTokens(tokens, { refreshToken: 'refresh-1' }, 1000)).toEqual({
+      accessToken: 'access-2',
+      refreshToken: 'refresh-1',
+      expiresAt: 1000 + 3600 * 1000,
+      tokenType: 'Bearer'
+    });
+
+    await expect(refreshAccessToken(state.url, 'revoked')).rejects.toThrow('Refresh token revoked');
+  });
+});
@@ -0,0 +1,211 @@
+#!/usr/bin/env node
+/**
+ * Device keys and paired devices
+ * Stored encrypted next to `credentials` (in ~/.teleportation/devices) through
+ * CredentialManager, so the private key gets the same protection as the API key.
+ *
+ * Shape:
+ *   {
+ *     device: { device_id, name, public_key, private_key, created_at },
+ *     paired: [{ device_id, name, public_key, paired_at }]
+ *   }
+ */
+
+import { stat } from 'fs/promises';
+import { join } from 'path';
+import { homedir, hostname } from 'os';
+import { randomBytes } from 'crypto';
+import { CredentialManager } from './credentials.js';
+import { generateDeviceKeyPair, isValidPublicKey, sealPayload, openPayload, isEnvelope } from './e2e.js';
+
+export const DEFAULT_DEVICES_PATH = join(homedir(), '.teleportation', 'devices');
+
+const DEVICE_ID_PATTERN = /^[a-zA-Z0-9_-]{8,64}$/;
+
+// What the relay shows for a message whose text is encrypted
+export const ENCRYPTED_TEXT = '🔒 Encrypted message';
+// Message meta the relay needs for routing, left readable when the rest is sealed
+const ROUTING_META_FIELDS = ['from_agent_id', 'target_agent_id', 'reply_agent_id', 'type', 'in_reply_to_message_id', 'approval_id'];
+
+/**
+ * Validate a device id received from the relay or the command line
+ */
+export function validateDeviceId(device_id) {
+  if (typeof device_id !== 'string' || !DEVICE_ID_PATTERN.test(device_id)) {
+    throw new Error('Invalid device_id format');
+  }
+}
+
+export class DeviceRegistry {
+  constructor(devicesPath = DEFAULT_DEVICES_PATH, keyPath = undefined) {
+    this.devicesPath = devicesPath;
+    this.store = new CredentialManager(devicesPath, keyPath);
+    this.cached = null;
+    this.cachedMtimeMs = null;
+  }
+
+  /**
+   * Load the registry, creating this device's keypair on first use
+   */
+  async load() {
+    const data = await this.store.load();
+    if (data?.device?.private_key) {
+      return { device: data.device, paired: data.paired || [] };
+    }
+
+    const registry = {
+      device: {
+        device_id: `cli-${randomBytes(8).toString('hex')}`,
+        name: hostname(),
+        ...generateDeviceKeyPair(),
+        created_at: Date.now()
+      },
+      paired: []
+    };
+    await this.save(registry);
+    return registry;
+  }
+
+  async save(registry) {
+    await this.store.save(registry);
+    this.cached = null;
+  }
+
+  /**
+   * Like load(), but re-reads the file only when it changed on disk. Meant for
+   * the daemon, which checks for paired devices on every relay payload.
+   * Returns null when no registry exists yet (nothing is ever paired then).
+   */
+  async loadCached() {
+    let mtimeMs;
+    try {
+      mtimeMs = (await stat(this.devicesPath)).mtimeMs;
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+    if (!this.cached || this.cachedMtimeMs !== mtimeMs) {
+      this.cached = await this.load();
+      this.cachedMtimeMs = mtimeMs;
+    }
+    return this.cached;
+  }
+
+  /**
+   * Whether any device is paired - relay payloads must then be encrypted
+   */
+  async hasPairedDevices() {
+    const registry = await this.loadCached();
+    return Boolean(registry && registry.paired.length > 0);
+  }
+
+  /**
+   * Trust a device's public key
+   * @param {{ device_id: string, name?: string, public_key: string }} device
+   */
+  async addDevice({ device_id, name, public_key }) {
+    validateDeviceId(device_id);
+    if (!isValidPublicKey(public_key)) {
+      throw new Error('Invalid device public key');
+    }
+
+    const registry = await this.load();
+    if (device_id === registry.device.device_id) {
+      throw new Error('Cannot pair a device with itself');
+    }
+    const paired = {
+      device_id,
+      name: typeof name === 'string' && name.trim() ? name.trim().slice(0, 64) : device_id,
+      public_key,
+      paired_at: Date.now()
+    };
+    registry.paired = [...registry.paired.filter(d => d.device_id !== device_id), paired];
+    await this.save(registry);
+    return paired;
+  }
+
+  /**
+   * Move `fields` of a relay payload into an `e2e` envelope readable by every
+   * paired device and this one. Payloads go out unchanged while nothing is paired.
+   * @param {Object} payload
+   * @param {string[]} fields - Content fields; everything else stays as routing metadata
+   * @param {string} context - Session id the envelope is bound to
+   * @returns {Promise<Object>}
+   */
+  async seal(payload, fields, context) {
+    const registry = await this.loadCached();
+    if (!registry || registry.paired.length === 0) return payload;
+
+    const sealed = { ...payload };
+    const secret = {};
+    for (const field of fields) {
+      if (sealed[field] === undefined) continue;
+      secret[field] = sealed[field];
+      delete sealed[field];
+    }
+    sealed.e2e = sealPayload(secret, {
+      identity: registry.device,
+      recipients: [registry.device, ...registry.paired],
+      context
+    });
+    return sealed;
+  }
+
+  /**
+   * seal() for a relay message ({ session_id, text, meta }): text and meta are
+   * encrypted, and only the meta fields the relay routes on stay readable.
+   * Open it again with open(message, session_id).
+   */
+  async sealMessage(message) {
+    const sealed = await this.seal(message, ['text', 'meta'], message.session_id);
+    if (!sealed.e2e) return sealed;
+
+    const meta = {};
+    for (const field of ROUTING_META_FIELDS) {
+      if (message.meta?.[field] !== undefined) meta[field] = message.meta[field];
+    }
+    return { ...sealed, text: ENCRYPTED_TEXT, meta };
+  }
+
+  /**
+   * Reverse seal(): merge the decrypted fields back into the payload.
+   * Payloads without an envelope are returned as they are while nothing is paired.
+   * @throws When the envelope isn't for this device or comes from an unpaired one,
+   *   or the payload is unencrypted although devices are paired
+   */
+  async open(payload, context) {
+    if (!isEnvelope(payload?.e2e)) {
+      if (await this.hasPairedDevices()) {
+        throw new Error('Refusing unencrypted payload: devices are paired, so it must come from one of them');
+      }
+      return payload;
+    }
+
+    const registry = await this.loadCached();
+    if (!registry) {
+      throw new Error('Received an encrypted payload but no device keys exist. Run: teleportation devices pair');
+    }
+    const trusted = [registry.device, ...registry.paired];
+    const fields = openPayload(payload.e2e, {
+      identity: registry.device,
+      senderKey: (device_id) => trusted.find(d => d.device_id === device_id)?.public_key || null,
+      context
+    });
+
+    const { e2e, ...rest } = payload;
+    return { ...rest, ...fields };
+  }
+
+  /**
+   * Stop trusting a device; returns the removed device or null
+   */
+  async revokeDevice(device_id) {
+    const registry = await this.load();
+    const device = registry.paired.find(d => d.device_id === device_id) || null;
+    if (device) {
+      registry.paired = registry.paired.filter(d => d.device_id !== device_id);
+      await this.save(registry);
+    }
+    return device;
+  }
+}
@@ -0,0 +1,89 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, rm } from 'fs/promises';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { DeviceRegistry, ENCRYPTED_TEXT } from './devices.js';
+import { generateDeviceKeyPair, sealPayload } from './e2e.js';
+
+describe('DeviceRegistry', () => {
+  let dir;
+  let registry;
+  const phone = { device_id: 'phone-0123456789', name: 'Pixel', ...generateDeviceKeyPair() };
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'teleportation-devices-'));
+    registry = new DeviceRegistry(join(dir, 'devices'), join(dir, '.key'));
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('should create this device once and keep it', async () => {
+    const first = await registry.load();
+    expect(first.device.device_id).toMatch(/^cli-[0-9a-f]{16}$/);
+    expect(first.paired).toEqual([]);
+
+    const again = await new DeviceRegistry(join(dir, 'devices'), join(dir, '.key')).load();
+    expect(again.device).toEqual(first.device);
+  });
+
+  it('should leave payloads alone until a device is paired', async () => {
+    expect(await registry.loadCached()).toBeNull();
+    const payload = { session_id: 'sess-1', stdout: 'hi' };
+    expect(await registry.seal(payload, ['stdout'], 'sess-1')).toBe(payload);
+    expect(await registry.open(payload, 'sess-1')).toBe(payload);
+  });
+
+  it('should add, replace and revoke paired devices', async () => {
+    await registry.addDevice(phone);
+    await registry.addDevice({ ...phone, name: 'Pixel 9' });
+    expect((await registry.load()).paired).toEqual([expect.objectContaining({ device_id: phone.device_id, name: 'Pixel 9' })]);
+
+    const { device } = await registry.load();
+    await expect(registry.addDevice({ ...device })).rejects.toThrow('Cannot pair a device with itself');
+    await expect(registry.addDevice({ device_id: 'bad id!', public_key: phone.public_key })).rejects.toThrow('Invalid device_id');
+    await expect(registry.addDevice({ device_id: 'phone-9999999999', public_key: 'nope' })).rejects.toThrow('Invalid device public key');
+
+    expect(await registry.revokeDevice(phone.device_id)).toMatchObject({ device_id: phone.device_id });
+    expect(await registry.revokeDevice(phone.device_id)).toBeNull();
+  });
+
+  it('should seal messages for paired devices, leaving routing metadata readable', async () => {
+    await registry.addDevice(phone);
+
+    const sealed = await registry.sealMessage({
+      session_id: 'sess-1',
+      text: 'rm -rf build',
+      meta: { type: 'command', target_agent_id: 'daemon', source: 'teleportation-cli' }
+    });
+    expect(sealed.text).toBe(ENCRYPTED_TEXT);
+    expect(sealed.meta).toEqual({ type: 'command', target_agent_id: 'daemon' });
+    expect(JSON.stringify(sealed)).not.toContain('rm -rf');
+
+    const opened = await registry.open(sealed, 'sess-1');
+    expect(opened.text).toBe('rm -rf build');
+    expect(opened.meta.source).toBe('teleportation-cli');
+    expect(opened.e2e).toBeUndefined();
+  });
+
+  it('should open payloads from paired devices and refuse revoked ones', async () => {
+    const { device } = await registry.load();
+    await registry.addDevice(phone);
+    const message = { id: 'msg-1', e2e: sealPayload({ text: 'ls' }, { identity: phone, recipients: [device], context: 'sess-1' }) };
+
+    expect(await registry.open(message, 'sess-1')).toEqual({ id: 'msg-1', text: 'ls' });
+
+    await registry.revokeDevice(phone.device_id);
+    await expect(registry.open(message, 'sess-1')).rejects.toThrow('unknown or revoked device');
+  });
+
+  it('should refuse unencrypted payloads once a device is paired', async () => {
+    await registry.addDevice(phone);
+    expect(await registry.hasPairedDevices()).toBe(true);
+    await expect(registry.open({ id: 'msg-1', text: 'ls' }, 'sess-1')).rejects.toThrow('Refusing unencrypted payload');
+
+    await registry.revokeDevice(phone.device_id);
+    expect(await registry.open({ id: 'msg-1', text: 'ls' }, 'sess-1')).toEqual({ id: 'msg-1', text: 'ls' });
+  });
+});
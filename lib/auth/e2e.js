@@ -0,0 +1,234 @@
+#!/usr/bin/env node
+/**
+ * End-to-end encryption between this machine and paired phones
+ *
+ * Each install has an X25519 device keypair (see devices.js). A payload is
+ * encrypted once with a random content key (AES-256-GCM), and that key is
+ * wrapped for every recipient device with a key derived from the static
+ * X25519 shared secret between sender and recipient (HKDF-SHA256). The relay
+ * stores and forwards envelopes but only sees routing metadata.
+ *
+ * Envelope:
+ *   {
+ *     v: 1, alg: 'X25519-HKDF-SHA256-A256GCM', sender: '<device_id>',
+ *     iv, data, tag,                                  // the payload
+ *     keys: [{ device_id, iv, data, tag }]            // content key per recipient
+ *   }
+ *
+ * All binary fields are base64url. The session id is bound in as associated
+ * data so the relay cannot move an envelope to another session.
+ *
+ * Pairing: the CLI shows a short code that never touches the relay. Both sides
+ * MAC their public keys with a key stretched from the code, so a relay that
+ * swaps in its own keys is caught (see pairingMac).
+ */
+
+import {
+  generateKeyPairSync,
+  createPublicKey,
+  createPrivateKey,
+  diffieHellman,
+  hkdfSync,
+  createCipheriv,
+  createDecipheriv,
+  createHmac,
+  createHash,
+  randomBytes,
+  randomInt,
+  scrypt,
+  timingSafeEqual
+} from 'crypto';
+import { promisify } from 'util';
+
+const scryptAsync = promisify(scrypt);
+
+export const E2E_VERSION = 1;
+export const E2E_ALGORITHM = 'X25519-HKDF-SHA256-A256GCM';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const WRAP_INFO = 'teleportation-e2e-wrap:v1';
+
+// Crockford base32 without I, L, O, U: easy to read aloud and type on a phone
+const CODE_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const CODE_LENGTH = 10;
+
+const b64 = (buffer) => Buffer.from(buffer).toString('base64url');
+const unb64 = (text) => Buffer.from(text, 'base64url');
+
+function publicKeyObject(publicKey) {
+  return createPublicKey({ key: { kty: 'OKP', crv: 'X25519', x: publicKey }, format: 'jwk' });
+}
+
+function privateKeyObject({ public_key, private_key }) {
+  return createPrivateKey({ key: { kty: 'OKP', crv: 'X25519', x: public_key, d: private_key }, format: 'jwk' });
+}
+
+/**
+ * Generate an X25519 device keypair
+ * @returns {{ public_key: string, private_key: string }} Raw 32-byte keys, base64url
+ */
+export function generateDeviceKeyPair() {
+  const { publicKey, privateKey } = generateKeyPairSync('x25519');
+  const jwk = privateKey.export({ format: 'jwk' });
+  return { public_key: publicKey.export({ format: 'jwk' }).x, private_key: jwk.d };
+}
+
+/**
+ * Whether a string is a usable X25519 public key
+ */
+export function isValidPublicKey(publicKey) {
+  if (typeof publicKey !== 'string' || unb64(publicKey).length !== KEY_LENGTH) return false;
+  try {
+    publicKeyObject(publicKey);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Short fingerprint for comparing keys by eye ("3f2a 91c0 …", 5 groups)
+ */
+export function fingerprint(publicKey) {
+  const hex = createHash('sha256').update(unb64(publicKey)).digest('hex').slice(0, 20);
+  return hex.match(/.{4}/g).join(' ');
+}
+
+function sealWithKey(key, plaintext, aad) {
+  const iv = randomBytes(IV_LENGTH);
+  const cipher = createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv: b64(iv), data: b64(data), tag: b64(cipher.getAuthTag()) };
+}
+
+function openWithKey(key, { iv, data, tag }, aad) {
+  const decipher = createDecipheriv('aes-256-gcm', key, unb64(iv));
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(unb64(tag));
+  return Buffer.concat([decipher.update(unb64(data)), decipher.final()]);
+}
+
+function wrapKey(identity, senderId, recipientId, recipientPublicKey) {
+  const shared = diffieHellman({ privateKey: privateKeyObject(identity), publicKey: publicKeyObject(recipientPublicKey) });
+  return Buffer.from(hkdfSync('sha256', shared, Buffer.alloc(0), `${WRAP_INFO}|${senderId}|${recipientId}`, KEY_LENGTH));
+}
+
+/**
+ * Encrypt a JSON-serialisable payload for a set of devices
+ * @param {*} payload
+ * @param {Object} options
+ * @param {{ device_id: string, public_key: string, private_key: string }} options.identity - This device
+ * @param {Array<{ device_id: string, public_key: string }>} options.recipients - Include identity to read it back
+ * @param {string} [options.context] - Associated data (the session id) the reader must supply
+ * @returns {Object} Envelope
+ */
+export function sealPayload(payload, { identity, recipients, context = '' }) {
+  if (!recipients?.length) {
+    throw new Error('At least one recipient device is required');
+  }
+
+  const contentKey = randomBytes(KEY_LENGTH);
+  const aad = `teleportation-e2e:v${E2E_VERSION}|${identity.device_id}|${context}`;
+  const body = sealWithKey(contentKey, Buffer.from(JSON.stringify(payload), 'utf8'), aad);
+
+  const keys = recipients.map(({ device_id, public_key }) => ({
+    device_id,
+    ...sealWithKey(wrapKey(identity, identity.device_id, device_id, public_key), contentKey, aad)
+  }));
+
+  return { v: E2E_VERSION, alg: E2E_ALGORITHM, sender: identity.device_id, ...body, keys };
+}
+
+/**
+ * Decrypt an envelope addressed to this device
+ * @param {Object} envelope
+ * @param {Object} options
+ * @param {{ device_id: string, public_key: string, private_key: string }} options.identity
+ * @param {(device_id: string) => string|null} options.senderKey - Public key of a trusted sender, or null
+ * @param {string} [options.context]
+ * @returns {*} The payload
+ */
+export function openPayload(envelope, { identity, senderKey, context = '' }) {
+  if (!isEnvelope(envelope)) {
+    throw new Error('Not an encrypted payload');
+  }
+  if (envelope.v !== E2E_VERSION || envelope.alg !== E2E_ALGORITHM) {
+    throw new Error(`Unsupported encryption version: ${envelope.v}/${envelope.alg}`);
+  }
+
+  const senderPublicKey = senderKey(envelope.sender);
+  if (!senderPublicKey) {
+    throw new Error(`Payload from unknown or revoked device: ${envelope.sender}`);
+  }
+  const wrapped = envelope.keys.find(key => key.device_id === identity.device_id);
+  if (!wrapped) {
+    throw new Error('Payload was not encrypted for this device');
+  }
+
+  const aad = `teleportation-e2e:v${envelope.v}|${envelope.sender}|${context}`;
+  try {
+    // Both directions derive the same key: DH is symmetric, the HKDF info names sender then recipient
+    const kek = wrapKey(identity, envelope.sender, identity.device_id, senderPublicKey);
+    const contentKey = openWithKey(kek, wrapped, aad);
+    return JSON.parse(openWithKey(contentKey, envelope, aad).toString('utf8'));
+  } catch {
+    throw new Error('Failed to decrypt payload (wrong key, wrong session or tampered data)');
+  }
+}
+
+/**
+ * Whether a value looks like an envelope from sealPayload()
+ */
+export function isEnvelope(value) {
+  return Boolean(value && typeof value === 'object' && typeof value.sender === 'string' &&
+    typeof value.data === 'string' && Array.isArray(value.keys));
+}
+
+/**
+ * A pairing code shown to the user, e.g. "7KQ2-M9XD-4T"
+ */
+export function createPairingCode() {
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    code += CODE_ALPHABET[randomInt(CODE_ALPHABET.length)];
+  }
+  return code.match(/.{1,4}/g).join('-');
+}
+
+/**
+ * Canonical form of a typed pairing code (case, dashes, look-alike letters)
+ */
+export function normalizePairingCode(code) {
+  return String(code || '').toUpperCase().replace(/[\s-]/g, '').replace(/O/g, '0').replace(/[IL]/g, '1');
+}
+
+/**
+ * Key both sides derive from the pairing code. scrypt makes guessing the code
+ * from a captured MAC too slow to matter before the pairing expires.
+ */
+export async function derivePairingKey(code, pairing_id) {
+  return Buffer.from(await scryptAsync(normalizePairingCode(code), `teleportation-pairing:${pairing_id}`, KEY_LENGTH));
+}
+
+/**
+ * MAC binding a device's announced key to the pairing code
+ * @param {Buffer} pairingKey - From derivePairingKey()
+ * @param {'cli'|'phone'} role
+ * @param {{ device_id: string, public_key: string }} device
+ * @param {string} [peerPublicKey] - The phone includes the key it received from the CLI
+ */
+export function pairingMac(pairingKey, role, device, peerPublicKey = '') {
+  return createHmac('sha256', pairingKey)
+    .update(`${role}|${device.device_id}|${device.public_key}|${peerPublicKey}`)
+    .digest('base64url');
+}
+
+/**
+ * Constant-time check of a pairingMac()
+ */
+export function verifyPairingMac(pairingKey, role, device, peerPublicKey, mac) {
+  const expected = Buffer.from(pairingMac(pairingKey, role, device, peerPublicKey));
+  const actual = Buffer.from(String(mac || ''));
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
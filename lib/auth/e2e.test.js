@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import {
+  generateDeviceKeyPair,
+  isValidPublicKey,
+  fingerprint,
+  sealPayload,
+  openPayload,
+  isEnvelope,
+  createPairingCode,
+  normalizePairingCode,
+  derivePairingKey,
+  pairingMac,
+  verifyPairingMac
+} from './e2e.js';
+
+const device = (device_id) => ({ device_id, ...generateDeviceKeyPair() });
+
+describe('End-to-end encryption', () => {
+  const cli = device('cli-0123456789abcdef');
+  const phone = device('phone-0123456789');
+  const keyOf = (...devices) => (id) => devices.find(d => d.device_id === id)?.public_key || null;
+
+  it('should generate valid X25519 keys and readable fingerprints', () => {
+    expect(isValidPublicKey(cli.public_key)).toBe(true);
+    expect(isValidPublicKey('not-a-key')).toBe(false);
+    expect(fingerprint(cli.public_key)).toMatch(/^[0-9a-f]{4}( [0-9a-f]{4}){4}$/);
+  });
+
+  it('should let every recipient open a sealed payload', () => {
+    const envelope = sealPayload({ stdout: 'secret' }, { identity: cli, recipients: [cli, phone], context: 'sess-1' });
+
+    expect(isEnvelope(envelope)).toBe(true);
+    expect(JSON.stringify(envelope)).not.toContain('secret');
+    expect(openPayload(envelope, { identity: phone, senderKey: keyOf(cli), context: 'sess-1' })).toEqual({ stdout: 'secret' });
+    expect(openPayload(envelope, { identity: cli, senderKey: keyOf(cli), context: 'sess-1' })).toEqual({ stdout: 'secret' });
+  });
+
+  it('should reject another session, tampering, unknown senders and non-recipients', () => {
+    const envelope = sealPayload({ text: 'ls' }, { identity: phone, recipients: [cli], context: 'sess-1' });
+    const open = (env, options = {}) => () => openPayload(env, { identity: cli, senderKey: keyOf(phone), context: 'sess-1', ...options });
+
+    expect(open(envelope)()).toEqual({ text: 'ls' });
+    expect(open(envelope, { context: 'sess-2' })).toThrow('Failed to decrypt payload');
+
+    const data = Buffer.from(envelope.data, 'base64url');
+    data[0] ^= 1;
+    expect(open({ ...envelope, data: data.toString('base64url') })).toThrow('Failed to decrypt payload');
+
+    expect(open(envelope, { senderKey: () => null })).toThrow('unknown or revoked device');
+    expect(open(envelope, { identity: device('other-0123456789') })).toThrow('not encrypted for this device');
+  });
+
+  it('should create pairing codes that survive how people type them', () => {
+    const code = createPairingCode();
+    expect(code).toMatch(/^[0-9A-Z]{4}-[0-9A-Z]{4}-[0-9A-Z]{2}$/);
+    expect(normalizePairingCode('7kq2 m9xd-4t')).toBe('7KQ2M9XD4T');
+    expect(normalizePairingCode('OIL')).toBe('011');
+  });
+
+  it('should only verify a pairing MAC made with the same code and keys', async () => {
+    const key = await derivePairingKey('7KQ2-M9XD-4T', 'pairing-1');
+    const mac = pairingMac(key, 'phone', phone, cli.public_key);
+
+    expect(verifyPairingMac(await derivePairingKey('7kq2m9xd4t', 'pairing-1'), 'phone', phone, cli.public_key, mac)).toBe(true);
+    expect(verifyPairingMac(await derivePairingKey('7KQ2-M9XD-4X', 'pairing-1'), 'phone', phone, cli.public_key, mac)).toBe(false);
+    expect(verifyPairingMac(key, 'phone', { ...phone, public_key: cli.public_key }, cli.public_key, mac)).toBe(false);
+    expect(verifyPairingMac(key, 'cli', phone, cli.public_key, mac)).toBe(false);
+    expect(verifyPairingMac(key, 'phone', phone, cli.public_key, undefined)).toBe(false);
+  });
+});
@@ -0,0 +1,201 @@
+/**
+ * Credential Profiles
+ * Named credential sets, one per relay (e.g. a self-hosted staging relay next
+ * to production). `default` is ~/.teleportation/credentials as before; other
+ * profiles live in ~/.teleportation/profiles/<name>/credentials.
+ *
+ * The active profile is TELEPORTATION_PROFILE when set, otherwise the one
+ * chosen with `teleportation profile use` (saved in ~/.teleportation/profile).
+ * Config overrides for a profile go in config.json under `profiles.<name>`
+ * and are merged over the rest of the file while it is active.
+ *
+ * The CLI, the daemon and lib/daemon/lifecycle.js all resolve the relay
+ * endpoint and key through resolveRelayConfig() so they agree.
+ */
+
+import { readFileSync } from 'fs';
+import { readdir, writeFile, unlink, rm, stat, mkdir } from 'fs/promises';
+import { join } from 'path';
+import { homedir } from 'os';
+import { CredentialManager } from './credentials.js';
+
+export const DEFAULT_PROFILE = 'default';
+
+const TELEPORTATION_DIR = join(homedir(), '.teleportation');
+const PROFILE_NAME = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+/**
+ * @throws {Error} Unless the name is 1-32 lowercase letters, digits, '-' or '_'
+ */
+export function validateProfileName(name) {
+  if (typeof name !== 'string' || !PROFILE_NAME.test(name)) {
+    throw new Error(`Invalid profile name: ${JSON.stringify(name)} (use lowercase letters, digits, '-' and '_', up to 32 characters)`);
+  }
+  return name;
+}
+
+/**
+ * Name of the active profile
+ * @param {Object} [options]
+ * @param {Object} [options.env]
+ * @param {string} [options.baseDir] - ~/.teleportation
+ * @returns {string}
+ * @throws {Error} When TELEPORTATION_PROFILE or the saved profile name is invalid
+ */
+export function resolveActiveProfile({ env = process.env, baseDir = TELEPORTATION_DIR } = {}) {
+  if (env.TELEPORTATION_PROFILE) {
+    return validateProfileName(env.TELEPORTATION_PROFILE);
+  }
+  let saved;
+  try {
+    saved = readFileSync(join(baseDir, 'profile'), 'utf8').trim();
+  } catch (error) {
+    if (error.code === 'ENOENT') return DEFAULT_PROFILE;
+    throw error;
+  }
+  return saved ? validateProfileName(saved) : DEFAULT_PROFILE;
+}
+
+/**
+ * Relay endpoint and key from a profile's credentials. Credentials win over
+ * RELAY_API_URL/RELAY_API_KEY, which win over config.relay.url.
+ * @param {Object} [sources]
+ * @param {Object|null} [sources.credentials] - CredentialManager.load() result
+ * @param {Object} [sources.env]
+ * @param {Object} [sources.config] - loadConfig() result (the daemon passes it)
+ * @returns {{ url: string, key: string }} Empty strings when nothing is configured
+ */
+export function resolveRelayConfig({ credentials = null, env = process.env, config = {} } = {}) {
+  return {
+    url: credentials?.relayApiUrl || env.RELAY_API_URL || config.relay?.url || '',
+    key: credentials?.relayApiKey || credentials?.apiKey || credentials?.accessToken || env.RELAY_API_KEY || ''
+  };
+}
+
+export class ProfileStore {
+  /**
+   * @param {string} [baseDir] - ~/.teleportation
+   * @param {Object} [options]
+   * @param {string} [options.keyPath] - Key file for every profile instead of the configured backend
+   */
+  constructor(baseDir = TELEPORTATION_DIR, { keyPath } = {}) {
+    this.baseDir = baseDir;
+    this.keyPath = keyPath;
+    this.activePath = join(baseDir, 'profile');
+    this.profilesDir = join(baseDir, 'profiles');
+  }
+
+  /**
+   * Active profile (see resolveActiveProfile())
+   */
+  active(env = process.env) {
+    return resolveActiveProfile({ env, baseDir: this.baseDir });
+  }
+
+  credentialsPath(name) {
+    validateProfileName(name);
+    return name === DEFAULT_PROFILE
+      ? join(this.baseDir, 'credentials')
+      : join(this.profilesDir, name, 'credentials');
+  }
+
+  /**
+   * CredentialManager for a profile (the active one by default)
+   */
+  credentialManager(name = this.active()) {
+    return new CredentialManager(this.credentialsPath(name), this.keyPath);
+  }
+
+  /**
+   * Whether a profile has stored credentials
+   */
+  async exists(name) {
+    try {
+      await stat(this.credentialsPath(name));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Profiles with stored credentials, plus `default` and the active one
+   * @returns {Promise<Array<{ name: string, active: boolean, loggedIn: boolean, credentialsPath: string }>>}
+   */
+  async list(env = process.env) {
+    let names = [];
+    try {
+      names = (await readdir(this.profilesDir, { withFileTypes: true }))
+        .filter(entry => entry.isDirectory() && PROFILE_NAME.test(entry.name))
+        .map(entry => entry.name);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const active = this.active(env);
+    const all = [...new Set([DEFAULT_PROFILE, active, ...names.sort()])];
+    return Promise.all(all.map(async name => ({
+      name,
+      active: name === active,
+      loggedIn: await this.exists(name),
+      credentialsPath: this.credentialsPath(name)
+    })));
+  }
+
+  /**
+   * Make a profile the active one (TELEPORTATION_PROFILE still wins)
+   * @throws {Error} When the profile has no credentials yet
+   */
+  async use(name) {
+    validateProfileName(name);
+    if (name === DEFAULT_PROFILE) {
+      await unlink(this.activePath).catch((error) => {
+        if (error.code !== 'ENOENT') throw error;
+      });
+      return;
+    }
+    if (!(await this.exists(name))) {
+      throw new Error(`Profile ${name} has no credentials. Create it with: teleportation login --profile ${name}`);
+    }
+    await mkdir(this.baseDir, { recursive: true });
+    await writeFile(this.activePath, `${name}\n`, { mode: 0o600 });
+  }
+
+  /**
+   * Delete a profile's credentials; the active profile falls back to `default`
+   * @returns {Promise<boolean>} False if there was nothing to remove
+   */
+  async remove(name) {
+    validateProfileName(name);
+    if (name === DEFAULT_PROFILE) {
+      throw new Error('The default profile cannot be removed. Run: teleportation logout');
+    }
+    const existed = await this.exists(name);
+    await rm(join(this.profilesDir, name), { recursive: true, force: true });
+    if (resolveActiveProfile({ env: {}, baseDir: this.baseDir }) === name) {
+      await this.use(DEFAULT_PROFILE);
+    }
+    return existed;
+  }
+}
+
+/**
+ * Relay endpoint and key of the active profile, for code that has no
+ * credentials loaded yet (CLI commands, lifecycle.js). Unreadable credentials
+ * (e.g. a locked passphrase backend) fall back to the environment.
+ * @param {Object} [options]
+ * @param {ProfileStore} [options.store]
+ * @param {Object} [options.env]
+ * @returns {Promise<{ profile: string, url: string, key: string }>}
+ */
+export async function loadRelayConfig({ store = new ProfileStore(), env = process.env } = {}) {
+  const profile = store.active(env);
+  let credentials = null;
+  try {
+    credentials = await store.credentialManager(profile).loadFresh();
+  } catch {
+    // Fall back to RELAY_API_URL/RELAY_API_KEY
+  }
+  return { profile, ...resolveRelayConfig({ credentials, env }) };
+}
@@ -0,0 +1,78 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, rm, readFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { ProfileStore, resolveActiveProfile, resolveRelayConfig, loadRelayConfig, validateProfileName } from './profiles.js';
+
+describe('Credential profiles', () => {
+  let dir;
+  let store;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'teleportation-profiles-'));
+    store = new ProfileStore(dir, { keyPath: join(dir, '.key') });
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('should keep the default profile in the original credentials file', () => {
+    expect(store.credentialsPath('default')).toBe(join(dir, 'credentials'));
+    expect(store.credentialsPath('staging')).toBe(join(dir, 'profiles', 'staging', 'credentials'));
+    expect(() => validateProfileName('../prod')).toThrow('Invalid profile name');
+    expect(() => store.credentialsPath('Prod')).toThrow('Invalid profile name');
+  });
+
+  it('should switch profiles, with TELEPORTATION_PROFILE taking precedence', async () => {
+    expect(store.active({})).toBe('default');
+    await expect(store.use('staging')).rejects.toThrow('teleportation login --profile staging');
+
+    await store.credentialManager('staging').save({ apiKey: 'staging-key', relayApiUrl: 'https://relay.staging.test' });
+    await store.use('staging');
+    expect((await readFile(join(dir, 'profile'), 'utf8')).trim()).toBe('staging');
+    expect(resolveActiveProfile({ env: {}, baseDir: dir })).toBe('staging');
+    expect(store.active({ TELEPORTATION_PROFILE: 'prod' })).toBe('prod');
+
+    expect(await store.list({})).toEqual([
+      { name: 'default', active: false, loggedIn: false, credentialsPath: join(dir, 'credentials') },
+      { name: 'staging', active: true, loggedIn: true, credentialsPath: join(dir, 'profiles', 'staging', 'credentials') }
+    ]);
+
+    await store.use('default');
+    expect(existsSync(join(dir, 'profile'))).toBe(false);
+  });
+
+  it('should remove a profile and fall back to default', async () => {
+    await store.credentialManager('staging').save({ apiKey: 'staging-key' });
+    await store.use('staging');
+
+    expect(await store.remove('staging')).toBe(true);
+    expect(store.active({})).toBe('default');
+    expect(existsSync(join(dir, 'profiles', 'staging'))).toBe(false);
+    expect(await store.remove('staging')).toBe(false);
+    await expect(store.remove('default')).rejects.toThrow('teleportation logout');
+  });
+
+  it('should resolve the relay from credentials, then the environment, then config', () => {
+    const env = { RELAY_API_URL: 'http://env.test', RELAY_API_KEY: 'env-key' };
+    const config = { relay: { url: 'http://config.test' } };
+
+    expect(resolveRelayConfig({ credentials: { relayApiUrl: 'http://creds.test', accessToken: 'token' }, env, config }))
+      .toEqual({ url: 'http://creds.test', key: 'token' });
+    expect(resolveRelayConfig({ credentials: null, env, config })).toEqual({ url: 'http://env.test', key: 'env-key' });
+    expect(resolveRelayConfig({ env: {}, config })).toEqual({ url: 'http://config.test', key: '' });
+  });
+
+  it('should load the relay config of the active profile', async () => {
+    await store.credentialManager('default').save({ apiKey: 'prod-key', relayApiUrl: 'https://relay.prod.test' });
+    await store.credentialManager('staging').save({ apiKey: 'staging-key', relayApiUrl: 'https://relay.staging.test' });
+
+    expect(await loadRelayConfig({ store, env: {} })).toEqual({ profile: 'default', url: 'https://relay.prod.test', key: 'prod-key' });
+    await store.use('staging');
+    expect(await loadRelayConfig({ store, env: {} })).toEqual({ profile: 'staging', url: 'https://relay.staging.test', key: 'staging-key' });
+    expect(await loadRelayConfig({ store, env: { TELEPORTATION_PROFILE: 'other', RELAY_API_KEY: 'env-key' } }))
+      .toEqual({ profile: 'other', url: '', key: 'env-key' });
+  });
+});
@@ -0,0 +1,412 @@
+#!/usr/bin/env node
+/**
+ * Secret backends: where the AES key protecting ~/.teleportation/credentials
+ * (and the device keys) comes from. Chosen by `secrets.backend` in config.json.
+ *
+ *   file       - Random key in ~/.teleportation/.key (macOS keychain first). The default.
+ *   passphrase - Key derived from a passphrase with scrypt. Nothing secret is stored;
+ *                the derived key is cached in the daemon's memory so you're asked
+ *                once per login session (`teleportation secrets unlock`). The key
+ *                never leaves the daemon: CLI commands have it encrypt and decrypt.
+ *   command    - Key kept by an external tool such as `pass` or `secret-tool`:
+ *                `get` prints it, `set` receives a new one on stdin.
+ *
+ * Every backend implements getKey(): Promise<Buffer> (32 bytes), creating the
+ * key on first use. A backend whose key may be held by another process also
+ * implements remoteEncrypt()/remoteDecrypt(), which return null when that
+ * process can't do it. `teleportation secrets migrate` re-encrypts between them.
+ */
+
+import { randomBytes, scrypt, createHmac, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+import { execFile } from 'child_process';
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import { join, dirname } from 'path';
+import { homedir } from 'os';
+import { createInterface } from 'readline';
+import { Writable } from 'stream';
+import { tokenize } from '../utils/shell-words.js';
+
+const scryptAsync = promisify(scrypt);
+const KEY_LENGTH = 32; // 256 bits for AES-256
+const SALT_LENGTH = 32;
+const COMMAND_TIMEOUT_MS = 30000;
+
+export const DEFAULT_KEY_PATH = join(homedir(), '.teleportation', '.key');
+// Salt and a key check for the passphrase backend - no key material
+export const DEFAULT_PASSPHRASE_PATH = join(homedir(), '.teleportation', '.passphrase');
+
+export const SECRET_BACKENDS = ['file', 'passphrase', 'command'];
+
+export const DEFAULT_SECRETS_CONFIG = {
+  backend: 'file',
+  cacheMinutes: 480, // How long the daemon keeps a passphrase-derived key
+  command: { get: null, set: null }
+};
+
+/**
+ * Validate the `secrets` section of config.json
+ * @returns {string[]} Errors
+ */
+export function validateSecretsConfig(secrets) {
+  if (secrets === undefined) return [];
+  if (!secrets || typeof secrets !== 'object' || Array.isArray(secrets)) {
+    return ['secrets must be an object'];
+  }
+
+  const errors = [];
+  if (secrets.backend !== undefined && !SECRET_BACKENDS.includes(secrets.backend)) {
+    errors.push(`secrets.backend must be one of: ${SECRET_BACKENDS.join(', ')}`);
+  }
+  if (secrets.cacheMinutes !== undefined && (typeof secrets.cacheMinutes !== 'number' || secrets.cacheMinutes < 0)) {
+    errors.push('secrets.cacheMinutes must be a number >= 0');
+  }
+  for (const field of ['get', 'set']) {
+    const value = secrets.command?.[field];
+    if (value === undefined || value === null) continue;
+    try {
+      if (commandArgv(value).length === 0) throw new Error('empty');
+    } catch {
+      errors.push(`secrets.command.${field} must be a command line or an argv array`);
+    }
+  }
+  if (secrets.backend === 'command' && !secrets.command?.get) {
+    errors.push('secrets.command.get is required for the command backend');
+  }
+  return errors;
+}
+
+function commandArgv(command) {
+  if (Array.isArray(command)) {
+    if (!command.every(arg => typeof arg === 'string')) throw new Error('argv must be strings');
+    return command;
+  }
+  return tokenize(command);
+}
+
+/**
+ * Key in a file next to the credentials (macOS: keychain entry if present)
+ */
+export class FileKeyBackend {
+  constructor(keyPath = DEFAULT_KEY_PATH) {
+    this.name = 'file';
+    this.keyPath = keyPath;
+  }
+
+  describe() {
+    return `key file ${this.keyPath}`;
+  }
+
+  async getKey() {
+    if (process.platform === 'darwin') {
+      // macOS - try to use keychain
+      try {
+        const key = await runCommand(['security', 'find-generic-password', '-a', 'teleportation', '-s', 'encryption-key', '-w']);
+        if (key && key.length >= 32) {
+          return Buffer.from(key.slice(0, 64), 'hex'); // Use first 32 bytes
+        }
+      } catch (e) {
+        // Keychain entry doesn't exist, fall through to file-based
+      }
+    }
+
+    try {
+      const keyData = await readFile(this.keyPath, 'utf8');
+      const parsed = JSON.parse(keyData);
+
+      // If we have a stored derived key, use it directly
+      if (parsed.derivedKey) {
+        return Buffer.from(parsed.derivedKey, 'hex');
+      }
+
+      // Legacy format: derive from salt and master key
+      if (parsed.salt && parsed.masterKey) {
+        const key = Buffer.from(await scryptAsync(Buffer.from(parsed.masterKey, 'hex'), Buffer.from(parsed.salt, 'hex'), KEY_LENGTH));
+        await this.writeKey(key); // Update to new format
+        return key;
+      }
+
+      throw new Error('Invalid key file format');
+    } catch (e) {
+      if (e.code === 'ENOENT' || e.message === 'Invalid key file format') {
+        // Key file doesn't exist or is invalid, create a new one
+        const key = randomBytes(KEY_LENGTH);
+        await this.writeKey(key);
+        return key;
+      }
+      throw e;
+    }
+  }
+
+  async writeKey(key) {
+    await mkdir(dirname(this.keyPath), { recursive: true });
+    await writeFile(this.keyPath, JSON.stringify({ derivedKey: key.toString('hex') }), { mode: 0o600 });
+  }
+}
+
+/**
+ * Key derived from a passphrase. The derived key is remembered in this
+ * process and handed to `cache` (the daemon) so other commands don't prompt.
+ */
+export class PassphraseBackend {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.path] - Salt/check file
+   * @param {(question: string) => Promise<string>} [options.prompt] - Reads a passphrase (hidden)
+   * @param {Object} [options.cache] - Where the key is kept between commands: `set(key)`, plus
+   *   `get()` in the process holding it, or `encrypt(data)`/`decrypt(sealed)` outside it
+   */
+  constructor({ path = DEFAULT_PASSPHRASE_PATH, prompt = promptHidden, cache = null } = {}) {
+    this.name = 'passphrase';
+    this.path = path;
+    this.prompt = prompt;
+    this.cache = cache;
+    this.key = null;
+  }
+
+  describe() {
+    return `passphrase (salt in ${this.path})`;
+  }
+
+  async readParams() {
+    try {
+      return JSON.parse(await readFile(this.path, 'utf8'));
+    } catch (e) {
+      if (e.code === 'ENOENT') return null;
+      throw new Error(`Passphrase settings ${this.path} are unreadable: ${e.message}`);
+    }
+  }
+
+  /**
+   * Encrypt with the key cached elsewhere (the daemon), without prompting
+   * @returns {Promise<Object|null>} Sealed data, or null when it isn't unlocked there
+   */
+  async remoteEncrypt(data) {
+    if (this.key || !this.cache?.encrypt) return null;
+    return this.cache.encrypt(data).catch(() => null);
+  }
+
+  /**
+   * Decrypt with the key cached elsewhere (the daemon), without prompting
+   * @returns {Promise<Object|null>} The data, or null when it can't be decrypted there
+   */
+  async remoteDecrypt(sealed) {
+    if (this.key || !this.cache?.decrypt) return null;
+    return this.cache.decrypt(sealed).catch(() => null);
+  }
+
+  async getKey() {
+    if (this.key) return this.key;
+
+    const params = await this.readParams();
+    if (params && this.cache?.get) {
+      const cached = await this.cache.get().catch(() => null);
+      if (cached && checkMatches(cached, params.check)) {
+        this.key = cached;
+        return cached;
+      }
+    }
+
+    const passphrase = process.env.TELEPORTATION_PASSPHRASE ||
+      await this.prompt(params ? 'Teleportation passphrase: ' : 'Choose a passphrase for your Teleportation credentials: ');
+    if (!passphrase) {
+      throw new Error('Passphrase required. Run: teleportation secrets unlock');
+    }
+
+    let key;
+    if (params) {
+      key = Buffer.from(await scryptAsync(passphrase, Buffer.from(params.salt, 'hex'), KEY_LENGTH));
+      if (!checkMatches(key, params.check)) {
+        throw new Error('Wrong passphrase');
+      }
+    } else {
+      if (!process.env.TELEPORTATION_PASSPHRASE) {
+        const again = await this.prompt('Repeat passphrase: ');
+        if (again !== passphrase) throw new Error('Passphrases do not match');
+      }
+      const salt = randomBytes(SALT_LENGTH);
+      key = Buffer.from(await scryptAsync(passphrase, salt, KEY_LENGTH));
+      await mkdir(dirname(this.path), { recursive: true });
+      await writeFile(this.path, JSON.stringify({ salt: salt.toString('hex'), check: keyCheck(key) }), { mode: 0o600 });
+    }
+
+    this.key = key;
+    await this.cache?.set(key).catch(() => {});
+    return key;
+  }
+}
+
+function keyCheck(key) {
+  return createHmac('sha256', key).update('teleportation-passphrase-check').digest('hex');
+}
+
+function checkMatches(key, check) {
+  const expected = Buffer.from(keyCheck(key));
+  const actual = Buffer.from(String(check || ''));
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+/**
+ * Key kept by an external secret store
+ * @example { "get": "secret-tool lookup service teleportation",
+ *            "set": "secret-tool store --label=Teleportation service teleportation" }
+ */
+export class CommandBackend {
+  constructor({ get, set } = {}) {
+    if (!get) {
+      throw new Error('secrets.command.get is required for the command backend');
+    }
+    this.name = 'command';
+    this.get = commandArgv(get);
+    this.set = set ? commandArgv(set) : null;
+    this.key = null;
+  }
+
+  describe() {
+    return `command ${this.get[0]}`;
+  }
+
+  async getKey() {
+    if (this.key) return this.key;
+
+    let stored = '';
+    try {
+      stored = await runCommand(this.get);
+    } catch (error) {
+      if (!this.set) throw new Error(`Secret command failed: ${error.message}`);
+      // Most stores exit non-zero for a missing entry; create it below
+    }
+
+    if (stored) {
+      if (!/^[0-9a-f]{64}$/i.test(stored)) {
+        throw new Error(`Secret command ${this.get[0]} did not print a 64-character hex key`);
+      }
+      this.key = Buffer.from(stored, 'hex');
+      return this.key;
+    }
+    if (!this.set) {
+      throw new Error(`Secret command ${this.get[0]} printed no key and secrets.command.set is not configured`);
+    }
+
+    const key = randomBytes(KEY_LENGTH);
+    await runCommand(this.set, key.toString('hex') + '\n');
+    this.key = key;
+    return key;
+  }
+}
+
+function runCommand([file, ...args], input) {
+  return new Promise((resolve, reject) => {
+    const child = execFile(file, args, { timeout: COMMAND_TIMEOUT_MS, encoding: 'utf8' }, (error, stdout, stderr) => {
+      if (error) {
+        reject(new Error(`${file} exited with ${error.code ?? error.signal}${stderr ? `: ${stderr.trim()}` : ''}`));
+        return;
+      }
+      resolve(stdout.trim());
+    });
+    child.stdin.end(input);
+  });
+}
+
+/**
+ * Ask for a passphrase on the terminal without echoing it
+ */
+export function promptHidden(question) {
+  if (!process.stdin.isTTY) {
+    return Promise.resolve('');
+  }
+  // readline echoes what is typed to its output; give it one that goes nowhere
+  const muted = new Writable({
+    write(chunk, encoding, callback) {
+      callback();
+    }
+  });
+  process.stdout.write(question);
+  return new Promise((resolve) => {
+    const rl = createInterface({ input: process.stdin, output: muted, terminal: true });
+    rl.question('', (answer) => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+  });
+}
+
+/**
+ * Where passphrase-derived keys are cached between commands. The CLI uses the
+ * daemon (see keyCacheFromDaemon); the daemon swaps in its own memory.
+ */
+let keyCache = null;
+
+export function useKeyCache(cache) {
+  keyCache = cache;
+}
+
+/**
+ * Key cache backed by the daemon: `set` hands it the key (/secrets/key), and
+ * it encrypts and decrypts for us (/secrets/encrypt, /secrets/decrypt) since
+ * it never gives the key back
+ */
+export function keyCacheFromDaemon({ ttlMs } = {}) {
+  // Imported lazily: the client loads config/manager.js, which imports this module
+  const client = import('../daemon/client.js');
+  return {
+    encrypt: async (data) => {
+      const { daemonRequest } = await client;
+      const response = await daemonRequest('/secrets/encrypt', { method: 'POST', body: { data }, timeoutMs: 1000 });
+      return response.status === 200 ? response.data.sealed : null;
+    },
+    decrypt: async (sealed) => {
+      const { daemonRequest } = await client;
+      const response = await daemonRequest('/secrets/decrypt', { method: 'POST', body: { sealed }, timeoutMs: 1000 });
+      return response.status === 200 ? response.data.data : null;
+    },
+    set: async (key) => {
+      const { daemonRequest } = await client;
+      await daemonRequest('/secrets/key', { method: 'PUT', body: { key: key.toString('hex'), ttl_ms: ttlMs }, timeoutMs: 1000 });
+    }
+  };
+}
+
+/**
+ * Build the backend described by config.secrets
+ * @param {Object} [secrets] - config.secrets
+ * @param {Object} [options]
+ * @param {string} [options.keyPath] - File backend key path
+ * @param {string} [options.passphrasePath]
+ * @param {Function} [options.prompt]
+ * @param {Object} [options.cache] - Passphrase key cache (defaults to useKeyCache() or the daemon)
+ */
+export function createSecretBackend(secrets = {}, { keyPath, passphrasePath, prompt, cache } = {}) {
+  const config = { ...DEFAULT_SECRETS_CONFIG, ...secrets };
+  switch (config.backend) {
+    case 'file':
+      return new FileKeyBackend(keyPath);
+    case 'passphrase':
+      return new PassphraseBackend({
+        path: passphrasePath,
+        prompt,
+        cache: cache || keyCache || keyCacheFromDaemon({ ttlMs: config.cacheMinutes * 60 * 1000 })
+      });
+    case 'command':
+      return new CommandBackend(config.command || {});
+    default:
+      throw new Error(`Unknown secrets backend: ${config.backend}`);
+  }
+}
+
+/**
+ * The backend selected in config.json (shared within the process, so the
+ * passphrase is asked for at most once)
+ */
+let resolvedBackend = null;
+
+export async function resolveSecretBackend() {
+  if (!resolvedBackend) {
+    const { loadConfig } = await import('../config/manager.js');
+    // No fallback on a broken config.json: guessing the wrong backend would
+    // create a new file key and make the credentials look corrupted
+    resolvedBackend = createSecretBackend((await loadConfig()).secrets);
+  }
+  return resolvedBackend;
+}
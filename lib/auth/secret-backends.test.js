@@ -0,0 +1,136 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtemp, rm, readFile, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  FileKeyBackend,
+  PassphraseBackend,
+  CommandBackend,
+  createSecretBackend,
+  validateSecretsConfig
+} from './secret-backends.js';
+
+describe('Secret Backends', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'teleportation-secrets-'));
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  describe('file', () => {
+    it('should create a key once and reuse it', async () => {
+      const backend = new FileKeyBackend(join(dir, '.key'));
+      const key = await backend.getKey();
+      expect(key).toHaveLength(32);
+      expect(await new FileKeyBackend(join(dir, '.key')).getKey()).toEqual(key);
+    });
+
+    it('should upgrade the legacy masterKey/salt format', async () => {
+      const keyPath = join(dir, '.key');
+      await writeFile(keyPath, JSON.stringify({ masterKey: 'aa'.repeat(32), salt: 'bb'.repeat(32) }));
+      const key = await new FileKeyBackend(keyPath).getKey();
+      expect(JSON.parse(await readFile(keyPath, 'utf8'))).toEqual({ derivedKey: key.toString('hex') });
+    });
+  });
+
+  describe('passphrase', () => {
+    const answers = (...values) => vi.fn(async () => values.shift());
+
+    it('should set a passphrase on first use without storing the key', async () => {
+      const prompt = answers('correct horse', 'correct horse');
+      const cache = { get: vi.fn(async () => null), set: vi.fn(async () => {}) };
+      const key = await new PassphraseBackend({ path: join(dir, '.passphrase'), prompt, cache }).getKey();
+
+      expect(prompt).toHaveBeenCalledTimes(2);
+      expect(cache.set).toHaveBeenCalledWith(key);
+      const stored = await readFile(join(dir, '.passphrase'), 'utf8');
+      expect(Object.keys(JSON.parse(stored))).toEqual(['salt', 'check']);
+      expect(stored).not.toContain(key.toString('hex'));
+
+      expect(await new PassphraseBackend({ path: join(dir, '.passphrase'), prompt: answers('correct horse') }).getKey()).toEqual(key);
+    });
+
+    it('should reject a wrong or mismatched passphrase', async () => {
+      await expect(new PassphraseBackend({ path: join(dir, '.passphrase'), prompt: answers('a', 'b') }).getKey())
+        .rejects.toThrow('Passphrases do not match');
+
+      await new PassphraseBackend({ path: join(dir, '.passphrase'), prompt: answers('right', 'right') }).getKey();
+      await expect(new PassphraseBackend({ path: join(dir, '.passphrase'), prompt: answers('wrong') }).getKey())
+        .rejects.toThrow('Wrong passphrase');
+      await expect(new PassphraseBackend({ path: join(dir, '.passphrase'), prompt: answers('') }).getKey())
+        .rejects.toThrow('teleportation secrets unlock');
+    });
+
+    it('should use a cached key that matches instead of prompting', async () => {
+      const key = await new PassphraseBackend({ path: join(dir, '.passphrase'), prompt: answers('pw', 'pw') }).getKey();
+
+      const prompt = vi.fn();
+      const backend = new PassphraseBackend({ path: join(dir, '.passphrase'), prompt, cache: { get: async () => key, set: vi.fn() } });
+      expect(await backend.getKey()).toEqual(key);
+      expect(prompt).not.toHaveBeenCalled();
+
+      // A stale key from another passphrase is ignored
+      const stale = new PassphraseBackend({ path: join(dir, '.passphrase'), prompt: answers('pw'), cache: { get: async () => Buffer.alloc(32), set: vi.fn(async () => {}) } });
+      expect(await stale.getKey()).toEqual(key);
+    });
+
+    it('should let the daemon encrypt and decrypt instead of fetching its key', async () => {
+      const prompt = vi.fn();
+      const cache = {
+        set: vi.fn(),
+        encrypt: vi.fn(async (data) => ({ sealed: data })),
+        decrypt: vi.fn(async ({ sealed }) => sealed)
+      };
+      const backend = new PassphraseBackend({ path: join(dir, '.passphrase'), prompt, cache });
+
+      expect(await backend.remoteEncrypt({ apiKey: 'k' })).toEqual({ sealed: { apiKey: 'k' } });
+      expect(await backend.remoteDecrypt({ sealed: { apiKey: 'k' } })).toEqual({ apiKey: 'k' });
+      expect(prompt).not.toHaveBeenCalled();
+
+      // Locked or unreachable: the caller falls back to getKey()
+      cache.decrypt.mockRejectedValueOnce(new Error('Daemon is not running'));
+      expect(await backend.remoteDecrypt({ sealed: {} })).toBeNull();
+      expect(await new PassphraseBackend({ path: join(dir, '.passphrase'), prompt }).remoteEncrypt({})).toBeNull();
+    });
+  });
+
+  describe('command', () => {
+    // A tiny secret store: `get` prints a file, `set` writes stdin to it
+    const store = () => join(dir, 'store');
+    const get = () => ['node', '-e', `const fs = require('fs'); if (!fs.existsSync(${JSON.stringify(store())})) process.exit(1); process.stdout.write(fs.readFileSync(${JSON.stringify(store())}, 'utf8'))`];
+    const set = () => ['node', '-e', `process.stdin.pipe(require('fs').createWriteStream(${JSON.stringify(store())}))`];
+
+    it('should create the key through `set` and read it back through `get`', async () => {
+      const key = await new CommandBackend({ get: get(), set: set() }).getKey();
+      expect((await readFile(store(), 'utf8')).trim()).toBe(key.toString('hex'));
+      expect(await new CommandBackend({ get: get() }).getKey()).toEqual(key);
+    });
+
+    it('should fail clearly without a key or with a malformed one', async () => {
+      await expect(new CommandBackend({ get: get() }).getKey()).rejects.toThrow('Secret command failed');
+      await writeFile(store(), 'not-a-key');
+      await expect(new CommandBackend({ get: get() }).getKey()).rejects.toThrow('64-character hex key');
+      expect(() => new CommandBackend({})).toThrow('secrets.command.get is required');
+    });
+
+    it('should accept command lines as strings', () => {
+      const backend = createSecretBackend({ backend: 'command', command: { get: 'secret-tool lookup service teleportation' } });
+      expect(backend.get).toEqual(['secret-tool', 'lookup', 'service', 'teleportation']);
+    });
+  });
+
+  it('should validate config.secrets', () => {
+    expect(validateSecretsConfig(undefined)).toEqual([]);
+    expect(validateSecretsConfig({ backend: 'passphrase', cacheMinutes: 60 })).toEqual([]);
+    expect(validateSecretsConfig({ backend: 'vault', cacheMinutes: -1, command: { get: 'a "b' } })).toEqual([
+      'secrets.backend must be one of: file, passphrase, command',
+      'secrets.cacheMinutes must be a number >= 0',
+      'secrets.command.get must be a command line or an argv array'
+    ]);
+    expect(validateSecretsConfig({ backend: 'command' })).toEqual(['secrets.command.get is required for the command backend']);
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Command Allowlist Commands
+ * Handles `teleportation allowlist [list|test]`
+ */
+
+import { loadConfig, DEFAULT_CONFIG_PATH } from '../config/manager.js';
+import { resolveAllowlist, checkCommand } from '../daemon/allowlist.js';
+
+// Color helpers
+const c = {
+  red: (text) => '\x1b[0;31m' + text + '\x1b[0m',
+  green: (text) => '\x1b[0;32m' + text + '\x1b[0m',
+  yellow: (text) => '\x1b[1;33m' + text + '\x1b[0m',
+  blue: (text) => '\x1b[0;34m' + text + '\x1b[0m',
+  cyan: (text) => '\x1b[0;36m' + text + '\x1b[0m',
+};
+
+async function loadEffectiveAllowlist(cwd) {
+  const config = await loadConfig();
+  return resolveAllowlist(config.commands, cwd);
+}
+
+/**
+ * Command: teleportation allowlist list
+ * Show the effective allow/deny rules for a directory
+ */
+export async function commandAllowlistList({ cwd = process.cwd() } = {}) {
+  const allowlist = await loadEffectiveAllowlist(cwd);
+
+  console.log(c.cyan('Command Allowlist\n'));
+  console.log(`  Config file: ${DEFAULT_CONFIG_PATH}`);
+  console.log(`  Directory:   ${cwd}`);
+  console.log(`  Repo overrides: ${allowlist.repos.length > 0 ? allowlist.repos.join(', ') : c.yellow('none')}\n`);
+
+  console.log(c.cyan('Deny (checked first):'));
+  if (allowlist.deny.length === 0) {
+    console.log(c.yellow('  (none)'));
+  }
+  for (const rule of allowlist.deny) {
+    console.log(`  ${c.red('✗')} ${rule.rule} ${c.blue(`[${rule.source}]`)}`);
+  }
+
+  console.log(c.cyan('\nAllow:'));
+  for (const rule of allowlist.allow) {
+    console.log(`  ${c.green('✓')} ${rule.rule} ${c.blue(`[${rule.source}]`)}`);
+  }
+  console.log('');
+}
+
+/**
+ * Command: teleportation allowlist test "<command>"
+ * Check whether the daemon would run a command directly
+ */
+export async function commandAllowlistTest({ command, cwd = process.cwd() } = {}) {
+  if (!command) {
+    throw new Error('Command string is required, e.g. teleportation allowlist test "git log --oneline"');
+  }
+
+  const allowlist = await loadEffectiveAllowlist(cwd);
+  const result = checkCommand(command, allowlist);
+
+  if (result.allowed) {
+    console.log(c.green(`✅ Allowed by rule '${result.rule.rule}' (${result.rule.source})`));
+    console.log(c.cyan('   The daemon will run this command directly.\n'));
+  } else if (result.denied) {
+    console.log(c.red(`❌ Denied: ${result.reason}`));
+    console.log(c.cyan('   The daemon will refuse this command.\n'));
+  } else {
+    console.log(c.red(`❌ Not allowed: ${result.reason}`));
+    console.log(c.cyan('   The daemon will hand this request to the Claude agent instead.\n'));
+  }
+  return result;
+}
@@ -0,0 +1,361 @@
+/**
+ * Approve Command
+ * Handles `teleportation approve`: review the relay's pending approvals in the
+ * terminal instead of on the phone. Decisions go through the same relay
+ * endpoint the phone uses, so whichever answers first wins.
+ *
+ * Keys: ↑/↓ or j/k move, a approve, d deny, A approve every pending request
+ * similar to the selected one, r refresh, q quit
+ */
+
+import readline from 'readline';
+import { basename, dirname } from 'path';
+import { listDaemonSessions } from '../daemon/client.js';
+import { extractSessionMetadata } from '../session/metadata.js';
+import { isDiffTool, buildDiffPreview, formatDiffPreview } from '../daemon/diff-preview.js';
+import { assessRisk } from '../policy/risk.js';
+
+// Color helpers
+const c = {
+  red: (text) => '\x1b[0;31m' + text + '\x1b[0m',
+  green: (text) => '\x1b[0;32m' + text + '\x1b[0m',
+  yellow: (text) => '\x1b[1;33m' + text + '\x1b[0m',
+  cyan: (text) => '\x1b[0;36m' + text + '\x1b[0m',
+  dim: (text) => '\x1b[2m' + text + '\x1b[0m',
+  bold: (text) => '\x1b[1m' + text + '\x1b[0m',
+  magenta: (text) => '\x1b[0;35m' + text + '\x1b[0m',
+};
+
+const RISK_BADGES = {
+  low: c.dim('low '),
+  medium: c.yellow('med '),
+  high: c.red('HIGH'),
+  critical: c.magenta('CRIT')
+};
+
+const REFRESH_INTERVAL_MS = 5000;
+const PREVIEW_LINES = 20;
+const FILE_TOOLS = ['Read', 'Write', 'Edit', 'MultiEdit', 'NotebookEdit'];
+
+/**
+ * Pending approvals from the relay
+ * @param {Object} options
+ * @param {string} options.relayUrl
+ * @param {string} options.apiKey
+ * @param {string[]|null} [options.sessionIds] - Only these sessions (null = every session on the account)
+ * @returns {Promise<Object[]>} Relay approval items ({ id, session_id, tool_name, tool_input, ... })
+ */
+export async function fetchPendingApprovals({ relayUrl, apiKey, sessionIds = null }) {
+  const queries = sessionIds ? sessionIds.map(id => `&session_id=${encodeURIComponent(id)}`) : [''];
+  const approvals = [];
+  for (const query of queries) {
+    const response = await fetch(`${relayUrl}/api/approvals?status=pending${query}`, {
+      headers: { 'Authorization': `Bearer ${apiKey}` }
+    });
+    if (!response.ok) {
+      throw new Error(`Failed to fetch pending approvals: ${response.status}`);
+    }
+    const data = await response.json();
+    if (Array.isArray(data)) approvals.push(...data);
+  }
+  return approvals;
+}
+
+/**
+ * Record a decision with the relay, exactly as the phone does
+ * @param {{ relayUrl: string, apiKey: string }} relay
+ * @param {string} approval_id
+ * @param {'allow'|'deny'} decision
+ */
+export async function decideApproval({ relayUrl, apiKey }, approval_id, decision) {
+  const response = await fetch(`${relayUrl}/api/approvals/${encodeURIComponent(approval_id)}/decision`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${apiKey}`
+    },
+    body: JSON.stringify({ decision, decided_by: 'terminal', rule_id: null, reason: 'Decided with teleportation approve' })
+  });
+  if (!response.ok) {
+    throw new Error(`Relay rejected the ${decision} for ${approval_id}: ${response.status}`);
+  }
+}
+
+/**
+ * Project names for the daemon's sessions, keyed by session id
+ * (registration metadata first, falling back to extractSessionMetadata on the session cwd)
+ */
+export async function sessionLabels(sessions = []) {
+  const labels = {};
+  for (const session of sessions) {
+    let name = session.meta?.project_name || null;
+    if (!name && session.cwd) {
+      try {
+        name = (await extractSessionMetadata(session.cwd)).project_name;
+      } catch {
+        name = basename(session.cwd);
+      }
+    }
+    labels[session.session_id] = name || session.session_id;
+  }
+  return labels;
+}
+
+/**
+ * Attach diff previews to file approvals that arrived without one, using the
+ * daemon's session directories (skipped for sessions we don't know the cwd of)
+ */
+export async function addDiffPreviews(approvals, cwds = {}) {
+  for (const approval of approvals) {
+    const cwd = cwds[approval.session_id];
+    if (approval.preview || !cwd || !isDiffTool(approval.tool_name)) continue;
+    approval.preview = await buildDiffPreview(approval.tool_name, approval.tool_input || {}, { cwd });
+  }
+  return approvals;
+}
+
+/**
+ * Score approvals that arrived without a risk level (the daemon attaches one
+ * at handoff; older hooks and relays don't pass it through)
+ */
+export function addRiskScores(approvals, cwds = {}) {
+  for (const approval of approvals) {
+    if (approval.risk?.level) continue;
+    approval.risk = assessRisk({
+      tool_name: approval.tool_name,
+      tool_input: approval.tool_input || {},
+      cwd: cwds[approval.session_id]
+    });
+  }
+  return approvals;
+}
+
+/**
+ * Lines describing what an approval would do: the command, or the file change
+ * (as a unified diff when the approval carries a preview)
+ */
+export function approvalPreview(approval, maxLines = PREVIEW_LINES) {
+  const input = approval.tool_input || {};
+  const lines = [];
+
+  if (approval.preview && !approval.preview.error) {
+    lines.push(...formatDiffPreview(approval.preview));
+  } else if (typeof input.command === 'string') {
+    input.command.split('\n').forEach((line, i) => lines.push(i === 0 ? `$ ${line}` : `  ${line}`));
+  } else if (FILE_TOOLS.includes(approval.tool_name) && input.file_path) {
+    lines.push(input.file_path);
+    const edits = Array.isArray(input.edits) ? input.edits : [input];
+    for (const edit of edits) {
+      if (typeof edit.old_string === 'string') lines.push(...edit.old_string.split('\n').map(line => `- ${line}`));
+      if (typeof edit.new_string === 'string') lines.push(...edit.new_string.split('\n').map(line => `+ ${line}`));
+    }
+    if (typeof input.content === 'string') lines.push(...input.content.split('\n').map(line => `+ ${line}`));
+  } else {
+    lines.push(JSON.stringify(input));
+  }
+
+  if (lines.length > maxLines) {
+    const hidden = lines.length - maxLines + 1;
+    return [...lines.slice(0, maxLines - 1), `… ${hidden} more line(s)`];
+  }
+  return lines;
+}
+
+/**
+ * What "similar" means for approve-all: same session, same tool, and the
+ * same program and subcommand (Bash) or directory (file tools)
+ */
+export function similarityKey(approval) {
+  const input = approval.tool_input || {};
+  let scope = '';
+  if (typeof input.command === 'string') {
+    const [program = '', sub = ''] = input.command.trim().split(/\s+/);
+    scope = sub && !sub.startsWith('-') ? `${program} ${sub}` : program;
+  } else if (input.file_path) {
+    scope = dirname(input.file_path);
+  }
+  return `${approval.session_id}\0${approval.tool_name}\0${scope}`;
+}
+
+/**
+ * Map a keypress to an action
+ * @returns {{ type: 'move', delta: number } | { type: 'decide', decision: string, similar: boolean } | { type: 'refresh' } | { type: 'quit' } | null}
+ */
+export function keyAction(str, key = {}) {
+  if ((key.ctrl && key.name === 'c') || str === 'q' || key.name === 'escape') return { type: 'quit' };
+  if (key.name === 'up' || str === 'k') return { type: 'move', delta: -1 };
+  if (key.name === 'down' || str === 'j') return { type: 'move', delta: 1 };
+  if (str === 'a' || str === 'y') return { type: 'decide', decision: 'allow', similar: false };
+  if (str === 'd' || str === 'n') return { type: 'decide', decision: 'deny', similar: false };
+  if (str === 'A') return { type: 'decide', decision: 'allow', similar: true };
+  if (str === 'r') return { type: 'refresh' };
+  return null;
+}
+
+function colorPreviewLine(line) {
+  if (line.startsWith('+')) return c.green(line);
+  if (line.startsWith('-')) return c.red(line);
+  if (line.startsWith('@@')) return c.cyan(line);
+  if (line.startsWith('$ ')) return c.bold(line);
+  return line;
+}
+
+/**
+ * Render the approval list; the selected approval gets a full preview
+ * @param {{ approvals: Object[], selected: number, labels: Object, message: string }} state
+ * @param {Object} [options]
+ * @param {boolean} [options.interactive=true] - Show the cursor and key help
+ */
+export function renderApprovals(state, { interactive = true } = {}) {
+  const out = [];
+  const { approvals, selected, labels } = state;
+
+  out.push(c.cyan(`🔐 Pending approvals (${approvals.length})`));
+  if (interactive) {
+    out.push(c.dim('   ↑/↓ select · a approve · d deny · A approve all similar · r refresh · q quit'));
+  }
+  out.push('');
+
+  if (approvals.length === 0) {
+    out.push(c.green('   Nothing waiting for you.'));
+  }
+
+  approvals.forEach((approval, index) => {
+    const isSelected = interactive && index === selected;
+    const project = labels[approval.session_id] || approval.session_id;
+    const [summary, ...details] = approvalPreview(approval);
+    const badge = RISK_BADGES[approval.risk?.level] || '    ';
+    const row = `${badge} ${(approval.tool_name || '?').padEnd(10)} ${c.yellow(project.padEnd(20))} ${summary}`;
+    out.push(isSelected ? `${c.cyan('›')} ${c.bold(row)}` : `  ${row}`);
+
+    if (isSelected || !interactive) {
+      for (const reason of approval.risk?.reasons || []) {
+        out.push(c.dim(`      ! ${reason}`));
+      }
+      for (const line of details) {
+        out.push(`      ${colorPreviewLine(line)}`);
+      }
+      out.push(c.dim(`      ${approval.id}`));
+    }
+  });
+
+  if (state.message) {
+    out.push('', state.message);
+  }
+  return out.join('\n') + '\n';
+}
+
+/**
+ * Command: teleportation approve [--session <id>]
+ * Interactive when stdin is a terminal; otherwise prints the pending list once
+ */
+export async function commandApprove({ relayUrl, apiKey, session, stdin = process.stdin, stdout = process.stdout } = {}) {
+  if (!relayUrl || !apiKey) {
+    throw new Error('Relay credentials not configured. Run: teleportation login');
+  }
+  const relay = { relayUrl, apiKey };
+
+  let sessions = [];
+  try {
+    sessions = await listDaemonSessions();
+  } catch {
+    // Daemon not running - show everything pending on the account
+  }
+  if (session) {
+    sessions = sessions.filter(s => s.session_id === session);
+  }
+
+  const state = { approvals: [], selected: 0, labels: await sessionLabels(sessions), message: '' };
+  const sessionIds = session ? [session] : (sessions.length ? sessions.map(s => s.session_id) : null);
+  const cwds = Object.fromEntries(sessions.map(s => [s.session_id, s.cwd]));
+
+  const refresh = async () => {
+    const approvals = await addDiffPreviews(await fetchPendingApprovals({ ...relay, sessionIds }), cwds);
+    state.approvals = addRiskScores(approvals, cwds);
+    state.selected = Math.max(0, Math.min(state.selected, state.approvals.length - 1));
+  };
+  await refresh();
+
+  if (!stdin.isTTY) {
+    stdout.write(renderApprovals(state, { interactive: false }));
+    return state.approvals;
+  }
+
+  const draw = () => stdout.write('\x1b[2J\x1b[H' + renderApprovals(state));
+
+  return new Promise((resolve) => {
+    let busy = false;
+
+    const refreshTimer = setInterval(() => {
+      if (busy) return;
+      refresh().then(draw).catch((error) => {
+        state.message = c.red(`❌ ${error.message}`);
+        draw();
+      });
+    }, REFRESH_INTERVAL_MS);
+
+    const finish = () => {
+      clearInterval(refreshTimer);
+      stdin.removeListener('keypress', onKeypress);
+      stdin.setRawMode(false);
+      stdin.pause();
+      stdout.write('\n');
+      resolve(state.approvals);
+    };
+
+    async function decide({ decision, similar }) {
+      const current = state.approvals[state.selected];
+      if (!current) return;
+      const key = similarityKey(current);
+      const targets = similar ? state.approvals.filter(a => similarityKey(a) === key) : [current];
+
+      const failed = [];
+      for (const approval of targets) {
+        try {
+          await decideApproval(relay, approval.id, decision);
+        } catch (error) {
+          failed.push(error.message);
+        }
+      }
+
+      const verb = decision === 'allow' ? 'Approved' : 'Denied';
+      const done = targets.length - failed.length;
+      state.message = failed.length
+        ? c.red(`❌ ${failed[0]}${failed.length > 1 ? ` (+${failed.length - 1} more)` : ''}`)
+        : c.green(`✅ ${verb} ${done} request${done === 1 ? '' : 's'}`);
+      await refresh();
+    }
+
+    async function onKeypress(str, key) {
+      const action = keyAction(str, key);
+      if (action?.type === 'quit') {
+        finish();
+        return;
+      }
+      if (!action || busy) return;
+
+      busy = true;
+      try {
+        if (action.type === 'move') {
+          state.selected = Math.max(0, Math.min(state.selected + action.delta, state.approvals.length - 1));
+        } else if (action.type === 'refresh') {
+          state.message = '';
+          await refresh();
+        } else {
+          await decide(action);
+        }
+      } catch (error) {
+        state.message = c.red(`❌ ${error.message}`);
+      } finally {
+        busy = false;
+      }
+      draw();
+    }
+
+    readline.emitKeypressEvents(stdin);
+    stdin.setRawMode(true);
+    stdin.on('keypress', onKeypress);
+    stdin.resume();
+    draw();
+  });
+}
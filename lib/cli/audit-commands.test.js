@@ -0,0 +1,76 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtemp, rm, readFile, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { commandAuditVerify, commandAuditExport } from './audit-commands.js';
+import { AuditLog } from '../audit/log.js';
+
+const strip = (text) => text.replace(/\x1b\[[0-9;]*m/g, '');
+
+describe('Audit Commands', () => {
+  let dir;
+  let log;
+  let output;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'teleportation-audit-cmd-'));
+    log = new AuditLog(dir);
+    log.append('session.register', { actor: 'local-api', session_id: 's1', cwd: '/repo' });
+    log.append('command.rejected', { actor: 'relay', session_id: 's1', command: 'rm -rf /' });
+    log.append('execution.finish', { actor: 'daemon', session_id: 's2', approval_id: 'a1', status: 'completed' });
+    output = [];
+    vi.spyOn(console, 'log').mockImplementation((...args) => output.push(strip(args.join(' '))));
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    process.exitCode = undefined;
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('should report an intact log', async () => {
+    expect(await commandAuditVerify({ log })).toMatchObject({ ok: true, records: 3 });
+    expect(output.join('\n')).toContain('Audit log intact: 3 record(s)');
+    expect(process.exitCode).toBeUndefined();
+  });
+
+  it('should flag a tampered log and exit non-zero', async () => {
+    const content = await readFile(log.logPath, 'utf8');
+    await writeFile(log.logPath, content.replace('rm -rf /', 'ls'));
+
+    const result = await commandAuditVerify({ log: new AuditLog(dir) });
+
+    expect(result.ok).toBe(false);
+    expect(process.exitCode).toBe(1);
+    expect(output.join('\n')).toContain('line 2 seq 2: record contents do not match its hash');
+  });
+
+  it('should export filtered records with their hashes and actors', async () => {
+    const file = join(dir, 'export.jsonl');
+    const records = await commandAuditExport({ log, event: 'command', output: file });
+
+    expect(records).toHaveLength(1);
+    const [exported] = (await readFile(file, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+    expect(exported).toMatchObject({ seq: 2, event: 'command.rejected', actor: 'relay', hash: records[0].hash });
+    expect(output.join('\n')).toContain(`Exported 1 audit record(s) to ${file}`);
+  });
+
+  it('should export a tampered record as-is so it fails verification elsewhere', async () => {
+    const content = await readFile(log.logPath, 'utf8');
+    await writeFile(log.logPath, content.replace('"status":"completed"', '"status":"failed"'));
+    const write = vi.spyOn(process.stdout, 'write').mockImplementation(() => true);
+
+    const records = await commandAuditExport({ log: new AuditLog(dir), format: 'csv', session: 's2' });
+
+    expect(records).toHaveLength(1);
+    const csv = write.mock.calls.map(([chunk]) => chunk).join('');
+    expect(csv.split('\n')[0]).toBe('seq,ts,event,actor,session_id,approval_id,details,prev_hash,hash');
+    expect(csv).toContain('execution.finish,daemon,s2,a1');
+    expect(csv).toContain(records[0].hash);
+    expect(new AuditLog(dir).verify().problems).toContainEqual({ line: 3, seq: 3, reason: 'record contents do not match its hash' });
+  });
+
+  it('should reject unknown export formats', async () => {
+    await expect(commandAuditExport({ log, format: 'xml' })).rejects.toThrow('Unknown export format: xml');
+  });
+});
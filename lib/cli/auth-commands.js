@@ -0,0 +1,112 @@
+/**
+ * Auth Commands
+ * Handles `teleportation auth rotate [--auto]`: replaces the stored relay API
+ * key with a new one without interrupting the daemon
+ */
+
+import { ProfileStore } from '../auth/profiles.js';
+import { createApiKey, revokeApiKey, testApiKey } from '../auth/api-key.js';
+import { setRelayApiKey } from '../daemon/client.js';
+
+// Color helpers
+const c = {
+  red: (text) => '\x1b[0;31m' + text + '\x1b[0m',
+  green: (text) => '\x1b[0;32m' + text + '\x1b[0m',
+  yellow: (text) => '\x1b[1;33m' + text + '\x1b[0m',
+  cyan: (text) => '\x1b[0;36m' + text + '\x1b[0m',
+};
+
+const mask = (key) => '***' + key.slice(-4);
+
+/**
+ * Command: teleportation auth rotate [--auto]
+ *
+ * Creates a new key through the relay, checks that it works, swaps it into the
+ * credentials file, hands it to a running daemon and finally revokes the old
+ * key. The old key stays valid if the daemon could not switch, so nothing
+ * that is running loses access.
+ *
+ * @param {Object} [options]
+ * @param {CredentialManager} [options.manager] - Default: the active profile's
+ * @param {boolean} [options.auto] - Only rotate when the key is close to expiry (needsRotation())
+ * @param {number} [options.warningDays] - How close to expiry counts for --auto
+ * @param {(apiKey: string) => Promise<any>} [options.updateDaemon] - Hands the new key to the daemon
+ * @param {Object} [options.retryOptions] - Passed to testApiKey
+ * @returns {Promise<{ rotated: boolean, daemon?: string, revoked?: boolean }>}
+ */
+export async function commandAuthRotate({
+  manager = new ProfileStore().credentialManager(),
+  auto = false,
+  warningDays = 7,
+  updateDaemon = setRelayApiKey,
+  retryOptions
+} = {}) {
+  const credentials = await manager.load();
+  if (!credentials) {
+    throw new Error('No stored credentials to rotate. Run: teleportation login');
+  }
+  if (credentials.refreshToken) {
+    console.log(c.yellow('Logged in with a device code: access tokens are refreshed automatically, nothing to rotate.\n'));
+    return { rotated: false };
+  }
+
+  const field = credentials.relayApiKey ? 'relayApiKey' : 'apiKey';
+  const oldKey = credentials[field];
+  const relayUrl = credentials.relayApiUrl || process.env.RELAY_API_URL;
+  if (!oldKey) {
+    throw new Error('Stored credentials have no API key. Run: teleportation login');
+  }
+  if (!relayUrl) {
+    throw new Error('Relay API URL is not configured');
+  }
+
+  if (auto && !(await manager.needsRotation(warningDays))) {
+    const days = await manager.daysUntilExpiry();
+    console.log(days === null
+      ? 'API key does not expire, nothing to rotate.\n'
+      : `API key is valid for ${days} more days, nothing to rotate yet.\n`);
+    return { rotated: false };
+  }
+
+  console.log(c.cyan(`🔑 Rotating API key ${mask(oldKey)}\n`));
+
+  const created = await createApiKey(oldKey, relayUrl);
+  const check = await testApiKey(created.key, relayUrl, retryOptions);
+  if (!check.valid) {
+    // Don't leave an unused key behind
+    await revokeApiKey(created.key, relayUrl).catch(() => {});
+    throw new Error(`New API key failed validation, keeping the current one: ${check.error}`);
+  }
+  console.log(`  ${c.green('✓')} Created and verified ${mask(created.key)}`);
+
+  await manager.update({ [field]: created.key, expiresAt: created.expiresAt, rotatedAt: Date.now() });
+  console.log(`  ${c.green('✓')} Saved to ${manager.credentialsPath}`);
+
+  let daemon = 'updated';
+  try {
+    await updateDaemon(created.key);
+    console.log(`  ${c.green('✓')} Daemon switched to the new key`);
+  } catch (error) {
+    if (/not running/.test(error.message)) {
+      daemon = 'not running';
+    } else {
+      daemon = 'failed';
+      console.log(c.yellow(`\n⚠️  The daemon did not take the new key: ${error.message}`));
+      console.log(c.yellow(`   The old key ${mask(oldKey)} stays valid until the daemon is restarted and you revoke it on the relay.\n`));
+      return { rotated: true, daemon, revoked: false };
+    }
+  }
+
+  let revoked = true;
+  try {
+    await revokeApiKey(oldKey, relayUrl);
+    console.log(`  ${c.green('✓')} Revoked ${mask(oldKey)}`);
+  } catch (error) {
+    revoked = false;
+    console.log(c.yellow(`\n⚠️  ${error.message}. Revoke ${mask(oldKey)} on the relay yourself.`));
+  }
+
+  const expiry = created.expiresAt ? ` (expires ${new Date(created.expiresAt).toLocaleDateString()})` : '';
+  console.log(c.green(`\n✅ API key rotated${expiry}\n`));
+  return { rotated: true, daemon, revoked };
+}
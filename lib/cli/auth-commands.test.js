@@ -0,0 +1,104 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import http from 'http';
+import { mkdtemp, rm } from 'fs/promises';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { commandAuthRotate } from './auth-commands.js';
+import { CredentialManager } from '../auth/credentials.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Auth Commands', () => {
+  let dir;
+  let server;
+  let relayUrl;
+  let manager;
+  let validKeys;
+  let requests;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'teleportation-auth-'));
+    manager = new CredentialManager(join(dir, 'credentials'), join(dir, '.key'));
+    validKeys = new Set(['tp_old_key_0001']);
+    requests = [];
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+
+    // Fake relay: keys are valid until revoked
+    server = http.createServer((req, res) => {
+      const key = (req.headers.authorization || '').replace('Bearer ', '');
+      requests.push(`${req.method} ${req.url} ${key}`);
+      const send = (status, data) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+      };
+      if (!validKeys.has(key)) {
+        return send(401, { error: 'Invalid API key' });
+      }
+      if (req.method === 'POST' && req.url === '/api/keys') {
+        validKeys.add('tp_new_key_0002');
+        return send(201, { id: 'key-2', key: 'tp_new_key_0002', expires_at: new Date(Date.now() + 90 * DAY).toISOString() });
+      }
+      if (req.method === 'GET' && req.url === '/api/version') {
+        return send(200, { version: '1' });
+      }
+      if (req.method === 'DELETE' && req.url === '/api/keys/current') {
+        validKeys.delete(key);
+        return send(200, { ok: true });
+      }
+      send(404, { error: 'Not found' });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    relayUrl = `http://127.0.0.1:${server.address().port}`;
+    await manager.save({ apiKey: 'tp_old_key_0001', relayApiUrl: relayUrl, expiresAt: Date.now() + 3 * DAY });
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    await new Promise(resolve => server.close(resolve));
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('should swap in a verified key, update the daemon, then revoke the old key', async () => {
+    const updateDaemon = vi.fn(async () => ({ ok: true }));
+    const result = await commandAuthRotate({ manager, updateDaemon });
+
+    expect(result).toEqual({ rotated: true, daemon: 'updated', revoked: true });
+    expect(updateDaemon).toHaveBeenCalledWith('tp_new_key_0002');
+    const saved = await manager.load();
+    expect(saved).toMatchObject({ apiKey: 'tp_new_key_0002', relayApiUrl: relayUrl });
+    expect(saved.expiresAt).toBeGreaterThan(Date.now() + 80 * DAY);
+    expect([...validKeys]).toEqual(['tp_new_key_0002']);
+    // The old key is revoked only after everything else switched over
+    expect(requests.at(-1)).toBe('DELETE /api/keys/current tp_old_key_0001');
+  });
+
+  it('should keep the old key valid when the daemon does not take the new one', async () => {
+    const result = await commandAuthRotate({ manager, updateDaemon: async () => { throw new Error('Daemon rejected the auth token'); } });
+
+    expect(result).toEqual({ rotated: true, daemon: 'failed', revoked: false });
+    expect((await manager.load()).apiKey).toBe('tp_new_key_0002');
+    expect(validKeys.has('tp_old_key_0001')).toBe(true);
+  });
+
+  it('should still revoke the old key when the daemon is not running', async () => {
+    const updateDaemon = async () => { throw new Error('Daemon is not running (127.0.0.1:3050)'); };
+    expect(await commandAuthRotate({ manager, updateDaemon })).toEqual({ rotated: true, daemon: 'not running', revoked: true });
+  });
+
+  it('should leave credentials alone when the new key does not work', async () => {
+    // The relay hands out a key it doesn't accept
+    validKeys.add = () => validKeys;
+    await expect(commandAuthRotate({ manager, updateDaemon: vi.fn(), retryOptions: { maxRetries: 0 } }))
+      .rejects.toThrow('keeping the current one');
+    expect((await manager.load()).apiKey).toBe('tp_old_key_0001');
+  });
+
+  it('should only rotate in --auto mode when the key is close to expiry', async () => {
+    await manager.update({ expiresAt: Date.now() + 30 * DAY });
+    expect(await commandAuthRotate({ manager, auto: true, updateDaemon: vi.fn() })).toEqual({ rotated: false });
+    expect(requests).toEqual([]);
+
+    await manager.update({ expiresAt: Date.now() + 2 * DAY });
+    expect((await commandAuthRotate({ manager, auto: true, updateDaemon: vi.fn() })).rotated).toBe(true);
+  });
+});
@@ -4,6 +4,7 @@
  */
 
 import { checkDaemonStatus, startDaemon, stopDaemon } from '../daemon/pid-manager.js';
+import { loadRelayConfig } from '../auth/profiles.js';
 
 // Color helpers
 const c = {
@@ -14,21 +15,11 @@ const c = {
   cyan: (text) => '\x1b[0;36m' + text + '\x1b[0m',
 };
 
-/**
- * Get relay API configuration from environment
- */
-function getRelayConfig() {
-  return {
-    url: process.env.RELAY_API_URL || '',
-    key: process.env.RELAY_API_KEY || '',
-  };
-}
-
 /**
  * Update session daemon state via Relay API
  */
 async function updateSessionDaemonState(sessionId, updates) {
-  const { url, key } = getRelayConfig();
+  const { url, key } = await loadRelayConfig();
 
   if (!sessionId || !url || !key) {
     return false;
@@ -151,7 +142,7 @@ export async function commandBack() {
     }
 
     // Check if other sessions still need daemon
-    const { url, key } = getRelayConfig();
+    const { url, key } = await loadRelayConfig();
     let shouldStop = true;
 
     if (url && key) {
@@ -226,7 +217,7 @@ export async function commandDaemonStatus() {
 
     // Get session daemon state from Relay API
     if (sessionId) {
-      const { url, key } = getRelayConfig();
+      const { url, key } = await loadRelayConfig();
 
       if (url && key) {
         try {
@@ -0,0 +1,189 @@
+/**
+ * Device Commands
+ * Handles `teleportation devices list|pair|revoke`: the phones this machine
+ * end-to-end encrypts relay payloads for (lib/auth/e2e.js)
+ */
+
+import { randomBytes } from 'crypto';
+import { DeviceRegistry, validateDeviceId } from '../auth/devices.js';
+import {
+  createPairingCode,
+  derivePairingKey,
+  pairingMac,
+  verifyPairingMac,
+  isValidPublicKey,
+  fingerprint
+} from '../auth/e2e.js';
+
+// Color helpers
+const c = {
+  red: (text) => '\x1b[0;31m' + text + '\x1b[0m',
+  green: (text) => '\x1b[0;32m' + text + '\x1b[0m',
+  yellow: (text) => '\x1b[1;33m' + text + '\x1b[0m',
+  cyan: (text) => '\x1b[0;36m' + text + '\x1b[0m',
+  bold: (text) => '\x1b[1m' + text + '\x1b[0m',
+};
+
+const DEFAULT_PAIRING_TIMEOUT_SECONDS = 300;
+const PAIRING_POLL_INTERVAL_MS = 2000;
+
+function relayHeaders(apiKey) {
+  return { 'Content-Type': 'application/json', 'Authorization': `Bearer ${apiKey}` };
+}
+
+/**
+ * Command: teleportation devices list
+ */
+export async function commandDevicesList({ registry = new DeviceRegistry() } = {}) {
+  const { device, paired } = await registry.load();
+
+  console.log(c.cyan('This device\n'));
+  console.log(`  ${device.name} ${c.yellow(device.device_id)}`);
+  console.log(`  Fingerprint: ${fingerprint(device.public_key)}\n`);
+
+  if (paired.length === 0) {
+    console.log(c.yellow('No paired devices. Relay payloads are not end-to-end encrypted.'));
+    console.log(c.cyan('Pair your phone with: teleportation devices pair\n'));
+    return paired;
+  }
+
+  console.log(c.cyan(`Paired devices (${paired.length}) - relay payloads are end-to-end encrypted\n`));
+  for (const d of paired) {
+    console.log(`  ${d.name} ${c.yellow(d.device_id)}`);
+    console.log(`    Fingerprint: ${fingerprint(d.public_key)}  Paired: ${new Date(d.paired_at).toLocaleString()}`);
+  }
+  console.log('');
+  return paired;
+}
+
+/**
+ * Wait for the phone to answer a pairing on the relay
+ * @returns {Promise<Object>} The phone's { device_id, name, public_key, mac }
+ */
+async function waitForPhone({ relayUrl, apiKey, pairing_id, deadline, pollIntervalMs }) {
+  const url = `${relayUrl}/api/devices/pairings/${encodeURIComponent(pairing_id)}`;
+  while (Date.now() < deadline) {
+    const response = await fetch(url, { headers: relayHeaders(apiKey) });
+    if (response.status === 404) {
+      throw new Error('Pairing was cancelled or expired on the relay');
+    }
+    if (!response.ok) {
+      throw new Error(`Failed to check pairing status: ${response.status}`);
+    }
+    const data = await response.json();
+    if (data.status === 'completed' && data.device) {
+      return data.device;
+    }
+    await new Promise(resolve => setTimeout(resolve, pollIntervalMs));
+  }
+  throw new Error('Timed out waiting for the phone to enter the pairing code');
+}
+
+/**
+ * Command: teleportation devices pair [--name <name>] [--timeout <seconds>]
+ * Shows a code to type (or a link to open) on the phone. The code never goes
+ * through the relay; both sides MAC their keys with it so a relay that swaps
+ * keys in the middle is detected and nothing is paired.
+ */
+export async function commandDevicesPair({
+  relayUrl,
+  apiKey,
+  name,
+  timeoutSeconds = DEFAULT_PAIRING_TIMEOUT_SECONDS,
+  pollIntervalMs = PAIRING_POLL_INTERVAL_MS,
+  registry = new DeviceRegistry()
+} = {}) {
+  if (!relayUrl || !apiKey) {
+    throw new Error('Relay credentials not configured. Run: teleportation login');
+  }
+
+  const { device } = await registry.load();
+  const code = createPairingCode();
+  const pairing_id = randomBytes(16).toString('hex');
+  const pairingKey = await derivePairingKey(code, pairing_id);
+  const deadline = Date.now() + timeoutSeconds * 1000;
+
+  const response = await fetch(`${relayUrl}/api/devices/pairings`, {
+    method: 'POST',
+    headers: relayHeaders(apiKey),
+    body: JSON.stringify({
+      pairing_id,
+      device_id: device.device_id,
+      name: name || device.name,
+      public_key: device.public_key,
+      mac: pairingMac(pairingKey, 'cli', device),
+      expires_at: deadline
+    })
+  });
+  if (!response.ok) {
+    throw new Error(`Relay rejected the pairing request: ${response.status}`);
+  }
+
+  console.log(c.cyan('📱 Pair a phone\n'));
+  console.log(`  In the Teleportation app choose ${c.bold('Pair with computer')} and enter:\n`);
+  console.log(`      ${c.bold(c.green(code))}\n`);
+  console.log(`  Or open: teleportation://pair?pairing_id=${pairing_id}&code=${code.replace(/-/g, '')}`);
+  console.log(`  This computer's fingerprint: ${fingerprint(device.public_key)}`);
+  console.log(c.yellow(`\n  Waiting up to ${Math.round(timeoutSeconds / 60)} minute(s)…\n`));
+
+  try {
+    const phone = await waitForPhone({ relayUrl, apiKey, pairing_id, deadline, pollIntervalMs });
+
+    validateDeviceId(phone.device_id);
+    if (!isValidPublicKey(phone.public_key) ||
+        !verifyPairingMac(pairingKey, 'phone', phone, device.public_key, phone.mac)) {
+      throw new Error('The phone\'s response failed verification (wrong code, or the keys were altered in transit). Nothing was paired.');
+    }
+
+    const paired = await registry.addDevice(phone);
+    console.log(c.green(`✅ Paired ${paired.name} (${paired.device_id})`));
+    console.log(`   Fingerprint: ${fingerprint(paired.public_key)} - it should match the one shown on the phone`);
+    console.log(c.cyan('   Tool inputs, results and messages are now end-to-end encrypted for this phone.\n'));
+    return paired;
+  } finally {
+    // The pairing is single-use whatever the outcome
+    await fetch(`${relayUrl}/api/devices/pairings/${encodeURIComponent(pairing_id)}`, {
+      method: 'DELETE',
+      headers: relayHeaders(apiKey)
+    }).catch(() => {});
+  }
+}
+
+/**
+ * Command: teleportation devices revoke <device_id>
+ * Later payloads are no longer encrypted for the device. What it already
+ * received stays readable to it, so revoke a lost phone promptly.
+ */
+export async function commandDevicesRevoke({ id, relayUrl, apiKey, registry = new DeviceRegistry() } = {}) {
+  if (!id) {
+    throw new Error('Device id is required (see: teleportation devices list)');
+  }
+
+  const removed = await registry.revokeDevice(id);
+  if (!removed) {
+    throw new Error(`No paired device ${id} (see: teleportation devices list)`);
+  }
+
+  if (relayUrl && apiKey) {
+    // Ask the relay to stop delivering to it too; the local revocation already took effect
+    try {
+      const response = await fetch(`${relayUrl}/api/devices/${encodeURIComponent(id)}`, {
+        method: 'DELETE',
+        headers: relayHeaders(apiKey)
+      });
+      if (!response.ok && response.status !== 404) {
+        console.log(c.yellow(`⚠️  Relay did not confirm the revocation: ${response.status}`));
+      }
+    } catch (error) {
+      console.log(c.yellow(`⚠️  Could not reach the relay: ${error.message}`));
+    }
+  }
+
+  console.log(c.green(`✅ Revoked ${removed.name} (${removed.device_id})`));
+  const { paired } = await registry.load();
+  if (paired.length === 0) {
+    console.log(c.yellow('   No paired devices remain: relay payloads are no longer end-to-end encrypted.'));
+  }
+  console.log('');
+  return removed;
+}
@@ -0,0 +1,105 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtemp, rm } from 'fs/promises';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { commandDevicesPair, commandDevicesRevoke, commandDevicesList } from './devices-commands.js';
+import { DeviceRegistry } from '../auth/devices.js';
+import { generateDeviceKeyPair, derivePairingKey, pairingMac } from '../auth/e2e.js';
+
+const relay = { relayUrl: 'http://relay.test', apiKey: 'test-key' };
+const strip = (text) => text.replace(/\x1b\[[0-9;]*m/g, '');
+
+describe('Devices Commands', () => {
+  let dir;
+  let registry;
+  let output;
+  let fetchMock;
+  const phone = { device_id: 'phone-0123456789', name: 'Pixel', ...generateDeviceKeyPair() };
+
+  /**
+   * Play the phone: read the code off the terminal, answer the pairing with a MAC
+   * over our key and the CLI key the relay handed over (possibly swapped)
+   */
+  function phoneAnswers({ publicKey = phone.public_key, relayedCliKey } = {}) {
+    let announced;
+    fetchMock.mockImplementation(async (url, options = {}) => {
+      if (options.method === 'POST') {
+        announced = JSON.parse(options.body);
+        return { ok: true, status: 201, json: async () => ({}) };
+      }
+      if (options.method === 'DELETE') {
+        return { ok: true, status: 204 };
+      }
+      const code = output.join('\n').match(/\b([0-9A-Z]{4}-[0-9A-Z]{4}-[0-9A-Z]{2})\b/)[1];
+      const key = await derivePairingKey(code, announced.pairing_id);
+      const answer = { device_id: phone.device_id, name: phone.name, public_key: publicKey };
+      const mac = pairingMac(key, 'phone', { ...answer, public_key: phone.public_key }, relayedCliKey || announced.public_key);
+      return { ok: true, status: 200, json: async () => ({ status: 'completed', device: { ...answer, mac } }) };
+    });
+  }
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'teleportation-devices-cmd-'));
+    registry = new DeviceRegistry(join(dir, 'devices'), join(dir, '.key'));
+    output = [];
+    vi.spyOn(console, 'log').mockImplementation((...args) => output.push(strip(args.join(' '))));
+    fetchMock = vi.fn();
+    globalThis.fetch = fetchMock;
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('should pair a phone that proves it saw the code and our key', async () => {
+    phoneAnswers();
+
+    const paired = await commandDevicesPair({ ...relay, registry, pollIntervalMs: 1 });
+
+    expect(paired).toMatchObject({ device_id: phone.device_id, name: 'Pixel', public_key: phone.public_key });
+    expect((await registry.load()).paired).toHaveLength(1);
+
+    const [postUrl, post] = fetchMock.mock.calls[0];
+    expect(postUrl).toBe('http://relay.test/api/devices/pairings');
+    expect(JSON.parse(post.body)).not.toHaveProperty('code');
+    expect(fetchMock.mock.calls.at(-1)[1].method).toBe('DELETE');
+    expect(output.join('\n')).toContain('teleportation://pair?pairing_id=');
+  });
+
+  it('should refuse to pair when the relay swapped a key', async () => {
+    const attacker = generateDeviceKeyPair();
+
+    phoneAnswers({ publicKey: attacker.public_key });
+    await expect(commandDevicesPair({ ...relay, registry, pollIntervalMs: 1 })).rejects.toThrow('failed verification');
+
+    phoneAnswers({ relayedCliKey: attacker.public_key });
+    await expect(commandDevicesPair({ ...relay, registry, pollIntervalMs: 1 })).rejects.toThrow('failed verification');
+
+    expect((await registry.load()).paired).toEqual([]);
+    expect(fetchMock.mock.calls.at(-1)[1].method).toBe('DELETE');
+  });
+
+  it('should report expired pairings and require credentials', async () => {
+    fetchMock
+      .mockResolvedValueOnce({ ok: true, status: 201, json: async () => ({}) })
+      .mockResolvedValueOnce({ ok: false, status: 404 })
+      .mockResolvedValue({ ok: true, status: 204 });
+
+    await expect(commandDevicesPair({ ...relay, registry, pollIntervalMs: 1 })).rejects.toThrow('cancelled or expired');
+    await expect(commandDevicesPair({ registry })).rejects.toThrow('teleportation login');
+  });
+
+  it('should list and revoke paired devices', async () => {
+    await registry.addDevice(phone);
+    expect(await commandDevicesList({ registry })).toHaveLength(1);
+    expect(output.join('\n')).toContain('Paired devices (1)');
+
+    fetchMock.mockResolvedValue({ ok: true, status: 204 });
+    await commandDevicesRevoke({ ...relay, id: phone.device_id, registry });
+
+    expect(fetchMock).toHaveBeenCalledWith('http://relay.test/api/devices/phone-0123456789', expect.objectContaining({ method: 'DELETE' }));
+    expect((await registry.load()).paired).toEqual([]);
+    await expect(commandDevicesRevoke({ ...relay, id: phone.device_id, registry })).rejects.toThrow('No paired device');
+  });
+});
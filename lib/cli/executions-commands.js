@@ -0,0 +1,233 @@
+/**
+ * Execution Commands
+ * Handles `teleportation executions list|show|search|export` (read from the
+ * local history, so they work while the daemon is stopped) and
+ * `teleportation executions tail|cancel <id>` (talk to the running daemon)
+ */
+
+import { writeFile } from 'fs/promises';
+import { followExecution, cancelExecution } from '../daemon/client.js';
+import { ExecutionHistory, resolveHistoryDir } from '../daemon/execution-history.js';
+import { toCSV } from '../utils/csv.js';
+
+// Color helpers
+const c = {
+  red: (text) => '\x1b[0;31m' + text + '\x1b[0m',
+  green: (text) => '\x1b[0;32m' + text + '\x1b[0m',
+  yellow: (text) => '\x1b[1;33m' + text + '\x1b[0m',
+  blue: (text) => '\x1b[0;34m' + text + '\x1b[0m',
+  cyan: (text) => '\x1b[0;36m' + text + '\x1b[0m',
+};
+
+/**
+ * Command: teleportation executions tail <id>
+ * Follow a daemon execution's stdout/stderr live until it finishes
+ */
+export async function commandExecutionsTail({ id, since = 0, stdout = process.stdout, stderr = process.stderr } = {}) {
+  if (!id) {
+    throw new Error('Execution id is required, e.g. teleportation executions tail <approval_id>');
+  }
+
+  console.log(c.cyan(`Following execution ${id} (Ctrl+C to stop)\n`));
+
+  const summary = await followExecution(id, {
+    since,
+    onChunk: (chunk) => {
+      (chunk.stream === 'stderr' ? stderr : stdout).write(chunk.data);
+    }
+  });
+
+  const exitInfo = summary.exit_code !== null && summary.exit_code !== undefined ? ` (exit code ${summary.exit_code})` : '';
+  if (summary.status === 'completed') {
+    console.log(c.green(`\n✅ Execution completed${exitInfo}\n`));
+  } else {
+    console.log(c.red(`\n❌ Execution ${summary.status}${exitInfo}${summary.error ? `: ${summary.error}` : ''}\n`));
+  }
+  return summary;
+}
+
+/**
+ * Command: teleportation executions cancel <id>
+ * Drop a queued execution, or kill a running one's process group
+ */
+export async function commandExecutionsCancel({ id } = {}) {
+  if (!id) {
+    throw new Error('Execution id is required, e.g. teleportation executions cancel <approval_id>');
+  }
+
+  const result = await cancelExecution(id);
+  if (result.status === 'cancelling') {
+    console.log(c.yellow(`⏹  Stopping execution ${id}...\n`));
+  } else {
+    console.log(c.green(`✅ Execution ${id} cancelled\n`));
+  }
+  return result;
+}
+
+const DURATION_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * Parse --since/--until: a relative age like 30m, 24h or 7d, or any date Date understands
+ * @returns {number|null} Epoch ms
+ */
+export function parseDateFilter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === true) return null;
+  const relative = String(value).match(/^(\d+)([mhd])$/);
+  if (relative) {
+    return now - parseInt(relative[1], 10) * DURATION_UNITS[relative[2]];
+  }
+  const parsed = Date.parse(value);
+  if (Number.isNaN(parsed)) {
+    throw new Error(`Invalid date: ${value} (use e.g. 24h, 7d or 2026-01-31)`);
+  }
+  return parsed;
+}
+
+/**
+ * Turn CLI options into history filters
+ */
+function historyFilters({ session, status, tool, since, until, limit }) {
+  return {
+    session_id: session || undefined,
+    status: status || undefined,
+    tool_name: tool || undefined,
+    since: parseDateFilter(since) || undefined,
+    until: parseDateFilter(until) || undefined,
+    limit: limit === undefined ? 50 : parseInt(limit, 10) || 0
+  };
+}
+
+function formatDuration(ms) {
+  if (ms === null || ms === undefined) return '-';
+  return ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`;
+}
+
+function colorStatus(status) {
+  if (status === 'completed') return c.green(status);
+  if (status === 'failed' || status === 'interrupted') return c.red(status);
+  return c.yellow(status);
+}
+
+function printTable(records) {
+  console.log('ID'.padEnd(38), 'STATUS'.padEnd(12), 'TOOL'.padEnd(16), 'EXIT'.padEnd(5), 'TIME'.padEnd(8), 'WHEN'.padEnd(22), 'COMMAND');
+  console.log('-'.repeat(130));
+  for (const record of records) {
+    console.log(
+      String(record.id).slice(0, 38).padEnd(38),
+      colorStatus(record.status) + ' '.repeat(Math.max(0, 12 - record.status.length)),
+      String(record.tool_name || '-').slice(0, 16).padEnd(16),
+      String(record.exit_code ?? '-').padEnd(5),
+      formatDuration(record.duration_ms).padEnd(8),
+      new Date(record.completed_at).toLocaleString().padEnd(22),
+      (record.command || '').replace(/\s+/g, ' ').slice(0, 40)
+    );
+  }
+}
+
+/**
+ * Command: teleportation executions list [--session id] [--status s] [--tool t] [--since 24h] [--until date] [--limit n] [--json]
+ */
+export async function commandExecutionsList({ history = new ExecutionHistory(resolveHistoryDir()), json = false, ...options } = {}) {
+  const records = history.list(historyFilters(options));
+
+  if (json) {
+    console.log(JSON.stringify(records, null, 2));
+  } else if (records.length === 0) {
+    console.log(c.yellow('No executions found'));
+  } else {
+    printTable(records);
+    console.log(c.cyan(`\n${records.length} execution(s). Details: teleportation executions show <id>\n`));
+  }
+  return records;
+}
+
+/**
+ * Command: teleportation executions show <id> [--json]
+ */
+export async function commandExecutionsShow({ id, json = false, history = new ExecutionHistory(resolveHistoryDir()) } = {}) {
+  if (!id) {
+    throw new Error('Execution id is required, e.g. teleportation executions show <approval_id>');
+  }
+  const record = history.get(id);
+  if (!record) {
+    throw new Error(`No execution ${id} in history`);
+  }
+
+  if (json) {
+    console.log(JSON.stringify(record, null, 2));
+    return record;
+  }
+
+  console.log(c.blue(`\nExecution ${record.id}\n`));
+  console.log(`  Status:    ${colorStatus(record.status)}`);
+  console.log(`  Session:   ${record.session_id || '-'}`);
+  console.log(`  Source:    ${record.source}`);
+  console.log(`  Tool:      ${record.tool_name || '-'}${record.execution_type ? ` (${record.execution_type})` : ''}`);
+  console.log(`  Command:   ${record.command || '-'}`);
+  console.log(`  Exit code: ${record.exit_code ?? '-'}`);
+  console.log(`  Duration:  ${formatDuration(record.duration_ms)}`);
+  console.log(`  Finished:  ${new Date(record.completed_at).toLocaleString()}`);
+  if (record.error) console.log(`  Error:     ${c.red(record.error)}`);
+  if (record.stdout) console.log(c.cyan('\n--- stdout ---\n') + record.stdout);
+  if (record.stderr) console.log(c.cyan('\n--- stderr ---\n') + record.stderr);
+  console.log('');
+  return record;
+}
+
+/**
+ * Command: teleportation executions search <query> [filters] [--json]
+ */
+export async function commandExecutionsSearch({ query, history = new ExecutionHistory(resolveHistoryDir()), json = false, ...options } = {}) {
+  if (!query) {
+    throw new Error('Search text is required, e.g. teleportation executions search "npm test"');
+  }
+  const records = history.search(query, historyFilters(options));
+
+  if (json) {
+    console.log(JSON.stringify(records, null, 2));
+  } else if (records.length === 0) {
+    console.log(c.yellow(`No executions matching "${query}"`));
+  } else {
+    printTable(records);
+    console.log(c.cyan(`\n${records.length} match(es)\n`));
+  }
+  return records;
+}
+
+const CSV_COLUMNS = ['id', 'source', 'session_id', 'tool_name', 'command', 'status', 'execution_type', 'exit_code', 'duration_ms', 'started_at', 'completed_at', 'error', 'stdout', 'stderr'];
+
+/**
+ * Serialize history records for export
+ * @param {Object[]} records
+ * @param {'jsonl'|'json'|'csv'} format
+ */
+export function formatExport(records, format) {
+  switch (format) {
+    case 'jsonl':
+      return records.map(record => JSON.stringify(record)).join('\n') + (records.length ? '\n' : '');
+    case 'json':
+      return JSON.stringify(records, null, 2) + '\n';
+    case 'csv':
+      return toCSV(records, CSV_COLUMNS);
+    default:
+      throw new Error(`Unknown export format: ${format} (use jsonl, json or csv)`);
+  }
+}
+
+/**
+ * Command: teleportation executions export [--format jsonl|json|csv] [--output file] [filters]
+ * Exports everything matching the filters (no default limit), oldest first
+ */
+export async function commandExecutionsExport({ format = 'jsonl', output, history = new ExecutionHistory(resolveHistoryDir()), ...options } = {}) {
+  const filters = historyFilters({ limit: 0, ...options });
+  const records = history.list(filters).reverse();
+  const text = formatExport(records, format);
+
+  if (output) {
+    await writeFile(output, text, { mode: 0o600 });
+    console.log(c.green(`✅ Exported ${records.length} execution(s) to ${output}`));
+  } else {
+    process.stdout.write(text);
+  }
+  return records;
+}
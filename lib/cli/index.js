@@ -86,7 +86,13 @@ export function parseArgs(args) {
     keepSnapshot: true,
     repoOnly: false,
     status: null,
-    deleteAfter: false
+    deleteAfter: false,
+    strategy: null,
+    testCommand: null,
+    skipTests: false,
+    push: false,
+    remote: 'origin',
+    dryRun: false
   };
 
   let i = 0;
@@ -128,6 +134,18 @@ export function parseArgs(args) {
       parsed.status = args[++i];
     } else if (arg === '--delete-after') {
       parsed.deleteAfter = true;
+    } else if (arg === '--strategy') {
+      parsed.strategy = args[++i];
+    } else if (arg === '--test-command') {
+      parsed.testCommand = args[++i];
+    } else if (arg === '--skip-tests') {
+      parsed.skipTests = true;
+    } else if (arg === '--push') {
+      parsed.push = true;
+    } else if (arg === '--remote') {
+      parsed.remote = args[++i];
+    } else if (arg === '--dry-run') {
+      parsed.dryRun = true;
     }
 
     i++;
@@ -236,8 +254,10 @@ WORKTREE COMMANDS:
   worktree use -s <session-id>
     Show path to switch to a worktree
 
-  worktree merge -s <session-id> [--target <branch>] [--delete-after]
-    Merge a worktree branch (manual process guidance)
+  worktree merge -s <session-id> [--target <branch>] [--strategy merge|squash|rebase]
+                 [--test-command "<cmd>"] [--skip-tests] [--push] [--remote <name>]
+                 [-m <message>] [--dry-run] [--delete-after]
+    Merge a worktree branch after a conflict check (undone if the tests fail)
 
   worktree prune
     Clean up stale worktree references
@@ -299,5 +319,11 @@ OPTIONS:
   --repo-only              Only show sessions for current repository
   --status <status>        Filter by status (active, paused, completed)
   --delete-after           Delete worktree after merge
+  --strategy <strategy>    merge (default), squash or rebase (config: worktree.mergeStrategy)
+  --test-command <cmd>     Run after merging (config: worktree.testCommand)
+  --skip-tests             Don't run the configured test command
+  --push                   Push the target branch after merging
+  --remote <name>          Remote to push to (default: origin)
+  --dry-run                Only check for conflicts
 `);
 }
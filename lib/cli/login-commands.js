@@ -0,0 +1,67 @@
+/**
+ * Login Commands
+ * Handles `teleportation login --device`: the OAuth device code flow
+ * (lib/auth/device-code.js). API key and token logins live in teleportation-cli.cjs.
+ */
+
+import { ProfileStore } from '../auth/profiles.js';
+import { requestDeviceCode, pollForToken, credentialsFromTokens } from '../auth/device-code.js';
+import { renderQr } from '../utils/qr.js';
+
+// Color helpers
+const c = {
+  red: (text) => '\x1b[0;31m' + text + '\x1b[0m',
+  green: (text) => '\x1b[0;32m' + text + '\x1b[0m',
+  yellow: (text) => '\x1b[1;33m' + text + '\x1b[0m',
+  cyan: (text) => '\x1b[0;36m' + text + '\x1b[0m',
+  bold: (text) => '\x1b[1m' + text + '\x1b[0m',
+};
+
+/**
+ * Command: teleportation login --device [--relay-url <url>] [--no-qr]
+ * @param {Object} options
+ * @param {string} options.relayUrl
+ * @param {CredentialManager} [options.manager] - Default: the active profile's
+ * @param {boolean} [options.qr] - Show a QR code of the verification link
+ * @param {Object} [options.pollOptions] - Passed to pollForToken (tests inject sleep)
+ * @returns {Promise<Object>} The saved credentials
+ */
+export async function commandLoginDevice({ relayUrl, manager = new ProfileStore().credentialManager(), qr = true, pollOptions } = {}) {
+  if (!relayUrl) {
+    throw new Error('Relay API URL is required (--relay-url)');
+  }
+
+  const deviceCode = await requestDeviceCode(relayUrl);
+  const link = deviceCode.verification_uri_complete || deviceCode.verification_uri;
+
+  console.log(c.cyan('🔐 Log in from your browser\n'));
+  console.log(`  Open:       ${c.bold(deviceCode.verification_uri)}`);
+  console.log(`  Enter code: ${c.bold(c.green(deviceCode.user_code))}\n`);
+
+  if (qr) {
+    try {
+      console.log('  Or scan to open the link with the code filled in:\n');
+      for (const line of renderQr(link)) console.log('  ' + line);
+      console.log('');
+    } catch {
+      // Link too long for a terminal QR code; the URL and code above still work
+    }
+  }
+
+  console.log(c.yellow(`  Waiting for approval (code expires in ${Math.round(deviceCode.expires_in / 60)} minute(s))…\n`));
+
+  const tokens = await pollForToken(relayUrl, deviceCode, pollOptions);
+  const credentials = {
+    ...credentialsFromTokens(tokens),
+    relayApiUrl: relayUrl,
+    authenticatedAt: Date.now(),
+    method: 'device-code'
+  };
+  await manager.save(credentials);
+
+  console.log(c.green('✅ Successfully logged in!\n'));
+  if (credentials.expiresAt) {
+    console.log(c.cyan(`Access token refreshes automatically (next expiry ${new Date(credentials.expiresAt).toLocaleString()})\n`));
+  }
+  return credentials;
+}
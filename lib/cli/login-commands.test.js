@@ -0,0 +1,98 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import http from 'http';
+import { mkdtemp, rm } from 'fs/promises';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { commandLoginDevice } from './login-commands.js';
+import { CredentialManager } from '../auth/credentials.js';
+
+const strip = (text) => text.replace(/\x1b\[[0-9;]*m/g, '');
+
+describe('Login Commands', () => {
+  let dir;
+  let server;
+  let relayUrl;
+  let manager;
+  let output;
+  let approved;
+  let refreshes;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'teleportation-login-'));
+    manager = new CredentialManager(join(dir, 'credentials'), join(dir, '.key'));
+    output = [];
+    approved = false;
+    refreshes = 0;
+    vi.spyOn(console, 'log').mockImplementation((...args) => output.push(strip(args.join(' '))));
+
+    // Fake relay: the user "approves" in the browser after the first poll
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const params = Object.fromEntries(new URLSearchParams(body));
+        const send = (status, data) => {
+          res.writeHead(status, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(data));
+        };
+        if (req.url === '/api/auth/device/code') {
+          return send(200, { device_code: 'dc', user_code: 'WDJB-MJHT', verification_uri: `${relayUrl}/device`, expires_in: 600, interval: 1 });
+        }
+        if (req.url === '/api/auth/device/token') {
+          if (!approved) {
+            approved = true;
+            return send(400, { error: 'authorization_pending' });
+          }
+          // Expires within the refresh margin, so the next load refreshes it
+          return send(200, { access_token: 'access-1', refresh_token: 'refresh-1', expires_in: 60 });
+        }
+        if (req.url === '/api/auth/token' && params.refresh_token === 'refresh-1') {
+          refreshes++;
+          return send(200, { access_token: `access-${refreshes + 1}`, refresh_token: 'refresh-1', expires_in: 3600 });
+        }
+        send(400, { error: 'invalid_grant' });
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    relayUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    await new Promise(resolve => server.close(resolve));
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('should show the code and QR, then store tokens once approved', async () => {
+    const credentials = await commandLoginDevice({ relayUrl, manager, pollOptions: { sleep: async () => {} } });
+
+    const text = output.join('\n');
+    expect(text).toContain(`Open:       ${relayUrl}/device`);
+    expect(text).toContain('Enter code: WDJB-MJHT');
+    expect(text).toMatch(/[█▀▄]/);
+
+    expect(credentials).toMatchObject({ accessToken: 'access-1', refreshToken: 'refresh-1', relayApiUrl: relayUrl, method: 'device-code' });
+    expect(await manager.load()).toMatchObject({ accessToken: 'access-1', refreshToken: 'refresh-1' });
+  });
+
+  it('should refresh the access token before it expires', async () => {
+    await commandLoginDevice({ relayUrl, manager, qr: false, pollOptions: { sleep: async () => {} } });
+    expect(output.join('\n')).not.toMatch(/[█▀▄]/);
+
+    const fresh = await manager.loadFresh();
+    expect(fresh).toMatchObject({ accessToken: 'access-2', refreshToken: 'refresh-1' });
+    expect(await manager.isExpired()).toBe(false);
+
+    // Valid for an hour now: no further refresh
+    expect((await manager.loadFresh()).accessToken).toBe('access-2');
+    expect(refreshes).toBe(1);
+  });
+
+  it('should keep the stored credentials when a refresh fails', async () => {
+    await manager.save({ accessToken: 'old', refreshToken: 'revoked', expiresAt: Date.now() - 1000, relayApiUrl: relayUrl });
+    const onRefreshError = vi.fn();
+
+    expect((await manager.loadFresh({ onRefreshError })).accessToken).toBe('old');
+    expect(onRefreshError).toHaveBeenCalledWith(expect.objectContaining({ message: expect.stringContaining('Token refresh failed') }));
+  });
+});
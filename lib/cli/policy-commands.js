@@ -0,0 +1,159 @@
+/**
+ * Approval Policy Commands
+ * Handles `teleportation policy list|test|add|remove`
+ */
+
+import { join } from 'path';
+import {
+  loadPolicy,
+  evaluatePolicy,
+  addPolicyRule,
+  removePolicyRule,
+  DEFAULT_POLICY_PATH,
+  REPO_POLICY_FILE
+} from '../policy/engine.js';
+import { assessRisk } from '../policy/risk.js';
+import { loadConfig } from '../config/manager.js';
+import { getRepoRoot } from '../worktree/manager.js';
+
+// Color helpers
+const c = {
+  red: (text) => '\x1b[0;31m' + text + '\x1b[0m',
+  green: (text) => '\x1b[0;32m' + text + '\x1b[0m',
+  yellow: (text) => '\x1b[1;33m' + text + '\x1b[0m',
+  blue: (text) => '\x1b[0;34m' + text + '\x1b[0m',
+  cyan: (text) => '\x1b[0;36m' + text + '\x1b[0m',
+  magenta: (text) => '\x1b[0;35m' + text + '\x1b[0m',
+};
+
+const DECISION_COLORS = {
+  allow: c.green,
+  deny: c.red,
+  ask: c.yellow
+};
+
+const RISK_COLORS = {
+  low: c.green,
+  medium: c.yellow,
+  high: c.red,
+  critical: c.magenta
+};
+
+/**
+ * Resolve the policy file a write command should touch
+ */
+function resolvePolicyPath(repo) {
+  return repo ? join(getRepoRoot(), REPO_POLICY_FILE) : DEFAULT_POLICY_PATH;
+}
+
+function formatMatchers(rule) {
+  const parts = [];
+  for (const field of ['tool', 'command', 'path', 'cwd', 'risk']) {
+    if (rule[field] !== undefined) {
+      const values = Array.isArray(rule[field]) ? rule[field] : [rule[field]];
+      parts.push(`${field}=${values.map(v => JSON.stringify(v)).join('|')}`);
+    }
+  }
+  return parts.join(' ');
+}
+
+/**
+ * Command: teleportation policy list
+ * Show the effective policy for the current directory
+ */
+export async function commandPolicyList({ cwd = process.cwd() } = {}) {
+  const policy = await loadPolicy({ cwd });
+
+  console.log(c.cyan('Approval Policy\n'));
+  console.log(`  Global file: ${policy.paths.global}`);
+  console.log(`  Repo file:   ${policy.paths.repo || c.yellow('none')}`);
+  console.log(`  Default:     ${DECISION_COLORS[policy.default](policy.default)}`);
+  console.log(`  Trust repo allow rules: ${policy.trustRepoPolicies ? c.green('yes') : c.yellow('no')}`);
+  console.log(`  Safe tools (allowed on timeout): ${policy.safeTools.length ? policy.safeTools.join(', ') : c.yellow('none')}\n`);
+
+  if (policy.rules.length === 0) {
+    console.log(c.yellow('No rules defined. Every request will use the default decision.\n'));
+    console.log(c.cyan('Add one with: teleportation policy add allow --tool Bash --command "git status"\n'));
+    return;
+  }
+
+  console.log(c.cyan('Rules (first match wins):'));
+  for (const rule of policy.rules) {
+    const decision = DECISION_COLORS[rule.decision](rule.decision.padEnd(5));
+    const note = rule.ignored ? c.yellow(' (ignored: repo allow rules are not trusted)') : '';
+    console.log(`  ${decision} ${c.blue(`[${rule.source}]`)} ${rule.id || '(no id)'}  ${formatMatchers(rule)}${note}`);
+    if (rule.description) {
+      console.log(`        ${rule.description}`);
+    }
+  }
+  console.log('');
+}
+
+/**
+ * Command: teleportation policy test
+ * Evaluate a hypothetical tool request against the policy
+ */
+export async function commandPolicyTest({ tool, command, path, cwd = process.cwd() } = {}) {
+  if (!tool) {
+    throw new Error('Tool name is required (--tool)');
+  }
+
+  const tool_input = {};
+  if (command) tool_input.command = command;
+  if (path) tool_input.file_path = path;
+
+  const policy = await loadPolicy({ cwd });
+  const config = await loadConfig();
+  const risk = assessRisk({ tool_name: tool, tool_input, cwd }, { commands: config.commands });
+  const result = evaluatePolicy(policy, { tool_name: tool, tool_input, cwd, risk });
+
+  console.log(`Risk:     ${RISK_COLORS[risk.level](risk.level)}`);
+  for (const reason of risk.reasons) {
+    console.log(`          - ${reason}`);
+  }
+  console.log(`Decision: ${DECISION_COLORS[result.decision](result.decision)}`);
+  console.log(`Reason:   ${result.reason}\n`);
+  return { ...result, risk };
+}
+
+/**
+ * Command: teleportation policy add
+ * Append a rule to the global (or --repo) policy file
+ */
+export async function commandPolicyAdd({ decision, id, tool, command, path, cwd, risk, description, repo = false } = {}) {
+  const rule = { decision };
+  if (id) rule.id = id;
+  if (tool) rule.tool = tool;
+  if (command) rule.command = command;
+  if (path) rule.path = path;
+  if (cwd) rule.cwd = cwd;
+  if (risk) rule.risk = risk.split(',').map(level => level.trim()).filter(Boolean);
+  if (description) rule.description = description;
+
+  const policyPath = resolvePolicyPath(repo);
+  const stored = await addPolicyRule(rule, policyPath);
+
+  console.log(c.green(`✅ Added rule ${stored.id}: ${stored.decision} ${formatMatchers(stored)}`));
+  console.log(c.cyan(`   Policy file: ${policyPath}\n`));
+  return stored;
+}
+
+/**
+ * Command: teleportation policy remove
+ * Remove a rule by id from the global (or --repo) policy file
+ */
+export async function commandPolicyRemove({ id, repo = false } = {}) {
+  if (!id) {
+    throw new Error('Rule id is required (see: teleportation policy list)');
+  }
+
+  const policyPath = resolvePolicyPath(repo);
+  const removed = await removePolicyRule(id, policyPath);
+
+  if (!removed) {
+    throw new Error(`No rule with id "${id}" in ${policyPath}`);
+  }
+
+  console.log(c.green(`✅ Removed rule ${id}\n`));
+  return removed;
+}
@@ -0,0 +1,93 @@
+/**
+ * Profile Commands
+ * Handles `teleportation profile list|use|remove`: named credential sets, one
+ * per relay (lib/auth/profiles.js). Profiles are created with
+ * `teleportation login --profile <name>`.
+ */
+
+import { ProfileStore, DEFAULT_PROFILE } from '../auth/profiles.js';
+import { loadConfig } from '../config/manager.js';
+
+// Color helpers
+const c = {
+  red: (text) => '\x1b[0;31m' + text + '\x1b[0m',
+  green: (text) => '\x1b[0;32m' + text + '\x1b[0m',
+  yellow: (text) => '\x1b[1;33m' + text + '\x1b[0m',
+  cyan: (text) => '\x1b[0;36m' + text + '\x1b[0m',
+};
+
+/**
+ * Relay URL a profile would use (its credentials, then its config.json overrides)
+ */
+async function describeRelay(store, name) {
+  try {
+    const credentials = await store.credentialManager(name).load();
+    if (credentials?.relayApiUrl) return credentials.relayApiUrl;
+  } catch {
+    // Locked or unreadable; fall back to config.json
+  }
+  try {
+    return (await loadConfig({ profile: name })).relay?.url || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Command: teleportation profile list
+ */
+export async function commandProfileList({ store = new ProfileStore(), env = process.env } = {}) {
+  const profiles = await store.list(env);
+
+  console.log(c.cyan('🔐 Credential profiles\n'));
+  for (const profile of profiles) {
+    const marker = profile.active ? c.green('●') : '○';
+    const relay = profile.loggedIn ? (await describeRelay(store, profile.name)) || 'relay not set' : c.yellow('not logged in');
+    console.log(`  ${marker} ${profile.name}  ${relay}`);
+  }
+
+  if (env.TELEPORTATION_PROFILE) {
+    console.log(c.yellow(`\n  TELEPORTATION_PROFILE=${env.TELEPORTATION_PROFILE} overrides \`teleportation profile use\``));
+  }
+  console.log(c.cyan('\nAdd one with: teleportation login --profile <name>\n'));
+  return profiles;
+}
+
+/**
+ * Command: teleportation profile use <name>
+ * The daemon notices the switch and reconnects with that profile's credentials.
+ */
+export async function commandProfileUse({ name, store = new ProfileStore(), env = process.env } = {}) {
+  if (!name) {
+    throw new Error('Usage: teleportation profile use <name>');
+  }
+  await store.use(name);
+
+  console.log(c.green(`✅ Now using profile ${name}\n`));
+  if (env.TELEPORTATION_PROFILE && env.TELEPORTATION_PROFILE !== name) {
+    console.log(c.yellow(`⚠️  TELEPORTATION_PROFILE=${env.TELEPORTATION_PROFILE} still wins in this shell.\n`));
+  }
+  console.log(c.yellow('⚠️  Restart Claude Code to apply changes to current session.\n'));
+}
+
+/**
+ * Command: teleportation profile remove <name>
+ */
+export async function commandProfileRemove({ name, store = new ProfileStore() } = {}) {
+  if (!name) {
+    throw new Error('Usage: teleportation profile remove <name>');
+  }
+  const wasActive = store.active({}) === name;
+  const removed = await store.remove(name);
+
+  if (!removed) {
+    console.log(c.yellow(`Profile ${name} has no credentials, nothing to remove.\n`));
+    return false;
+  }
+  console.log(c.green(`✅ Removed profile ${name}\n`));
+  if (wasActive) {
+    console.log(c.cyan(`Now using profile ${DEFAULT_PROFILE}\n`));
+  }
+  console.log(c.cyan(`Its config.json overrides (profiles.${name}) were left in place.\n`));
+  return true;
+}
@@ -0,0 +1,67 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtemp, rm } from 'fs/promises';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { commandProfileList, commandProfileUse, commandProfileRemove } from './profile-commands.js';
+import { ProfileStore } from '../auth/profiles.js';
+
+vi.mock('../config/manager.js', () => ({
+  loadConfig: vi.fn(async ({ profile } = {}) => ({
+    relay: { url: profile === 'lab' ? 'https://relay.lab.test' : 'https://api.teleportation.dev' }
+  }))
+}));
+
+const strip = (text) => text.replace(/\x1b\[[0-9;]*m/g, '');
+
+describe('Profile Commands', () => {
+  let dir;
+  let store;
+  let output;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'teleportation-profile-cmd-'));
+    store = new ProfileStore(dir, { keyPath: join(dir, '.key') });
+    await store.credentialManager('default').save({ apiKey: 'prod-key', relayApiUrl: 'https://api.teleportation.dev' });
+    await store.credentialManager('staging').save({ apiKey: 'staging-key', relayApiUrl: 'https://relay.staging.test' });
+    output = [];
+    vi.spyOn(console, 'log').mockImplementation((...args) => output.push(strip(args.join(' '))));
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('should list profiles with their relays and mark the active one', async () => {
+    await store.credentialManager('lab').save({ apiKey: 'lab-key' });
+    await store.use('staging');
+
+    const profiles = await commandProfileList({ store, env: {} });
+
+    // Default first, then the active profile, then the rest
+    expect(profiles.map(p => [p.name, p.active])).toEqual([['default', false], ['staging', true], ['lab', false]]);
+    const text = output.join('\n');
+    expect(text).toContain('○ default  https://api.teleportation.dev');
+    expect(text).toContain('● staging  https://relay.staging.test');
+    // No relay in the credentials: the profile's config.json overrides
+    expect(text).toContain('○ lab  https://relay.lab.test');
+  });
+
+  it('should switch profiles and warn when TELEPORTATION_PROFILE overrides it', async () => {
+    await commandProfileUse({ name: 'staging', store, env: { TELEPORTATION_PROFILE: 'default' } });
+
+    expect(store.active({})).toBe('staging');
+    expect(output.join('\n')).toContain('TELEPORTATION_PROFILE=default still wins in this shell');
+    await expect(commandProfileUse({ name: 'prod', store, env: {} })).rejects.toThrow('teleportation login --profile prod');
+  });
+
+  it('should remove the active profile and fall back to default', async () => {
+    await store.use('staging');
+
+    expect(await commandProfileRemove({ name: 'staging', store })).toBe(true);
+    expect(store.active({})).toBe('default');
+    expect(output.join('\n')).toContain('Now using profile default');
+    expect(await commandProfileRemove({ name: 'staging', store })).toBe(false);
+    await expect(commandProfileRemove({ name: 'default', store })).rejects.toThrow('teleportation logout');
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * Secrets Commands
+ * Handles `teleportation secrets status|unlock|lock|migrate`: which secret
+ * backend protects the encrypted credential files (lib/auth/secret-backends.js)
+ */
+
+import { readFile, writeFile, unlink } from 'fs/promises';
+import { CredentialManager, DEFAULT_CREDENTIALS_PATH } from '../auth/credentials.js';
+import { DEFAULT_DEVICES_PATH } from '../auth/devices.js';
+import { ProfileStore } from '../auth/profiles.js';
+import { createSecretBackend, SECRET_BACKENDS, DEFAULT_SECRETS_CONFIG } from '../auth/secret-backends.js';
+import { loadConfig, setConfigValue } from '../config/manager.js';
+import { daemonRequest } from '../daemon/client.js';
+
+// Color helpers
+const c = {
+  red: (text) => '\x1b[0;31m' + text + '\x1b[0m',
+  green: (text) => '\x1b[0;32m' + text + '\x1b[0m',
+  yellow: (text) => '\x1b[1;33m' + text + '\x1b[0m',
+  cyan: (text) => '\x1b[0;36m' + text + '\x1b[0m',
+};
+
+// Files encrypted with the backend's key
+export const ENCRYPTED_FILES = [DEFAULT_CREDENTIALS_PATH, DEFAULT_DEVICES_PATH];
+
+/**
+ * ENCRYPTED_FILES plus the credentials of the other profiles
+ */
+export async function listEncryptedFiles(store = new ProfileStore()) {
+  const profiles = await store.list({});
+  return [...new Set([...ENCRYPTED_FILES, ...profiles.filter(p => p.loggedIn).map(p => p.credentialsPath)])];
+}
+
+async function readIfExists(path) {
+  try {
+    return await readFile(path, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Decrypt `files` with one backend and encrypt them with another. Everything
+ * is decrypted before anything is written; if a write fails, files already
+ * rewritten are put back as they were.
+ * @returns {Promise<string[]>} Files that were re-encrypted
+ */
+export async function reencryptFiles(files, from, to) {
+  const contents = [];
+  for (const path of files) {
+    const raw = await readIfExists(path);
+    if (raw === null) continue;
+    const data = await new CredentialManager(path, undefined, from).load();
+    contents.push({ path, raw, data });
+  }
+
+  // Create or unlock the new key before touching any file
+  await to.getKey();
+
+  const written = [];
+  try {
+    for (const { path, data } of contents) {
+      await new CredentialManager(path, undefined, to).save(data);
+      written.push(path);
+    }
+  } catch (error) {
+    for (const path of written) {
+      await writeFile(path, contents.find(entry => entry.path === path).raw, { mode: 0o600 });
+    }
+    throw new Error(`Migration failed, nothing was changed: ${error.message}`);
+  }
+  return contents.map(entry => entry.path);
+}
+
+/**
+ * Command: teleportation secrets status
+ */
+export async function commandSecretsStatus({ files } = {}) {
+  files = files || await listEncryptedFiles();
+  const secrets = { ...DEFAULT_SECRETS_CONFIG, ...(await loadConfig()).secrets };
+  const backend = createSecretBackend(secrets);
+
+  console.log(c.cyan('🔑 Secret backend\n'));
+  console.log(`  Backend: ${c.green(backend.name)} - ${backend.describe()}`);
+
+  if (backend.name === 'passphrase') {
+    try {
+      const { status, data } = await daemonRequest('/secrets/key', { timeoutMs: 1000 });
+      console.log(status === 200
+        ? `  Daemon:  ${c.green('unlocked')} until ${new Date(data.expires_at).toLocaleString()}`
+        : `  Daemon:  ${c.yellow('locked')} (teleportation secrets unlock)`);
+    } catch {
+      console.log(`  Daemon:  ${c.yellow('not running')} - you'll be asked for the passphrase each time`);
+    }
+  }
+
+  console.log('\n  Encrypted files:');
+  for (const path of files) {
+    const exists = (await readIfExists(path)) !== null;
+    console.log(`    ${exists ? c.green('●') : '○'} ${path}`);
+  }
+  console.log('');
+  return { backend: backend.name };
+}
+
+/**
+ * Command: teleportation secrets unlock
+ * Asks for the passphrase and leaves the key with the daemon for secrets.cacheMinutes
+ */
+export async function commandSecretsUnlock({ prompt } = {}) {
+  const secrets = { ...DEFAULT_SECRETS_CONFIG, ...(await loadConfig()).secrets };
+  if (secrets.backend !== 'passphrase') {
+    console.log(c.yellow(`Nothing to unlock: the ${secrets.backend} backend doesn't use a passphrase.\n`));
+    return false;
+  }
+
+  const ttlMs = secrets.cacheMinutes * 60 * 1000;
+  const backend = createSecretBackend(secrets, {
+    prompt,
+    // Always ask: unlocking is how you re-enter the passphrase
+    cache: { get: async () => null, set: async () => {} }
+  });
+  const key = await backend.getKey();
+
+  let response;
+  try {
+    response = await daemonRequest('/secrets/key', { method: 'PUT', body: { key: key.toString('hex'), ttl_ms: ttlMs } });
+  } catch (error) {
+    throw new Error(`Passphrase is correct, but the daemon can't hold the key: ${error.message}. Start it with: teleportation daemon start`);
+  }
+  if (response.status !== 200) {
+    throw new Error(`Daemon refused the key: ${response.data?.error || response.status}`);
+  }
+
+  console.log(c.green(`✅ Unlocked until ${new Date(response.data.expires_at).toLocaleString()}\n`));
+  return true;
+}
+
+/**
+ * Command: teleportation secrets lock
+ */
+export async function commandSecretsLock() {
+  const { status, data } = await daemonRequest('/secrets/key', { method: 'DELETE' });
+  if (status !== 200) {
+    throw new Error(`Daemon did not lock: ${data?.error || status}`);
+  }
+  console.log(c.green(data.was_unlocked ? '🔒 Locked. The next command will ask for the passphrase.\n' : 'Already locked.\n'));
+}
+
+/**
+ * Command: teleportation secrets migrate --to <file|passphrase|command> [--keep-key]
+ * Re-encrypts the credential files with the new backend's key and switches config.json over.
+ * The command backend reads secrets.command.get/set, so set those first.
+ */
+export async function commandSecretsMigrate({ to, keepKey = false, files, prompt, keyPath, passphrasePath } = {}) {
+  if (!SECRET_BACKENDS.includes(to)) {
+    throw new Error(`--to must be one of: ${SECRET_BACKENDS.join(', ')}`);
+  }
+
+  const secrets = { ...DEFAULT_SECRETS_CONFIG, ...(await loadConfig()).secrets };
+  if (secrets.backend === to) {
+    throw new Error(`Already using the ${to} backend`);
+  }
+
+  const from = createSecretBackend(secrets, { prompt, keyPath, passphrasePath });
+  const target = createSecretBackend({ ...secrets, backend: to }, { prompt, keyPath, passphrasePath });
+
+  console.log(c.cyan(`🔑 Moving credentials from ${from.describe()} to ${target.describe()}\n`));
+  const migrated = await reencryptFiles(files || await listEncryptedFiles(), from, target);
+  await setConfigValue('secrets.backend', to);
+
+  for (const path of migrated) {
+    console.log(`  ${c.green('✓')} ${path}`);
+  }
+  if (migrated.length === 0) {
+    console.log('  No credential files yet; new ones will use this backend.');
+  }
+
+  if (from.name === 'file' && !keepKey) {
+    // The point of moving: the key should no longer sit next to the files
+    await unlink(from.keyPath).catch((error) => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+    console.log(`  ${c.green('✓')} Removed ${from.keyPath}`);
+  }
+
+  console.log(c.green(`\n✅ Now using the ${to} backend`));
+  console.log(c.yellow('   Restart the daemon so it picks up the new backend: teleportation daemon restart\n'));
+  return migrated;
+}
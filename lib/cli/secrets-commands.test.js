@@ -0,0 +1,91 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtemp, rm, readFile, access } from 'fs/promises';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { commandSecretsMigrate, commandSecretsUnlock, reencryptFiles } from './secrets-commands.js';
+import { CredentialManager } from '../auth/credentials.js';
+import { FileKeyBackend, PassphraseBackend } from '../auth/secret-backends.js';
+
+vi.mock('../config/manager.js', () => ({
+  loadConfig: vi.fn(),
+  setConfigValue: vi.fn()
+}));
+
+vi.mock('../daemon/client.js', () => ({
+  daemonRequest: vi.fn()
+}));
+
+describe('Secrets Commands', () => {
+  let dir;
+  let files;
+  let config;
+  let daemon;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'teleportation-secrets-cmd-'));
+    files = [join(dir, 'credentials'), join(dir, 'devices')];
+    config = await import('../config/manager.js');
+    daemon = await import('../daemon/client.js');
+    config.loadConfig.mockResolvedValue({ secrets: { backend: 'file' } });
+    daemon.daemonRequest.mockResolvedValue({ status: 200, data: { ok: true, expires_at: Date.now() + 1000 } });
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    vi.clearAllMocks();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('should move credentials from the key file to a passphrase and delete the key file', async () => {
+    const keyPath = join(dir, '.key');
+    await new CredentialManager(files[0], undefined, new FileKeyBackend(keyPath)).save({ apiKey: 'secret-api-key' });
+
+    const prompt = vi.fn(async () => 'hunter22');
+    const migrated = await commandSecretsMigrate({ to: 'passphrase', files, prompt, keyPath, passphrasePath: join(dir, '.passphrase') });
+
+    expect(migrated).toEqual([files[0]]);
+    expect(config.setConfigValue).toHaveBeenCalledWith('secrets.backend', 'passphrase');
+    await expect(access(keyPath)).rejects.toThrow();
+    // The new key went to the daemon cache as it was created
+    expect(daemon.daemonRequest).toHaveBeenCalledWith('/secrets/key', expect.objectContaining({ method: 'PUT' }));
+
+    const reader = new PassphraseBackend({ path: join(dir, '.passphrase'), prompt: async () => 'hunter22' });
+    expect(await new CredentialManager(files[0], undefined, reader).load()).toEqual({ apiKey: 'secret-api-key' });
+  });
+
+  it('should refuse a migration to the current or an unknown backend', async () => {
+    await expect(commandSecretsMigrate({ to: 'file', files })).rejects.toThrow('Already using the file backend');
+    await expect(commandSecretsMigrate({ to: 'vault', files })).rejects.toThrow('--to must be one of');
+  });
+
+  it('should restore files when re-encryption fails halfway', async () => {
+    const from = new FileKeyBackend(join(dir, '.key'));
+    for (const path of files) {
+      await new CredentialManager(path, undefined, from).save({ path });
+    }
+    const before = await Promise.all(files.map(path => readFile(path, 'utf8')));
+
+    let calls = 0;
+    const broken = { getKey: async () => (calls++ < 2 ? Buffer.alloc(32, 1) : Buffer.alloc(3)) };
+    await expect(reencryptFiles(files, from, broken)).rejects.toThrow('nothing was changed');
+
+    expect(await Promise.all(files.map(path => readFile(path, 'utf8')))).toEqual(before);
+  });
+
+  it('should unlock by handing the passphrase key to the daemon', async () => {
+    config.loadConfig.mockResolvedValue({ secrets: { backend: 'passphrase', cacheMinutes: 30 } });
+    const { PassphraseBackend: Backend } = await import('../auth/secret-backends.js');
+    const getKey = vi.spyOn(Backend.prototype, 'getKey').mockResolvedValue(Buffer.alloc(32, 7));
+
+    expect(await commandSecretsUnlock()).toBe(true);
+    expect(daemon.daemonRequest).toHaveBeenCalledWith('/secrets/key', {
+      method: 'PUT',
+      body: { key: '07'.repeat(32), ttl_ms: 30 * 60 * 1000 }
+    });
+    getKey.mockRestore();
+
+    config.loadConfig.mockResolvedValue({ secrets: { backend: 'file' } });
+    expect(await commandSecretsUnlock()).toBe(false);
+  });
+});
@@ -11,8 +11,19 @@ import {
   getWorktreeInfo,
   pruneWorktrees,
   getCurrentSessionId,
-  isInWorktree
+  isInWorktree,
+  validateBranchName
 } from '../worktree/manager.js';
+import {
+  MERGE_STRATEGIES,
+  isCleanTree,
+  isMerged,
+  previewMerge,
+  mergeBranch,
+  resetTarget,
+  runTestCommand,
+  pushBranch
+} from '../worktree/merge.js';
 import {
   registerSession,
   unregisterSession,
@@ -20,6 +31,7 @@ import {
   getActiveSessionsInRepo
 } from '../session-registry/manager.js';
 import { createSnapshot, SnapshotType } from '../snapshot/manager.js';
+import { loadConfig } from '../config/manager.js';
 
 /**
  * Create a new worktree for a session
@@ -207,16 +219,40 @@ export async function commandWorktreeInfo(args) {
 }
 
 /**
- * Merge worktree back to main
+ * Merge a session worktree's branch into the target branch
+ *
+ * Checks that both worktrees are clean and runs a conflict preflight
+ * (git merge-tree) before touching anything. With a test command the merge
+ * is undone if the tests fail. Strategy and test command default to the
+ * `worktree` section of config.json.
  */
 export async function commandWorktreeMerge(args) {
-  const { sessionId, target = 'main', deleteAfter = false } = args;
+  const {
+    sessionId,
+    target = 'main',
+    deleteAfter = false,
+    strategy,
+    testCommand,
+    skipTests = false,
+    push = false,
+    remote = 'origin',
+    dryRun = false,
+    message
+  } = args;
 
   if (!sessionId) {
     throw new Error('Session ID is required (--session-id or -s)');
   }
 
   try {
+    const validTarget = validateBranchName(target);
+    const config = await loadConfig();
+    const mergeStrategy = strategy || config.worktree?.mergeStrategy || 'merge';
+    if (!MERGE_STRATEGIES.includes(mergeStrategy)) {
+      throw new Error(`Invalid strategy: "${mergeStrategy}". Valid strategies: ${MERGE_STRATEGIES.join(', ')}`);
+    }
+    const tests = skipTests ? null : (testCommand || config.worktree?.testCommand || null);
+
     const sessionWorktrees = await listSessionWorktrees();
     const worktree = sessionWorktrees.find(wt => wt.sessionId === sessionId);
 
@@ -224,27 +260,97 @@ export async function commandWorktreeMerge(args) {
       throw new Error(`No worktree found for session: ${sessionId}`);
     }
 
-    console.log(`Merging ${worktree.branch} into ${target}...`);
-    console.log('This will:');
-    console.log(`  1. Switch to ${target}`);
-    console.log(`  2. Pull latest changes`);
-    console.log(`  3. Merge ${worktree.branch}`);
-    console.log(`  4. Push to remote`);
+    const targetWorktree = listWorktrees().find(wt => wt.branch === validTarget);
+    if (!targetWorktree) {
+      throw new Error(`${validTarget} is not checked out in any worktree. Check it out (e.g. in the main repository) and try again.`);
+    }
+    const targetPath = targetWorktree.path;
 
-    if (deleteAfter) {
-      console.log(`  5. Delete worktree for ${sessionId}`);
+    if (!isCleanTree(targetPath)) {
+      throw new Error(`${validTarget} has uncommitted changes in ${targetPath}. Commit or stash them first.`);
+    }
+    if (!isCleanTree(worktree.path)) {
+      throw new Error(`Session worktree has uncommitted changes in ${worktree.path}. Commit them so they are merged.`);
     }
 
-    console.log('\nThis operation is not yet implemented.');
-    console.log('Please merge manually using git commands.');
+    if (isMerged(worktree.branch, validTarget, targetPath)) {
+      console.log(`${worktree.branch} is already merged into ${validTarget}.`);
+      if (deleteAfter && !dryRun) {
+        await deleteSessionWorktree(sessionId, worktree);
+      }
+      return { merged: false, upToDate: true };
+    }
+
+    console.log(`Checking ${worktree.branch} against ${validTarget} for conflicts...`);
+    const preview = previewMerge(validTarget, worktree.branch, targetPath);
+    if (!preview.clean) {
+      console.log(`\n✗ ${preview.conflicts.length} conflicting file(s):`);
+      preview.conflicts.forEach(file => console.log(`  - ${file}`));
+      console.log(`\nResolve them in the session worktree (e.g. merge ${validTarget} into ${worktree.branch}) and try again.`);
+      throw new Error(`Conflicts with ${validTarget}; nothing was changed`);
+    }
+    console.log('✓ No conflicts');
+
+    if (dryRun) {
+      console.log(`\nDry run: would ${mergeStrategy} ${worktree.branch} into ${validTarget}` +
+        `${tests ? `, run \`${tests}\`` : ''}${push ? `, push to ${remote}` : ''}${deleteAfter ? ' and delete the worktree' : ''}.`);
+      return { merged: false, conflicts: [] };
+    }
+
+    console.log(`Merging ${worktree.branch} into ${validTarget} (${mergeStrategy})...`);
+    const { previousHead, head } = mergeBranch({
+      branch: worktree.branch,
+      target: validTarget,
+      targetPath,
+      branchPath: worktree.path,
+      strategy: mergeStrategy,
+      message: message || `Merge session ${sessionId} (${worktree.branch})`
+    });
+    console.log(`✓ ${validTarget} is now at ${head.slice(0, 8)}`);
+
+    if (tests) {
+      console.log(`Running tests: ${tests}`);
+      try {
+        runTestCommand(tests, targetPath);
+      } catch (error) {
+        resetTarget(targetPath, previousHead);
+        throw new Error(`${error.message}. ${validTarget} was reset to ${previousHead.slice(0, 8)}`);
+      }
+      console.log('✓ Tests passed');
+    }
 
-    return false;
+    if (push) {
+      pushBranch(validTarget, remote, targetPath);
+      console.log(`✓ Pushed ${validTarget} to ${remote}`);
+    }
+
+    if (deleteAfter) {
+      await deleteSessionWorktree(sessionId, worktree);
+    }
+
+    console.log(`\nTo undo: git -C "${targetPath}" reset --hard ${previousHead.slice(0, 8)}`);
+    return { merged: true, strategy: mergeStrategy, previousHead, head };
   } catch (error) {
     console.error(`Failed to merge worktree: ${error.message}`);
     throw error;
   }
 }
 
+/**
+ * Remove a merged session's worktree and registry entry
+ */
+async function deleteSessionWorktree(sessionId, worktree) {
+  await removeWorktree(worktree.path);
+  console.log(`✓ Worktree removed (branch ${worktree.branch} kept)`);
+  try {
+    await unregisterSession(sessionId);
+    console.log('✓ Session unregistered');
+  } catch (error) {
+    // Worktrees created outside `worktree create` have no registry entry
+    console.log(`  Session not unregistered: ${error.message}`);
+  }
+}
+
 /**
  * Prune stale worktrees
  */
@@ -0,0 +1,115 @@
+/**
+ * Tests for Worktree Commands (merge flow against a real temporary repository)
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { execSync } from 'child_process';
+import { mkdtemp, mkdir, rm, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { commandWorktreeMerge } from './worktree-commands.js';
+
+vi.mock('../worktree/manager.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  listSessionWorktrees: vi.fn(),
+  listWorktrees: vi.fn(),
+  removeWorktree: vi.fn()
+}));
+
+vi.mock('../session-registry/manager.js', () => ({
+  registerSession: vi.fn(),
+  unregisterSession: vi.fn(),
+  getSession: vi.fn(),
+  getActiveSessionsInRepo: vi.fn()
+}));
+
+vi.mock('../config/manager.js', () => ({
+  loadConfig: vi.fn()
+}));
+
+const git = (command, cwd) => execSync(`git ${command}`, { cwd, encoding: 'utf8', stdio: 'pipe' }).trim();
+
+describe('Worktree Commands', () => {
+  let dir;
+  let repo;
+  let session;
+  let worktrees;
+  let registry;
+  let config;
+
+  async function commit(cwd, file, content, message) {
+    await writeFile(join(cwd, file), content);
+    git(`add ${file}`, cwd);
+    git(`commit -q -m "${message}"`, cwd);
+  }
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'teleportation-worktree-cmd-'));
+    repo = join(dir, 'repo');
+    session = join(dir, 'session');
+    await mkdir(repo);
+    git('init -q -b main', repo);
+    git('config user.name "Test"', repo);
+    git('config user.email "test@test.com"', repo);
+    await commit(repo, 'a.txt', 'one\n', 'initial');
+    git(`worktree add -q -b session/s1 "${session}"`, repo);
+
+    worktrees = await import('../worktree/manager.js');
+    registry = await import('../session-registry/manager.js');
+    config = await import('../config/manager.js');
+    worktrees.listSessionWorktrees.mockResolvedValue([{ sessionId: 's1', path: session, branch: 'session/s1' }]);
+    worktrees.listWorktrees.mockReturnValue([{ path: repo, branch: 'main' }, { path: session, branch: 'session/s1' }]);
+    config.loadConfig.mockResolvedValue({ worktree: { mergeStrategy: 'merge', testCommand: null } });
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    vi.clearAllMocks();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('should merge, then remove the worktree and registry entry', async () => {
+    await commit(session, 'b.txt', 'new\n', 'add b');
+
+    const result = await commandWorktreeMerge({ sessionId: 's1', deleteAfter: true, strategy: 'squash' });
+
+    expect(result).toMatchObject({ merged: true, strategy: 'squash' });
+    expect(git('log -1 --format=%s', repo)).toBe('Merge session s1 (session/s1)');
+    expect(worktrees.removeWorktree).toHaveBeenCalledWith(session);
+    expect(registry.unregisterSession).toHaveBeenCalledWith('s1');
+  });
+
+  it('should stop at the preflight when there are conflicts', async () => {
+    await commit(session, 'a.txt', 'session\n', 'session edit');
+    await commit(repo, 'a.txt', 'main\n', 'main edit');
+    const before = git('rev-parse main', repo);
+
+    await expect(commandWorktreeMerge({ sessionId: 's1', deleteAfter: true })).rejects.toThrow('nothing was changed');
+    expect(git('rev-parse main', repo)).toBe(before);
+    expect(console.log).toHaveBeenCalledWith('  - a.txt');
+    expect(worktrees.removeWorktree).not.toHaveBeenCalled();
+  });
+
+  it('should undo the merge when the configured tests fail', async () => {
+    await commit(session, 'b.txt', 'new\n', 'add b');
+    config.loadConfig.mockResolvedValue({ worktree: { testCommand: 'test ! -f b.txt' } });
+    const before = git('rev-parse main', repo);
+
+    await expect(commandWorktreeMerge({ sessionId: 's1' })).rejects.toThrow(`main was reset to ${before.slice(0, 8)}`);
+    expect(git('rev-parse main', repo)).toBe(before);
+    expect(isMergedInto(repo)).toBe(false);
+  });
+
+  it('should refuse a target with uncommitted changes', async () => {
+    await commit(session, 'b.txt', 'new\n', 'add b');
+    await writeFile(join(repo, 'a.txt'), 'dirty\n');
+
+    await expect(commandWorktreeMerge({ sessionId: 's1' })).rejects.toThrow('main has uncommitted changes');
+  });
+
+  function isMergedInto(cwd) {
+    return git('branch --merged main', cwd).includes('session/s1');
+  }
+});
@@ -5,8 +5,16 @@
  */
 
 import { readFile, writeFile, mkdir, stat } from 'fs/promises';
-import { join, dirname } from 'path';
+import { join, dirname, isAbsolute } from 'path';
 import { homedir } from 'os';
+import { DEFAULT_ALLOWED_COMMANDS, validateCommandsConfig } from '../daemon/allowlist.js';
+import { DEFAULT_APPROVALS_CONFIG, validateApprovalsConfig } from '../daemon/approval-timeouts.js';
+import { DEFAULT_CONCURRENCY } from '../daemon/worker-pool.js';
+import { DEFAULT_POLL_INTERVAL_MS, DEFAULT_HEARTBEAT_INTERVAL_MS } from '../daemon/settings.js';
+import { DEFAULT_REDACTION_CONFIG, validateRedactionConfig } from '../daemon/redaction.js';
+import { DEFAULT_SECRETS_CONFIG, validateSecretsConfig } from '../auth/secret-backends.js';
+import { DEFAULT_WORKTREE_CONFIG, validateWorktreeConfig } from '../worktree/merge.js';
+import { DEFAULT_PROFILE, resolveActiveProfile, validateProfileName } from '../auth/profiles.js';
 
 const DEFAULT_CONFIG_PATH = join(homedir(), '.teleportation', 'config.json');
 
@@ -34,7 +42,41 @@ const DEFAULT_CONFIG = {
   notifications: {
     enabled: true,
     sound: false
-  }
+  },
+  daemon: {
+    maxConcurrency: DEFAULT_CONCURRENCY, // Approvals executing at once (one per session at a time)
+    socketPath: null, // Listen on this Unix socket instead of 127.0.0.1:3050
+    pollIntervalMs: DEFAULT_POLL_INTERVAL_MS, // Relay polling while the event stream is down (applied live)
+    heartbeatIntervalMs: DEFAULT_HEARTBEAT_INTERVAL_MS // Per-session heartbeats to the relay (applied live)
+  },
+  commands: {
+    allow: [...DEFAULT_ALLOWED_COMMANDS], // Commands the daemon may run directly
+    deny: [], // Always wins over allow, e.g. "git push --force"
+    repos: {} // Per-repository overrides: { "<path>": { allow: [], deny: [] } }
+  },
+  approvals: {
+    timeoutMinutes: DEFAULT_APPROVALS_CONFIG.timeoutMinutes, // Undecided handoffs expire after this (0 = never)
+    defaultAction: DEFAULT_APPROVALS_CONFIG.defaultAction, // On timeout; only policy safeTools below high risk are allowed
+    reminderAt: DEFAULT_APPROVALS_CONFIG.reminderAt, // Remind at this fraction of the timeout (0 = no reminder)
+    tools: {}, // Per-tool overrides: { "Bash": { timeoutMinutes: 10, action: "deny" } }
+    sessions: {} // Per-session overrides: { "<session_id>": { timeoutMinutes: 60 } }
+  },
+  redaction: {
+    enabled: DEFAULT_REDACTION_CONFIG.enabled, // Mask secrets in output sent to the relay
+    entropy: DEFAULT_REDACTION_CONFIG.entropy, // Also mask high-entropy values in KEY=VALUE lines
+    patterns: [] // Extra regexes: "corp_[a-z0-9]{32}" or { name, pattern, flags }
+  },
+  secrets: {
+    backend: DEFAULT_SECRETS_CONFIG.backend, // Where the credentials key lives: 'file', 'passphrase' or 'command'
+    cacheMinutes: DEFAULT_SECRETS_CONFIG.cacheMinutes, // Daemon keeps a passphrase-derived key this long
+    command: { get: null, set: null } // e.g. "secret-tool lookup service teleportation" / "secret-tool store ..."
+  },
+  worktree: {
+    autoIsolate: DEFAULT_WORKTREE_CONFIG.autoIsolate, // Daemon creates a worktree per registered session
+    mergeStrategy: DEFAULT_WORKTREE_CONFIG.mergeStrategy, // `worktree merge` default: 'merge', 'squash' or 'rebase'
+    testCommand: DEFAULT_WORKTREE_CONFIG.testCommand // Run after merging, e.g. "npm test"; the merge is undone if it fails
+  },
+  profiles: {} // Overrides while a credential profile is active: { "staging": { "relay": { "url": "..." } } }
 };
 
 /**
@@ -73,6 +115,65 @@ function validateConfig(config) {
     }
   }
 
+  // Validate daemon worker pool size
+  if (config.daemon?.maxConcurrency !== undefined) {
+    const value = config.daemon.maxConcurrency;
+    if (!Number.isInteger(value) || value < 1 || value > 64) {
+      errors.push('daemon.maxConcurrency must be an integer between 1 and 64');
+    }
+  }
+  for (const field of ['pollIntervalMs', 'heartbeatIntervalMs']) {
+    const value = config.daemon?.[field];
+    if (value !== undefined && (!Number.isInteger(value) || value < 1000)) {
+      errors.push(`daemon.${field} must be an integer >= 1000`);
+    }
+  }
+  if (config.daemon?.socketPath !== undefined && config.daemon.socketPath !== null) {
+    if (typeof config.daemon.socketPath !== 'string' || !isAbsolute(config.daemon.socketPath)) {
+      errors.push('daemon.socketPath must be an absolute path');
+    }
+  }
+
+  // Validate command allowlist
+  errors.push(...validateCommandsConfig(config.commands));
+
+  // Validate approval timeouts
+  errors.push(...validateApprovalsConfig(config.approvals));
+
+  // Validate output redaction
+  errors.push(...validateRedactionConfig(config.redaction));
+
+  // Validate secret backend
+  errors.push(...validateSecretsConfig(config.secrets));
+
+  // Validate worktree settings
+  errors.push(...validateWorktreeConfig(config.worktree));
+
+  // Validate profile overrides (the active one is validated merged into the rest)
+  if (config.profiles !== undefined) {
+    if (!isObject(config.profiles)) {
+      errors.push('profiles must be an object of { "<profile>": { ...overrides } }');
+    } else {
+      for (const [name, overrides] of Object.entries(config.profiles)) {
+        try {
+          validateProfileName(name);
+        } catch (error) {
+          errors.push(`profiles: ${error.message}`);
+        }
+        if (!isObject(overrides)) {
+          errors.push(`profiles.${name} must be an object`);
+        } else {
+          // One secret backend protects every profile's credentials
+          for (const section of ['profiles', 'secrets']) {
+            if (overrides[section] !== undefined) {
+              errors.push(`profiles.${name} cannot contain ${section}`);
+            }
+          }
+        }
+      }
+    }
+  }
+
   // Validate boolean values
   const booleanFields = [
     'hooks.autoUpdate',
@@ -120,16 +221,28 @@ function autoFixConfig(config) {
   return fixed;
 }
 
+/**
+ * Merge a credential profile's overrides (`profiles.<name>`) over the rest of
+ * the config. The default profile has none.
+ */
+function applyProfileOverrides(config, profile) {
+  const overrides = profile && profile !== DEFAULT_PROFILE ? config.profiles?.[profile] : null;
+  return isObject(overrides) ? autoFixConfig(deepMerge(config, overrides)) : config;
+}
+
 /**
  * Load configuration from JSON file with validation
+ * @param {Object} [options]
+ * @param {string|null} [options.profile] - Merge this profile's overrides (default:
+ *   the active profile; null for the file as written)
  */
-async function loadConfig() {
+async function loadConfig({ profile = resolveActiveProfile() } = {}) {
   try {
     const content = await readFile(DEFAULT_CONFIG_PATH, 'utf8');
     const config = JSON.parse(content);
     
-    // Auto-fix common issues
-    const fixedConfig = autoFixConfig(config);
+    // Auto-fix common issues, then apply the profile's overrides
+    const fixedConfig = applyProfileOverrides(autoFixConfig(config), profile);
     
     // Validate configuration
     const { errors, warnings } = validateConfig(fixedConfig);
@@ -235,7 +348,8 @@ async function setConfigValue(path, value) {
     throw new Error('Invalid config path format: only alphanumeric characters, dots, underscores, and hyphens allowed');
   }
   
-  const config = await loadConfig();
+  // Edit the file as written, not merged with the active profile
+  const config = await loadConfig({ profile: null });
   const parts = path.split('.');
   const lastPart = parts.pop();
   let current = config;
@@ -301,6 +415,7 @@ export {
   setConfigValue,
   configExists,
   validateConfigFile,
+  applyProfileOverrides,
   DEFAULT_CONFIG_PATH
 };
 
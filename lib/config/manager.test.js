@@ -12,6 +12,7 @@ import {
   getConfigValue,
   setConfigValue,
   configExists,
+  applyProfileOverrides,
   DEFAULT_CONFIG_PATH
 } from './manager.js';
 
@@ -111,6 +112,27 @@ describe('config manager', () => {
     });
   });
   
+  describe('applyProfileOverrides', () => {
+    const config = {
+      relay: { url: 'https://api.teleportation.dev', timeout: 30000 },
+      daemon: { pollIntervalMs: 5000 },
+      profiles: { staging: { relay: { url: 'https://relay.staging.test/' }, daemon: { pollIntervalMs: 2000 } } }
+    };
+
+    it('should merge the active profile over the rest of the config', () => {
+      expect(applyProfileOverrides(config, 'staging')).toMatchObject({
+        relay: { url: 'https://relay.staging.test', timeout: 30000 },
+        daemon: { pollIntervalMs: 2000 }
+      });
+    });
+
+    it('should leave the config alone for the default or an unconfigured profile', () => {
+      expect(applyProfileOverrides(config, 'default')).toBe(config);
+      expect(applyProfileOverrides(config, 'prod')).toBe(config);
+      expect(applyProfileOverrides(config, null)).toBe(config);
+    });
+  });
+
   describe('configExists', () => {
     it('should return false if config does not exist', async () => {
       const exists = await configExists();
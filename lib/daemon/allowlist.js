@@ -0,0 +1,305 @@
+/**
+ * Command allowlist for daemon inbox execution
+ *
+ * Commands sent from the phone are only run directly as shell commands when
+ * they match the allowlist; everything else is handed to the Claude agent.
+ * The rules come from the `commands` section of ~/.teleportation/config.json:
+ *
+ *   "commands": {
+ *     "allow": ["git log", "git status", "pytest", "go test"],
+ *     "deny":  ["git push --force"],
+ *     "repos": {
+ *       "~/code/api": { "allow": ["cargo"], "deny": [] }
+ *     }
+ *   }
+ *
+ * Commands and rules are split into argv with shell quoting rules
+ * (lib/utils/shell-words.js), so matching is done on real arguments.
+ *
+ * Rule syntax (argument-level matching):
+ * - Plain words must match the leading arguments of the command, in order
+ *   ("git log" matches "git log --oneline" but not "git push")
+ * - `*` matches exactly one argument ("go * ./..." matches "go test ./...")
+ * - Flags (words starting with "-") must appear anywhere in the command
+ *   ("git push --force" matches "git push origin main --force=true",
+ *   "git push -f" matches "git push -fu origin")
+ * - Deny rules also see git commands without their global options
+ *   ("git -C . push --force" matches "git push --force"), and a `+refspec`
+ *   push counts as `--force`
+ *
+ * A global `allow` list replaces the built-in defaults. Repo entries apply when
+ * the session cwd is the repo path or inside it, and extend the global lists.
+ * Deny rules always win over allow rules and are not handed to the agent
+ * either. Commands that need a shell (operators, substitution, expansion)
+ * are rejected regardless of configuration.
+ */
+
+import { resolve, sep } from 'path';
+import { expandHome } from '../utils/glob.js';
+import { tokenize } from '../utils/shell-words.js';
+
+const DEFAULT_ALLOWED_COMMANDS = [
+  'git',        // Git operations
+  'npm',        // NPM package management
+  'npx',        // NPX execution
+  'node',       // Node.js execution
+  'ls',         // List files (ls, ls -la, etc.)
+  'cat',        // View file contents
+  'head',       // View file head
+  'tail',       // View file tail
+  'grep',       // Search in files
+  'find',       // Find files
+  'pwd',        // Print working directory
+  'echo',       // Echo output
+  'mkdir',      // Create directories
+  'touch',      // Create files
+  'cp',         // Copy files
+  'mv',         // Move files
+  // 'rm' omitted - too dangerous for remote execution (could allow rm -rf /)
+  // 'chmod' omitted - add an argument-level rule (e.g. "chmod +x *") to allow it
+  'wc',         // Word count
+  'sort',       // Sort output
+  'uniq',       // Unique lines
+  'cut',        // Cut columns
+  'diff',       // Compare files
+  'which',      // Find executables
+  'env',        // Show environment
+  'date',       // Show date
+  'whoami',     // Show current user
+  'hostname',   // Show hostname
+];
+
+/**
+ * SECURITY: Parse a command into argv with shell quoting rules
+ * Anything that needs a shell (operators, substitution, expansion, globs) is
+ * rejected, so quoted metacharacters like `git commit -m "a & b"` are fine.
+ * @param {string} command - The command to sanitize
+ * @returns {{ safe: boolean, argv?: string[], reason?: string }}
+ */
+function sanitizeCommand(command) {
+  try {
+    return { safe: true, argv: tokenize(command) };
+  } catch (error) {
+    return { safe: false, reason: error.message };
+  }
+}
+
+/**
+ * Parse a rule string into positional words and required flags
+ * @param {string} rule - e.g. "git push --force"
+ * @returns {{ rule: string, words: string[], flags: string[] }}
+ */
+function parseRule(rule) {
+  const words = [];
+  const flags = [];
+  for (const token of tokenize(rule, { allowGlobs: true })) {
+    if (token.startsWith('-') && token !== '-') {
+      flags.push(token);
+    } else {
+      words.push(token);
+    }
+  }
+  return { rule, words, flags };
+}
+
+/**
+ * Validate a list of rule strings, returning a list of problems
+ * @param {*} rules - Value from config
+ * @param {string} field - Config path for error messages
+ */
+function validateCommandRules(rules, field) {
+  if (rules === undefined) return [];
+  if (!Array.isArray(rules)) {
+    return [`${field} must be an array of command patterns`];
+  }
+
+  const errors = [];
+  rules.forEach((rule, index) => {
+    if (typeof rule !== 'string' || rule.trim().length === 0) {
+      errors.push(`${field}[${index}] must be a non-empty string`);
+      return;
+    }
+    let parsed;
+    try {
+      parsed = parseRule(rule);
+    } catch (error) {
+      errors.push(`${field}[${index}] is not a valid command pattern (${error.message}): ${rule}`);
+      return;
+    }
+    if (parsed.words.length === 0) {
+      errors.push(`${field}[${index}] must start with a command name: ${rule}`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Validate the `commands` config section
+ * @param {Object} commands - config.commands
+ * @returns {string[]} Validation errors
+ */
+function validateCommandsConfig(commands) {
+  if (commands === undefined) return [];
+  if (!commands || typeof commands !== 'object' || Array.isArray(commands)) {
+    return ['commands must be an object'];
+  }
+
+  const errors = [
+    ...validateCommandRules(commands.allow, 'commands.allow'),
+    ...validateCommandRules(commands.deny, 'commands.deny')
+  ];
+
+  if (commands.repos !== undefined) {
+    if (!commands.repos || typeof commands.repos !== 'object' || Array.isArray(commands.repos)) {
+      errors.push('commands.repos must be an object keyed by repository path');
+    } else {
+      for (const [repoPath, override] of Object.entries(commands.repos)) {
+        if (!override || typeof override !== 'object' || Array.isArray(override)) {
+          errors.push(`commands.repos["${repoPath}"] must be an object with allow/deny lists`);
+          continue;
+        }
+        errors.push(...validateCommandRules(override.allow, `commands.repos["${repoPath}"].allow`));
+        errors.push(...validateCommandRules(override.deny, `commands.repos["${repoPath}"].deny`));
+      }
+    }
+  }
+
+  return errors;
+}
+
+function isWithin(dir, parent) {
+  return dir === parent || dir.startsWith(parent.endsWith(sep) ? parent : parent + sep);
+}
+
+/**
+ * Build the effective allowlist for a working directory
+ * @param {Object} [commands] - config.commands (defaults used when absent)
+ * @param {string} [cwd] - Session working directory
+ * @returns {{ allow: Object[], deny: Object[], repos: string[] }}
+ */
+function resolveAllowlist(commands = {}, cwd) {
+  const allow = (commands?.allow || DEFAULT_ALLOWED_COMMANDS).map(rule => ({ ...parseRule(rule), source: 'global' }));
+  const deny = (commands?.deny || []).map(rule => ({ ...parseRule(rule), source: 'global' }));
+  const repos = [];
+
+  if (cwd && commands?.repos) {
+    const dir = resolve(cwd);
+    for (const [repoPath, override] of Object.entries(commands.repos)) {
+      if (!isWithin(dir, resolve(expandHome(repoPath)))) continue;
+      repos.push(repoPath);
+      for (const rule of override.allow || []) {
+        allow.push({ ...parseRule(rule), source: repoPath });
+      }
+      for (const rule of override.deny || []) {
+        deny.push({ ...parseRule(rule), source: repoPath });
+      }
+    }
+  }
+
+  return { allow, deny, repos };
+}
+
+/**
+ * Check whether a rule flag appears in argv. Long flags also match their
+ * `--flag=value` form; single-letter short flags also match inside a cluster
+ * (`-f` matches `-fd`) so deny rules can't be dodged by combining flags.
+ */
+function hasFlag(args, flag) {
+  return args.some(arg => {
+    if (arg === flag) return true;
+    if (flag.startsWith('--')) return arg.startsWith(flag + '=');
+    if (flag.length === 2 && /^-[A-Za-z0-9]+$/.test(arg)) return arg.includes(flag[1]);
+    return false;
+  });
+}
+
+// git options that come before the subcommand and take a separate value
+const GIT_OPTIONS_WITH_VALUE = new Set(['-C', '-c', '--git-dir', '--work-tree', '--namespace', '--config-env']);
+
+/**
+ * argv as deny rules see it: git's global options are dropped so the
+ * subcommand lines up with the rule's words, and pushing a `+refspec` is
+ * spelled out as the force push it is.
+ */
+function denyArgv(argv) {
+  if (argv[0] !== 'git') return argv;
+
+  let i = 1;
+  while (i < argv.length && argv[i].startsWith('-')) {
+    i += GIT_OPTIONS_WITH_VALUE.has(argv[i]) ? 2 : 1;
+  }
+  const normalized = ['git', ...argv.slice(i)];
+  if (normalized[1] === 'push' && normalized.slice(2).some(arg => arg.startsWith('+'))) {
+    normalized.push('--force', '-f');
+  }
+  return normalized;
+}
+
+/**
+ * Check whether a parsed rule matches argv
+ */
+function ruleMatches(parsed, argv) {
+  if (parsed.words.length > argv.length) return false;
+
+  for (let i = 0; i < parsed.words.length; i++) {
+    if (parsed.words[i] !== '*' && parsed.words[i] !== argv[i]) {
+      return false;
+    }
+  }
+
+  const args = argv.slice(1);
+  return parsed.flags.every(flag => hasFlag(args, flag));
+}
+
+/**
+ * Check a command against an allowlist
+ * @param {string} command - Command text
+ * @param {Object} allowlist - Result of resolveAllowlist()
+ * @returns {{ allowed: boolean, denied?: boolean, reason?: string, rule?: Object, argv?: string[] }}
+ */
+function checkCommand(command, allowlist) {
+  if (!command || typeof command !== 'string') {
+    return { allowed: false, reason: 'Command must be a non-empty string' };
+  }
+
+  const trimmed = command.trim();
+  if (trimmed.length === 0) {
+    return { allowed: false, reason: 'Command cannot be empty' };
+  }
+
+  const sanitizeResult = sanitizeCommand(trimmed);
+  if (!sanitizeResult.safe) {
+    return { allowed: false, reason: sanitizeResult.reason };
+  }
+
+  const argv = sanitizeResult.argv;
+  if (argv.length === 0) {
+    return { allowed: false, reason: 'Command cannot be empty' };
+  }
+
+  const normalized = denyArgv(argv);
+  const denied = allowlist.deny.find(rule => ruleMatches(rule, argv) || ruleMatches(rule, normalized));
+  if (denied) {
+    return { allowed: false, denied: true, reason: `Command matches deny rule '${denied.rule}' (${denied.source})`, rule: denied };
+  }
+
+  const allowed = allowlist.allow.find(rule => ruleMatches(rule, argv));
+  if (allowed) {
+    return { allowed: true, rule: allowed, argv };
+  }
+
+  const names = allowlist.allow.map(rule => rule.words[0]).filter((v, i, a) => a.indexOf(v) === i);
+  return {
+    allowed: false,
+    reason: `Command '${argv[0]}' is not in the allowed whitelist. Allowed: ${names.join(', ')}`
+  };
+}
+
+export {
+  DEFAULT_ALLOWED_COMMANDS,
+  sanitizeCommand,
+  parseRule,
+  validateCommandsConfig,
+  resolveAllowlist,
+  checkCommand
+};
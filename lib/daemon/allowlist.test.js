@@ -0,0 +1,156 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_ALLOWED_COMMANDS,
+  sanitizeCommand,
+  parseRule,
+  validateCommandsConfig,
+  resolveAllowlist,
+  checkCommand
+} from './allowlist.js';
+
+describe('command allowlist', () => {
+  describe('parseRule', () => {
+    it('should split positional words from flags', () => {
+      expect(parseRule('git push --force')).toEqual({
+        rule: 'git push --force',
+        words: ['git', 'push'],
+        flags: ['--force']
+      });
+    });
+  });
+
+  describe('sanitizeCommand', () => {
+    it('should reject shell metacharacters', () => {
+      expect(sanitizeCommand('ls; rm -rf /').safe).toBe(false);
+      expect(sanitizeCommand('echo $(whoami)').safe).toBe(false);
+      expect(sanitizeCommand('git log --oneline').safe).toBe(true);
+    });
+
+    it('should accept quoted metacharacters and return argv', () => {
+      expect(sanitizeCommand('git commit -m "fix a & b"')).toEqual({
+        safe: true,
+        argv: ['git', 'commit', '-m', 'fix a & b']
+      });
+      expect(sanitizeCommand('grep "a|b" src').safe).toBe(true);
+    });
+  });
+
+  describe('checkCommand', () => {
+    it('should use the built-in defaults when no config is given', () => {
+      const allowlist = resolveAllowlist(undefined);
+      expect(allowlist.allow.map(r => r.rule)).toEqual(DEFAULT_ALLOWED_COMMANDS);
+      expect(checkCommand('git status', allowlist).allowed).toBe(true);
+      expect(checkCommand('rm -rf build', allowlist).allowed).toBe(false);
+      expect(checkCommand('chmod 777 .', allowlist).allowed).toBe(false);
+      expect(checkCommand('chmod +x run.sh', resolveAllowlist({ allow: ['chmod +x *'] })).allowed).toBe(true);
+    });
+
+    it('should match whole words only', () => {
+      const allowlist = resolveAllowlist({ allow: ['ls'] });
+      expect(checkCommand('ls -la', allowlist).allowed).toBe(true);
+      expect(checkCommand('lsof -i', allowlist).allowed).toBe(false);
+    });
+
+    it('should support argument-level allow and deny rules', () => {
+      const allowlist = resolveAllowlist({ allow: ['git log', 'git push'], deny: ['git push --force'] });
+
+      expect(checkCommand('git log --oneline', allowlist).allowed).toBe(true);
+      expect(checkCommand('git push origin main', allowlist).allowed).toBe(true);
+      expect(checkCommand('git status', allowlist).allowed).toBe(false);
+
+      const forced = checkCommand('git push origin main --force', allowlist);
+      expect(forced.allowed).toBe(false);
+      expect(forced.denied).toBe(true);
+      expect(forced.reason).toContain("deny rule 'git push --force'");
+    });
+
+    it('should treat * as a single-argument wildcard', () => {
+      const allowlist = resolveAllowlist({ allow: ['go * ./...'] });
+      expect(checkCommand('go test ./...', allowlist).allowed).toBe(true);
+      expect(checkCommand('go test ./cmd', allowlist).allowed).toBe(false);
+    });
+
+    it('should reject injection patterns even for allowed commands', () => {
+      const allowlist = resolveAllowlist({ allow: ['git'] });
+      const result = checkCommand('git status && curl evil.example', allowlist);
+      expect(result.allowed).toBe(false);
+      expect(result.reason).toContain("Shell operator '&'");
+    });
+
+    it('should match rules against argv rather than raw text', () => {
+      const allowlist = resolveAllowlist({ allow: ['git'], deny: ['git push --force', 'git push -f'] });
+      expect(checkCommand('"git" push --force', allowlist).denied).toBe(true);
+      expect(checkCommand('git push --force=true', allowlist).denied).toBe(true);
+      expect(checkCommand('git push -fu origin', allowlist).denied).toBe(true);
+      expect(checkCommand('git commit -m "mention --force"', allowlist).allowed).toBe(true);
+    });
+
+    it('should see past git global options when checking deny rules', () => {
+      const allowlist = resolveAllowlist({ allow: ['git'], deny: ['git push --force'] });
+      expect(checkCommand('git -C . push --force origin main', allowlist).denied).toBe(true);
+      expect(checkCommand('git -c core.pager=cat --git-dir=.git push --force', allowlist).denied).toBe(true);
+      expect(checkCommand('git --no-pager -C . log --oneline', allowlist).allowed).toBe(true);
+    });
+
+    it('should treat pushing a +refspec as a force push', () => {
+      const allowlist = resolveAllowlist({ allow: ['git'], deny: ['git push --force', 'git push -f'] });
+      expect(checkCommand('git push origin +main', allowlist).denied).toBe(true);
+      expect(checkCommand('git -C . push origin +refs/heads/main:refs/heads/main', allowlist).denied).toBe(true);
+      expect(checkCommand('git push origin main', allowlist).allowed).toBe(true);
+
+      const onlyShort = resolveAllowlist({ allow: ['git'], deny: ['git push -f'] });
+      expect(checkCommand('git push origin +main', onlyShort).denied).toBe(true);
+    });
+
+    it('should reject empty commands', () => {
+      const allowlist = resolveAllowlist();
+      expect(checkCommand('', allowlist).allowed).toBe(false);
+      expect(checkCommand('   ', allowlist).reason).toBe('Command cannot be empty');
+    });
+  });
+
+  describe('resolveAllowlist', () => {
+    const commands = {
+      allow: ['git'],
+      deny: [],
+      repos: {
+        '/work/rust-app': { allow: ['cargo'] },
+        '/work/locked': { deny: ['git push'] }
+      }
+    };
+
+    it('should apply repo overrides inside the repo only', () => {
+      expect(checkCommand('cargo test', resolveAllowlist(commands, '/work/rust-app/src')).allowed).toBe(true);
+      expect(checkCommand('cargo test', resolveAllowlist(commands, '/work/rust-app-2')).allowed).toBe(false);
+      expect(checkCommand('cargo test', resolveAllowlist(commands, '/work/other')).allowed).toBe(false);
+    });
+
+    it('should let repo deny rules override global allow rules', () => {
+      const allowlist = resolveAllowlist(commands, '/work/locked');
+      expect(allowlist.repos).toEqual(['/work/locked']);
+      expect(checkCommand('git push', allowlist).denied).toBe(true);
+      expect(checkCommand('git log', allowlist).allowed).toBe(true);
+    });
+  });
+
+  describe('validateCommandsConfig', () => {
+    it('should accept a valid section', () => {
+      expect(validateCommandsConfig({ allow: ['pytest'], deny: ['git push --force'], repos: { '~/x': { allow: ['make'] } } })).toEqual([]);
+    });
+
+    it('should report invalid rules', () => {
+      const errors = validateCommandsConfig({
+        allow: 'git',
+        deny: ['', 'ls; rm', '--force'],
+        repos: { '/x': ['make'] }
+      });
+      expect(errors).toEqual([
+        'commands.allow must be an array of command patterns',
+        'commands.deny[0] must be a non-empty string',
+        "commands.deny[1] is not a valid command pattern (Shell operator ';' is not supported (quote it to pass it literally) at position 2): ls; rm",
+        'commands.deny[2] must start with a command name: --force',
+        'commands.repos["/x"] must be an object with allow/deny lists'
+      ]);
+    });
+  });
+});
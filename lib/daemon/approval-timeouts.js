@@ -0,0 +1,123 @@
+/**
+ * Approval Timeouts
+ * Resolves how long an approval handed to the daemon may wait for a human
+ * decision, when to send a reminder, and what happens when time runs out.
+ *
+ * Config (`approvals` in config.json):
+ *   {
+ *     "timeoutMinutes": 30,      // 0 = wait forever
+ *     "defaultAction": "deny",   // on timeout (the only configurable action)
+ *     "reminderAt": 0.5,         // remind at this fraction of the timeout (0 = never)
+ *     "tools":    { "Bash": { "timeoutMinutes": 10 } },
+ *     "sessions": { "<session_id>": { "timeoutMinutes": 60, "action": "deny" } }
+ *   }
+ *
+ * Session overrides beat tool overrides, which beat the defaults. Nothing in
+ * config can auto-allow: only tools the approval policy lists in `safeTools`
+ * are allowed on timeout, and only when the request scored below high risk
+ * and no override sets `"action": "deny"`.
+ */
+
+import { RISK_LEVELS, riskAtLeast } from '../policy/risk.js';
+
+const DEFAULT_APPROVALS_CONFIG = {
+  timeoutMinutes: 30,
+  defaultAction: 'deny',
+  reminderAt: 0.5,
+  tools: {},
+  sessions: {}
+};
+
+// 'allow' is never configurable, see resolveApprovalDeadline()
+const ACTIONS = ['deny'];
+const MAX_TIMEOUT_MINUTES = 7 * 24 * 60;
+
+function validateOverride(override, label) {
+  const errors = [];
+  if (!override || typeof override !== 'object' || Array.isArray(override)) {
+    return [`${label} must be an object`];
+  }
+  if (override.timeoutMinutes !== undefined) {
+    const value = override.timeoutMinutes;
+    if (typeof value !== 'number' || value < 0 || value > MAX_TIMEOUT_MINUTES) {
+      errors.push(`${label}.timeoutMinutes must be a number between 0 and ${MAX_TIMEOUT_MINUTES}`);
+    }
+  }
+  if (override.action !== undefined && !ACTIONS.includes(override.action)) {
+    errors.push(`${label}.action must be "deny" (only policy safeTools are allowed on timeout)`);
+  }
+  return errors;
+}
+
+/**
+ * Validate config.approvals
+ * @returns {string[]} Problems (empty when valid)
+ */
+function validateApprovalsConfig(approvals) {
+  if (approvals === undefined) return [];
+  if (!approvals || typeof approvals !== 'object' || Array.isArray(approvals)) {
+    return ['approvals must be an object'];
+  }
+
+  const errors = validateOverride({ timeoutMinutes: approvals.timeoutMinutes }, 'approvals');
+  if (approvals.defaultAction !== undefined && !ACTIONS.includes(approvals.defaultAction)) {
+    errors.push('approvals.defaultAction must be "deny" (only policy safeTools are allowed on timeout)');
+  }
+  if (approvals.reminderAt !== undefined) {
+    if (typeof approvals.reminderAt !== 'number' || approvals.reminderAt < 0 || approvals.reminderAt >= 1) {
+      errors.push('approvals.reminderAt must be a fraction from 0 (no reminder) to below 1');
+    }
+  }
+
+  for (const key of ['tools', 'sessions']) {
+    const overrides = approvals[key];
+    if (overrides === undefined) continue;
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+      errors.push(`approvals.${key} must be an object`);
+      continue;
+    }
+    for (const [name, override] of Object.entries(overrides)) {
+      errors.push(...validateOverride(override, `approvals.${key}["${name}"]`));
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Work out an approval's deadline
+ * @param {Object} [approvals] - config.approvals (defaults used for missing fields)
+ * @param {Object} request
+ * @param {string} request.session_id
+ * @param {string} request.tool_name
+ * @param {boolean} [request.safe] - Policy marks the tool safe (auto-allow on timeout)
+ * @param {string} [request.risk] - Risk level; a safe tool is only allowed below 'high'
+ *   (unknown counts as high)
+ * @param {number} [request.now]
+ * @returns {{ expires_at: number, remind_at: number|null, timeout_action: 'deny'|'allow' } | null}
+ *   null when the approval should wait indefinitely
+ */
+function resolveApprovalDeadline(approvals = {}, { session_id, tool_name, safe = false, risk = 'high', now = Date.now() }) {
+  const config = { ...DEFAULT_APPROVALS_CONFIG, ...(approvals || {}) };
+  const toolOverride = config.tools?.[tool_name] || {};
+  const sessionOverride = config.sessions?.[session_id] || {};
+
+  const minutes = sessionOverride.timeoutMinutes ?? toolOverride.timeoutMinutes ?? config.timeoutMinutes;
+  if (!minutes) return null;
+
+  const override = sessionOverride.action ?? toolOverride.action;
+  const lowRisk = RISK_LEVELS.includes(risk) && !riskAtLeast(risk, 'high');
+  const action = safe && lowRisk && override !== 'deny' ? 'allow' : 'deny';
+  const timeoutMs = minutes * 60 * 1000;
+  return {
+    expires_at: now + timeoutMs,
+    remind_at: config.reminderAt > 0 ? now + Math.round(timeoutMs * config.reminderAt) : null,
+    timeout_action: action
+  };
+}
+
+export {
+  DEFAULT_APPROVALS_CONFIG,
+  validateApprovalsConfig,
+  resolveApprovalDeadline
+};
@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest';
+import { resolveApprovalDeadline, validateApprovalsConfig, DEFAULT_APPROVALS_CONFIG } from './approval-timeouts.js';
+
+const MINUTE = 60_000;
+
+describe('approval timeouts', () => {
+  describe('resolveApprovalDeadline', () => {
+    it('should use the defaults: deny after 30 minutes, remind halfway', () => {
+      expect(resolveApprovalDeadline(undefined, { session_id: 's1', tool_name: 'Bash', now: 0 })).toEqual({
+        expires_at: 30 * MINUTE,
+        remind_at: 15 * MINUTE,
+        timeout_action: 'deny'
+      });
+    });
+
+    it('should allow only low and medium risk safe tools on timeout, unless overridden to deny', () => {
+      const approvals = { tools: { Write: { action: 'deny' } } };
+      const deadline = (request) => resolveApprovalDeadline(approvals, { session_id: 's1', now: 0, ...request }).timeout_action;
+
+      expect(deadline({ tool_name: 'Read', safe: true, risk: 'medium' })).toBe('allow');
+      expect(deadline({ tool_name: 'Write', safe: true, risk: 'low' })).toBe('deny');
+      expect(deadline({ tool_name: 'Read', safe: true, risk: 'high' })).toBe('deny');
+      expect(deadline({ tool_name: 'Read', safe: true })).toBe('deny');
+      expect(deadline({ tool_name: 'Bash', risk: 'low' })).toBe('deny');
+    });
+
+    it('should never allow on timeout because of config', () => {
+      const approvals = {
+        defaultAction: 'allow',
+        tools: { Bash: { action: 'allow' } },
+        sessions: { s1: { action: 'allow' } }
+      };
+      expect(resolveApprovalDeadline(approvals, { session_id: 's1', tool_name: 'Bash', risk: 'low', now: 0 }).timeout_action).toBe('deny');
+    });
+
+    it('should prefer session overrides over tool overrides', () => {
+      const approvals = {
+        reminderAt: 0,
+        tools: { Bash: { timeoutMinutes: 5 }, Read: { action: 'deny' } },
+        sessions: { s2: { timeoutMinutes: 60 } }
+      };
+      expect(resolveApprovalDeadline(approvals, { session_id: 's1', tool_name: 'Bash', now: 0 })).toEqual({
+        expires_at: 5 * MINUTE,
+        remind_at: null,
+        timeout_action: 'deny'
+      });
+      expect(resolveApprovalDeadline(approvals, { session_id: 's2', tool_name: 'Bash', now: 0 })).toMatchObject({
+        expires_at: 60 * MINUTE,
+        timeout_action: 'deny'
+      });
+    });
+
+    it('should wait forever when the timeout is 0', () => {
+      expect(resolveApprovalDeadline({ timeoutMinutes: 0 }, { session_id: 's1', tool_name: 'Bash' })).toBeNull();
+      expect(resolveApprovalDeadline({ sessions: { s1: { timeoutMinutes: 0 } } }, { session_id: 's1', tool_name: 'Bash' })).toBeNull();
+    });
+  });
+
+  describe('validateApprovalsConfig', () => {
+    it('should accept the defaults and a missing section', () => {
+      expect(validateApprovalsConfig(DEFAULT_APPROVALS_CONFIG)).toEqual([]);
+      expect(validateApprovalsConfig(undefined)).toEqual([]);
+    });
+
+    it('should report bad values with their path', () => {
+      expect(validateApprovalsConfig({
+        timeoutMinutes: -1,
+        defaultAction: 'allow',
+        reminderAt: 1,
+        tools: { Bash: { action: 'allow' } },
+        sessions: []
+      })).toEqual([
+        'approvals.timeoutMinutes must be a number between 0 and 10080',
+        'approvals.defaultAction must be "deny" (only policy safeTools are allowed on timeout)',
+        'approvals.reminderAt must be a fraction from 0 (no reminder) to below 1',
+        'approvals.tools["Bash"].action must be "deny" (only policy safeTools are allowed on timeout)',
+        'approvals.sessions must be an object'
+      ]);
+    });
+  });
+});
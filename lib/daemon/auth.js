@@ -0,0 +1,76 @@
+import { promises as fs } from 'fs';
+import { join, dirname } from 'path';
+import { homedir } from 'os';
+import { randomBytes, timingSafeEqual } from 'crypto';
+
+/**
+ * Daemon Auth Token
+ * Per-install bearer token for the daemon's local HTTP API, stored next to
+ * daemon.pid. Hooks and CLI commands read it and send
+ * `Authorization: Bearer <token>`; only the user who owns the file (0600)
+ * can talk to the daemon, and web pages open in a browser can't.
+ */
+
+const TELEPORTATION_DIR = join(homedir(), '.teleportation');
+const TOKEN_FILE = join(TELEPORTATION_DIR, 'daemon.token');
+
+/**
+ * Read the daemon token
+ * @param {string} [tokenFile]
+ * @returns {Promise<string|null>} Token or null if it hasn't been created yet
+ */
+export async function readDaemonToken(tokenFile = TOKEN_FILE) {
+  try {
+    const token = (await fs.readFile(tokenFile, 'utf-8')).trim();
+    return token.length > 0 ? token : null;
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return null;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Load the daemon token, creating it on first run
+ * Also tightens permissions on an existing file.
+ * @param {string} [tokenFile]
+ * @returns {Promise<string>}
+ */
+export async function loadOrCreateDaemonToken(tokenFile = TOKEN_FILE) {
+  const existing = await readDaemonToken(tokenFile);
+  if (existing) {
+    await fs.chmod(tokenFile, 0o600);
+    return existing;
+  }
+
+  await fs.mkdir(dirname(tokenFile), { recursive: true, mode: 0o700 });
+  const token = randomBytes(32).toString('hex');
+  try {
+    // 'wx' fails if another process created the file first
+    await fs.writeFile(tokenFile, token + '\n', { mode: 0o600, flag: 'wx' });
+    return token;
+  } catch (err) {
+    if (err.code === 'EEXIST') {
+      return readDaemonToken(tokenFile);
+    }
+    throw err;
+  }
+}
+
+/**
+ * Check an Authorization header against the token (constant time)
+ * @param {string|undefined} header - Authorization header value
+ * @param {string|null} token - Expected token
+ * @returns {boolean}
+ */
+export function isAuthorized(header, token) {
+  if (!token || typeof header !== 'string' || !header.startsWith('Bearer ')) {
+    return false;
+  }
+  const presented = Buffer.from(header.slice('Bearer '.length).trim());
+  const expected = Buffer.from(token);
+  return presented.length === expected.length && timingSafeEqual(presented, expected);
+}
+
+export { TOKEN_FILE };
@@ -0,0 +1,55 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, rm, stat, writeFile, readFile } from 'fs/promises';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { readDaemonToken, loadOrCreateDaemonToken, isAuthorized } from './auth.js';
+
+describe('Daemon auth token', () => {
+  let tmpDir;
+  let tokenFile;
+
+  beforeEach(async () => {
+    tmpDir = await mkdtemp(join(tmpdir(), 'teleportation-token-'));
+    tokenFile = join(tmpDir, 'daemon.token');
+  });
+
+  afterEach(async () => {
+    await rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should return null before the token exists', async () => {
+    expect(await readDaemonToken(tokenFile)).toBeNull();
+  });
+
+  it('should create a random token readable only by the owner', async () => {
+    const token = await loadOrCreateDaemonToken(tokenFile);
+    expect(token).toMatch(/^[0-9a-f]{64}$/);
+    expect((await stat(tokenFile)).mode & 0o777).toBe(0o600);
+    expect(await readDaemonToken(tokenFile)).toBe(token);
+  });
+
+  it('should reuse an existing token and tighten its permissions', async () => {
+    await writeFile(tokenFile, 'existing-token\n', { mode: 0o644 });
+    expect(await loadOrCreateDaemonToken(tokenFile)).toBe('existing-token');
+    expect((await stat(tokenFile)).mode & 0o777).toBe(0o600);
+    expect(await readFile(tokenFile, 'utf8')).toBe('existing-token\n');
+  });
+
+  describe('isAuthorized', () => {
+    it('should accept the matching bearer token', () => {
+      expect(isAuthorized('Bearer abc123', 'abc123')).toBe(true);
+    });
+
+    it('should reject missing, malformed or wrong tokens', () => {
+      expect(isAuthorized(undefined, 'abc123')).toBe(false);
+      expect(isAuthorized('abc123', 'abc123')).toBe(false);
+      expect(isAuthorized('Bearer abc124', 'abc123')).toBe(false);
+      expect(isAuthorized('Bearer abc1234', 'abc123')).toBe(false);
+    });
+
+    it('should reject everything when no token is loaded', () => {
+      expect(isAuthorized('Bearer ', null)).toBe(false);
+      expect(isAuthorized('Bearer anything', null)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,256 @@
+/**
+ * Daemon Client
+ * Calls the local daemon HTTP API on behalf of hooks and CLI commands.
+ * Connects over the Unix socket when one is configured
+ * (TELEPORTATION_DAEMON_SOCKET or daemon.socketPath in config.json),
+ * otherwise 127.0.0.1:TELEPORTATION_DAEMON_PORT, and sends the per-install
+ * token from ~/.teleportation/daemon.token.
+ */
+
+import http from 'http';
+import { readDaemonToken } from './auth.js';
+import { loadConfig } from '../config/manager.js';
+import { parseSSE } from './relay-stream.js';
+
+const DEFAULT_PORT = 3050;
+const DEFAULT_TIMEOUT_MS = 5000;
+
+/**
+ * Work out where the daemon listens
+ * @returns {Promise<{ socketPath: string } | { host: string, port: number }>}
+ */
+export async function resolveDaemonEndpoint() {
+  let socketPath = process.env.TELEPORTATION_DAEMON_SOCKET || null;
+  if (!socketPath) {
+    try {
+      socketPath = (await loadConfig()).daemon?.socketPath || null;
+    } catch {
+      // Unreadable config - the daemon won't start with it either, so use the defaults
+    }
+  }
+  if (socketPath) {
+    return { socketPath };
+  }
+  return { host: '127.0.0.1', port: parseInt(process.env.TELEPORTATION_DAEMON_PORT || String(DEFAULT_PORT), 10) };
+}
+
+/**
+ * Describe an endpoint for messages ("http://127.0.0.1:3050" or "unix:/path")
+ */
+export function formatDaemonEndpoint(endpoint) {
+  return endpoint.socketPath ? `unix:${endpoint.socketPath}` : `http://${endpoint.host}:${endpoint.port}`;
+}
+
+/**
+ * Send a request to the daemon
+ * @param {string} path - e.g. '/sessions/register'
+ * @param {Object} [options]
+ * @param {string} [options.method='GET']
+ * @param {Object} [options.body] - JSON body
+ * @param {number} [options.timeoutMs]
+ * @param {Object} [options.endpoint] - Override resolveDaemonEndpoint()
+ * @param {string} [options.token] - Override the token file
+ * @returns {Promise<{ status: number, data: * }>}
+ * @throws {Error} When the daemon can't be reached
+ */
+export async function daemonRequest(path, { method = 'GET', body, timeoutMs = DEFAULT_TIMEOUT_MS, endpoint, token } = {}) {
+  const target = endpoint || await resolveDaemonEndpoint();
+  const authToken = token !== undefined ? token : await readDaemonToken();
+  const payload = body === undefined ? null : JSON.stringify(body);
+
+  const headers = {};
+  if (authToken) headers['Authorization'] = `Bearer ${authToken}`;
+  if (payload !== null) {
+    headers['Content-Type'] = 'application/json';
+    headers['Content-Length'] = Buffer.byteLength(payload);
+  }
+
+  return new Promise((resolve, reject) => {
+    const req = http.request({ ...target, path, method, headers, timeout: timeoutMs }, (res) => {
+      let raw = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { raw += chunk; });
+      res.on('end', () => {
+        let data = raw;
+        try {
+          data = raw ? JSON.parse(raw) : null;
+        } catch {
+          // Leave non-JSON bodies as text
+        }
+        resolve({ status: res.statusCode, data });
+      });
+    });
+
+    req.on('timeout', () => {
+      req.destroy(new Error(`Daemon request timed out after ${timeoutMs}ms`));
+    });
+    req.on('error', (error) => {
+      if (error.code === 'ECONNREFUSED' || error.code === 'ENOENT') {
+        reject(new Error(`Daemon is not running (${formatDaemonEndpoint(target)})`));
+      } else {
+        reject(error);
+      }
+    });
+
+    req.end(payload);
+  });
+}
+
+/**
+ * daemonRequest() that throws on non-2xx responses
+ */
+async function daemonCall(path, options) {
+  const { status, data } = await daemonRequest(path, options);
+  if (status === 401) {
+    throw new Error('Daemon rejected the auth token. Restart it with: teleportation daemon restart');
+  }
+  if (status < 200 || status >= 300) {
+    const error = new Error(data?.error || `Daemon request ${path} failed: ${status}`);
+    error.status = status;
+    throw error;
+  }
+  return data;
+}
+
+/**
+ * Register a Claude session with the daemon
+ * @param {Object} session
+ * @param {Object} [options] - daemonRequest() options (endpoint, token, timeoutMs)
+ * @returns {Promise<{ ok: boolean, cwd: string, worktree: Object|null }>} `cwd` is the
+ *   session's worktree when worktree.autoIsolate is on
+ */
+export function registerSession({ session_id, claude_session_id, cwd, meta } = {}, options = {}) {
+  return daemonCall('/sessions/register', { ...options, method: 'POST', body: { session_id, claude_session_id, cwd, meta } });
+}
+
+/**
+ * Tell the daemon a session ended. Its worktree (worktree.autoIsolate) is
+ * removed when there's nothing to merge, otherwise kept with a merge command.
+ * @returns {Promise<{ ok: boolean, worktree: Object|null }>}
+ */
+export function endSession(session_id, options = {}) {
+  return daemonCall('/sessions/end', { ...options, method: 'POST', body: { session_id } });
+}
+
+/**
+ * Sessions registered with the daemon
+ * @returns {Promise<Array<{ session_id: string, cwd: string, meta: Object, registered_at: number }>>}
+ */
+export async function listDaemonSessions(options = {}) {
+  const data = await daemonCall('/sessions', options);
+  return data?.sessions || [];
+}
+
+/**
+ * Hand an approval to the daemon for execution while the user is away
+ */
+export function handoffApproval({ approval_id, session_id, tool_name, tool_input } = {}, options = {}) {
+  return daemonCall('/approvals/handoff', { ...options, method: 'POST', body: { approval_id, session_id, tool_name, tool_input } });
+}
+
+/**
+ * Switch the daemon to a new relay API key (after `teleportation auth rotate`)
+ */
+export function setRelayApiKey(api_key, options = {}) {
+  return daemonCall('/relay/api-key', { ...options, method: 'PUT', body: { api_key } });
+}
+
+/**
+ * Make the daemon re-read credentials and config.json
+ * @returns {Promise<{ ok: boolean, changes: string[] }>}
+ */
+export function reloadDaemonSettings(options = {}) {
+  return daemonCall('/settings/reload', { ...options, method: 'POST' });
+}
+
+/**
+ * Health report (full details when the token is accepted)
+ */
+export function getDaemonHealth(options = {}) {
+  return daemonCall('/health', options);
+}
+
+/**
+ * Follow an execution's output until it ends (GET /executions/:id/stream)
+ * @param {string} approval_id
+ * @param {Object} handlers
+ * @param {Function} handlers.onChunk - Called with { seq, stream, data }
+ * @param {number} [handlers.since=0] - Skip chunks up to this sequence number
+ * @param {Object} [options] - daemonRequest() options (endpoint, token)
+ * @returns {Promise<Object>} End summary { status, exit_code, error }
+ */
+export async function followExecution(approval_id, { onChunk, since = 0 } = {}, { endpoint, token } = {}) {
+  const target = endpoint || await resolveDaemonEndpoint();
+  const authToken = token !== undefined ? token : await readDaemonToken();
+  const path = `/executions/${encodeURIComponent(approval_id)}/stream?since=${since}`;
+
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      ...target,
+      path,
+      method: 'GET',
+      headers: {
+        'Accept': 'text/event-stream',
+        ...(authToken ? { 'Authorization': `Bearer ${authToken}` } : {})
+      }
+    }, (res) => {
+      res.setEncoding('utf8');
+
+      if (res.statusCode !== 200) {
+        let raw = '';
+        res.on('data', chunk => { raw += chunk; });
+        res.on('end', () => {
+          let message = `Daemon request ${path} failed: ${res.statusCode}`;
+          try {
+            message = JSON.parse(raw).error || message;
+          } catch {
+            // Keep the status message
+          }
+          if (res.statusCode === 401) {
+            message = 'Daemon rejected the auth token. Restart it with: teleportation daemon restart';
+          }
+          const error = new Error(message);
+          error.status = res.statusCode;
+          reject(error);
+        });
+        return;
+      }
+
+      let buffer = '';
+      let summary = null;
+      res.on('data', (text) => {
+        const { events, rest } = parseSSE(buffer + text);
+        buffer = rest;
+        for (const event of events) {
+          const data = JSON.parse(event.data);
+          if (event.event === 'output' && onChunk) onChunk(data);
+          if (event.event === 'end') summary = data;
+        }
+      });
+      res.on('end', () => {
+        if (summary) {
+          resolve(summary);
+        } else {
+          reject(new Error('Daemon closed the output stream before the execution ended'));
+        }
+      });
+    });
+
+    req.on('error', (error) => {
+      if (error.code === 'ECONNREFUSED' || error.code === 'ENOENT') {
+        reject(new Error(`Daemon is not running (${formatDaemonEndpoint(target)})`));
+      } else {
+        reject(error);
+      }
+    });
+    req.end();
+  });
+}
+
+/**
+ * Cancel a queued or running execution (POST /executions/:id/cancel)
+ * @returns {Promise<{ ok: boolean, status: string }>} status 'cancelled' or 'cancelling'
+ */
+export function cancelExecution(approval_id, options = {}) {
+  return daemonCall(`/executions/${encodeURIComponent(approval_id)}/cancel`, { ...options, method: 'POST' });
+}
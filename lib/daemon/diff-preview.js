@@ -0,0 +1,118 @@
+/**
+ * Diff Previews
+ * Turns a Write, Edit or MultiEdit tool_input into a unified diff against the
+ * file as it is now in the session cwd, so a file change can be judged from
+ * the phone or `teleportation approve` instead of from raw old/new strings.
+ *
+ * Previews are best-effort and never throw: a path outside the session, an
+ * edit that wouldn't apply, or a binary or oversized file yields a preview
+ * with `error` set and an empty diff.
+ */
+
+import { readFile, stat, realpath } from 'fs/promises';
+import { relative } from 'path';
+import { resolveSessionPath, applyEdit } from './file-tools.js';
+import { unifiedDiff } from '../utils/diff.js';
+
+export const DIFF_TOOLS = ['Write', 'Edit', 'MultiEdit'];
+// Characters of diff text attached to an approval
+export const DIFF_PREVIEW_LIMIT = 16 * 1024;
+// Files larger than this aren't read for a preview
+const MAX_PREVIEW_FILE_BYTES = 1024 * 1024;
+
+/**
+ * Whether a tool gets a diff preview
+ */
+export function isDiffTool(tool_name) {
+  return DIFF_TOOLS.includes(tool_name);
+}
+
+async function readCurrent(target) {
+  try {
+    if ((await stat(target)).size > MAX_PREVIEW_FILE_BYTES) {
+      throw new Error(`File is larger than ${MAX_PREVIEW_FILE_BYTES / 1024}KB, no preview`);
+    }
+    return await readFile(target, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+function proposedContents(tool_name, tool_input, original, file_path) {
+  if (tool_name === 'Write') {
+    if (typeof tool_input.content !== 'string') throw new Error('content must be a string');
+    return tool_input.content;
+  }
+  if (original === null) {
+    throw new Error(`File not found: ${file_path}`);
+  }
+  const edits = tool_name === 'MultiEdit' ? tool_input.edits : [tool_input];
+  if (!Array.isArray(edits) || edits.length === 0) throw new Error('edits must be a non-empty array');
+  return edits.reduce((text, edit) => applyEdit(text, edit, file_path).updated, original);
+}
+
+/**
+ * Keep whole lines up to the limit and say how much was cut
+ */
+function truncateDiff(diff, limit) {
+  if (diff.length <= limit) return { diff, truncated: false };
+  const cut = diff.lastIndexOf('\n', limit);
+  const kept = diff.slice(0, cut + 1);
+  const hidden = diff.slice(cut + 1).split('\n').filter(Boolean).length;
+  return { diff: `${kept}… diff truncated (${hidden} more line${hidden === 1 ? '' : 's'})\n`, truncated: true };
+}
+
+/**
+ * Build the diff preview for a file tool call
+ * @param {string} tool_name
+ * @param {Object} tool_input
+ * @param {Object} options
+ * @param {string} options.cwd - Session working directory
+ * @param {number} [options.limit] - Max diff characters
+ * @returns {Promise<Object|null>} null for tools without previews, otherwise
+ *   { path, new_file, diff, truncated, stats: { files, added, removed }, error }
+ */
+export async function buildDiffPreview(tool_name, tool_input, { cwd, limit = DIFF_PREVIEW_LIMIT } = {}) {
+  if (!isDiffTool(tool_name) || !cwd) return null;
+
+  const file_path = tool_input?.file_path;
+  const preview = { path: file_path || null, new_file: false, diff: '', truncated: false, stats: { files: 0, added: 0, removed: 0 }, error: null };
+  try {
+    const target = await resolveSessionPath(cwd, file_path);
+    preview.path = relative(await realpath(cwd), target);
+
+    const original = await readCurrent(target);
+    if (original !== null && original.includes('\0')) {
+      throw new Error('Binary file, no preview');
+    }
+    preview.new_file = original === null;
+
+    const updated = proposedContents(tool_name, tool_input, original, file_path);
+    const { diff, added, removed } = unifiedDiff(original || '', updated, {
+      oldPath: preview.new_file ? null : preview.path,
+      newPath: preview.path
+    });
+    Object.assign(preview, truncateDiff(diff, limit));
+    preview.stats = { files: diff ? 1 : 0, added, removed };
+  } catch (error) {
+    preview.error = error.message;
+  }
+  return preview;
+}
+
+/**
+ * Preview as display lines: a stats line, then the diff without its file
+ * headers (or the reason there is no diff). Callers add colour by prefix.
+ */
+export function formatDiffPreview(preview) {
+  if (!preview) return [];
+  if (preview.error) return [`${preview.path || 'file'}: ${preview.error}`];
+
+  const { files, added, removed } = preview.stats;
+  const label = preview.new_file ? `${preview.path} (new file)` : preview.path;
+  if (files === 0) return [`${label}: no changes`];
+
+  const lines = preview.diff.split('\n').filter(line => line && !line.startsWith('--- ') && !line.startsWith('+++ '));
+  return [`${label}  +${added} -${removed}`, ...lines];
+}
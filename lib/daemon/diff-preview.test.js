@@ -0,0 +1,68 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, rm, writeFile, mkdir } from 'fs/promises';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { buildDiffPreview, formatDiffPreview } from './diff-preview.js';
+
+describe('diff previews', () => {
+  let tmpDir;
+  let cwd;
+
+  beforeEach(async () => {
+    tmpDir = await mkdtemp(join(tmpdir(), 'teleportation-diff-preview-'));
+    cwd = join(tmpDir, 'project');
+    await mkdir(cwd);
+    await writeFile(join(cwd, 'a.js'), 'const a = 1;\nconst b = 2;\n');
+  });
+
+  afterEach(async () => {
+    await rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should diff an Edit against the current file', async () => {
+    const preview = await buildDiffPreview('Edit', { file_path: 'a.js', old_string: 'a = 1', new_string: 'a = 10' }, { cwd });
+    expect(preview).toMatchObject({ path: 'a.js', new_file: false, truncated: false, error: null, stats: { files: 1, added: 1, removed: 1 } });
+    expect(preview.diff).toContain('-const a = 1;\n+const a = 10;\n');
+    expect(formatDiffPreview(preview)).toEqual(['a.js  +1 -1', '@@ -1,2 +1,2 @@', '-const a = 1;', '+const a = 10;', ' const b = 2;']);
+  });
+
+  it('should apply MultiEdit edits in order and summarise them', async () => {
+    const preview = await buildDiffPreview('MultiEdit', {
+      file_path: join(cwd, 'a.js'),
+      edits: [
+        { old_string: 'const a', new_string: 'let a' },
+        { old_string: 'let a = 1;', new_string: 'let a = 1;\nlet c = 3;' }
+      ]
+    }, { cwd });
+    expect(preview.stats).toEqual({ files: 1, added: 2, removed: 1 });
+  });
+
+  it('should show a Write to a new file against /dev/null', async () => {
+    const preview = await buildDiffPreview('Write', { file_path: 'src/new.js', content: 'hello\n' }, { cwd });
+    expect(preview).toMatchObject({ path: join('src', 'new.js'), new_file: true });
+    expect(preview.diff.startsWith('--- /dev/null\n')).toBe(true);
+    expect(formatDiffPreview(preview)[0]).toBe(`${join('src', 'new.js')} (new file)  +1 -0`);
+  });
+
+  it('should truncate long diffs on a line boundary', async () => {
+    const content = Array.from({ length: 500 }, (_, i) => `line ${i}`).join('\n');
+    const preview = await buildDiffPreview('Write', { file_path: 'big.txt', content }, { cwd, limit: 200 });
+    expect(preview.truncated).toBe(true);
+    expect(preview.diff).toMatch(/\n… diff truncated \(\d+ more lines\)\n$/);
+    expect(preview.stats.added).toBe(500);
+  });
+
+  it('should report problems instead of throwing', async () => {
+    expect((await buildDiffPreview('Edit', { file_path: '../outside.js', old_string: 'a', new_string: 'b' }, { cwd })).error)
+      .toMatch(/escapes the session directory/);
+    expect((await buildDiffPreview('Edit', { file_path: 'a.js', old_string: 'nope', new_string: 'b' }, { cwd })).error)
+      .toBe('old_string not found in a.js');
+    await writeFile(join(cwd, 'bin.dat'), Buffer.from([0, 1, 2]));
+    expect((await buildDiffPreview('Write', { file_path: 'bin.dat', content: 'x' }, { cwd })).error).toBe('Binary file, no preview');
+  });
+
+  it('should skip tools that do not change files', async () => {
+    expect(await buildDiffPreview('Bash', { command: 'ls' }, { cwd })).toBeNull();
+    expect(await buildDiffPreview('Edit', { file_path: 'a.js' }, {})).toBeNull();
+  });
+});
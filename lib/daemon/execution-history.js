@@ -0,0 +1,309 @@
+/**
+ * Execution History
+ * Permanent local record of everything the daemon ran: approvals handed off
+ * from sessions and commands sent to the inbox. The in-memory executions map
+ * only keeps the last hour; this is what `teleportation executions list`,
+ * `show`, `search` and `export` read.
+ *
+ * Layout (~/.teleportation/daemon/history/, dir 0700, files 0600):
+ *   segment-000001.jsonl  append-only records, one JSON object per line
+ *   index.json            per-segment summary (count, time range, sessions)
+ *                         plus id -> segment, so lookups and filtered
+ *                         listings only open the segments they need
+ *
+ * A segment is closed once it passes segmentMaxBytes; the oldest segments
+ * are deleted beyond maxSegments. If index.json is missing or doesn't match
+ * the segment sizes on disk (crash between append and index write), it is
+ * rebuilt by scanning the segments.
+ */
+
+import {
+  mkdirSync,
+  readFileSync,
+  writeFileSync,
+  appendFileSync,
+  renameSync,
+  existsSync,
+  readdirSync,
+  statSync,
+  unlinkSync
+} from 'fs';
+import { join } from 'path';
+import { DEFAULT_STATE_DIR } from './state-store.js';
+
+const HISTORY_SUBDIR = 'history';
+const INDEX_FILE = 'index.json';
+const INDEX_VERSION = 1;
+const SEGMENT_PATTERN = /^segment-(\d{6})\.jsonl$/;
+
+const DEFAULT_SEGMENT_MAX_BYTES = 4 * 1024 * 1024;
+const DEFAULT_MAX_SEGMENTS = 25;
+// Per-stream output kept in history (the relay gets the full 10KB result)
+const OUTPUT_LIMIT = 4 * 1024;
+
+const DEFAULT_HISTORY_DIR = join(DEFAULT_STATE_DIR, HISTORY_SUBDIR);
+
+/**
+ * History directory for a daemon state dir (honours TELEPORTATION_DAEMON_STATE_DIR)
+ */
+export function resolveHistoryDir(env = process.env) {
+  return env.TELEPORTATION_DAEMON_STATE_DIR
+    ? join(env.TELEPORTATION_DAEMON_STATE_DIR, HISTORY_SUBDIR)
+    : DEFAULT_HISTORY_DIR;
+}
+
+function truncate(text) {
+  if (!text) return '';
+  return text.length > OUTPUT_LIMIT ? `${text.slice(0, OUTPUT_LIMIT)}\n[truncated ${text.length - OUTPUT_LIMIT} chars]` : text;
+}
+
+function segmentName(number) {
+  return `segment-${String(number).padStart(6, '0')}.jsonl`;
+}
+
+function emptyIndex() {
+  return { version: INDEX_VERSION, segments: [], ids: {} };
+}
+
+/**
+ * Does a record match list filters?
+ * @param {Object} record
+ * @param {Object} filters - { session_id, status, tool_name, since, until } (since/until in ms)
+ */
+export function matchesFilters(record, { session_id, status, tool_name, since, until } = {}) {
+  if (session_id && record.session_id !== session_id) return false;
+  if (status && record.status !== status) return false;
+  if (tool_name && record.tool_name !== tool_name) return false;
+  if (since && record.completed_at < since) return false;
+  if (until && record.completed_at > until) return false;
+  return true;
+}
+
+export class ExecutionHistory {
+  /**
+   * @param {string} [dir] - History directory
+   * @param {Object} [options]
+   * @param {number} [options.segmentMaxBytes] - Start a new segment past this size
+   * @param {number} [options.maxSegments] - Delete the oldest segments beyond this many
+   */
+  constructor(dir = DEFAULT_HISTORY_DIR, { segmentMaxBytes = DEFAULT_SEGMENT_MAX_BYTES, maxSegments = DEFAULT_MAX_SEGMENTS } = {}) {
+    this.dir = dir;
+    this.indexPath = join(dir, INDEX_FILE);
+    this.segmentMaxBytes = segmentMaxBytes;
+    this.maxSegments = maxSegments;
+    this.index = null;
+  }
+
+  ensureDir() {
+    mkdirSync(this.dir, { recursive: true, mode: 0o700 });
+  }
+
+  segmentFiles() {
+    if (!existsSync(this.dir)) return [];
+    return readdirSync(this.dir).filter(name => SEGMENT_PATTERN.test(name)).sort();
+  }
+
+  /**
+   * Load index.json, rebuilding it when it's missing or out of date
+   */
+  loadIndex() {
+    if (this.index) return this.index;
+
+    let index = null;
+    if (existsSync(this.indexPath)) {
+      try {
+        index = JSON.parse(readFileSync(this.indexPath, 'utf8'));
+      } catch (error) {
+        console.error(`[history] Rebuilding unreadable index ${this.indexPath}: ${error.message}`);
+      }
+    }
+
+    const files = this.segmentFiles();
+    const stale = !index || index.version !== INDEX_VERSION ||
+      index.segments.length !== files.length ||
+      index.segments.some((segment, i) => segment.file !== files[i] || segment.bytes !== statSync(join(this.dir, files[i])).size);
+
+    this.index = stale ? this.rebuildIndex(files) : index;
+    return this.index;
+  }
+
+  rebuildIndex(files = this.segmentFiles()) {
+    const index = emptyIndex();
+    for (const file of files) {
+      const segment = { file, count: 0, bytes: statSync(join(this.dir, file)).size, first_at: null, last_at: null, sessions: [] };
+      for (const record of this.readSegment(file)) {
+        this.addToSegment(segment, record);
+        index.ids[record.id] = file;
+      }
+      index.segments.push(segment);
+    }
+    if (files.length > 0) this.writeIndex(index);
+    return index;
+  }
+
+  writeIndex(index) {
+    this.ensureDir();
+    const tmpPath = `${this.indexPath}.${process.pid}.tmp`;
+    writeFileSync(tmpPath, JSON.stringify(index), { mode: 0o600 });
+    renameSync(tmpPath, this.indexPath);
+  }
+
+  addToSegment(segment, record) {
+    segment.count++;
+    segment.first_at = segment.first_at === null ? record.completed_at : Math.min(segment.first_at, record.completed_at);
+    segment.last_at = segment.last_at === null ? record.completed_at : Math.max(segment.last_at, record.completed_at);
+    if (record.session_id && !segment.sessions.includes(record.session_id)) {
+      segment.sessions.push(record.session_id);
+    }
+  }
+
+  /**
+   * Records in one segment, oldest first (torn or corrupt lines are skipped)
+   */
+  readSegment(file) {
+    const path = join(this.dir, file);
+    if (!existsSync(path)) return [];
+    const records = [];
+    for (const line of readFileSync(path, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        records.push(JSON.parse(line));
+      } catch {
+        // Torn final line from a crash mid-write
+      }
+    }
+    return records;
+  }
+
+  /**
+   * Append a finished execution
+   * @param {Object} entry
+   * @param {string} entry.id - Approval id, or the inbox message id for remote commands
+   * @param {string} [entry.source='approval'] - 'approval' or 'inbox'
+   * @param {string} entry.session_id
+   * @param {string} entry.tool_name
+   * @param {string} [entry.command]
+   * @param {string} entry.status - completed, failed, cancelled, interrupted...
+   * @param {string} [entry.execution_type] - shell, agent or file
+   * @param {number|null} [entry.exit_code]
+   * @param {number|null} [entry.duration_ms]
+   * @param {string} [entry.stdout]
+   * @param {string} [entry.stderr]
+   * @param {string|null} [entry.error]
+   * @returns {Object} The stored record
+   */
+  record(entry) {
+    const index = this.loadIndex();
+    const record = {
+      id: entry.id,
+      source: entry.source || 'approval',
+      session_id: entry.session_id || null,
+      tool_name: entry.tool_name || null,
+      command: entry.command || '',
+      status: entry.status,
+      execution_type: entry.execution_type || null,
+      exit_code: entry.exit_code ?? null,
+      duration_ms: entry.duration_ms ?? null,
+      started_at: entry.started_at ?? null,
+      completed_at: entry.completed_at || Date.now(),
+      stdout: truncate(entry.stdout),
+      stderr: truncate(entry.stderr),
+      error: entry.error || null
+    };
+
+    let segment = index.segments.at(-1);
+    if (!segment || segment.bytes >= this.segmentMaxBytes) {
+      const last = segment ? parseInt(segment.file.match(SEGMENT_PATTERN)[1], 10) : 0;
+      segment = { file: segmentName(last + 1), count: 0, bytes: 0, first_at: null, last_at: null, sessions: [] };
+      index.segments.push(segment);
+    }
+
+    const line = JSON.stringify(record) + '\n';
+    this.ensureDir();
+    appendFileSync(join(this.dir, segment.file), line, { mode: 0o600 });
+    segment.bytes += Buffer.byteLength(line);
+    this.addToSegment(segment, record);
+    index.ids[record.id] = segment.file;
+
+    this.prune(index);
+    this.writeIndex(index);
+    return record;
+  }
+
+  /**
+   * Delete the oldest segments beyond maxSegments
+   */
+  prune(index) {
+    while (index.segments.length > this.maxSegments) {
+      const { file } = index.segments.shift();
+      try {
+        unlinkSync(join(this.dir, file));
+      } catch {
+        // Already gone
+      }
+      for (const [id, segmentFile] of Object.entries(index.ids)) {
+        if (segmentFile === file) delete index.ids[id];
+      }
+    }
+  }
+
+  /**
+   * Walk records newest first, skipping segments the filters rule out
+   */
+  *newestFirst(filters = {}) {
+    const { segments } = this.loadIndex();
+    for (const segment of [...segments].reverse()) {
+      if (filters.session_id && !segment.sessions.includes(filters.session_id)) continue;
+      if (filters.since && segment.last_at < filters.since) continue;
+      if (filters.until && segment.first_at > filters.until) continue;
+      const records = this.readSegment(segment.file);
+      for (let i = records.length - 1; i >= 0; i--) {
+        if (matchesFilters(records[i], filters)) yield records[i];
+      }
+    }
+  }
+
+  /**
+   * Most recent executions matching the filters
+   * @param {Object} [filters] - { session_id, status, tool_name, since, until, limit }
+   * @returns {Object[]} Newest first
+   */
+  list({ limit = 50, ...filters } = {}) {
+    const results = [];
+    for (const record of this.newestFirst(filters)) {
+      results.push(record);
+      if (limit && results.length >= limit) break;
+    }
+    return results;
+  }
+
+  /**
+   * Latest record for an id (approval or inbox message id)
+   */
+  get(id) {
+    const file = this.loadIndex().ids[id];
+    if (!file) return null;
+    const matches = this.readSegment(file).filter(record => record.id === id);
+    return matches.at(-1) || null;
+  }
+
+  /**
+   * Case-insensitive substring search over command, output and error
+   * @param {string} query
+   * @param {Object} [filters] - Same as list()
+   */
+  search(query, { limit = 50, ...filters } = {}) {
+    const needle = query.toLowerCase();
+    const results = [];
+    for (const record of this.newestFirst(filters)) {
+      const haystack = [record.id, record.command, record.stdout, record.stderr, record.error].join('\n').toLowerCase();
+      if (haystack.includes(needle)) {
+        results.push(record);
+        if (limit && results.length >= limit) break;
+      }
+    }
+    return results;
+  }
+}
+
+export { DEFAULT_HISTORY_DIR, OUTPUT_LIMIT };
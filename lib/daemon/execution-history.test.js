@@ -0,0 +1,111 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, rm, readdir, readFile, writeFile, appendFile } from 'fs/promises';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { ExecutionHistory, resolveHistoryDir, OUTPUT_LIMIT } from './execution-history.js';
+
+function entry(id, overrides = {}) {
+  return {
+    id,
+    session_id: 's1',
+    tool_name: 'Bash',
+    command: `echo ${id}`,
+    status: 'completed',
+    execution_type: 'shell',
+    exit_code: 0,
+    duration_ms: 12,
+    stdout: `${id}\n`,
+    completed_at: 1_000,
+    ...overrides
+  };
+}
+
+describe('ExecutionHistory', () => {
+  let tmpDir;
+
+  beforeEach(async () => {
+    tmpDir = await mkdtemp(join(tmpdir(), 'teleportation-history-'));
+  });
+
+  afterEach(async () => {
+    await rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should resolve the history dir under the daemon state dir', () => {
+    expect(resolveHistoryDir({ TELEPORTATION_DAEMON_STATE_DIR: '/tmp/state' })).toBe('/tmp/state/history');
+  });
+
+  it('should list newest first with filters and a limit', () => {
+    const history = new ExecutionHistory(tmpDir);
+    history.record(entry('a1', { completed_at: 1_000 }));
+    history.record(entry('a2', { completed_at: 2_000, status: 'failed', exit_code: 1 }));
+    history.record(entry('b1', { completed_at: 3_000, session_id: 's2', tool_name: 'Edit', execution_type: 'file' }));
+
+    expect(history.list().map(r => r.id)).toEqual(['b1', 'a2', 'a1']);
+    expect(history.list({ session_id: 's1' }).map(r => r.id)).toEqual(['a2', 'a1']);
+    expect(history.list({ status: 'failed' }).map(r => r.id)).toEqual(['a2']);
+    expect(history.list({ tool_name: 'Edit' }).map(r => r.id)).toEqual(['b1']);
+    expect(history.list({ since: 1_500, until: 2_500 }).map(r => r.id)).toEqual(['a2']);
+    expect(history.list({ limit: 1 }).map(r => r.id)).toEqual(['b1']);
+  });
+
+  it('should look up by id and search command and output', () => {
+    const history = new ExecutionHistory(tmpDir);
+    history.record(entry('a1', { command: 'npm test', stdout: 'all green' }));
+    history.record(entry('a2', { command: 'ls', error: 'ENOENT: missing dir' }));
+
+    expect(history.get('a1')).toMatchObject({ id: 'a1', source: 'approval', command: 'npm test', exit_code: 0 });
+    expect(history.get('missing')).toBeNull();
+    expect(history.search('GREEN').map(r => r.id)).toEqual(['a1']);
+    expect(history.search('missing dir').map(r => r.id)).toEqual(['a2']);
+  });
+
+  it('should truncate stored output', () => {
+    const history = new ExecutionHistory(tmpDir);
+    const record = history.record(entry('big', { stdout: 'x'.repeat(OUTPUT_LIMIT + 100) }));
+    expect(record.stdout).toMatch(/\[truncated 100 chars\]$/);
+  });
+
+  it('should roll segments and drop the oldest beyond the limit', async () => {
+    const history = new ExecutionHistory(tmpDir, { segmentMaxBytes: 1, maxSegments: 2 });
+    for (const id of ['a1', 'a2', 'a3']) history.record(entry(id));
+
+    const files = (await readdir(tmpDir)).filter(name => name.endsWith('.jsonl')).sort();
+    expect(files).toEqual(['segment-000002.jsonl', 'segment-000003.jsonl']);
+    expect(history.get('a1')).toBeNull();
+    expect(history.list().map(r => r.id)).toEqual(['a3', 'a2']);
+  });
+
+  it('should skip segments that cannot match a session filter', () => {
+    const history = new ExecutionHistory(tmpDir, { segmentMaxBytes: 1 });
+    history.record(entry('a1', { session_id: 's1' }));
+    history.record(entry('b1', { session_id: 's2' }));
+
+    const read = [];
+    const readSegment = history.readSegment.bind(history);
+    history.readSegment = (file) => {
+      read.push(file);
+      return readSegment(file);
+    };
+    expect(history.list({ session_id: 's2' }).map(r => r.id)).toEqual(['b1']);
+    expect(read).toEqual(['segment-000002.jsonl']);
+  });
+
+  it('should rebuild a missing or stale index from the segments', async () => {
+    new ExecutionHistory(tmpDir).record(entry('a1'));
+    // Crash after appending a record but before the index was rewritten
+    await appendFile(join(tmpDir, 'segment-000001.jsonl'), JSON.stringify(entry('a2')) + '\n{"torn');
+
+    const reopened = new ExecutionHistory(tmpDir);
+    expect(reopened.get('a2')).toMatchObject({ id: 'a2' });
+    expect(reopened.list().map(r => r.id)).toEqual(['a2', 'a1']);
+
+    await writeFile(join(tmpDir, 'index.json'), 'not json');
+    expect(new ExecutionHistory(tmpDir).get('a1')).toMatchObject({ id: 'a1' });
+    expect(JSON.parse(await readFile(join(tmpDir, 'index.json'), 'utf8')).ids).toHaveProperty('a2');
+  });
+
+  it('should return nothing before any execution is recorded', () => {
+    expect(new ExecutionHistory(join(tmpDir, 'missing')).list()).toEqual([]);
+  });
+});
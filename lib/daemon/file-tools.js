@@ -0,0 +1,185 @@
+/**
+ * File Tool Executors
+ * Applies approved Read, Write and Edit tool calls directly instead of
+ * handing a JSON blob to `claude -p` and hoping the model does the same thing.
+ *
+ * Results use the same shape as spawned processes (success, exit_code,
+ * stdout, stderr, error, timings) so the rest of the daemon doesn't care
+ * which path ran. Every path must resolve inside the session's cwd, after
+ * following symlinks, or the tool call is refused.
+ */
+
+import { readFile, writeFile, mkdir, realpath, stat } from 'fs/promises';
+import { resolve, relative, isAbsolute, dirname, basename, join, sep } from 'path';
+import { ValidationError, FileSystemError } from '../utils/errors.js';
+
+export const FILE_TOOLS = ['Read', 'Write', 'Edit'];
+
+const DEFAULT_READ_LIMIT = 2000; // lines, like the interactive Read tool
+
+/**
+ * Whether the daemon runs this tool itself
+ */
+export function isFileTool(tool_name) {
+  return FILE_TOOLS.includes(tool_name);
+}
+
+/**
+ * Realpath of a path that may not exist yet (resolves the nearest existing ancestor)
+ */
+async function realpathAllowMissing(target) {
+  try {
+    return await realpath(target);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    const parent = dirname(target);
+    if (parent === target) throw error;
+    return join(await realpathAllowMissing(parent), basename(target));
+  }
+}
+
+/**
+ * Resolve a tool's file_path against the session cwd, refusing anything outside it
+ * @param {string} cwd - Session working directory
+ * @param {string} filePath - Absolute or cwd-relative path from tool_input
+ * @returns {Promise<string>} Resolved real path
+ * @throws {ValidationError} If the path is missing or escapes cwd
+ */
+export async function resolveSessionPath(cwd, filePath) {
+  if (typeof filePath !== 'string' || filePath.length === 0) {
+    throw new ValidationError('file_path is required');
+  }
+  if (filePath.includes('\0')) {
+    throw new ValidationError('file_path contains a null byte');
+  }
+
+  const root = await realpath(cwd);
+  const target = await realpathAllowMissing(resolve(root, filePath));
+  const rel = relative(root, target);
+  if (rel === '..' || rel.startsWith(`..${sep}`) || isAbsolute(rel)) {
+    throw new ValidationError(`Path escapes the session directory: ${filePath}`, { cwd: root, file_path: filePath });
+  }
+  return target;
+}
+
+function countOccurrences(text, search) {
+  let count = 0;
+  let index = text.indexOf(search);
+  while (index !== -1) {
+    count++;
+    index = text.indexOf(search, index + search.length);
+  }
+  return count;
+}
+
+async function readTool(cwd, { file_path, offset, limit }) {
+  const target = await resolveSessionPath(cwd, file_path);
+  if ((await stat(target)).isDirectory()) {
+    throw new FileSystemError(`Not a file: ${file_path}`);
+  }
+
+  const lines = (await readFile(target, 'utf8')).split('\n');
+  const start = Math.max(1, parseInt(offset, 10) || 1);
+  const count = Math.max(1, parseInt(limit, 10) || DEFAULT_READ_LIMIT);
+  return lines
+    .slice(start - 1, start - 1 + count)
+    .map((line, i) => `${String(start + i).padStart(6)}\t${line}`)
+    .join('\n');
+}
+
+async function writeTool(cwd, { file_path, content }) {
+  if (typeof content !== 'string') {
+    throw new ValidationError('content must be a string');
+  }
+  const target = await resolveSessionPath(cwd, file_path);
+  await mkdir(dirname(target), { recursive: true });
+  await writeFile(target, content, 'utf8');
+  return `Wrote ${Buffer.byteLength(content)} bytes to ${relative(await realpath(cwd), target)}`;
+}
+
+function validateEdit({ old_string, new_string }) {
+  if (typeof old_string !== 'string' || old_string.length === 0) {
+    throw new ValidationError('old_string must be a non-empty string');
+  }
+  if (typeof new_string !== 'string') {
+    throw new ValidationError('new_string must be a string');
+  }
+  if (old_string === new_string) {
+    throw new ValidationError('old_string and new_string are identical');
+  }
+}
+
+/**
+ * Apply one Edit to file contents without touching disk
+ * @param {string} original - Current file contents
+ * @param {Object} edit - { old_string, new_string, replace_all }
+ * @param {string} file_path - For error messages
+ * @returns {{ updated: string, replaced: number }}
+ * @throws {ValidationError} If old_string is missing, absent or ambiguous
+ */
+export function applyEdit(original, edit, file_path) {
+  validateEdit(edit);
+  const { old_string, new_string, replace_all = false } = edit;
+  const matches = countOccurrences(original, old_string);
+  if (matches === 0) {
+    throw new ValidationError(`old_string not found in ${file_path}`);
+  }
+  if (matches > 1 && !replace_all) {
+    throw new ValidationError(`old_string matches ${matches} times in ${file_path}; add surrounding context or set replace_all`);
+  }
+
+  // split/join rather than String#replace so `$&` etc. in new_string stay literal
+  const updated = replace_all
+    ? original.split(old_string).join(new_string)
+    : original.replace(old_string, () => new_string);
+  return { updated, replaced: replace_all ? matches : 1 };
+}
+
+async function editTool(cwd, edit) {
+  const { file_path } = edit;
+  validateEdit(edit);
+
+  const target = await resolveSessionPath(cwd, file_path);
+  const original = await readFile(target, 'utf8');
+  const { updated, replaced } = applyEdit(original, edit, file_path);
+  await writeFile(target, updated, 'utf8');
+  return `Replaced ${replaced} occurrence${replaced === 1 ? '' : 's'} in ${relative(await realpath(cwd), target)}`;
+}
+
+const EXECUTORS = { Read: readTool, Write: writeTool, Edit: editTool };
+
+/**
+ * Run a file tool against the session directory
+ * @param {string} tool_name - One of FILE_TOOLS
+ * @param {Object} tool_input - The approved tool input
+ * @param {Object} options
+ * @param {string} options.cwd - Session working directory
+ * @returns {Promise<Object>} Execution result (never throws)
+ */
+export async function executeFileTool(tool_name, tool_input, { cwd }) {
+  const startedAt = Date.now();
+  const executor = EXECUTORS[tool_name];
+
+  let stdout = '';
+  let error = null;
+  try {
+    if (!executor) {
+      throw new ValidationError(`Not a file tool: ${tool_name}`);
+    }
+    stdout = await executor(cwd, tool_input || {});
+  } catch (err) {
+    error = err.code === 'ENOENT' ? `File not found: ${tool_input?.file_path}` : err.message;
+  }
+
+  const executedAt = Date.now();
+  return {
+    success: error === null,
+    exit_code: error === null ? 0 : 1,
+    stdout,
+    stderr: error || '',
+    error,
+    duration_ms: executedAt - startedAt,
+    started_at: startedAt,
+    executed_at: executedAt
+  };
+}
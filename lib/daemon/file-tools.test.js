@@ -0,0 +1,100 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, rm, writeFile, readFile, mkdir, symlink } from 'fs/promises';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { isFileTool, resolveSessionPath, executeFileTool } from './file-tools.js';
+
+describe('file tools', () => {
+  let tmpDir;
+  let cwd;
+
+  beforeEach(async () => {
+    tmpDir = await mkdtemp(join(tmpdir(), 'teleportation-file-tools-'));
+    cwd = join(tmpDir, 'project');
+    await mkdir(cwd);
+  });
+
+  afterEach(async () => {
+    await rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should only claim Read, Write and Edit', () => {
+    expect(isFileTool('Edit')).toBe(true);
+    expect(isFileTool('Bash')).toBe(false);
+  });
+
+  describe('resolveSessionPath', () => {
+    it('should resolve relative and absolute paths inside cwd', async () => {
+      const inside = await resolveSessionPath(cwd, 'src/new.js');
+      expect(inside.endsWith(join('project', 'src', 'new.js'))).toBe(true);
+      expect(await resolveSessionPath(cwd, inside)).toBe(inside);
+    });
+
+    it('should refuse paths outside cwd, including through symlinks', async () => {
+      await expect(resolveSessionPath(cwd, '../secret.txt')).rejects.toThrow(/escapes the session directory/);
+      await expect(resolveSessionPath(cwd, '/etc/passwd')).rejects.toThrow(/escapes the session directory/);
+
+      await symlink(tmpDir, join(cwd, 'link'));
+      await expect(resolveSessionPath(cwd, 'link/secret.txt')).rejects.toThrow(/escapes the session directory/);
+    });
+
+    it('should allow names that merely start with two dots', async () => {
+      await expect(resolveSessionPath(cwd, '..hidden')).resolves.toContain('..hidden');
+    });
+  });
+
+  describe('Write', () => {
+    it('should create the file and its parent directories', async () => {
+      const result = await executeFileTool('Write', { file_path: 'src/a.txt', content: 'hello' }, { cwd });
+      expect(result).toMatchObject({ success: true, exit_code: 0, error: null });
+      expect(result.stdout).toBe(`Wrote 5 bytes to ${join('src', 'a.txt')}`);
+      expect(await readFile(join(cwd, 'src', 'a.txt'), 'utf8')).toBe('hello');
+    });
+
+    it('should fail without touching anything outside cwd', async () => {
+      const result = await executeFileTool('Write', { file_path: '../escape.txt', content: 'x' }, { cwd });
+      expect(result).toMatchObject({ success: false, exit_code: 1 });
+      expect(result.stderr).toMatch(/escapes the session directory/);
+      await expect(readFile(join(tmpDir, 'escape.txt'))).rejects.toThrow();
+    });
+  });
+
+  describe('Edit', () => {
+    beforeEach(async () => {
+      await writeFile(join(cwd, 'a.js'), 'const a = 1;\nconst b = 1;\n');
+    });
+
+    it('should replace a unique match', async () => {
+      const result = await executeFileTool('Edit', { file_path: 'a.js', old_string: 'a = 1', new_string: 'a = "$&"' }, { cwd });
+      expect(result).toMatchObject({ success: true, stdout: 'Replaced 1 occurrence in a.js' });
+      expect(await readFile(join(cwd, 'a.js'), 'utf8')).toBe('const a = "$&";\nconst b = 1;\n');
+    });
+
+    it('should refuse ambiguous matches unless replace_all is set', async () => {
+      const ambiguous = await executeFileTool('Edit', { file_path: 'a.js', old_string: '= 1', new_string: '= 2' }, { cwd });
+      expect(ambiguous.success).toBe(false);
+      expect(ambiguous.error).toMatch(/matches 2 times/);
+
+      const all = await executeFileTool('Edit', { file_path: 'a.js', old_string: '= 1', new_string: '= 2', replace_all: true }, { cwd });
+      expect(all.stdout).toBe('Replaced 2 occurrences in a.js');
+      expect(await readFile(join(cwd, 'a.js'), 'utf8')).toBe('const a = 2;\nconst b = 2;\n');
+    });
+
+    it('should report missing strings and files', async () => {
+      expect((await executeFileTool('Edit', { file_path: 'a.js', old_string: 'nope', new_string: 'x' }, { cwd })).error)
+        .toBe('old_string not found in a.js');
+      expect((await executeFileTool('Edit', { file_path: 'missing.js', old_string: 'a', new_string: 'b' }, { cwd })).error)
+        .toBe('File not found: missing.js');
+      expect((await executeFileTool('Edit', { file_path: 'a.js', old_string: 'a', new_string: 'a' }, { cwd })).error)
+        .toMatch(/identical/);
+    });
+  });
+
+  describe('Read', () => {
+    it('should return numbered lines honouring offset and limit', async () => {
+      await writeFile(join(cwd, 'r.txt'), 'one\ntwo\nthree\nfour');
+      const result = await executeFileTool('Read', { file_path: 'r.txt', offset: 2, limit: 2 }, { cwd });
+      expect(result.stdout).toBe('     2\ttwo\n     3\tthree');
+    });
+  });
+});
@@ -7,6 +7,7 @@ import {
   releasePidLock,
   isProcessRunning
 } from './pid-manager.js';
+import { loadRelayConfig } from '../auth/profiles.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -160,15 +161,8 @@ export async function restartDaemon(options = {}) {
   };
 }
 
-function getRelayConfig() {
-  return {
-    url: process.env.RELAY_API_URL || '',
-    key: process.env.RELAY_API_KEY || ''
-  };
-}
-
 async function updateSessionDaemonState(sessionId, updates) {
-  const { url, key } = getRelayConfig();
+  const { url, key } = await loadRelayConfig();
   if (!sessionId || !url || !key) return;
 
   try {
@@ -213,7 +207,7 @@ export async function stopDaemonIfNeeded(sessionId, reason = 'manual_stop') {
   }
 
   // If relay is configured, check if other sessions still have daemon running
-  const { url, key } = getRelayConfig();
+  const { url, key } = await loadRelayConfig();
   if (url && key) {
     try {
       const res = await fetch(`${url}/api/sessions`, {
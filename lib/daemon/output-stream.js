@@ -0,0 +1,293 @@
+/**
+ * Execution Output Streaming
+ * Keeps recent stdout/stderr chunks for running executions so local clients
+ * (GET /executions/:id/stream, `teleportation executions tail`) can follow
+ * them live, and batches chunks for forwarding to the relay.
+ * Forwarded output is cut at line ends (LineBuffer) so redaction never sees
+ * half a secret.
+ *
+ * Each chunk gets a per-execution sequence number so a client can resume
+ * with `since=<seq>` (or Last-Event-ID) without duplicates. Only the last
+ * MAX_BUFFERED_BYTES per execution are kept in memory; the final result
+ * still carries the (truncated) full output as before.
+ */
+
+import { EventEmitter } from 'events';
+
+const MAX_BUFFERED_BYTES = 256 * 1024;
+// Keep finished outputs around briefly so a late `tail` still sees the end
+const FINISHED_RETENTION_MS = 10 * 60 * 1000;
+const MAX_RETAINED = 100;
+
+class ExecutionOutput extends EventEmitter {
+  constructor(id) {
+    super();
+    this.id = id;
+    this.chunks = [];
+    this.bufferedBytes = 0;
+    this.nextSeq = 1;
+    this.finished = null; // summary once the execution ends
+    this.finishedAt = null;
+  }
+
+  append(stream, data) {
+    const chunk = { seq: this.nextSeq++, stream, data, at: Date.now() };
+    this.chunks.push(chunk);
+    this.bufferedBytes += data.length;
+    while (this.bufferedBytes > MAX_BUFFERED_BYTES && this.chunks.length > 1) {
+      this.bufferedBytes -= this.chunks.shift().data.length;
+    }
+    this.emit('chunk', chunk);
+    return chunk;
+  }
+
+  finish(summary) {
+    this.finished = summary;
+    this.finishedAt = Date.now();
+    this.emit('end', summary);
+  }
+
+  /**
+   * Buffered chunks after a sequence number
+   */
+  since(seq = 0) {
+    return this.chunks.filter(chunk => chunk.seq > seq);
+  }
+}
+
+export class OutputHub {
+  constructor() {
+    this.outputs = new Map();
+  }
+
+  /**
+   * Start tracking output for an execution (replaces any previous run)
+   */
+  open(id) {
+    this.prune();
+    const output = new ExecutionOutput(id);
+    this.outputs.set(id, output);
+    return output;
+  }
+
+  get(id) {
+    return this.outputs.get(id) || null;
+  }
+
+  append(id, stream, data) {
+    const output = this.outputs.get(id);
+    return output ? output.append(stream, data) : null;
+  }
+
+  finish(id, summary) {
+    const output = this.outputs.get(id);
+    if (output && !output.finished) {
+      output.finish(summary);
+    }
+  }
+
+  /**
+   * Follow an execution: replays buffered chunks after `since`, then live ones
+   * @param {string} id
+   * @param {Object} handlers
+   * @param {Function} handlers.onChunk - Called with each chunk
+   * @param {Function} handlers.onEnd - Called once with the summary when the execution ends
+   * @param {number} [since=0] - Last sequence number the client already has
+   * @returns {Function|null} Unsubscribe, or null if the execution is unknown
+   */
+  subscribe(id, { onChunk, onEnd }, since = 0) {
+    const output = this.outputs.get(id);
+    if (!output) return null;
+
+    for (const chunk of output.since(since)) {
+      onChunk(chunk);
+    }
+    if (output.finished) {
+      onEnd(output.finished);
+      return () => {};
+    }
+
+    const handleEnd = (summary) => {
+      output.off('chunk', onChunk);
+      onEnd(summary);
+    };
+    output.on('chunk', onChunk);
+    output.once('end', handleEnd);
+    return () => {
+      output.off('chunk', onChunk);
+      output.off('end', handleEnd);
+    };
+  }
+
+  /**
+   * Drop finished outputs past their retention (and the oldest beyond MAX_RETAINED)
+   */
+  prune(now = Date.now()) {
+    for (const [id, output] of this.outputs) {
+      if (output.finishedAt && now - output.finishedAt > FINISHED_RETENTION_MS) {
+        this.outputs.delete(id);
+      }
+    }
+    if (this.outputs.size >= MAX_RETAINED) {
+      const finished = [...this.outputs.values()]
+        .filter(output => output.finishedAt)
+        .sort((a, b) => a.finishedAt - b.finishedAt);
+      for (const output of finished.slice(0, this.outputs.size - MAX_RETAINED + 1)) {
+        this.outputs.delete(output.id);
+      }
+    }
+  }
+}
+
+/**
+ * Batches output chunks per execution and sends them at most every flushMs
+ * so a chatty process doesn't turn into one relay request per line.
+ */
+export class ChunkForwarder {
+  /**
+   * @param {Object} options
+   * @param {Function} options.send - async (id, chunks, { final }) => void
+   * @param {number} [options.flushMs=1000]
+   * @param {number} [options.maxBatchBytes=64KB] - Flush early once this much is pending
+   */
+  constructor({ send, flushMs = 1000, maxBatchBytes = 64 * 1024 }) {
+    this.send = send;
+    this.flushMs = flushMs;
+    this.maxBatchBytes = maxBatchBytes;
+    this.pending = new Map(); // id -> { chunks, bytes, timer }
+    this.inFlight = new Map(); // id -> Promise (keeps batches for one id in order)
+  }
+
+  push(id, chunk) {
+    let entry = this.pending.get(id);
+    if (!entry) {
+      entry = { chunks: [], bytes: 0, timer: null };
+      this.pending.set(id, entry);
+    }
+    entry.chunks.push(chunk);
+    entry.bytes += chunk.data.length;
+
+    if (entry.bytes >= this.maxBatchBytes) {
+      this.flush(id);
+    } else if (!entry.timer) {
+      entry.timer = setTimeout(() => this.flush(id), this.flushMs);
+    }
+  }
+
+  /**
+   * Send pending chunks for an execution now
+   * @param {string} id
+   * @param {Object} [options]
+   * @param {boolean} [options.final=false] - The execution ended; send() is
+   *   called even with no pending chunks so it can release held-back output
+   * @returns {Promise<void>} Resolves once everything queued for id was sent
+   */
+  flush(id, { final = false } = {}) {
+    const entry = this.pending.get(id);
+    if (entry) {
+      this.pending.delete(id);
+      if (entry.timer) clearTimeout(entry.timer);
+    }
+
+    const previous = this.inFlight.get(id) || Promise.resolve();
+    const chunks = entry?.chunks || [];
+    if (chunks.length === 0 && !final) return previous;
+
+    const sending = previous
+      .then(() => this.send(id, chunks, { final }))
+      .catch(error => console.error(`[output] Failed to forward output for ${id}:`, error.message))
+      .finally(() => {
+        if (this.inFlight.get(id) === sending) this.inFlight.delete(id);
+      });
+    this.inFlight.set(id, sending);
+    return sending;
+  }
+}
+
+const PRIVATE_KEY_MARKER = /-----(BEGIN|END) (?:[A-Z0-9]+ )*PRIVATE KEY-----/g;
+
+/**
+ * The BEGIN ... PRIVATE KEY marker with no matching END marker after it, if any
+ * @returns {{index: number, end: number}|null}
+ */
+function findOpenPrivateKey(text) {
+  let open = null;
+  for (const match of text.matchAll(PRIVATE_KEY_MARKER)) {
+    if (match[1] === 'END') open = null;
+    else if (!open) open = { index: match.index, end: match.index + match[0].length };
+  }
+  return open;
+}
+
+/**
+ * Holds back the unfinished last line of each execution's stdout/stderr so
+ * output can be redacted a whole line at a time. A line that grows past
+ * maxLineBytes without a newline is released anyway.
+ *
+ * A private key block is held from its BEGIN line until its END line, so the
+ * redactor always sees it whole. A block that grows past maxKeyBytes keeps only
+ * its BEGIN line; the body is dropped rather than forwarded.
+ */
+export class LineBuffer {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxLineBytes=8KB]
+   * @param {number} [options.maxKeyBytes=64KB]
+   */
+  constructor({ maxLineBytes = 8 * 1024, maxKeyBytes = 64 * 1024 } = {}) {
+    this.maxLineBytes = maxLineBytes;
+    this.maxKeyBytes = maxKeyBytes;
+    this.held = new Map(); // id -> Map(stream -> { chunk, data })
+  }
+
+  /**
+   * Complete lines from a batch of chunks. Held-back text is prepended to the
+   * next chunk of the same stream, which keeps that chunk's seq.
+   * @returns {Object[]} Chunks to forward (fewer than given when some held no newline)
+   */
+  take(id, chunks) {
+    let streams = this.held.get(id);
+    const ready = [];
+    for (const chunk of chunks) {
+      const data = (streams?.get(chunk.stream)?.data || '') + chunk.data;
+      let cut = data.lastIndexOf('\n') + 1;
+      if (data.length - cut > this.maxLineBytes) cut = data.length;
+
+      let rest = null;
+      const key = findOpenPrivateKey(data);
+      if (key) {
+        cut = Math.min(cut, data.lastIndexOf('\n', key.index) + 1);
+        rest = data.slice(cut);
+        if (rest.length > this.maxKeyBytes) rest = data.slice(cut, key.end) + '\n';
+      }
+
+      if (cut > 0) ready.push({ ...chunk, data: data.slice(0, cut) });
+      if (cut < data.length) {
+        if (!streams) {
+          streams = new Map();
+          this.held.set(id, streams);
+        }
+        streams.set(chunk.stream, { chunk, data: rest ?? data.slice(cut) });
+      } else {
+        streams?.delete(chunk.stream);
+      }
+    }
+    if (streams?.size === 0) this.held.delete(id);
+    return ready;
+  }
+
+  /**
+   * Release (and forget) everything held back for an execution
+   * @returns {Object[]} At most one chunk per stream, in seq order
+   */
+  drain(id) {
+    const streams = this.held.get(id);
+    this.held.delete(id);
+    if (!streams) return [];
+    return [...streams.values()]
+      .map(({ chunk, data }) => ({ ...chunk, data }))
+      .sort((a, b) => a.seq - b.seq);
+  }
+}
+
+export { MAX_BUFFERED_BYTES, FINISHED_RETENTION_MS };
@@ -0,0 +1,191 @@
+/**
+ * Secret Redaction
+ * Masks secrets in command output before the daemon sends it to the relay.
+ * Output from allowlisted commands like `env` or `cat .env` would otherwise
+ * reach the cloud verbatim.
+ *
+ * Config (`redaction` in config.json):
+ *   {
+ *     "enabled": true,
+ *     "entropy": true,            // mask high-entropy values in KEY=VALUE lines
+ *     "patterns": [               // extra patterns, as regex source strings
+ *       "corp_[a-z0-9]{32}",
+ *       { "name": "internal-token", "pattern": "itk-[A-Z0-9]{20}", "flags": "i" }
+ *     ]
+ *   }
+ *
+ * Secrets are replaced with `[REDACTED:<name>]`. Local state (execution
+ * history, the audit log, local output followers) keeps the raw output.
+ */
+
+const DEFAULT_REDACTION_CONFIG = {
+  enabled: true,
+  entropy: true,
+  patterns: []
+};
+
+// Known token formats, checked in order (private keys first so their bodies aren't matched piecemeal)
+const BUILTIN_PATTERNS = [
+  { name: 'private-key', regex: /-----BEGIN ([A-Z0-9]+ )*PRIVATE KEY-----[\s\S]*?(?:-----END ([A-Z0-9]+ )*PRIVATE KEY-----|$)/g },
+  { name: 'aws-access-key', regex: /\b(?:AKIA|ASIA|AGPA|AIDA|AROA|ANPA|ANVA|AIPA)[0-9A-Z]{16}\b/g },
+  { name: 'github-token', regex: /\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{22,255})\b/g },
+  { name: 'npm-token', regex: /\bnpm_[A-Za-z0-9]{36}\b/g },
+  { name: 'anthropic-key', regex: /\bsk-ant-[A-Za-z0-9_-]{20,}/g },
+  { name: 'jwt', regex: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g }
+];
+
+// KEY=VALUE / KEY: VALUE lines, optionally exported or quoted
+const KEY_VALUE_LINE = /^([ \t]*(?:export[ \t]+)?[A-Za-z_][A-Za-z0-9_.-]*[ \t]*[=:][ \t]*)(["']?)([^\s"']+)\2[ \t]*$/gm;
+// Keys whose values are secrets whatever they look like
+const SECRET_KEY_NAME = /(secret|token|passw(or)?d|api[_-]?key|private[_-]?key|credential|auth(?!or))/i;
+const MIN_ENTROPY_LENGTH = 16;
+const MIN_ENTROPY_BITS = 3.5;
+const MARKER = /^\[REDACTED:/;
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Shannon entropy of a string in bits per character
+ */
+function shannonEntropy(value) {
+  const counts = new Map();
+  for (const char of value) counts.set(char, (counts.get(char) || 0) + 1);
+  let bits = 0;
+  for (const count of counts.values()) {
+    const p = count / value.length;
+    bits -= p * Math.log2(p);
+  }
+  return bits;
+}
+
+/**
+ * Whether a KEY=VALUE value looks like a generated secret rather than a
+ * word, number or path
+ */
+function looksRandom(value) {
+  if (value.length < MIN_ENTROPY_LENGTH) return false;
+  if (!/^[A-Za-z0-9+/=_.~-]+$/.test(value)) return false;
+  if (!/[0-9]/.test(value) || !/[A-Za-z]/.test(value)) return false;
+  if (value.startsWith('/') || value.startsWith('~') || value.startsWith('.')) return false;
+  if (UUID.test(value)) return false;
+  return shannonEntropy(value) >= MIN_ENTROPY_BITS;
+}
+
+function compileUserPattern(entry, index) {
+  const { name = `custom-${index + 1}`, pattern, flags = '' } = typeof entry === 'string' ? { pattern: entry } : entry;
+  return { name, regex: new RegExp(pattern, flags.includes('g') ? flags : `${flags}g`) };
+}
+
+/**
+ * Validate config.redaction
+ * @returns {string[]} Problems (empty when valid)
+ */
+function validateRedactionConfig(redaction) {
+  if (redaction === undefined) return [];
+  if (!redaction || typeof redaction !== 'object' || Array.isArray(redaction)) {
+    return ['redaction must be an object'];
+  }
+
+  const errors = [];
+  for (const key of ['enabled', 'entropy']) {
+    if (redaction[key] !== undefined && typeof redaction[key] !== 'boolean') {
+      errors.push(`redaction.${key} must be a boolean (true/false)`);
+    }
+  }
+
+  if (redaction.patterns !== undefined) {
+    if (!Array.isArray(redaction.patterns)) {
+      errors.push('redaction.patterns must be an array');
+    } else {
+      redaction.patterns.forEach((entry, index) => {
+        const label = `redaction.patterns[${index}]`;
+        const isObject = entry && typeof entry === 'object' && !Array.isArray(entry);
+        const pattern = isObject ? entry.pattern : entry;
+        if (typeof pattern !== 'string' || pattern.length === 0) {
+          errors.push(`${label} must be a regex string or { name, pattern, flags }`);
+          return;
+        }
+        if (isObject && entry.name !== undefined && (typeof entry.name !== 'string' || !/^[a-zA-Z0-9_-]{1,40}$/.test(entry.name))) {
+          errors.push(`${label}.name must be 1-40 alphanumeric characters, dashes or underscores`);
+        }
+        try {
+          compileUserPattern(entry, index);
+          if (new RegExp(pattern, isObject ? entry.flags || '' : '').test('')) {
+            errors.push(`${label} must not match an empty string`);
+          }
+        } catch (error) {
+          errors.push(`${label} is not a valid regular expression: ${error.message}`);
+        }
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Build a redactor from config.redaction
+ * @param {Object} [config] - Defaults to DEFAULT_REDACTION_CONFIG
+ * @returns {(text: string) => { text: string, count: number }}
+ */
+function createRedactor(config = DEFAULT_REDACTION_CONFIG) {
+  const options = { ...DEFAULT_REDACTION_CONFIG, ...config };
+  if (!options.enabled) {
+    return (text) => ({ text: text ?? '', count: 0 });
+  }
+  const patterns = [...BUILTIN_PATTERNS, ...(options.patterns || []).map(compileUserPattern)];
+
+  return (text) => {
+    if (typeof text !== 'string' || text.length === 0) return { text: text ?? '', count: 0 };
+
+    let count = 0;
+    let output = text;
+    for (const { name, regex } of patterns) {
+      regex.lastIndex = 0;
+      output = output.replace(regex, (match) => {
+        if (match.length === 0) return match;
+        count++;
+        return `[REDACTED:${name}]`;
+      });
+    }
+
+    if (options.entropy) {
+      output = output.replace(KEY_VALUE_LINE, (line, prefix, quote, value) => {
+        if (MARKER.test(value)) return line;
+        const key = prefix.replace(/^\s*(export\s+)?/, '').replace(/\s*[=:]\s*$/, '');
+        if (!looksRandom(value) && !SECRET_KEY_NAME.test(key)) return line;
+        count++;
+        return `${prefix}${quote}[REDACTED:${looksRandom(value) ? 'high-entropy' : 'secret-value'}]${quote}`;
+      });
+    }
+
+    return { text: output, count };
+  };
+}
+
+/**
+ * Redact the output fields of an execution result
+ * @param {Function} redact - From createRedactor()
+ * @param {Object} result - { stdout, stderr, error, ... }
+ * @param {string[]} [fields]
+ * @returns {{ result: Object, count: number }} A copy with the fields redacted
+ */
+function redactFields(redact, result, fields = ['stdout', 'stderr', 'error']) {
+  const copy = { ...result };
+  let count = 0;
+  for (const field of fields) {
+    if (typeof copy[field] !== 'string') continue;
+    const redacted = redact(copy[field]);
+    copy[field] = redacted.text;
+    count += redacted.count;
+  }
+  return { result: copy, count };
+}
+
+export {
+  DEFAULT_REDACTION_CONFIG,
+  BUILTIN_PATTERNS,
+  validateRedactionConfig,
+  createRedactor,
+  redactFields,
+  shannonEntropy
+};
@@ -0,0 +1,252 @@
+/**
+ * Relay Client
+ * HTTP calls the daemon makes to the relay while polling: approved and
+ * denied requests, pending inbox messages and heartbeats.
+ *
+ * Protocol version 2 relays accept one request for all sessions:
+ *
+ *   POST /api/daemon/poll        { session_ids, agent_id }
+ *     -> { protocol_version, approvals: [...], denied: [...], messages: [{ session_id, message }] }
+ *   POST /api/daemon/heartbeats  { heartbeats: [{ session_id, count, timestamp, pid }] }
+ *
+ * Every request carries the daemon's version in the X-Teleportation-Protocol
+ * header (TELEPORTATION_PROTOCOL_VERSION, default 2). If the relay answers a
+ * batch call with 404/405/501 or reports a version below 2, the client falls
+ * back to the version 1 per-session endpoints and tries batching again after
+ * BATCH_RECHECK_MS. Setting the version to 1 always uses per-session calls.
+ */
+
+const PROTOCOL_VERSION = 2;
+const PROTOCOL_HEADER = 'X-Teleportation-Protocol';
+// First protocol version with the batch poll/heartbeat endpoints
+const BATCH_PROTOCOL_VERSION = 2;
+// How long to stay on per-session calls before trying batching again
+const BATCH_RECHECK_MS = 10 * 60 * 1000;
+
+const UNSUPPORTED_STATUSES = new Set([404, 405, 501]);
+
+class BatchUnsupportedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BatchUnsupportedError';
+  }
+}
+
+/**
+ * Protocol version the relay reported (header or body), or 1 if it didn't
+ */
+function relayVersion(response, body) {
+  const header = parseInt(response.headers?.get?.(PROTOCOL_HEADER) || '', 10);
+  if (Number.isInteger(header)) return header;
+  const reported = parseInt(body?.protocol_version, 10);
+  return Number.isInteger(reported) ? reported : 1;
+}
+
+export class RelayClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - Relay base URL
+   * @param {string} options.apiKey - Relay API key
+   * @param {number} [options.protocolVersion] - Highest protocol version the daemon speaks
+   */
+  constructor({ url, apiKey, protocolVersion = PROTOCOL_VERSION }) {
+    this.url = url;
+    this.apiKey = apiKey;
+    this.protocolVersion = protocolVersion;
+    this.batchUnsupportedUntil = 0;
+  }
+
+  /**
+   * Whether the next poll/heartbeat should try the batch endpoints
+   */
+  get batching() {
+    return this.protocolVersion >= BATCH_PROTOCOL_VERSION && Date.now() >= this.batchUnsupportedUntil;
+  }
+
+  markBatchUnsupported(reason) {
+    if (this.batchUnsupportedUntil <= Date.now()) {
+      console.log(`[relay-client] Relay doesn't support batch requests (${reason}), using per-session calls`);
+    }
+    this.batchUnsupportedUntil = Date.now() + BATCH_RECHECK_MS;
+  }
+
+  headers(extra = {}) {
+    return {
+      'Authorization': `Bearer ${this.apiKey}`,
+      [PROTOCOL_HEADER]: String(this.protocolVersion),
+      ...extra
+    };
+  }
+
+  /**
+   * POST to a batch endpoint; throws BatchUnsupportedError when the relay is too old
+   */
+  async postBatch(path, body, timeoutMs) {
+    const response = await fetch(`${this.url}${path}`, {
+      method: 'POST',
+      headers: this.headers({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify(body),
+      ...(timeoutMs ? { signal: AbortSignal.timeout(timeoutMs) } : {})
+    });
+
+    if (UNSUPPORTED_STATUSES.has(response.status)) {
+      throw new BatchUnsupportedError(`status ${response.status}`);
+    }
+    if (!response.ok) {
+      const error = new Error(`Relay batch request ${path} failed: ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    const data = await response.json().catch(() => null);
+    const version = relayVersion(response, data);
+    if (version < BATCH_PROTOCOL_VERSION) {
+      throw new BatchUnsupportedError(`relay protocol version ${version}`);
+    }
+    return data;
+  }
+
+  /**
+   * Fetch allowed and denied approvals and pending daemon messages for sessions
+   * @param {string[]} sessionIds
+   * @returns {Promise<{ approvals: Object[], denied: Object[], messages: Array<{ session_id: string, message: Object }> }>}
+   */
+  async poll(sessionIds) {
+    if (sessionIds.length === 0) {
+      return { approvals: [], denied: [], messages: [] };
+    }
+
+    if (this.batching) {
+      try {
+        const data = await this.postBatch('/api/daemon/poll', { session_ids: sessionIds, agent_id: 'daemon' });
+        return {
+          approvals: Array.isArray(data?.approvals) ? data.approvals : [],
+          denied: Array.isArray(data?.denied) ? data.denied : [],
+          messages: Array.isArray(data?.messages) ? data.messages : []
+        };
+      } catch (error) {
+        if (!(error instanceof BatchUnsupportedError)) throw error;
+        this.markBatchUnsupported(error.message);
+      }
+    }
+
+    const approvals = [];
+    const denied = [];
+    const messages = [];
+    for (const session_id of sessionIds) {
+      approvals.push(...await this.fetchApprovals(session_id));
+      denied.push(...await this.fetchApprovals(session_id, 'denied'));
+      const message = await this.fetchPendingMessage(session_id);
+      if (message) messages.push({ session_id, message });
+    }
+    return { approvals, denied, messages };
+  }
+
+  /**
+   * Per-session (protocol v1): approvals for one session with a given decision
+   * @param {string} session_id
+   * @param {'allowed'|'denied'} [status]
+   */
+  async fetchApprovals(session_id, status = 'allowed') {
+    try {
+      const response = await fetch(
+        `${this.url}/api/approvals?status=${status}&session_id=${session_id}`,
+        { headers: this.headers() }
+      );
+      if (!response.ok) {
+        console.error(`[relay-client] Failed to fetch approvals for session ${session_id}: ${response.status}`);
+        return [];
+      }
+      const approvals = await response.json();
+      return Array.isArray(approvals) ? approvals : [];
+    } catch (error) {
+      console.error(`[relay-client] Approval polling error for session ${session_id}:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Per-session (protocol v1): next pending daemon inbox message for one session
+   */
+  async fetchPendingMessage(session_id) {
+    try {
+      const response = await fetch(
+        `${this.url}/api/messages/pending?session_id=${encodeURIComponent(session_id)}&agent_id=daemon`,
+        { headers: this.headers() }
+      );
+      if (!response.ok) {
+        // 404 or empty is not an error; only log unexpected statuses
+        if (response.status !== 404) {
+          console.error(`[relay-client] Failed to fetch inbox message for session ${session_id}: ${response.status}`);
+        }
+        return null;
+      }
+      return await response.json();
+    } catch (error) {
+      console.error(`[relay-client] Inbox polling error for session ${session_id}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Send heartbeats for several sessions
+   * @param {Array<{ session_id: string, count: number }>} heartbeats
+   */
+  async sendHeartbeats(heartbeats) {
+    if (heartbeats.length === 0) return;
+
+    const timestamp = Date.now();
+    if (this.batching) {
+      try {
+        await this.postBatch('/api/daemon/heartbeats', {
+          heartbeats: heartbeats.map(({ session_id, count }) => ({ session_id, count, timestamp, pid: process.pid }))
+        }, 5000);
+        return;
+      } catch (error) {
+        if (!(error instanceof BatchUnsupportedError)) {
+          if (error.name !== 'AbortError') {
+            console.error(`[relay-client] Batch heartbeat error: ${error.message}`);
+          }
+          return;
+        }
+        this.markBatchUnsupported(error.message);
+      }
+    }
+
+    for (const { session_id, count } of heartbeats) {
+      await this.sendHeartbeat(session_id, count, timestamp);
+    }
+  }
+
+  /**
+   * Per-session (protocol v1): heartbeat for one session
+   */
+  async sendHeartbeat(session_id, count, timestamp = Date.now()) {
+    try {
+      const response = await fetch(
+        `${this.url}/api/sessions/${encodeURIComponent(session_id)}/heartbeat`,
+        {
+          method: 'POST',
+          headers: this.headers({ 'Content-Type': 'application/json' }),
+          body: JSON.stringify({ timestamp, pid: process.pid, count }),
+          signal: AbortSignal.timeout(5000) // 5 second timeout
+        }
+      );
+
+      if (!response.ok) {
+        // 404 means session not registered in mech-storage yet (registered by Claude hooks, not daemon)
+        // This is expected for sessions that are only locally registered - silently skip
+        if (response.status !== 404) {
+          console.error(`[relay-client] Heartbeat failed for session ${session_id}: ${response.status}`);
+        }
+      }
+    } catch (error) {
+      // Don't spam logs for heartbeat failures - just note it
+      if (error.name !== 'AbortError') {
+        console.error(`[relay-client] Heartbeat error for ${session_id}: ${error.message}`);
+      }
+    }
+  }
+}
+
+export { PROTOCOL_VERSION, PROTOCOL_HEADER, BATCH_PROTOCOL_VERSION, BATCH_RECHECK_MS };
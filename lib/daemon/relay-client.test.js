@@ -0,0 +1,130 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { RelayClient, PROTOCOL_HEADER } from './relay-client.js';
+
+function jsonResponse(status, body, headers = {}) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: new Headers(headers),
+    json: async () => body
+  };
+}
+
+describe('RelayClient', () => {
+  let originalFetch;
+  let fetchMock;
+
+  beforeEach(() => {
+    originalFetch = global.fetch;
+    fetchMock = vi.fn();
+    global.fetch = fetchMock;
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    vi.restoreAllMocks();
+  });
+
+  function requestedUrls() {
+    return fetchMock.mock.calls.map(([url, options]) => `${options?.method || 'GET'} ${url.replace('http://relay.test', '')}`);
+  }
+
+  it('should poll all sessions in one batch request', async () => {
+    fetchMock.mockResolvedValue(jsonResponse(200, {
+      approvals: [{ id: 'a1', session_id: 's1' }],
+      denied: [{ id: 'a2', session_id: 's1', decided_by: 'phone' }],
+      messages: [{ session_id: 's2', message: { id: 'm1', text: 'hi' } }]
+    }, { [PROTOCOL_HEADER]: '2' }));
+
+    const client = new RelayClient({ url: 'http://relay.test', apiKey: 'key' });
+    const result = await client.poll(['s1', 's2']);
+
+    expect(result.approvals).toEqual([{ id: 'a1', session_id: 's1' }]);
+    expect(result.denied).toEqual([{ id: 'a2', session_id: 's1', decided_by: 'phone' }]);
+    expect(result.messages).toEqual([{ session_id: 's2', message: { id: 'm1', text: 'hi' } }]);
+    expect(requestedUrls()).toEqual(['POST /api/daemon/poll']);
+
+    const [, options] = fetchMock.mock.calls[0];
+    expect(options.headers[PROTOCOL_HEADER]).toBe('2');
+    expect(JSON.parse(options.body)).toEqual({ session_ids: ['s1', 's2'], agent_id: 'daemon' });
+  });
+
+  it('should fall back to per-session calls when the relay lacks the batch endpoint', async () => {
+    fetchMock.mockImplementation(async (url) => {
+      if (url.endsWith('/api/daemon/poll')) return jsonResponse(404, {});
+      if (url.includes('status=denied')) return jsonResponse(200, url.endsWith('s2') ? [{ id: 'd-s2' }] : []);
+      if (url.includes('/api/approvals')) return jsonResponse(200, [{ id: `a-${url.split('session_id=')[1]}` }]);
+      return jsonResponse(404, {});
+    });
+
+    const client = new RelayClient({ url: 'http://relay.test', apiKey: 'key' });
+    const result = await client.poll(['s1', 's2']);
+
+    expect(result.approvals.map(a => a.id)).toEqual(['a-s1', 'a-s2']);
+    expect(result.denied.map(a => a.id)).toEqual(['d-s2']);
+    expect(client.batching).toBe(false);
+
+    // Stays on per-session calls instead of retrying the batch every poll
+    fetchMock.mockClear();
+    await client.poll(['s1']);
+    expect(requestedUrls()).toEqual([
+      'GET /api/approvals?status=allowed&session_id=s1',
+      'GET /api/approvals?status=denied&session_id=s1',
+      'GET /api/messages/pending?session_id=s1&agent_id=daemon'
+    ]);
+  });
+
+  it('should treat a relay reporting protocol version 1 as not supporting batching', async () => {
+    fetchMock.mockImplementation(async (url) => {
+      if (url.endsWith('/api/daemon/poll')) return jsonResponse(200, {}, { [PROTOCOL_HEADER]: '1' });
+      return jsonResponse(200, []);
+    });
+
+    const client = new RelayClient({ url: 'http://relay.test', apiKey: 'key' });
+    await client.poll(['s1']);
+
+    expect(client.batching).toBe(false);
+    expect(requestedUrls()).toContain('GET /api/approvals?status=allowed&session_id=s1');
+  });
+
+  it('should only use per-session calls when configured for protocol version 1', async () => {
+    fetchMock.mockResolvedValue(jsonResponse(200, []));
+
+    const client = new RelayClient({ url: 'http://relay.test', apiKey: 'key', protocolVersion: 1 });
+    await client.poll(['s1']);
+
+    expect(requestedUrls()).not.toContain('POST /api/daemon/poll');
+    expect(fetchMock.mock.calls[0][1].headers[PROTOCOL_HEADER]).toBe('1');
+  });
+
+  it('should batch heartbeats and fall back per session', async () => {
+    fetchMock.mockResolvedValue(jsonResponse(200, {}, { [PROTOCOL_HEADER]: '2' }));
+    const client = new RelayClient({ url: 'http://relay.test', apiKey: 'key' });
+
+    await client.sendHeartbeats([{ session_id: 's1', count: 1 }, { session_id: 's2', count: 4 }]);
+    expect(requestedUrls()).toEqual(['POST /api/daemon/heartbeats']);
+    const body = JSON.parse(fetchMock.mock.calls[0][1].body);
+    expect(body.heartbeats).toEqual([
+      expect.objectContaining({ session_id: 's1', count: 1, pid: process.pid }),
+      expect.objectContaining({ session_id: 's2', count: 4, pid: process.pid })
+    ]);
+
+    fetchMock.mockReset();
+    fetchMock.mockImplementation(async (url) => jsonResponse(url.endsWith('/api/daemon/heartbeats') ? 501 : 200, {}));
+    await client.sendHeartbeats([{ session_id: 's1', count: 2 }, { session_id: 's2', count: 5 }]);
+    expect(requestedUrls()).toEqual([
+      'POST /api/daemon/heartbeats',
+      'POST /api/sessions/s1/heartbeat',
+      'POST /api/sessions/s2/heartbeat'
+    ]);
+  });
+
+  it('should not call the relay when there are no sessions', async () => {
+    const client = new RelayClient({ url: 'http://relay.test', apiKey: 'key' });
+    expect(await client.poll([])).toEqual({ approvals: [], denied: [], messages: [] });
+    await client.sendHeartbeats([]);
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,218 @@
+/**
+ * Relay Stream
+ * One Server-Sent Events subscription to the relay for all sessions the daemon
+ * has registered, replacing per-session polling while it is connected.
+ *
+ *   GET {relay}/api/daemon/stream?session_ids=a,b,c
+ *   Accept: text/event-stream
+ *   Last-Event-ID: <last id seen, on reconnect>
+ *
+ * Events (data is JSON):
+ *   approval  - an approved request, same shape as GET /api/approvals items
+ *   denial    - a denied request, same shape
+ *   message   - { session_id, message } inbox message for a session
+ *   ping      - keepalive, ignored
+ *
+ * Connection failures are retried with exponential backoff via
+ * lib/utils/retry.js. A relay that doesn't support streaming (404/405/501,
+ * or a non-SSE response) or rejects the key fails immediately so the daemon
+ * can fall back to polling; so does running out of retries.
+ */
+
+import { retry } from '../utils/retry.js';
+
+// A stream that stays open at least this long counts as healthy, so the next
+// disconnect starts a fresh backoff instead of using up retries
+const MIN_HEALTHY_MS = 10_000;
+
+const DEFAULT_RETRY_OPTIONS = {
+  maxRetries: 5,
+  initialDelay: 1000,
+  maxDelay: 30_000,
+  factor: 2
+};
+
+// Statuses meaning "this relay can't stream" - retrying won't help
+const UNSUPPORTED_STATUSES = new Set([401, 403, 404, 405, 501]);
+
+/**
+ * Parse complete SSE events out of a text buffer
+ * @param {string} buffer - Accumulated stream text
+ * @returns {{ events: Array<{ event: string, data: string, id: string|null }>, rest: string }}
+ *   Parsed events and the unterminated remainder to keep buffering
+ */
+export function parseSSE(buffer) {
+  const events = [];
+  const normalized = buffer.replace(/\r\n?/g, '\n');
+  const blocks = normalized.split('\n\n');
+  const rest = blocks.pop();
+
+  for (const block of blocks) {
+    let event = 'message';
+    let id = null;
+    const data = [];
+    for (const line of block.split('\n')) {
+      if (!line || line.startsWith(':')) continue;
+      const colon = line.indexOf(':');
+      const field = colon === -1 ? line : line.slice(0, colon);
+      let value = colon === -1 ? '' : line.slice(colon + 1);
+      if (value.startsWith(' ')) value = value.slice(1);
+
+      if (field === 'event') event = value;
+      else if (field === 'data') data.push(value);
+      else if (field === 'id') id = value;
+    }
+    if (data.length > 0) {
+      events.push({ event, data: data.join('\n'), id });
+    }
+  }
+
+  return { events, rest };
+}
+
+export class RelayStream {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - Relay base URL
+   * @param {string} options.apiKey - Relay API key
+   * @param {Function} options.getSessionIds - Returns the session ids to subscribe to
+   * @param {Function} options.onEvent - Called with each parsed event
+   * @param {Function} [options.onOpen] - Called each time the stream connects
+   * @param {Function} [options.onDisconnect] - Called with the error when a connection drops
+   * @param {Object} [options.retryOptions] - Overrides for retry() backoff
+   */
+  constructor({ url, apiKey, getSessionIds, onEvent, onOpen = null, onDisconnect = null, retryOptions = {} }) {
+    this.url = url;
+    this.apiKey = apiKey;
+    this.getSessionIds = getSessionIds;
+    this.onEvent = onEvent;
+    this.onOpen = onOpen;
+    this.onDisconnect = onDisconnect;
+    this.retryOptions = { ...DEFAULT_RETRY_OPTIONS, ...retryOptions };
+    this.controller = null;
+    this.connected = false;
+    this.stopped = false;
+    this.lastEventId = null;
+  }
+
+  /**
+   * Keep the stream connected until stop() is called
+   * @returns {Promise<void>} Resolves after stop(); rejects when streaming is
+   *   unsupported or reconnecting keeps failing (caller falls back to polling)
+   */
+  async run() {
+    this.stopped = false;
+    while (!this.stopped) {
+      await retry(() => this.connect(), {
+        ...this.retryOptions,
+        shouldRetry: (error) => !this.stopped && !error.unsupported,
+        onRetry: (error, attempt, delay) => {
+          console.log(`[relay-stream] Reconnecting in ${delay}ms (attempt ${attempt}): ${error.message}`);
+        }
+      });
+    }
+  }
+
+  /**
+   * Open one connection and read it until it closes
+   * Resolves when stopped/restarted or after a healthy connection ends;
+   * throws for failed or short-lived connections.
+   */
+  async connect() {
+    const controller = new AbortController();
+    this.controller = controller;
+
+    const ids = this.getSessionIds();
+    const headers = {
+      'Accept': 'text/event-stream',
+      'Authorization': `Bearer ${this.apiKey}`
+    };
+    if (this.lastEventId) {
+      headers['Last-Event-ID'] = this.lastEventId;
+    }
+
+    const response = await fetch(
+      `${this.url}/api/daemon/stream?session_ids=${encodeURIComponent(ids.join(','))}`,
+      { headers, signal: controller.signal }
+    ).catch((error) => {
+      if (controller.signal.aborted) return null;
+      throw error;
+    });
+    if (!response) return;
+
+    if (!response.ok) {
+      const error = new Error(`Relay stream request failed: ${response.status}`);
+      error.status = response.status;
+      error.unsupported = UNSUPPORTED_STATUSES.has(response.status);
+      throw error;
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+    if (!contentType.includes('text/event-stream') || !response.body) {
+      controller.abort();
+      const error = new Error(`Relay stream returned ${contentType || 'no content type'}, not text/event-stream`);
+      error.unsupported = true;
+      throw error;
+    }
+
+    const openedAt = Date.now();
+    this.connected = true;
+    if (this.onOpen) {
+      await this.onOpen();
+    }
+
+    let closeError = null;
+    try {
+      const decoder = new TextDecoder();
+      let buffer = '';
+      for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        const { events, rest } = parseSSE(buffer);
+        buffer = rest;
+        for (const event of events) {
+          if (event.id) this.lastEventId = event.id;
+          if (event.event === 'ping') continue;
+          try {
+            this.onEvent(event);
+          } catch (error) {
+            console.error(`[relay-stream] Event handler failed for '${event.event}':`, error.message);
+          }
+        }
+      }
+      closeError = new Error('Relay stream closed');
+    } catch (error) {
+      if (!controller.signal.aborted) {
+        closeError = error;
+      }
+    } finally {
+      this.connected = false;
+      if (this.controller === controller) this.controller = null;
+    }
+
+    // Aborted by stop()/restart() - not a failure
+    if (!closeError) return;
+
+    if (this.onDisconnect) this.onDisconnect(closeError);
+    if (Date.now() - openedAt < MIN_HEALTHY_MS) {
+      throw closeError;
+    }
+  }
+
+  /**
+   * Reconnect with the current session list (e.g. after a session registers)
+   */
+  restart() {
+    if (this.controller) {
+      this.controller.abort();
+    }
+  }
+
+  stop() {
+    this.stopped = true;
+    if (this.controller) {
+      this.controller.abort();
+    }
+  }
+}
+
+export { MIN_HEALTHY_MS };
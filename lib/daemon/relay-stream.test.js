@@ -0,0 +1,142 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import http from 'http';
+import { parseSSE, RelayStream } from './relay-stream.js';
+
+/**
+ * Promise for the next call of a callback: `next()` arms it, `fire(value)` settles it
+ */
+function nextCall() {
+  let resolve = () => {};
+  return {
+    next: () => new Promise(r => { resolve = r; }),
+    fire: (value) => resolve(value)
+  };
+}
+
+describe('parseSSE', () => {
+  it('should parse complete events and keep the remainder', () => {
+    const { events, rest } = parseSSE('event: approval\nid: 7\ndata: {"a":1}\n\n: comment\ndata: x\n\nevent: mess');
+    expect(events).toEqual([
+      { event: 'approval', data: '{"a":1}', id: '7' },
+      { event: 'message', data: 'x', id: null }
+    ]);
+    expect(rest).toBe('event: mess');
+  });
+
+  it('should join multi-line data and accept CRLF line endings', () => {
+    const { events } = parseSSE('data: line1\r\ndata: line2\r\n\r\n');
+    expect(events).toEqual([{ event: 'message', data: 'line1\nline2', id: null }]);
+  });
+
+  it('should skip events without data', () => {
+    expect(parseSSE('event: ping\n\n').events).toEqual([]);
+  });
+});
+
+describe('RelayStream', () => {
+  let server;
+  let stream;
+  let requests;
+
+  async function startRelay(handler) {
+    requests = [];
+    server = http.createServer((req, res) => {
+      requests.push({ url: req.url, headers: req.headers });
+      handler(req, res);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return `http://127.0.0.1:${server.address().port}`;
+  }
+
+  afterEach(async () => {
+    if (stream) {
+      stream.stop();
+      stream = null;
+    }
+    if (server) {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+      server = null;
+    }
+  });
+
+  it('should deliver events and resubscribe with the current sessions on restart', async () => {
+    const clients = [];
+    const url = await startRelay((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write(': connected\n\n');
+      clients.push(res);
+    });
+
+    let sessionIds = ['s1'];
+    const events = [];
+    const opened = nextCall();
+    const delivered = nextCall();
+    const onOpen = vi.fn(() => opened.fire());
+    stream = new RelayStream({
+      url,
+      apiKey: 'key',
+      getSessionIds: () => sessionIds,
+      onEvent: (event) => {
+        events.push(event);
+        delivered.fire();
+      },
+      onOpen
+    });
+
+    let open = opened.next();
+    const running = stream.run();
+    await open;
+    expect(stream.connected).toBe(true);
+    expect(clients).toHaveLength(1);
+    expect(requests[0].url).toBe('/api/daemon/stream?session_ids=s1');
+    expect(requests[0].headers.authorization).toBe('Bearer key');
+
+    const event = delivered.next();
+    clients[0].write('event: ping\ndata: {}\n\nid: 1\nevent: approval\ndata: {"id":"a1"}\n\n');
+    await event;
+    expect(events).toEqual([{ event: 'approval', data: '{"id":"a1"}', id: '1' }]);
+
+    sessionIds = ['s1', 's2'];
+    open = opened.next();
+    stream.restart();
+    await open;
+    expect(clients).toHaveLength(2);
+    expect(requests[1].url).toBe(`/api/daemon/stream?session_ids=${encodeURIComponent('s1,s2')}`);
+    expect(requests[1].headers['last-event-id']).toBe('1');
+    expect(onOpen).toHaveBeenCalledTimes(2);
+
+    stream.stop();
+    await running;
+  });
+
+  it('should fail fast when the relay does not support streaming', async () => {
+    const url = await startRelay((req, res) => {
+      res.writeHead(404);
+      res.end();
+    });
+
+    stream = new RelayStream({ url, apiKey: 'key', getSessionIds: () => [], onEvent: () => {} });
+    await expect(stream.run()).rejects.toMatchObject({ unsupported: true, status: 404 });
+    expect(requests).toHaveLength(1);
+  });
+
+  it('should retry dropped connections with backoff and give up after maxRetries', async () => {
+    const url = await startRelay((req, res) => {
+      res.writeHead(503);
+      res.end();
+    });
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+
+    stream = new RelayStream({
+      url,
+      apiKey: 'key',
+      getSessionIds: () => [],
+      onEvent: () => {},
+      retryOptions: { maxRetries: 2, initialDelay: 5, maxDelay: 10 }
+    });
+    await expect(stream.run()).rejects.toMatchObject({ status: 503 });
+    expect(requests).toHaveLength(3);
+    console.log.mockRestore();
+  });
+});
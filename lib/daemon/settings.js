@@ -0,0 +1,138 @@
+/**
+ * Daemon settings that can change while it runs
+ *
+ * The relay endpoint and key come from the stored credentials, the intervals,
+ * allowlist and worktree-per-session switch from config.json. The daemon
+ * resolves them at startup and again whenever either file changes (or on
+ * SIGHUP), then applies the difference without dropping sessions.
+ */
+
+import { watch } from 'fs';
+import { basename, dirname } from 'path';
+import { DEFAULT_CONCURRENCY } from './worker-pool.js';
+import { DEFAULT_SECRETS_CONFIG } from '../auth/secret-backends.js';
+import { DEFAULT_PROFILE, resolveRelayConfig } from '../auth/profiles.js';
+
+export const DEFAULT_RELAY_API_URL = 'https://api.teleportation.dev';
+export const DEFAULT_POLL_INTERVAL_MS = 5000;
+export const DEFAULT_HEARTBEAT_INTERVAL_MS = 30000; // 30 sec
+
+const LABELS = {
+  profile: 'credential profile',
+  relayApiUrl: 'relay URL',
+  relayApiKey: 'relay API key',
+  pollIntervalMs: 'poll interval',
+  heartbeatIntervalMs: 'heartbeat interval',
+  maxConcurrency: 'max concurrency',
+  commands: 'command allowlist',
+  approvals: 'approval timeouts',
+  redaction: 'output redaction',
+  secretCacheMinutes: 'passphrase cache',
+  autoIsolate: 'worktree per session'
+};
+
+/**
+ * An environment variable wins over config.json, which wins over the default
+ */
+function fromEnv(value, configured, fallback) {
+  if (value !== undefined && value !== '') {
+    return parseInt(value, 10);
+  }
+  return configured ?? fallback;
+}
+
+/**
+ * Resolve the daemon's live settings.
+ * Relay endpoint and key: resolveRelayConfig() (credentials, then
+ * RELAY_API_URL/RELAY_API_KEY, then config.relay.url).
+ * Intervals and concurrency: DAEMON_* environment variables, then config.daemon.
+ * @param {Object} [sources]
+ * @param {Object} [sources.env]
+ * @param {Object} [sources.config] - loadConfig() result
+ * @param {Object|null} [sources.credentials] - CredentialManager.load() result
+ * @param {string} [sources.profile] - Credential profile the credentials came from
+ */
+export function resolveDaemonSettings({ env = process.env, config = {}, credentials = null, profile = DEFAULT_PROFILE } = {}) {
+  const relay = resolveRelayConfig({ credentials, env, config });
+  return {
+    profile,
+    relayApiUrl: relay.url || DEFAULT_RELAY_API_URL,
+    relayApiKey: relay.key,
+    pollIntervalMs: fromEnv(env.DAEMON_POLL_INTERVAL_MS, config.daemon?.pollIntervalMs, DEFAULT_POLL_INTERVAL_MS),
+    heartbeatIntervalMs: fromEnv(env.DAEMON_HEARTBEAT_INTERVAL_MS, config.daemon?.heartbeatIntervalMs, DEFAULT_HEARTBEAT_INTERVAL_MS),
+    maxConcurrency: fromEnv(env.DAEMON_MAX_CONCURRENCY, config.daemon?.maxConcurrency, DEFAULT_CONCURRENCY),
+    commands: config.commands || null,
+    approvals: config.approvals || null,
+    redaction: config.redaction || null,
+    secretCacheMinutes: config.secrets?.cacheMinutes ?? DEFAULT_SECRETS_CONFIG.cacheMinutes,
+    autoIsolate: config.worktree?.autoIsolate === true
+  };
+}
+
+/**
+ * Human-readable list of what differs between two settings objects.
+ * Keys are masked to their last four characters.
+ * @returns {string[]}
+ */
+export function describeSettingsChanges(previous, next) {
+  const changes = [];
+  for (const [name, label] of Object.entries(LABELS)) {
+    const before = previous?.[name];
+    const after = next[name];
+    if (JSON.stringify(before) === JSON.stringify(after)) continue;
+
+    if (name === 'relayApiKey') {
+      const mask = (key) => (key ? '***' + key.slice(-4) : '(none)');
+      changes.push(`${label}: ${mask(before)} -> ${mask(after)}`);
+    } else if (typeof before === 'object' || typeof after === 'object') {
+      // Config sections (null means the built-in defaults)
+      changes.push(`${label} updated`);
+    } else {
+      changes.push(`${label}: ${before ?? '(default)'} -> ${after}`);
+    }
+  }
+  return changes;
+}
+
+/**
+ * Call `onChange` (debounced) when any of `paths` is written, created or
+ * replaced. Watches the parent directories, since credentials and config are
+ * saved by renaming a new file over the old one.
+ * @param {string[]} paths
+ * @param {() => void} onChange
+ * @param {Object} [options]
+ * @param {number} [options.debounceMs]
+ * @returns {() => void} Stops watching
+ */
+export function watchSettingsFiles(paths, onChange, { debounceMs = 500 } = {}) {
+  const byDir = new Map();
+  for (const path of paths) {
+    const dir = dirname(path);
+    if (!byDir.has(dir)) byDir.set(dir, new Set());
+    byDir.get(dir).add(basename(path));
+  }
+
+  let timer = null;
+  const watchers = [];
+  for (const [dir, names] of byDir) {
+    try {
+      const watcher = watch(dir, { persistent: false }, (event, filename) => {
+        if (filename && !names.has(filename.toString())) return;
+        clearTimeout(timer);
+        timer = setTimeout(onChange, debounceMs);
+      });
+      watcher.on('error', (error) => {
+        console.error(`[daemon] Stopped watching ${dir}: ${error.message}`);
+      });
+      watchers.push(watcher);
+    } catch (error) {
+      // Directory doesn't exist yet: SIGHUP still works
+      console.error(`[daemon] Cannot watch ${dir}: ${error.message}`);
+    }
+  }
+
+  return () => {
+    clearTimeout(timer);
+    for (const watcher of watchers) watcher.close();
+  };
+}
@@ -0,0 +1,70 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { mkdtemp, rm, writeFile, rename } from 'fs/promises';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { resolveDaemonSettings, describeSettingsChanges, watchSettingsFiles, DEFAULT_POLL_INTERVAL_MS } from './settings.js';
+
+describe('Daemon settings', () => {
+  let dir;
+
+  afterEach(async () => {
+    if (dir) {
+      await rm(dir, { recursive: true, force: true });
+      dir = null;
+    }
+  });
+
+  it('should prefer stored credentials for the relay and the environment for intervals', () => {
+    const env = { RELAY_API_URL: 'http://env.test', RELAY_API_KEY: 'env-key', DAEMON_POLL_INTERVAL_MS: '1500' };
+    const config = { relay: { url: 'http://config.test' }, daemon: { pollIntervalMs: 9000, heartbeatIntervalMs: 60000 } };
+
+    expect(resolveDaemonSettings({ env, config, credentials: { apiKey: 'stored-key', relayApiUrl: 'http://stored.test' } })).toMatchObject({
+      relayApiUrl: 'http://stored.test',
+      relayApiKey: 'stored-key',
+      pollIntervalMs: 1500,
+      heartbeatIntervalMs: 60000
+    });
+    expect(resolveDaemonSettings({ env, config })).toMatchObject({ relayApiUrl: 'http://env.test', relayApiKey: 'env-key' });
+    expect(resolveDaemonSettings({ env: {}, config })).toMatchObject({ relayApiUrl: 'http://config.test', relayApiKey: '' });
+    // Device code logins authenticate with the access token
+    expect(resolveDaemonSettings({ env: {}, credentials: { accessToken: 'access-1' } }).relayApiKey).toBe('access-1');
+    expect(resolveDaemonSettings({ env: {} }).pollIntervalMs).toBe(DEFAULT_POLL_INTERVAL_MS);
+  });
+
+  it('should describe changes without printing keys', () => {
+    const before = resolveDaemonSettings({ env: { RELAY_API_KEY: 'tp_old_key_0001' } });
+    const after = resolveDaemonSettings({
+      env: { RELAY_API_KEY: 'tp_new_key_0002' },
+      config: { daemon: { heartbeatIntervalMs: 10000 }, commands: { allow: ['ls'] } }
+    });
+
+    expect(describeSettingsChanges(before, after)).toEqual([
+      'relay API key: ***0001 -> ***0002',
+      'heartbeat interval: 30000 -> 10000',
+      'command allowlist updated'
+    ]);
+    expect(describeSettingsChanges(after, before)).toContain('command allowlist updated');
+    expect(describeSettingsChanges(after, { ...after })).toEqual([]);
+  });
+
+  it('should notice a file replaced by rename', async () => {
+    dir = await mkdtemp(join(tmpdir(), 'teleportation-settings-'));
+    const path = join(dir, 'credentials');
+    await writeFile(path, 'old');
+
+    let calls = 0;
+    const changed = new Promise(resolve => {
+      const stop = watchSettingsFiles([path], () => {
+        calls++;
+        stop();
+        resolve();
+      }, { debounceMs: 20 });
+    });
+
+    await writeFile(join(dir, 'unrelated'), 'x');
+    await writeFile(`${path}.tmp`, 'new');
+    await rename(`${path}.tmp`, path);
+    await changed;
+    expect(calls).toBe(1);
+  });
+});
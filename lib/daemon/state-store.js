@@ -0,0 +1,244 @@
+/**
+ * Daemon State Store
+ * Durable local store for the daemon's in-memory state (sessions, approval
+ * queue, executions, heartbeat counters) so a crash, idle-timeout exit or
+ * `teleportation daemon restart` doesn't lose queued work.
+ *
+ * Layout (~/.teleportation/daemon/, dir 0700, files 0600):
+ *   state.json     last compacted snapshot
+ *   journal.jsonl  append-only log of mutations since the snapshot
+ *
+ * Every mutation is appended synchronously as one JSON line, so the journal
+ * order always matches the order the daemon applied changes. Loading replays
+ * the journal on top of the snapshot; a torn final line (crash mid-write) is
+ * skipped. compact() writes a fresh snapshot atomically (tmp + rename) without
+ * blocking the daemon, then drops the journal records the snapshot covers.
+ * Execution output is cut to OUTPUT_LIMIT in both files; the full output only
+ * lives in memory while the execution is fresh.
+ */
+
+import {
+  mkdirSync,
+  readFileSync,
+  writeFileSync,
+  appendFileSync,
+  renameSync,
+  existsSync,
+  statSync,
+  openSync,
+  readSync,
+  closeSync
+} from 'fs';
+import { writeFile, rename } from 'fs/promises';
+import { join } from 'path';
+import { homedir } from 'os';
+
+const DEFAULT_STATE_DIR = join(homedir(), '.teleportation', 'daemon');
+const SNAPSHOT_FILE = 'state.json';
+const JOURNAL_FILE = 'journal.jsonl';
+const SNAPSHOT_VERSION = 1;
+
+// Compact once the journal holds this many records
+const DEFAULT_COMPACT_THRESHOLD = 500;
+// Stored stdout/stderr per execution
+const OUTPUT_LIMIT = 4 * 1024;
+
+function emptyState() {
+  return {
+    sessions: new Map(),
+    approvalQueue: [],
+    executions: new Map(),
+    heartbeatState: new Map()
+  };
+}
+
+function truncate(text) {
+  if (typeof text !== 'string' || text.length <= OUTPUT_LIMIT) return text;
+  return `${text.slice(0, OUTPUT_LIMIT)}\n[truncated ${text.length - OUTPUT_LIMIT} chars]`;
+}
+
+/**
+ * An execution as stored on disk: output cut to OUTPUT_LIMIT
+ */
+function storedExecution(execution) {
+  if (execution.stdout === undefined && execution.stderr === undefined) return execution;
+  return { ...execution, stdout: truncate(execution.stdout), stderr: truncate(execution.stderr) };
+}
+
+/**
+ * Bytes of a file from offset to its end (empty when it doesn't exist)
+ */
+function readFrom(path, offset) {
+  if (!existsSync(path)) return Buffer.alloc(0);
+  const fd = openSync(path, 'r');
+  try {
+    const tail = Buffer.alloc(Math.max(0, statSync(path).size - offset));
+    readSync(fd, tail, 0, tail.length, offset);
+    return tail;
+  } finally {
+    closeSync(fd);
+  }
+}
+
+/**
+ * Apply one journal record to a state object (mutates state)
+ */
+function applyRecord(state, record) {
+  switch (record.op) {
+    case 'session.set':
+      state.sessions.set(record.session.session_id, record.session);
+      break;
+    case 'session.delete':
+      state.sessions.delete(record.session_id);
+      state.heartbeatState.delete(record.session_id);
+      break;
+    case 'queue.push':
+      if (!state.approvalQueue.some(a => a.approval_id === record.approval.approval_id)) {
+        state.approvalQueue.push(record.approval);
+      }
+      break;
+    case 'queue.update': {
+      const index = state.approvalQueue.findIndex(a => a.approval_id === record.approval.approval_id);
+      if (index !== -1) state.approvalQueue[index] = record.approval;
+      break;
+    }
+    case 'queue.remove': {
+      const index = state.approvalQueue.findIndex(a => a.approval_id === record.approval_id);
+      if (index !== -1) state.approvalQueue.splice(index, 1);
+      break;
+    }
+    case 'execution.set':
+      state.executions.set(record.execution.approval_id, record.execution);
+      break;
+    case 'execution.delete':
+      state.executions.delete(record.approval_id);
+      break;
+    case 'heartbeat.set': // Older journals only; counters now reach disk with snapshots
+      state.heartbeatState.set(record.session_id, record.state);
+      break;
+    case 'heartbeat.delete':
+      state.heartbeatState.delete(record.session_id);
+      break;
+    default:
+      // Unknown op from a newer version - ignore rather than fail the whole load
+      break;
+  }
+}
+
+export class DaemonStateStore {
+  /**
+   * @param {string} [stateDir] - Directory for snapshot and journal
+   * @param {Object} [options]
+   * @param {number} [options.compactThreshold] - Journal records before compaction is due
+   */
+  constructor(stateDir = DEFAULT_STATE_DIR, { compactThreshold = DEFAULT_COMPACT_THRESHOLD } = {}) {
+    this.stateDir = stateDir;
+    this.snapshotPath = join(stateDir, SNAPSHOT_FILE);
+    this.journalPath = join(stateDir, JOURNAL_FILE);
+    this.compactThreshold = compactThreshold;
+    this.journalRecords = 0;
+    this.compacting = null;
+  }
+
+  ensureDir() {
+    mkdirSync(this.stateDir, { recursive: true, mode: 0o700 });
+  }
+
+  /**
+   * Load persisted state (snapshot + journal replay)
+   * @returns {{ sessions: Map, approvalQueue: Array, executions: Map, heartbeatState: Map }}
+   */
+  load() {
+    const state = emptyState();
+
+    if (existsSync(this.snapshotPath)) {
+      try {
+        const snapshot = JSON.parse(readFileSync(this.snapshotPath, 'utf8'));
+        for (const session of snapshot.sessions || []) state.sessions.set(session.session_id, session);
+        for (const approval of snapshot.approvalQueue || []) state.approvalQueue.push(approval);
+        for (const execution of snapshot.executions || []) state.executions.set(execution.approval_id, execution);
+        for (const [session_id, hb] of Object.entries(snapshot.heartbeatState || {})) state.heartbeatState.set(session_id, hb);
+      } catch (error) {
+        console.error(`[state-store] Ignoring unreadable snapshot ${this.snapshotPath}: ${error.message}`);
+      }
+    }
+
+    this.journalRecords = 0;
+    if (existsSync(this.journalPath)) {
+      const lines = readFileSync(this.journalPath, 'utf8').split('\n');
+      lines.forEach((line, index) => {
+        if (!line.trim()) return;
+        try {
+          applyRecord(state, JSON.parse(line));
+          this.journalRecords++;
+        } catch (error) {
+          console.error(`[state-store] Skipping corrupt journal line ${index + 1}: ${error.message}`);
+        }
+      });
+    }
+
+    return state;
+  }
+
+  /**
+   * Append a mutation record to the journal
+   * @param {Object} record - { op, ... }
+   */
+  append(record) {
+    this.ensureDir();
+    const stored = record.op === 'execution.set' ? { ...record, execution: storedExecution(record.execution) } : record;
+    appendFileSync(this.journalPath, JSON.stringify(stored) + '\n', { mode: 0o600 });
+    this.journalRecords++;
+  }
+
+  needsCompaction() {
+    return !this.compacting && this.journalRecords >= this.compactThreshold;
+  }
+
+  /**
+   * Write a snapshot of the given state and drop the journal records it covers.
+   * A call made while a compaction is running waits for it, then compacts again.
+   * @param {{ sessions: Map, approvalQueue: Array, executions: Map, heartbeatState: Map }} state
+   * @returns {Promise<void>}
+   */
+  compact(state) {
+    if (this.compacting) {
+      return this.compacting.catch(() => {}).then(() => this.compact(state));
+    }
+    this.compacting = this.writeSnapshot(state).finally(() => {
+      this.compacting = null;
+    });
+    return this.compacting;
+  }
+
+  /**
+   * One compaction (see compact())
+   */
+  async writeSnapshot(state) {
+    this.ensureDir();
+
+    // Everything journaled so far is in this snapshot; later appends are not
+    const covered = existsSync(this.journalPath) ? statSync(this.journalPath).size : 0;
+    const coveredRecords = this.journalRecords;
+    const snapshot = JSON.stringify({
+      version: SNAPSHOT_VERSION,
+      compacted_at: Date.now(),
+      sessions: [...state.sessions.values()],
+      approvalQueue: [...state.approvalQueue],
+      executions: [...state.executions.values()].map(storedExecution),
+      heartbeatState: Object.fromEntries(state.heartbeatState)
+    });
+
+    const tmpPath = `${this.snapshotPath}.${process.pid}.tmp`;
+    await writeFile(tmpPath, snapshot, { mode: 0o600 });
+    await rename(tmpPath, this.snapshotPath);
+
+    // Synchronous from here so no append lands between the read and the rename
+    const journalTmpPath = `${this.journalPath}.${process.pid}.tmp`;
+    writeFileSync(journalTmpPath, readFrom(this.journalPath, covered), { mode: 0o600 });
+    renameSync(journalTmpPath, this.journalPath);
+    this.journalRecords -= coveredRecords;
+  }
+}
+
+export { DEFAULT_STATE_DIR, applyRecord };
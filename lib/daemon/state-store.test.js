@@ -0,0 +1,107 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, rm, readFile, appendFile, stat } from 'fs/promises';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { DaemonStateStore } from './state-store.js';
+
+describe('DaemonStateStore', () => {
+  let tmpDir;
+  let stateDir;
+
+  beforeEach(async () => {
+    tmpDir = await mkdtemp(join(tmpdir(), 'teleportation-state-'));
+    stateDir = join(tmpDir, 'daemon');
+  });
+
+  afterEach(async () => {
+    await rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should load empty state when nothing has been persisted', () => {
+    const state = new DaemonStateStore(stateDir).load();
+    expect(state.sessions.size).toBe(0);
+    expect(state.approvalQueue).toEqual([]);
+    expect(state.executions.size).toBe(0);
+    expect(state.heartbeatState.size).toBe(0);
+  });
+
+  it('should replay journal records in order', () => {
+    const store = new DaemonStateStore(stateDir);
+    store.append({ op: 'session.set', session: { session_id: 's1', cwd: '/tmp' } });
+    store.append({ op: 'queue.push', approval: { approval_id: 'a1', session_id: 's1' } });
+    store.append({ op: 'queue.push', approval: { approval_id: 'a2', session_id: 's1' } });
+    store.append({ op: 'queue.remove', approval_id: 'a1' });
+    store.append({ op: 'execution.set', execution: { approval_id: 'a1', status: 'executing' } });
+    store.append({ op: 'execution.set', execution: { approval_id: 'a1', status: 'completed' } });
+    store.append({ op: 'heartbeat.set', session_id: 's1', state: { count: 2, lastSent: 1 } });
+
+    const state = new DaemonStateStore(stateDir).load();
+    expect(state.sessions.get('s1')).toEqual({ session_id: 's1', cwd: '/tmp' });
+    expect(state.approvalQueue.map(a => a.approval_id)).toEqual(['a2']);
+    expect(state.executions.get('a1').status).toBe('completed');
+    expect(state.heartbeatState.get('s1')).toEqual({ count: 2, lastSent: 1 });
+  });
+
+  it('should skip a torn final journal line', async () => {
+    const store = new DaemonStateStore(stateDir);
+    store.append({ op: 'queue.push', approval: { approval_id: 'a1' } });
+    await appendFile(store.journalPath, '{"op":"queue.push","appro');
+
+    const state = new DaemonStateStore(stateDir).load();
+    expect(state.approvalQueue.map(a => a.approval_id)).toEqual(['a1']);
+  });
+
+  it('should compact into a snapshot and truncate the journal', async () => {
+    const store = new DaemonStateStore(stateDir, { compactThreshold: 2 });
+    store.append({ op: 'session.set', session: { session_id: 's1' } });
+    expect(store.needsCompaction()).toBe(false);
+    store.append({ op: 'queue.push', approval: { approval_id: 'a1' } });
+    expect(store.needsCompaction()).toBe(true);
+
+    await store.compact(store.load());
+    expect(store.needsCompaction()).toBe(false);
+    expect(await readFile(store.journalPath, 'utf8')).toBe('');
+
+    store.append({ op: 'queue.push', approval: { approval_id: 'a2' } });
+    const state = new DaemonStateStore(stateDir).load();
+    expect([...state.sessions.keys()]).toEqual(['s1']);
+    expect(state.approvalQueue.map(a => a.approval_id)).toEqual(['a1', 'a2']);
+  });
+
+  it('should keep records appended while a snapshot is being written', async () => {
+    const store = new DaemonStateStore(stateDir);
+    store.append({ op: 'session.set', session: { session_id: 's1' } });
+
+    const compacting = store.compact(store.load());
+    store.append({ op: 'queue.push', approval: { approval_id: 'a1' } });
+    await compacting;
+
+    expect(store.journalRecords).toBe(1);
+    expect((await readFile(store.journalPath, 'utf8')).trim().split('\n')).toHaveLength(1);
+    const state = new DaemonStateStore(stateDir).load();
+    expect([...state.sessions.keys()]).toEqual(['s1']);
+    expect(state.approvalQueue.map(a => a.approval_id)).toEqual(['a1']);
+  });
+
+  it('should store execution output truncated', async () => {
+    const store = new DaemonStateStore(stateDir);
+    const execution = { approval_id: 'a1', status: 'completed', stdout: 'x'.repeat(5000), stderr: '' };
+    store.append({ op: 'execution.set', execution });
+    expect(new DaemonStateStore(stateDir).load().executions.get('a1').stdout).toMatch(/\[truncated 904 chars\]$/);
+
+    await store.compact({ ...store.load(), executions: new Map([['a1', execution]]) });
+    const stored = JSON.parse(await readFile(store.snapshotPath, 'utf8')).executions[0];
+    expect(stored.stdout).toHaveLength(4096 + '\n[truncated 904 chars]'.length);
+    expect(stored.stderr).toBe('');
+  });
+
+  it('should create files readable only by the owner', async () => {
+    const store = new DaemonStateStore(stateDir);
+    store.append({ op: 'session.set', session: { session_id: 's1' } });
+    await store.compact(store.load());
+
+    expect((await stat(stateDir)).mode & 0o777).toBe(0o700);
+    expect((await stat(store.journalPath)).mode & 0o777).toBe(0o600);
+    expect((await stat(store.snapshotPath)).mode & 0o777).toBe(0o600);
+  });
+});
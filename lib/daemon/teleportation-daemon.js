@@ -4,55 +4,110 @@
  * Teleportation Daemon
  *
  * Persistent background service that:
- * - Polls relay API for approved tool requests
+ * - Subscribes to the relay event stream for approved tool requests (polls when streaming is unavailable)
  * - Spawns child Claude Code processes via `claude --resume <session_id> -p "<prompt>"`
  * - Executes approved tools asynchronously when user is away
- * - Maintains session registry and approval queue
+ * - Maintains session registry and approval queue (persisted to ~/.teleportation/daemon/
+ *   so a restart resumes queued work; see lib/daemon/state-store.js)
+ * - Applies the local approval policy (see lib/policy/engine.js) to handed-off requests
  * - Provides HTTP server for hook communication
  *
  * SECURITY ARCHITECTURE:
  * ----------------------
- * This daemon executes shell commands via spawn('sh', ['-c', command]) which bypasses
+ * This daemon executes commands directly (parsed into argv, no shell) which bypasses
  * Claude CLI's built-in security controls. This is an intentional architectural decision
  * to enable remote approval/execution, but requires defense-in-depth measures:
  *
- * 1. COMMAND WHITELIST: Only pre-approved command prefixes are allowed (see ALLOWED_COMMAND_PREFIXES)
- * 2. SHELL INJECTION BLOCKING: Commands containing metacharacters (;|&`$() etc.) are rejected
+ * 1. COMMAND WHITELIST: Only allowlisted commands run directly (see lib/daemon/allowlist.js, `commands` in config.json)
+ * 2. NO SHELL: Commands are tokenized with sh quoting rules (lib/utils/shell-words.js) and exec'd
+ *    without `sh -c`; unquoted operators, substitutions and expansions are rejected
  * 3. APPROVAL FLOW: All commands must be explicitly approved via the relay API
+ *    (or a local policy); undecided handoffs expire per `approvals` in config.json
+ *    (lib/daemon/approval-timeouts.js), denied unless the policy marks the tool safe and
+ *    low-risk; requests a human denied on the relay are dropped and never run
  * 4. DEVELOPMENT BYPASS: ALLOW_ALL_COMMANDS requires TELEPORTATION_DANGER_ZONE confirmation
+ * 5. LOCAL API AUTH: every route except /health requires the bearer token in
+ *    ~/.teleportation/daemon.token (lib/daemon/auth.js); no CORS, optional Unix socket
+ * 6. AUDIT LOG: registrations, handoffs, acks, rejections, bypasses, executions and inbox
+ *    commands are appended to a hash-chained log in ~/.teleportation/audit/ (lib/audit/log.js);
+ *    check it with `teleportation audit verify`
  *
  * For production deployments requiring Claude CLI integration, consider:
  * - Using the CLAUDE_CLI_PATH environment variable to specify a custom Claude CLI wrapper
  * - Implementing additional command validation in a proxy layer
- * - Enabling audit logging by setting DEBUG=1
+ * - Shipping `teleportation audit export` output to storage the daemon's user can't modify
  */
 
 import http from 'http';
+import { unlink, chmod } from 'fs/promises';
+import { join } from 'path';
 import { fileURLToPath } from 'url';
-import { spawn, exec } from 'child_process';
+import { spawn, execFile } from 'child_process';
 import { promisify } from 'util';
 import { acquirePidLock, releasePidLock } from './pid-manager.js';
 import { setupSignalHandlers } from './lifecycle.js';
-
-const execAsync = promisify(exec);
+import { loadPolicy, evaluatePolicy, DEFAULT_POLICY_PATH } from '../policy/engine.js';
+import { assessRisk } from '../policy/risk.js';
+import { sanitizeCommand, resolveAllowlist, checkCommand } from './allowlist.js';
+import { loadConfig, DEFAULT_CONFIG_PATH } from '../config/manager.js';
+import { tokenize } from '../utils/shell-words.js';
+import { DaemonStateStore, DEFAULT_STATE_DIR } from './state-store.js';
+import { WorkerPool } from './worker-pool.js';
+import { RelayStream } from './relay-stream.js';
+import { RelayClient, PROTOCOL_VERSION as RELAY_PROTOCOL_VERSION } from './relay-client.js';
+import { loadOrCreateDaemonToken, isAuthorized } from './auth.js';
+import { OutputHub, ChunkForwarder, LineBuffer } from './output-stream.js';
+import { isFileTool, executeFileTool } from './file-tools.js';
+import { ExecutionHistory } from './execution-history.js';
+import { AuditLog, resolveAuditDir } from '../audit/log.js';
+import { resolveApprovalDeadline } from './approval-timeouts.js';
+import { isDiffTool, buildDiffPreview } from './diff-preview.js';
+import { createRedactor, redactFields } from './redaction.js';
+import { DeviceRegistry, DEFAULT_DEVICES_PATH } from '../auth/devices.js';
+import { useKeyCache, DEFAULT_SECRETS_CONFIG } from '../auth/secret-backends.js';
+import { validateApiKeyFormat } from '../auth/api-key.js';
+import { REFRESH_MARGIN_MS, encrypt, decrypt } from '../auth/credentials.js';
+import { ProfileStore, DEFAULT_PROFILE } from '../auth/profiles.js';
+import { resolveDaemonSettings, describeSettingsChanges, watchSettingsFiles } from './settings.js';
+import { isolateSession, releaseSessionWorktree } from '../worktree/session-isolation.js';
+
+const execFileAsync = promisify(execFile);
 console.log('[daemon] Starting up...');
 
 const PORT = parseInt(process.env.TELEPORTATION_DAEMON_PORT || '3050', 10);
-const RELAY_API_URL = process.env.RELAY_API_URL || 'https://api.teleportation.dev';
-const RELAY_API_KEY = process.env.RELAY_API_KEY || '';
-const POLL_INTERVAL_MS = parseInt(process.env.DAEMON_POLL_INTERVAL_MS || '5000', 10);
+// Listen on a Unix domain socket instead of TCP (config: daemon.socketPath)
+const SOCKET_PATH_ENV = process.env.TELEPORTATION_DAEMON_SOCKET;
+// Relay endpoint and key, intervals, concurrency and allowlist: from the environment
+// until main() reads credentials and config.json, then reloaded live (see settings.js)
+let settings = resolveDaemonSettings();
 const CHILD_TIMEOUT_MS = parseInt(process.env.DAEMON_CHILD_TIMEOUT_MS || '600000', 10); // 10 min
+// Time between SIGTERM and SIGKILL when cancelling or timing out an execution
+const CANCEL_GRACE_MS = parseInt(process.env.DAEMON_CANCEL_GRACE_MS || '5000', 10);
+const CANCELLED_ERROR = 'Cancelled by user';
 const IDLE_CHECK_INTERVAL_MS = parseInt(process.env.DAEMON_IDLE_CHECK_INTERVAL_MS || '300000', 10); // 5 min
 const IDLE_TIMEOUT_MS = parseInt(process.env.DAEMON_IDLE_TIMEOUT_MS || '1800000', 10); // 30 min
+// Forget a session not heard from in this long (its Claude Code process likely died without ending it)
+const SESSION_TTL_MS = parseInt(process.env.DAEMON_SESSION_TTL_MS || '43200000', 10); // 12 hours
+const APPROVAL_CHECK_INTERVAL_MS = parseInt(process.env.DAEMON_APPROVAL_CHECK_INTERVAL_MS || '15000', 10); // 15 sec
 const CLAUDE_CLI = process.env.CLAUDE_CLI_PATH || 'claude'; // Configurable Claude CLI path
 const ALLOW_ALL_COMMANDS = process.env.TELEPORTATION_DAEMON_ALLOW_ALL_COMMANDS === 'true';
-const HEARTBEAT_INTERVAL_MS = parseInt(process.env.DAEMON_HEARTBEAT_INTERVAL_MS || '30000', 10); // 30 sec default
+const POLICY_PATH = process.env.TELEPORTATION_POLICY_PATH || DEFAULT_POLICY_PATH;
+const DEVICES_PATH = process.env.TELEPORTATION_DEVICES_PATH || DEFAULT_DEVICES_PATH;
+const STATE_DIR = process.env.TELEPORTATION_DAEMON_STATE_DIR || DEFAULT_STATE_DIR;
+// Subscribe to the relay's event stream instead of polling (falls back to polling when unavailable)
+const RELAY_STREAMING = process.env.TELEPORTATION_RELAY_STREAMING !== 'false';
+const STREAM_RETRY_MS = parseInt(process.env.DAEMON_STREAM_RETRY_MS || '300000', 10); // 5 min
+// Relay protocol version to speak (1 = per-session requests only, 2 = batch poll/heartbeats)
+const PROTOCOL_VERSION = parseInt(process.env.TELEPORTATION_PROTOCOL_VERSION || String(RELAY_PROTOCOL_VERSION), 10);
+// Token refresh timer bounds: retry a failed refresh after a minute; setTimeout overflows past ~24.8 days
+const MIN_CREDENTIAL_REFRESH_MS = 60 * 1000;
+const MAX_TIMER_MS = 24 * 60 * 60 * 1000;
 
 // Heartbeat tracking: session_id -> { count, lastSent }
 const heartbeatState = new Map();
 let lastHeartbeatTime = 0;
 
-// Session registry: session_id -> { session_id, cwd, meta, registered_at }
+// Session registry: session_id -> { session_id, cwd, meta, registered_at, last_seen_at }
 const sessions = new Map();
 
 // Approval queue: FIFO queue of pending approvals
@@ -71,80 +126,58 @@ const MAX_EXECUTIONS = 1000; // Maximum executions to keep in memory (LRU cache)
 // Maximum output size to prevent memory issues
 const MAX_OUTPUT_SIZE = 100_000; // 100KB
 
-// Command whitelist for inbox execution (security: prevents arbitrary command execution)
-// Only commands starting with these prefixes are allowed
-const ALLOWED_COMMAND_PREFIXES = [
-  'git ',        // Git operations
-  'npm ',        // NPM package management
-  'npx ',        // NPX execution
-  'node ',       // Node.js execution
-  'ls',          // List files (ls, ls -la, etc.)
-  'cat ',        // View file contents
-  'head ',       // View file head
-  'tail ',       // View file tail
-  'grep ',       // Search in files
-  'find ',       // Find files
-  'pwd',         // Print working directory
-  'echo ',       // Echo output
-  'mkdir ',      // Create directories
-  'touch ',      // Create files
-  'cp ',         // Copy files
-  'mv ',         // Move files
-  // 'rm ' removed - too dangerous for remote execution (could allow rm -rf /)
-  'chmod ',      // Change permissions
-  'wc ',         // Word count
-  'sort ',       // Sort output
-  'uniq ',       // Unique lines
-  'cut ',        // Cut columns
-  'diff ',       // Compare files
-  'which ',      // Find executables
-  'env',         // Show environment
-  'date',        // Show date
-  'whoami',      // Show current user
-  'hostname',    // Show hostname
-];
-
-/**
- * SECURITY: Shell injection detection
- * Block characters that can chain or inject additional commands
- * Note: Parentheses/brackets allowed within quoted strings (e.g., node -e "code()")
- */
-const COMMAND_INJECTION_PATTERNS = [
-  /;/,           // Command chaining: cmd1; cmd2
-  /\|/,          // Piping: cmd1 | cmd2
-  /&/,           // Background/AND: cmd1 & cmd2, cmd1 && cmd2
-  /`/,           // Backtick substitution: `cmd`
-  /\$\(/,        // Command substitution: $(cmd)
-  /\$\{/,        // Variable expansion: ${var}
-  /\n|\r/,       // Newlines (command separation)
-  />\s*>/,       // Append redirect: >>
-  /<\s*</,       // Here-string: <<
-];
-
-/**
- * Sanitize command by checking for shell injection patterns
- * @param {string} command - The command to sanitize
- * @returns {{ safe: boolean, reason?: string }}
- */
-function sanitizeCommand(command) {
-  for (const pattern of COMMAND_INJECTION_PATTERNS) {
-    if (pattern.test(command)) {
-      const match = command.match(pattern);
-      return {
-        safe: false,
-        reason: `Command contains shell injection pattern: '${match[0]}'`
-      };
-    }
+// Command allowlist for inbox execution (security: prevents arbitrary command execution)
+// From the `commands` section of config.json (applySettings); built-in defaults until main() runs
+let commandsConfig = null;
+
+// Approval timeouts and reminders, from the `approvals` section of config.json
+let approvalsConfig = null;
+
+// Masks secrets in output sent to the relay, from the `redaction` section of config.json
+let redact = createRedactor();
+
+// Stored login (relay endpoint and key) of the active credential profile,
+// re-read when the file changes or `teleportation profile use` switches profiles
+let profileStore = new ProfileStore();
+let credentialProfile = DEFAULT_PROFILE;
+let credentialManager = profileStore.credentialManager(DEFAULT_PROFILE);
+let stopWatchingSettings = null;
+// Renews the access token before it expires (device code logins)
+let credentialRefreshTimer = null;
+
+// Device keys: once a phone is paired, content sent to the relay is end-to-end encrypted
+let deviceRegistry = new DeviceRegistry(DEVICES_PATH);
+
+// Passphrase-derived credentials key from `teleportation secrets unlock`, kept in memory
+// only, so CLI commands (and this daemon) don't ask for the passphrase again. It is
+// never sent back out: CLI commands have the daemon encrypt and decrypt with it.
+let secretKeyCache = null; // { key: Buffer, expiresAt: number }
+let secretKeyTtlMs = DEFAULT_SECRETS_CONFIG.cacheMinutes * 60 * 1000;
+
+function getCachedSecretKey() {
+  if (secretKeyCache && Date.now() >= secretKeyCache.expiresAt) {
+    secretKeyCache = null;
   }
-  return { safe: true };
+  return secretKeyCache?.key || null;
+}
+
+function cacheSecretKey(key, ttlMs = secretKeyTtlMs) {
+  secretKeyCache = { key, expiresAt: Date.now() + ttlMs };
+  return secretKeyCache.expiresAt;
 }
 
+useKeyCache({
+  get: async () => getCachedSecretKey(),
+  set: async (key) => { cacheSecretKey(key); }
+});
+
 /**
- * Check if a command is allowed based on the whitelist
+ * Check if a command is allowed based on the configured allowlist
  * @param {string} command - The command to validate
- * @returns {{ allowed: boolean, reason?: string }}
+ * @param {string} [cwd] - Session working directory (selects per-repo overrides)
+ * @returns {{ allowed: boolean, denied?: boolean, reason?: string }}
  */
-function isCommandAllowed(command) {
+function isCommandAllowed(command, cwd) {
   if (!command || typeof command !== 'string') {
     return { allowed: false, reason: 'Command must be a non-empty string' };
   }
@@ -179,36 +212,184 @@ function isCommandAllowed(command) {
     // Log with timestamp for audit trail
     console.warn(`[daemon] ⚠️  SECURITY WARNING: Command whitelist bypass enabled at ${new Date().toISOString()} - ALLOW_ALL_COMMANDS=true`);
     console.warn(`[daemon] ⚠️  Bypassing whitelist for command: ${trimmed.substring(0, 100)}`);
-    return { allowed: true };
+    return { allowed: true, bypass: true };
   }
 
-  // Check against whitelist
-  for (const prefix of ALLOWED_COMMAND_PREFIXES) {
-    if (trimmed === prefix.trim() || trimmed.startsWith(prefix)) {
-      return { allowed: true };
-    }
+  const { allowed, denied, reason } = checkCommand(trimmed, resolveAllowlist(commandsConfig || undefined, cwd));
+  if (allowed) {
+    return { allowed };
   }
-
-  // Command not in whitelist
-  const cmdName = trimmed.split(/\s+/)[0];
-  return {
-    allowed: false,
-    reason: `Command '${cmdName}' is not in the allowed whitelist. Allowed: ${ALLOWED_COMMAND_PREFIXES.map(p => p.trim().split(' ')[0]).filter((v, i, a) => a.indexOf(v) === i).join(', ')}`
-  };
+  return denied ? { allowed, denied, reason } : { allowed, reason };
 }
 
 // Cleanup interval: remove old executions every hour
 const CLEANUP_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
 
 let server = null;
+let socketPath = null;
+let authToken = null;
 let pollingTimer = null;
+let pollInFlight = false;
+let relayStream = null;
+let relayMode = 'polling'; // 'streaming' while the relay stream is connected, 'stopped' after stopRelaySync()
+let streamRetryTimer = null;
+let streamTickTimer = null; // heartbeats while streaming
+let inboxChain = Promise.resolve();
+
+// Live execution output for local followers and the relay
+const outputHub = new OutputHub();
+const outputLines = new LineBuffer();
+const outputForwarder = new ChunkForwarder({ send: (id, chunks, options) => sendOutputChunks(id, chunks, options) });
+let relayOutputSupported = true;
+
+// Running approval child processes and pending cancellations
+const runningChildren = new Map(); // approval_id -> ChildProcess
+const cancelRequests = new Set();
+
+const relayClient = new RelayClient({ url: settings.relayApiUrl, apiKey: settings.relayApiKey, protocolVersion: PROTOCOL_VERSION });
 let cleanupTimer = null;
 let idleTimer = null;
+let approvalTimer = null;
 let isShuttingDown = false;
 
 // Track last time we had any registered sessions (or last time we checked while sessions were present)
 let lastSessionActivityAt = Date.now();
 
+// Durable state store (opened in main(); null until then, so tests stay in memory)
+let stateStore = null;
+let executionHistory = null;
+let auditLog = null;
+
+// Executes approvals; dispatches the next queued approval as soon as a slot frees up
+const workerPool = new WorkerPool({
+  concurrency: settings.maxConcurrency,
+  onSettled: () => {
+    if (!isShuttingDown) {
+      processQueue().catch(error => console.error('[daemon] Queue dispatch error:', error.message));
+    }
+  }
+});
+
+/**
+ * Record a state mutation in the durable journal, compacting when it grows
+ */
+function persist(record) {
+  if (!stateStore) return;
+  try {
+    stateStore.append(record);
+    if (stateStore.needsCompaction()) {
+      stateStore.compact({ sessions, approvalQueue, executions, heartbeatState })
+        .catch(error => console.error('[daemon] Failed to compact state:', error.message));
+    }
+  } catch (error) {
+    console.error('[daemon] Failed to persist state:', error.message);
+  }
+}
+
+/**
+ * Append a security event to the hash-chained audit log
+ * @param {string} event - e.g. 'approval.handoff'
+ * @param {Object} fields - actor, session_id, approval_id and event details
+ */
+function audit(event, fields) {
+  if (!auditLog) return;
+  try {
+    auditLog.append(event, fields);
+  } catch (error) {
+    console.error(`[daemon] Failed to write audit event ${event}:`, error.message);
+  }
+}
+
+/**
+ * Add a finished execution to the long-term history (teleportation executions list)
+ */
+function recordHistory(entry) {
+  if (!executionHistory) return;
+  try {
+    executionHistory.record(entry);
+  } catch (error) {
+    console.error('[daemon] Failed to record execution history:', error.message);
+  }
+}
+
+function setSession(session_id, session) {
+  sessions.set(session_id, session);
+  persist({ op: 'session.set', session });
+}
+
+function deleteSession(session_id) {
+  sessions.delete(session_id);
+  heartbeatState.delete(session_id);
+  persist({ op: 'session.delete', session_id });
+}
+
+/**
+ * Note that a session's hooks are still talking to the daemon
+ */
+function touchSession(session_id) {
+  const session = sessions.get(session_id);
+  if (session) {
+    setSession(session_id, { ...session, last_seen_at: Date.now() });
+  }
+}
+
+/**
+ * Forget sessions not heard from within SESSION_TTL_MS that have nothing
+ * queued or running. Their worktrees are kept (they may hold unmerged work).
+ * @returns {string[]} Expired session ids
+ */
+function expireStaleSessions(now = Date.now()) {
+  const expired = [];
+  for (const [session_id, session] of sessions) {
+    const lastSeen = session.last_seen_at || session.registered_at || 0;
+    if (now - lastSeen < SESSION_TTL_MS) continue;
+    if (approvalQueue.some(a => a.session_id === session_id)) continue;
+    if ([...executions.values()].some(e => e.session_id === session_id && e.status === 'executing')) continue;
+
+    deleteSession(session_id);
+    audit('session.expire', { actor: 'daemon', session_id, last_seen_at: lastSeen });
+    expired.push(session_id);
+  }
+
+  if (expired.length > 0) {
+    console.log(`[daemon] Expired ${expired.length} stale session(s): ${expired.join(', ')}`);
+    if (relayStream) {
+      relayStream.restart();
+    }
+  }
+  return expired;
+}
+
+function enqueueApproval(approval) {
+  approvalQueue.push(approval);
+  persist({ op: 'queue.push', approval });
+}
+
+function updateQueuedApproval(approval) {
+  const index = approvalQueue.findIndex(a => a.approval_id === approval.approval_id);
+  if (index === -1) return;
+  approvalQueue[index] = approval;
+  persist({ op: 'queue.update', approval });
+}
+
+function dequeueApproval(index = 0) {
+  const [approval] = approvalQueue.splice(index, 1);
+  if (approval) {
+    persist({ op: 'queue.remove', approval_id: approval.approval_id });
+  }
+  return approval;
+}
+
+function setExecution(approval_id, execution) {
+  executions.set(approval_id, execution);
+  persist({ op: 'execution.set', execution });
+}
+
+function deleteExecution(approval_id) {
+  executions.delete(approval_id);
+  persist({ op: 'execution.delete', approval_id });
+}
+
 /**
  * HTTP Server for Hook Communication
  * Uses Node.js built-in http module (no external dependencies)
@@ -302,37 +483,45 @@ function sendJSON(res, statusCode, data) {
 
 // HTTP request handler
 async function handleRequest(req, res) {
-  const url = new URL(req.url, `http://${req.headers.host}`);
+  // Host header is absent over a Unix socket
+  const url = new URL(req.url, 'http://localhost');
   const method = req.method;
   const pathname = url.pathname;
 
-  // CORS headers for localhost
-  const headers = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type'
-  };
-
-  // Handle OPTIONS (CORS preflight)
+  // No CORS: the API is for local hooks/CLI only, never for browser pages.
+  // Preflights get no Access-Control-* headers, so browsers block the request.
   if (method === 'OPTIONS') {
-    res.writeHead(200, headers);
-    res.end();
+    sendJSON(res, 405, { error: 'Method not allowed' });
     return;
   }
 
+  const authorized = isAuthorized(req.headers.authorization, authToken);
+
   try {
-    // Health check
+    // Health check (liveness is public; details need the token)
     if (method === 'GET' && pathname === '/health') {
+      if (!authorized) {
+        sendJSON(res, 200, { status: 'healthy', uptime: process.uptime() });
+        return;
+      }
       sendJSON(res, 200, {
         status: 'healthy',
         uptime: process.uptime(),
         sessions: sessions.size,
         queue: approvalQueue.length,
-        executions: executions.size
+        executions: executions.size,
+        relay: relayMode,
+        workers: getQueueMetrics()
       });
       return;
     }
 
+    // Everything else requires the per-install token (~/.teleportation/daemon.token)
+    if (!authorized) {
+      sendJSON(res, 401, { error: 'Unauthorized' });
+      return;
+    }
+
     // Register session
     if (method === 'POST' && pathname === '/sessions/register') {
       const body = await parseJSONBody(req);
@@ -352,22 +541,223 @@ async function handleRequest(req, res) {
         return;
       }
 
-      sessions.set(session_id, {
+      const existing = sessions.get(session_id);
+      const isNewSession = !existing;
+      // Re-registering (e.g. a resumed session) keeps its worktree
+      let worktree = existing?.worktree || null;
+      let sessionCwd = worktree ? existing.cwd : (cwd || process.cwd());
+
+      // Opt-in (config: worktree.autoIsolate): run the session in its own worktree
+      if (!worktree && settings.autoIsolate) {
+        try {
+          const isolated = await isolateSession(session_id, sessionCwd);
+          if (isolated) {
+            const { cwd: isolatedCwd, ...info } = isolated;
+            worktree = info;
+            sessionCwd = isolatedCwd;
+            audit('session.worktree.create', { actor: 'local-api', session_id, path: info.path, branch: info.branch, base: info.base });
+          }
+        } catch (error) {
+          // Fall back to the shared working tree rather than refusing the session
+          console.error(`[daemon] Could not create a worktree for ${session_id}: ${error.message}`);
+        }
+      }
+
+      setSession(session_id, {
         session_id,
         claude_session_id: claude_session_id || session_id, // Fallback to session_id if not provided
-        cwd: cwd || process.cwd(),
+        cwd: sessionCwd,
         meta: {
           ...(meta || {}),
           daemon_pid: process.pid // Add daemon PID to metadata
         },
-        registered_at: Date.now()
+        ...(worktree && { worktree }),
+        registered_at: Date.now(),
+        last_seen_at: Date.now()
       });
 
-      console.log(`[daemon] Session registered: ${session_id} (claude_id: ${claude_session_id || session_id}) (daemon_pid: ${process.pid}) (cwd: ${cwd || process.cwd()})`);
+      audit('session.register', {
+        actor: 'local-api',
+        session_id,
+        claude_session_id: claude_session_id || session_id,
+        cwd: sessionCwd,
+        new_session: isNewSession
+      });
+      console.log(`[daemon] Session registered: ${session_id} (claude_id: ${claude_session_id || session_id}) (daemon_pid: ${process.pid}) (cwd: ${sessionCwd})`);
+
+      // Resubscribe so the relay stream includes the new session
+      if (isNewSession && relayStream) {
+        relayStream.restart();
+      }
+
+      sendJSON(res, 200, { ok: true, cwd: sessionCwd, worktree });
+      return;
+    }
+
+    // End session: remove its worktree if nothing in it needs merging
+    if (method === 'POST' && pathname === '/sessions/end') {
+      const { session_id } = await parseJSONBody(req);
+      try {
+        validateSessionId(session_id);
+      } catch (validationError) {
+        sendJSON(res, 400, { error: validationError.message });
+        return;
+      }
+
+      const session = sessions.get(session_id);
+      if (!session) {
+        sendJSON(res, 404, { error: 'Session not found' });
+        return;
+      }
+
+      let worktree = null;
+      if (session.worktree) {
+        let release;
+        try {
+          release = await releaseSessionWorktree(session.worktree);
+        } catch (error) {
+          release = { removed: false, reason: error.message };
+        }
+        worktree = { ...session.worktree, ...release };
+        if (!release.removed) {
+          worktree.merge_command = `teleportation worktree merge -s ${session_id} --target ${session.worktree.base} --delete-after`;
+        }
+        audit('session.worktree.release', { actor: 'local-api', session_id, path: session.worktree.path, removed: release.removed, reason: release.reason });
+        console.log(`[daemon] Session ${session_id} worktree ${release.removed ? 'removed' : `kept (${release.reason})`}: ${session.worktree.path}`);
+      }
+
+      deleteSession(session_id);
+      audit('session.end', { actor: 'local-api', session_id });
+      if (relayStream) {
+        relayStream.restart();
+      }
+
+      sendJSON(res, 200, { ok: true, worktree });
+      return;
+    }
+
+    // Registered sessions (used by `teleportation approve` to scope and label requests)
+    if (method === 'GET' && pathname === '/sessions') {
+      sendJSON(res, 200, {
+        sessions: [...sessions.values()].map(({ session_id, cwd, meta, registered_at }) => ({ session_id, cwd, meta, registered_at }))
+      });
+      return;
+    }
+
+    // Passphrase key cache (see lib/auth/secret-backends.js)
+    if (pathname === '/secrets/key') {
+      if (method === 'GET') {
+        if (getCachedSecretKey()) {
+          sendJSON(res, 200, { unlocked: true, expires_at: secretKeyCache.expiresAt });
+        } else {
+          sendJSON(res, 404, { error: 'Locked' });
+        }
+        return;
+      }
+      if (method === 'PUT') {
+        const { key, ttl_ms } = await parseJSONBody(req);
+        if (typeof key !== 'string' || !/^[0-9a-f]{64}$/i.test(key)) {
+          sendJSON(res, 400, { error: 'key must be 64 hex characters' });
+          return;
+        }
+        const ttl = Number.isFinite(ttl_ms) && ttl_ms > 0 ? ttl_ms : secretKeyTtlMs;
+        const expires_at = cacheSecretKey(Buffer.from(key, 'hex'), ttl);
+        audit('secrets.unlock', { actor: 'local-api', expires_at });
+        sendJSON(res, 200, { ok: true, expires_at });
+        return;
+      }
+      if (method === 'DELETE') {
+        const wasUnlocked = Boolean(getCachedSecretKey());
+        secretKeyCache = null;
+        audit('secrets.lock', { actor: 'local-api', was_unlocked: wasUnlocked });
+        sendJSON(res, 200, { ok: true, was_unlocked: wasUnlocked });
+        return;
+      }
+    }
+
+    // Encrypt and decrypt credential files for the CLI with the unlocked key
+    if (method === 'POST' && (pathname === '/secrets/encrypt' || pathname === '/secrets/decrypt')) {
+      const key = getCachedSecretKey();
+      if (!key) {
+        sendJSON(res, 404, { error: 'Locked' });
+        return;
+      }
+      const { data, sealed } = await parseJSONBody(req);
+      if (pathname === '/secrets/encrypt') {
+        if (!data || typeof data !== 'object') {
+          sendJSON(res, 400, { error: 'data must be an object' });
+          return;
+        }
+        sendJSON(res, 200, { sealed: encrypt(data, key) });
+        return;
+      }
+      try {
+        sendJSON(res, 200, { data: decrypt(sealed || {}, key) });
+      } catch {
+        sendJSON(res, 422, { error: 'Not encrypted with the unlocked key' });
+      }
+      return;
+    }
+
+    // Switch to a rotated relay API key without dropping sessions or queued approvals
+    if (method === 'PUT' && pathname === '/relay/api-key') {
+      const { api_key } = await parseJSONBody(req);
+      const format = validateApiKeyFormat(api_key);
+      if (!format.valid) {
+        sendJSON(res, 400, { error: format.error });
+        return;
+      }
+      applySettings({ ...settings, relayApiKey: api_key });
+      audit('relay.key_rotated', { actor: 'local-api', key_suffix: api_key.slice(-4) });
       sendJSON(res, 200, { ok: true });
       return;
     }
 
+    // Re-read credentials and config.json now (`teleportation daemon reload`)
+    if (method === 'POST' && pathname === '/settings/reload') {
+      try {
+        sendJSON(res, 200, { ok: true, changes: await reloadSettings('local-api', { actor: 'local-api' }) });
+      } catch (error) {
+        sendJSON(res, 400, { error: error.message });
+      }
+      return;
+    }
+
+    // Cancel a queued or running execution
+    const cancelMatch = method === 'POST' && pathname.match(/^\/executions\/([^/]+)\/cancel$/);
+    if (cancelMatch) {
+      const approval_id = decodeURIComponent(cancelMatch[1]);
+      try {
+        validateApprovalId(approval_id);
+      } catch (validationError) {
+        sendJSON(res, 400, { error: validationError.message });
+        return;
+      }
+      const result = await cancelExecution(approval_id, { actor: 'local-api' });
+      if (!result.found) {
+        sendJSON(res, 404, { error: `Unknown execution: ${approval_id}` });
+      } else if (result.cancelled) {
+        sendJSON(res, 200, { ok: true, status: result.status });
+      } else {
+        sendJSON(res, 409, { error: `Execution already ${result.status}`, status: result.status });
+      }
+      return;
+    }
+
+    // Follow an execution's output live (SSE)
+    const streamMatch = method === 'GET' && pathname.match(/^\/executions\/([^/]+)\/stream$/);
+    if (streamMatch) {
+      const approval_id = decodeURIComponent(streamMatch[1]);
+      try {
+        validateApprovalId(approval_id);
+      } catch (validationError) {
+        sendJSON(res, 400, { error: validationError.message });
+        return;
+      }
+      const since = parseInt(url.searchParams.get('since') || req.headers['last-event-id'] || '0', 10) || 0;
+      streamExecutionOutput(req, res, approval_id, since);
+      return;
+    }
 
     // Queue approval for daemon handling
     if (method === 'POST' && pathname === '/approvals/handoff') {
@@ -389,10 +779,45 @@ async function handleRequest(req, res) {
         sendJSON(res, 400, { error: 'tool_input must be an object' });
         return;
       }
+      touchSession(session_id);
+
+      // Score the request so policy rules and whoever decides can see how dangerous it is
+      const risk = assessRisk(
+        { tool_name, tool_input, cwd: sessions.get(session_id)?.cwd },
+        { commands: commandsConfig || undefined }
+      );
+
+      // Evaluate local policy before queueing so routine requests don't page a human
+      const evaluation = await evaluateApprovalPolicy(session_id, tool_name, tool_input, risk);
+
+      const auditHandoff = (queued, reason = evaluation.reason) => audit('approval.handoff', {
+        actor: 'local-api',
+        session_id,
+        approval_id,
+        tool_name,
+        decision: evaluation.decision,
+        reason,
+        risk: risk.level,
+        queued
+      });
+
+      if (evaluation.decision === 'deny') {
+        auditHandoff(false);
+        console.log(`[daemon] Approval denied by policy: ${approval_id} (${tool_name}) - ${evaluation.reason}`);
+        await recordApprovalDecision(approval_id, {
+          decision: evaluation.decision,
+          decided_by: 'policy',
+          rule_id: evaluation.rule?.id || null,
+          reason: evaluation.reason
+        });
+        sendJSON(res, 200, { ok: true, queued: false, decision: 'deny', reason: evaluation.reason, risk });
+        return;
+      }
 
       // Check queue size limit to prevent memory exhaustion (DoS prevention)
       if (approvalQueue.length >= MAX_QUEUE_SIZE) {
         console.warn(`[daemon] Approval queue full (${approvalQueue.length}/${MAX_QUEUE_SIZE})`);
+        auditHandoff(false, 'Approval queue full');
         sendJSON(res, 503, {
           error: 'Approval queue full',
           queue_size: approvalQueue.length,
@@ -402,19 +827,44 @@ async function handleRequest(req, res) {
         return;
       }
 
+      // File changes get a diff against the current file for whoever decides
+      const preview = isDiffTool(tool_name)
+        ? await buildDiffPreview(tool_name, tool_input, { cwd: sessions.get(session_id)?.cwd })
+        : null;
+
       // Add to queue if not already present
       if (!approvalQueue.find(a => a.approval_id === approval_id)) {
-        approvalQueue.push({
-          approval_id,
-          session_id,
-          tool_name,
-          tool_input,
-          queued_at: Date.now()
-        });
+        const approval = { approval_id, session_id, tool_name, tool_input, risk, source: 'handoff', queued_at: Date.now() };
+        if (preview) approval.preview = preview;
+        if (evaluation.decision === 'ask') {
+          // Held until the relay reports a decision, or the timeout settles it
+          const deadline = resolveApprovalDeadline(approvalsConfig || undefined, {
+            session_id,
+            tool_name,
+            // Safe tools still need an answer when the request scored high
+            safe: Boolean(evaluation.safe),
+            risk: risk.level,
+            now: approval.queued_at
+          });
+          Object.assign(approval, { awaiting_decision: true, reminded: false, ...deadline });
+        }
+        enqueueApproval(approval);
         console.log(`[daemon] Approval queued: ${approval_id} (${tool_name}) [${approvalQueue.length}/${MAX_QUEUE_SIZE}]`);
       }
 
-      sendJSON(res, 200, { ok: true, queued: true });
+      auditHandoff(true);
+
+      if (evaluation.decision === 'allow') {
+        console.log(`[daemon] Approval allowed by policy: ${approval_id} (${tool_name}) - ${evaluation.reason}`);
+        await recordApprovalDecision(approval_id, {
+          decision: evaluation.decision,
+          decided_by: 'policy',
+          rule_id: evaluation.rule?.id || null,
+          reason: evaluation.reason
+        });
+      }
+
+      sendJSON(res, 200, { ok: true, queued: true, decision: evaluation.decision, reason: evaluation.reason, risk, preview });
       return;
     }
 
@@ -440,6 +890,50 @@ async function handleRequest(req, res) {
   }
 }
 
+/**
+ * Evaluate the approval policy for a handed-off tool request.
+ * The policy is re-read on every call so edits made with `teleportation policy`
+ * take effect without restarting the daemon. A broken policy file falls back
+ * to 'ask' rather than silently allowing anything.
+ */
+async function evaluateApprovalPolicy(session_id, tool_name, tool_input, risk) {
+  const cwd = sessions.get(session_id)?.cwd;
+  try {
+    const policy = await loadPolicy({ cwd, policyPath: POLICY_PATH });
+    return evaluatePolicy(policy, { tool_name, tool_input, cwd, risk });
+  } catch (error) {
+    console.error(`[daemon] Policy evaluation failed, falling back to ask:`, error.message);
+    return { decision: 'ask', rule: null, reason: `Policy error: ${error.message}` };
+  }
+}
+
+/**
+ * Record a daemon-side decision (policy or timeout) with the relay so the
+ * approval is settled there too
+ * @param {string} approval_id
+ * @param {{ decision: string, decided_by: 'policy'|'timeout', rule_id: string|null, reason: string }} decision
+ */
+async function recordApprovalDecision(approval_id, decision) {
+  try {
+    const response = await fetch(`${settings.relayApiUrl}/api/approvals/${approval_id}/decision`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${settings.relayApiKey}`
+      },
+      body: JSON.stringify(decision)
+    });
+    if (!response.ok) {
+      // 409: someone decided first
+      console.error(`[daemon] Failed to record ${decision.decided_by} decision for ${approval_id}: ${response.status}`);
+    }
+    return response.ok;
+  } catch (error) {
+    console.error(`[daemon] Failed to record ${decision.decided_by} decision for ${approval_id}:`, error.message);
+    return false;
+  }
+}
+
 function hasIdleTimedOut(now, lastActivityAt, timeoutMs, sessionCount) {
   if (sessionCount > 0) return false;
   return now - lastActivityAt >= timeoutMs;
@@ -449,6 +943,7 @@ async function checkIdleTimeout() {
   if (isShuttingDown) return;
 
   const now = Date.now();
+  expireStaleSessions(now);
 
   if (sessions.size > 0) {
     lastSessionActivityAt = now;
@@ -478,7 +973,7 @@ async function checkIdleTimeout() {
  * Execute a shell command in the session's working directory
  * Returns { success, stdout, stderr, exit_code, error }
  *
- * Security: Commands must be in the ALLOWED_COMMAND_PREFIXES whitelist
+ * Security: Commands must match the configured command allowlist
  */
 async function executeCommand(session_id, command) {
   const session = sessions.get(session_id);
@@ -492,10 +987,13 @@ async function executeCommand(session_id, command) {
     };
   }
 
+  const cwd = session.cwd || process.cwd();
+
   // Security: Validate command against whitelist
-  const validation = isCommandAllowed(command);
+  const validation = isCommandAllowed(command, cwd);
   if (!validation.allowed) {
     console.log(`[daemon] Command rejected (not in whitelist): ${command.slice(0, 100)}`);
+    audit('command.rejected', { actor: 'relay', session_id, command, reason: validation.reason });
     return {
       success: false,
       stdout: '',
@@ -505,11 +1003,16 @@ async function executeCommand(session_id, command) {
     };
   }
 
-  const cwd = session.cwd || process.cwd();
+  if (validation.bypass) {
+    audit('command.bypass', { actor: 'relay', session_id, command, reason: 'ALLOW_ALL_COMMANDS' });
+  }
+
   const timeout = 30000; // 30 second timeout for shell commands
 
   try {
-    const { stdout, stderr } = await execAsync(command, {
+    // Exec argv directly - no shell, so quoted metacharacters stay literal
+    const [file, ...args] = tokenize(command.trim());
+    const { stdout, stderr } = await execFileAsync(file, args, {
       cwd,
       timeout,
       maxBuffer: 1024 * 1024 // 1MB max output
@@ -523,24 +1026,98 @@ async function executeCommand(session_id, command) {
       error: null
     };
   } catch (error) {
-    // exec throws on non-zero exit codes
+    // execFile throws on non-zero exit codes (error.code is the exit code, or e.g. 'ENOENT')
     return {
       success: false,
       stdout: truncateOutput(error.stdout || '', 'STDOUT'),
       stderr: truncateOutput(error.stderr || '', 'STDERR'),
-      exit_code: error.code || -1,
+      exit_code: typeof error.code === 'number' ? error.code : -1,
       error: error.message
     };
   }
 }
 
-async function handleInboxMessage(session_id, message) {
+/**
+ * Post a daemon message to a session's inbox on the relay
+ * @param {string} session_id
+ * @param {string} text
+ * @param {Object} meta - Must include type and target_agent_id
+ */
+async function postAgentMessage(session_id, text, meta) {
+  try {
+    const response = await fetch(`${settings.relayApiUrl}/api/messages`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${settings.relayApiKey}`
+      },
+      body: JSON.stringify(await deviceRegistry.sealMessage({
+        session_id,
+        text,
+        meta: { from_agent_id: 'daemon', ...meta }
+      }))
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error(`[daemon] Failed to post ${meta.type} message: HTTP ${response.status} - ${errorText}`);
+    }
+  } catch (sendError) {
+    console.error(`[daemon] Failed to send ${meta.type} message:`, sendError.message);
+  }
+}
+
+/**
+ * Post a daemon result message back to the agent that sent an inbox message
+ */
+function postInboxReply(session_id, replyAgentId, inReplyTo, text, extraMeta = {}) {
+  return postAgentMessage(session_id, text, {
+    type: 'result',
+    target_agent_id: replyAgentId,
+    in_reply_to_message_id: inReplyTo,
+    ...extraMeta
+  });
+}
+
+async function handleInboxMessage(session_id, relayMessage) {
   try {
+    let message;
+    try {
+      // Messages from a paired phone (or `teleportation command`) arrive encrypted
+      message = await deviceRegistry.open(relayMessage, session_id);
+    } catch (error) {
+      // Never act on what we can't authenticate; ack so it isn't redelivered forever
+      console.error(`[daemon] Rejected inbox message ${relayMessage.id}: ${error.message}`);
+      audit('inbox.rejected', { actor: 'relay', session_id, message_id: relayMessage.id, sender: relayMessage.e2e?.sender || null, reason: error.message });
+      await ackInboxMessage(relayMessage.id);
+      return;
+    }
     const preview = (message.text || '').slice(0, 200).replace(/\s+/g, ' ');
     console.log(`[daemon] Inbox message for session ${session_id}: ${message.id} - ${preview}`);
 
     const meta = message.meta || {};
 
+    // Cancel a queued or running approval from the phone
+    if (meta.type === 'cancel') {
+      const approval_id = meta.approval_id || (message.text || '').trim();
+      let resultText;
+      try {
+        validateApprovalId(approval_id);
+        const result = await cancelExecution(approval_id, { actor: 'relay' });
+        if (result.cancelled) {
+          resultText = `Cancelled execution ${approval_id}`;
+        } else if (result.found) {
+          resultText = `Execution ${approval_id} already ${result.status}, nothing to cancel`;
+        } else {
+          resultText = `No execution ${approval_id} on this daemon`;
+        }
+      } catch (error) {
+        resultText = `Cannot cancel: ${error.message}`;
+      }
+      console.log(`[daemon] ${resultText}`);
+      await postInboxReply(session_id, meta.reply_agent_id || 'main', message.id, resultText, { cancel_approval_id: approval_id });
+    }
+
     // For command messages, execute the command and post result back to the main agent inbox
     if (meta.type === 'command') {
       const replyAgentId = meta.reply_agent_id || 'main';
@@ -549,11 +1126,11 @@ async function handleInboxMessage(session_id, message) {
       // Invalidate pending approvals BEFORE executing new command
       // This prevents race conditions where stale approvals could be acted upon
       try {
-        const invalidateResponse = await fetch(`${RELAY_API_URL}/api/approvals/invalidate`, {
+        const invalidateResponse = await fetch(`${settings.relayApiUrl}/api/approvals/invalidate`, {
           method: 'POST',
           headers: {
             'Content-Type': 'application/json',
-            'Authorization': `Bearer ${RELAY_API_KEY}`
+            'Authorization': `Bearer ${settings.relayApiKey}`
           },
           body: JSON.stringify({
             session_id,
@@ -572,9 +1149,11 @@ async function handleInboxMessage(session_id, message) {
         // Continue with execution - this is not critical
       }
 
+      const commandStartedAt = Date.now();
+
       // Hybrid Execution Logic:
       // 1. Check if it's a valid whitelisted shell command
-      const validation = isCommandAllowed(commandText);
+      const validation = isCommandAllowed(commandText, sessions.get(session_id)?.cwd);
       let executionResult;
       let executionType = 'shell';
 
@@ -582,6 +1161,17 @@ async function handleInboxMessage(session_id, message) {
         // Fast path: Execute shell command directly
         console.log(`[daemon] Executing direct shell command: ${commandText}`);
         executionResult = await executeCommand(session_id, commandText);
+      } else if (validation.denied) {
+        // Explicitly denied commands are not handed to the agent either
+        console.log(`[daemon] Command rejected by deny rule: ${commandText}`);
+        audit('command.rejected', { actor: 'relay', session_id, command: commandText, reason: validation.reason, message_id: message.id });
+        executionResult = {
+          success: false,
+          exit_code: -1,
+          stdout: '',
+          stderr: '',
+          error: validation.reason
+        };
       } else {
         // Fallback: Natural language prompt for Claude
         console.log(`[daemon] Command not in whitelist, handing off to Claude Agent: ${commandText}`);
@@ -594,16 +1184,16 @@ async function handleInboxMessage(session_id, message) {
         if (!session) {
           try {
             console.log(`[daemon] Session ${session_id} not found locally, fetching from relay API`);
-            const response = await fetch(`${RELAY_API_URL}/api/sessions/${session_id}`, {
+            const response = await fetch(`${settings.relayApiUrl}/api/sessions/${session_id}`, {
               headers: {
-                'Authorization': `Bearer ${RELAY_API_KEY}`
+                'Authorization': `Bearer ${settings.relayApiKey}`
               }
             });
 
             if (response.ok) {
               session = await response.json();
               // Re-register session locally
-              sessions.set(session_id, session);
+              setSession(session_id, session);
               console.log(`[daemon] Session ${session_id} recovered from relay API`);
             }
           } catch (error) {
@@ -625,6 +1215,32 @@ async function handleInboxMessage(session_id, message) {
         }
       }
 
+      audit('inbox.command', {
+        actor: 'relay',
+        session_id,
+        message_id: message.id,
+        from_agent_id: meta.from_agent_id || null,
+        command: commandText,
+        execution_type: executionType,
+        success: executionResult.success,
+        exit_code: executionResult.exit_code
+      });
+      recordHistory({
+        id: message.id,
+        source: 'inbox',
+        session_id,
+        tool_name: 'Remote Command',
+        command: commandText,
+        status: executionResult.success ? 'completed' : 'failed',
+        execution_type: executionType,
+        exit_code: executionResult.exit_code,
+        duration_ms: executionResult.duration_ms ?? Date.now() - commandStartedAt,
+        started_at: commandStartedAt,
+        stdout: executionResult.stdout,
+        stderr: executionResult.stderr,
+        error: executionResult.error
+      });
+
       // Store execution result for context delivery to local client
       // This ensures the local Claude client sees the work done remotely
       await storeExecutionResult(
@@ -645,201 +1261,522 @@ async function handleInboxMessage(session_id, message) {
         resultText = `${header}Error: ${executionResult.error}\n\nStderr:\n${executionResult.stderr}`;
       }
 
-      try {
-        const resultResponse = await fetch(`${RELAY_API_URL}/api/messages`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${RELAY_API_KEY}`
-          },
-          body: JSON.stringify({
-            session_id,
-            text: resultText,
-            meta: {
-              type: 'result',
-              from_agent_id: 'daemon',
-              target_agent_id: replyAgentId,
-              in_reply_to_message_id: message.id,
-              command_exit_code: executionResult.exit_code,
-              command_success: executionResult.success,
-              execution_type: executionType
-            }
-          })
-        });
-
-        if (!resultResponse.ok) {
-          const errorText = await resultResponse.text();
-          console.error(`[daemon] Failed to post result message: HTTP ${resultResponse.status} - ${errorText}`);
-        }
-      } catch (sendError) {
-        console.error('[daemon] Failed to send result message:', sendError.message);
-      }
+      const redactedReply = redact(resultText);
+      await postInboxReply(session_id, replyAgentId, message.id, redactedReply.text, {
+        redactions: redactedReply.count,
+        command_exit_code: executionResult.exit_code,
+        command_success: executionResult.success,
+        execution_type: executionType
+      });
     }
 
     // Acknowledge the message so it is not re-delivered
-    await fetch(`${RELAY_API_URL}/api/messages/${encodeURIComponent(message.id)}/ack`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${RELAY_API_KEY}`
-      }
-    });
+    await ackInboxMessage(message.id);
   } catch (error) {
     console.error('[daemon] Failed to handle inbox message:', error.message);
   }
 }
 
+function ackInboxMessage(message_id) {
+  return fetch(`${settings.relayApiUrl}/api/messages/${encodeURIComponent(message_id)}/ack`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${settings.relayApiKey}`
+    }
+  });
+}
+
 /**
- * Send heartbeat for a session to keep it alive in the relay
- * @param {string} session_id - The session ID to send heartbeat for
+ * Refuse a relay approval that can't be trusted: it never runs, the relay is
+ * told it failed, and the rejection is audited
  */
-async function sendHeartbeat(session_id) {
-  try {
+async function rejectRelayApproval({ approval_id, session_id, tool_name }, reason) {
+  console.error(`[daemon] Refusing approval ${approval_id}: ${reason}`);
+  setExecution(approval_id, {
+    approval_id,
+    session_id,
+    tool_name,
+    status: 'failed',
+    started_at: null,
+    completed_at: Date.now(),
+    exit_code: null,
+    stdout: '',
+    stderr: '',
+    error: reason
+  });
+  audit('approval.rejected', { actor: 'relay', session_id, approval_id, tool_name, reason });
+  await reportExecutionStatus(approval_id, { success: false, error: reason });
+}
+
+/**
+ * Queue an approved request reported by the relay (poll or stream).
+ * Once devices are paired, new requests must arrive encrypted; releasing a
+ * held handoff doesn't, since its tool_input never came from the relay.
+ * @returns {Promise<boolean>} True if newly queued
+ */
+async function queueRelayApproval(approval) {
+  const queued = approvalQueue.find(a => a.approval_id === approval.id);
+  if (queued?.awaiting_decision) {
+    // A human approved a handoff the daemon was holding - release it
+    updateQueuedApproval({ ...queued, awaiting_decision: false });
+    audit('approval.received', {
+      actor: 'relay',
+      session_id: queued.session_id,
+      approval_id: queued.approval_id,
+      tool_name: queued.tool_name,
+      was: 'awaiting_decision'
+    });
+    console.log(`[daemon] Approval decided: ${approval.id} (${queued.tool_name})`);
+    return true;
+  }
+
+  // Skip if already queued or executed
+  if (queued) return false;
+  if (executions.has(approval.id)) return false;
+
+  // Skip if already acknowledged (already handled by hook's fast path)
+  if (approval.acknowledgedAt) return false;
+
+  const unencrypted = !approval.e2e && await deviceRegistry.hasPairedDevices();
+  // Picked up by another poll or stream event meanwhile
+  if (approvalQueue.some(a => a.approval_id === approval.id) || executions.has(approval.id)) return false;
+
+  if (unencrypted) {
+    await rejectRelayApproval({
+      approval_id: approval.id,
+      session_id: approval.session_id,
+      tool_name: approval.tool_name
+    }, 'Unencrypted approval while devices are paired');
+    return false;
+  }
+
+  enqueueApproval({
+    approval_id: approval.id,
+    session_id: approval.session_id,
+    tool_name: approval.tool_name,
+    tool_input: approval.tool_input,
+    // Encrypted tool_input stays sealed in the queue and journal until it runs
+    ...(approval.e2e ? { e2e: approval.e2e } : {}),
+    queued_at: Date.now()
+  });
+
+  audit('approval.received', {
+    actor: 'relay',
+    session_id: approval.session_id,
+    approval_id: approval.id,
+    tool_name: approval.tool_name
+  });
+  console.log(`[daemon] Approval discovered: ${approval.id} (${approval.tool_name})`);
+  return true;
+}
+
+/**
+ * Drop a request a human denied (poll or stream) so it can never run,
+ * including on timeout
+ * @returns {boolean} True if it was queued
+ */
+function dropDeniedApproval(denial) {
+  const index = approvalQueue.findIndex(a => a.approval_id === denial.id);
+  if (index === -1) return false;
+
+  const queued = dequeueApproval(index);
+  const { approval_id, session_id, tool_name } = queued;
+  setExecution(approval_id, {
+    approval_id,
+    session_id,
+    tool_name,
+    status: 'denied',
+    started_at: null,
+    completed_at: Date.now(),
+    exit_code: null,
+    stdout: '',
+    stderr: '',
+    error: `Denied${denial.decided_by ? ` by ${denial.decided_by}` : ''}`
+  });
+  recordHistory({ ...executions.get(approval_id), id: approval_id, command: queued.tool_input?.command });
+  audit('approval.denied', {
+    actor: 'relay',
+    session_id,
+    approval_id,
+    tool_name,
+    was: queued.awaiting_decision ? 'awaiting_decision' : 'queued'
+  });
+  console.log(`[daemon] Approval denied: ${approval_id} (${tool_name})`);
+  return true;
+}
+
+function isInboxMessage(message) {
+  return Boolean(message && typeof message === 'object' && message.id && message.text);
+}
+
+/**
+ * Registered session ids the daemon should sync with the relay
+ */
+function getRelaySessionIds() {
+  // Optional: Filter sessions for testing (if TEST_SESSION_FILTER env var set)
+  const TEST_SESSION_FILTER = process.env.TELEPORTATION_TEST_SESSION_FILTER;
+  return [...sessions.keys()].filter(id => !TEST_SESSION_FILTER || id.startsWith(TEST_SESSION_FILTER));
+}
+
+/**
+ * Send heartbeats (one batch) for sessions whose throttle interval has elapsed
+ * @param {string[]} sessionIds
+ */
+async function sendDueHeartbeats(sessionIds) {
+  const now = Date.now();
+  const due = [];
+  for (const session_id of sessionIds) {
     // Get or initialize heartbeat state for this session
     let state = heartbeatState.get(session_id);
     if (!state) {
       state = { count: 0, lastSent: 0 };
       heartbeatState.set(session_id, state);
     }
+    if (now - state.lastSent < settings.heartbeatIntervalMs) continue;
 
+    // Not journaled: counters reach disk with the next snapshot
     state.count++;
-    state.lastSent = Date.now();
+    state.lastSent = now;
+    due.push({ session_id, count: state.count });
+  }
 
-    const response = await fetch(
-      `${RELAY_API_URL}/api/sessions/${encodeURIComponent(session_id)}/heartbeat`,
-      {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${RELAY_API_KEY}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          timestamp: Date.now(),
-          pid: process.pid,
-          count: state.count
-        }),
-        signal: AbortSignal.timeout(5000) // 5 second timeout
+  await relayClient.sendHeartbeats(due);
+}
+
+/**
+ * Poll the relay once for all registered sessions
+ * Used by the polling loop, and once per stream (re)connect to catch up on
+ * anything sent while the stream was down.
+ */
+async function pollRelayOnce() {
+  try {
+    const sessionIds = getRelaySessionIds();
+    const { approvals, denied, messages } = await relayClient.poll(sessionIds);
+
+    // Denials first, so nothing a human refused is released below
+    for (const denial of denied) {
+      if (sessionIds.includes(denial.session_id)) {
+        dropDeniedApproval(denial);
       }
-    );
+    }
 
-    if (!response.ok) {
-      // 404 means session not registered in mech-storage yet (registered by Claude hooks, not daemon)
-      // This is expected for sessions that are only locally registered - silently skip
-      if (response.status !== 404) {
-        console.error(`[daemon] Heartbeat failed for session ${session_id}: ${response.status}`);
+    // Queue newly approved requests (only for sessions registered here)
+    for (const approval of approvals) {
+      if (sessionIds.includes(approval.session_id)) {
+        await queueRelayApproval(approval);
       }
     }
-  } catch (error) {
-    // Don't spam logs for heartbeat failures - just note it
-    if (error.name !== 'AbortError') {
-      console.error(`[daemon] Heartbeat error for ${session_id}: ${error.message}`);
+
+    // Handle inbox messages one at a time, in order
+    for (const { session_id, message } of messages) {
+      if (sessionIds.includes(session_id) && isInboxMessage(message)) {
+        await handleInboxMessage(session_id, message);
+      }
     }
+
+    // Heartbeats keep sessions alive (throttled per session)
+    await sendDueHeartbeats(sessionIds);
+
+    // Process approval queue
+    await processQueue();
+  } catch (error) {
+    console.error(`[daemon] Polling error:`, error.message);
   }
 }
 
 /**
  * Relay API Polling Loop
- * Polls relay API every 5 seconds for approved requests
+ * Polls relay API every settings.pollIntervalMs while the relay stream isn't connected
  */
 async function pollRelayAPI() {
-  if (isShuttingDown) return;
+  pollingTimer = null;
+  if (isShuttingDown || relayMode !== 'polling') return;
 
+  pollInFlight = true;
   try {
-    // Fetch pending approvals and inbox messages for all registered sessions
-    const TEST_SESSION_FILTER = process.env.TELEPORTATION_TEST_SESSION_FILTER;
-    for (const [session_id] of sessions) {
-      // Optional: Filter sessions for testing (if TEST_SESSION_FILTER env var set)
-      if (TEST_SESSION_FILTER && !session_id.startsWith(TEST_SESSION_FILTER)) {
-        continue;
-      }
-      console.log(`Polling for session ${session_id}`);
+    await pollRelayOnce();
+  } finally {
+    pollInFlight = false;
+  }
 
-      // 1) Approvals polling (existing behavior)
-      try {
-        const response = await fetch(
-          `${RELAY_API_URL}/api/approvals?status=allowed&session_id=${session_id}`,
-          {
-            headers: {
-              'Authorization': `Bearer ${RELAY_API_KEY}`
-            }
-          }
-        );
+  // Schedule next poll (stops once the stream takes over)
+  if (!isShuttingDown && relayMode === 'polling' && !pollingTimer) {
+    pollingTimer = setTimeout(pollRelayAPI, settings.pollIntervalMs);
+  }
+}
 
-        if (!response.ok) {
-          console.error(`[daemon] Failed to fetch approvals for session ${session_id}: ${response.status}`);
-        } else {
-          const approvals = await response.json();
-
-          // Queue newly approved requests
-          for (const approval of approvals) {
-            // Skip if already queued or executed
-            if (approvalQueue.find(a => a.approval_id === approval.id)) continue;
-            if (executions.has(approval.id)) continue;
-
-            // Skip if already acknowledged (already handled by hook's fast path)
-            if (approval.acknowledgedAt) continue;
-
-            approvalQueue.push({
-              approval_id: approval.id,
-              session_id: approval.session_id,
-              tool_name: approval.tool_name,
-              tool_input: approval.tool_input,
-              queued_at: Date.now()
-            });
+/**
+ * Switch to the polling loop (no-op if it is already running)
+ */
+function startPolling() {
+  relayMode = 'polling';
+  if (streamTickTimer) {
+    clearInterval(streamTickTimer);
+    streamTickTimer = null;
+  }
+  if (isShuttingDown || pollingTimer || pollInFlight) return;
+  pollRelayAPI();
+}
 
-            console.log(`[daemon] Approval discovered: ${approval.id} (${approval.tool_name})`);
-          }
-        }
-      } catch (approvalError) {
-        console.error(`[daemon] Approval polling error for session ${session_id}:`, approvalError.message);
-      }
+/**
+ * Handle one event from the relay stream
+ */
+function handleRelayEvent({ event, data }) {
+  let payload;
+  try {
+    payload = JSON.parse(data);
+  } catch (error) {
+    console.error(`[daemon] Ignoring malformed relay '${event}' event: ${error.message}`);
+    return;
+  }
 
-      // 2) Inbox polling (new behavior)
-      try {
-        const messageResponse = await fetch(
-          `${RELAY_API_URL}/api/messages/pending?session_id=${encodeURIComponent(session_id)}&agent_id=daemon`,
-          {
-            headers: {
-              'Authorization': `Bearer ${RELAY_API_KEY}`
-            }
-          }
-        );
+  const session_id = payload?.session_id;
+  if (!session_id || !getRelaySessionIds().includes(session_id)) return;
+
+  if (event === 'approval') {
+    queueRelayApproval(payload)
+      .then(queued => queued && processQueue())
+      .catch(error => console.error('[daemon] Queue dispatch error:', error.message));
+  } else if (event === 'denial') {
+    if (dropDeniedApproval(payload)) {
+      // The session's later approvals may have been waiting behind it
+      processQueue().catch(error => console.error('[daemon] Queue dispatch error:', error.message));
+    }
+  } else if (event === 'message') {
+    if (!isInboxMessage(payload.message)) return;
+    if (payload.message.meta?.type === 'cancel') {
+      // Don't make a cancel wait behind a long-running inbox command
+      handleInboxMessage(session_id, payload.message);
+      return;
+    }
+    // Keep inbox messages in arrival order, like the polling loop does
+    inboxChain = inboxChain
+      .then(() => handleInboxMessage(session_id, payload.message))
+      .catch(error => console.error(`[daemon] Inbox stream error for session ${session_id}:`, error.message));
+  }
+}
 
-        if (!messageResponse.ok) {
-          // 404 or empty is not an error; only log unexpected statuses
-          if (messageResponse.status !== 404) {
-            console.error(`[daemon] Failed to fetch inbox message for session ${session_id}: ${messageResponse.status}`);
-          }
-        } else {
-          const inboxMessage = await messageResponse.json();
-          const hasFields = inboxMessage && typeof inboxMessage === 'object' && inboxMessage.id && inboxMessage.text;
-          if (hasFields) {
-            await handleInboxMessage(session_id, inboxMessage);
-          }
-        }
-      } catch (inboxError) {
-        console.error(`[daemon] Inbox polling error for session ${session_id}:`, inboxError.message);
-      }
+/**
+ * Stream connected: stop polling, catch up once, keep heartbeats going
+ */
+async function onRelayStreamOpen() {
+  console.log('[daemon] Relay stream connected');
+  relayMode = 'streaming';
+  if (pollingTimer) {
+    clearTimeout(pollingTimer);
+    pollingTimer = null;
+  }
+  if (!streamTickTimer) {
+    startStreamTicks();
+  }
+  await pollRelayOnce();
+}
+
+/**
+ * Heartbeats while streaming (polling sends them itself)
+ */
+function startStreamTicks() {
+  streamTickTimer = setInterval(() => {
+    sendDueHeartbeats(getRelaySessionIds()).catch(error => {
+      console.error('[daemon] Heartbeat error:', error.message);
+    });
+  }, settings.pollIntervalMs);
+}
+
+/**
+ * Start syncing with the relay: stream when possible, poll otherwise.
+ * If streaming fails, poll and try the stream again after STREAM_RETRY_MS.
+ */
+function startRelaySync() {
+  if (isShuttingDown) return;
+  if (!RELAY_STREAMING) {
+    startPolling();
+    return;
+  }
+
+  // Poll until the stream is up so nothing waits on the first connect
+  startPolling();
+
+  relayStream = new RelayStream({
+    url: settings.relayApiUrl,
+    apiKey: settings.relayApiKey,
+    getSessionIds: getRelaySessionIds,
+    onEvent: handleRelayEvent,
+    onOpen: onRelayStreamOpen,
+    // Poll while reconnecting so approvals aren't delayed by the backoff
+    onDisconnect: (error) => {
+      console.log(`[daemon] Relay stream disconnected: ${error.message}`);
+      startPolling();
+    }
+  });
+
+  relayStream.run().then(
+    () => {},
+    (error) => {
+      relayStream = null;
+      if (isShuttingDown || relayMode === 'stopped') return;
+      console.log(`[daemon] Relay streaming unavailable (${error.message}), polling every ${settings.pollIntervalMs}ms`);
+      startPolling();
+      streamRetryTimer = setTimeout(() => {
+        streamRetryTimer = null;
+        startRelaySync();
+      }, STREAM_RETRY_MS);
+    }
+  );
+}
+
+/**
+ * Stop the relay stream and polling loop
+ */
+function stopRelaySync() {
+  if (relayStream) {
+    relayStream.stop();
+    relayStream = null;
+  }
+  if (streamRetryTimer) {
+    clearTimeout(streamRetryTimer);
+    streamRetryTimer = null;
+  }
+  if (streamTickTimer) {
+    clearInterval(streamTickTimer);
+    streamTickTimer = null;
+  }
+  if (pollingTimer) {
+    clearTimeout(pollingTimer);
+    pollingTimer = null;
+  }
+  // A poll still in flight must not schedule the next one
+  relayMode = 'stopped';
+}
+
+/**
+ * Apply new settings to the running daemon. Sessions, queued approvals and
+ * running executions are kept; the relay stream reconnects if the relay
+ * endpoint or key changed.
+ * @returns {string[]} What changed
+ */
+function applySettings(next) {
+  const previous = settings;
+  const changes = describeSettingsChanges(previous, next);
+  settings = next;
+
+  commandsConfig = next.commands;
+  approvalsConfig = next.approvals;
+  redact = createRedactor(next.redaction || undefined);
+  secretKeyTtlMs = next.secretCacheMinutes * 60 * 1000;
+  if (next.maxConcurrency !== workerPool.concurrency) {
+    workerPool.setConcurrency(next.maxConcurrency);
+  }
+
+  relayClient.url = next.relayApiUrl;
+  relayClient.apiKey = next.relayApiKey;
+  if (relayStream && (next.relayApiUrl !== previous.relayApiUrl || next.relayApiKey !== previous.relayApiKey)) {
+    relayStream.url = next.relayApiUrl;
+    relayStream.apiKey = next.relayApiKey;
+    relayStream.restart();
+  }
+
+  if (next.pollIntervalMs !== previous.pollIntervalMs) {
+    if (pollingTimer) {
+      clearTimeout(pollingTimer);
+      pollingTimer = setTimeout(pollRelayAPI, next.pollIntervalMs);
+    }
+    if (streamTickTimer) {
+      clearInterval(streamTickTimer);
+      startStreamTicks();
+    }
+  }
+  return changes;
+}
+
+/**
+ * Reload settings shortly before the access token expires; loadFresh() in
+ * readSettings() then renews it. A failed refresh is retried a minute later.
+ */
+function scheduleCredentialRefresh(credentials) {
+  if (credentialRefreshTimer) {
+    clearTimeout(credentialRefreshTimer);
+    credentialRefreshTimer = null;
+  }
+  if (isShuttingDown || !credentials?.refreshToken || !credentials.expiresAt) return;
+
+  const delay = Math.min(
+    Math.max(credentials.expiresAt - REFRESH_MARGIN_MS - Date.now(), MIN_CREDENTIAL_REFRESH_MS),
+    MAX_TIMER_MS
+  );
+  credentialRefreshTimer = setTimeout(() => {
+    credentialRefreshTimer = null;
+    reloadSettings('token refresh').catch(() => {});
+  }, delay);
+  credentialRefreshTimer.unref();
+}
+
+/**
+ * Watch config.json, the active profile marker and the active profile's
+ * credentials (again after a profile switch, since those move)
+ */
+function watchSettings() {
+  if (stopWatchingSettings) stopWatchingSettings();
+  stopWatchingSettings = watchSettingsFiles(
+    [DEFAULT_CONFIG_PATH, profileStore.activePath, credentialManager.credentialsPath],
+    () => reloadSettings('file change').catch(() => {})
+  );
+}
 
-      // 3) Heartbeat - send periodically to keep session alive
-      // Only send heartbeat if enough time has passed since last one (throttled per session)
-      const now = Date.now();
-      const sessionHeartbeat = heartbeatState.get(session_id);
-      const lastSent = sessionHeartbeat?.lastSent || 0;
-      if (now - lastSent >= HEARTBEAT_INTERVAL_MS) {
-        await sendHeartbeat(session_id);
-      }
-    }
+/**
+ * Settings from config.json and the active profile's credentials, refreshing
+ * the access token when it is about to expire. If the credentials can't be
+ * read (e.g. the passphrase backend is locked) the current relay endpoint and
+ * key are kept. Throws on an invalid config.json or profile name.
+ */
+async function readSettings() {
+  const profile = profileStore.active();
+  const config = await loadConfig({ profile });
+  if (profile !== credentialProfile) {
+    console.log(`[daemon] Using credential profile ${profile}`);
+    credentialProfile = profile;
+    credentialManager = profileStore.credentialManager(profile);
+    if (stopWatchingSettings) watchSettings();
+  }
 
-    // Process approval queue
-    await processQueue();
+  try {
+    const credentials = await credentialManager.loadFresh({
+      onRefreshError: (error) => console.error(`[daemon] Token refresh failed: ${error.message}`)
+    });
+    scheduleCredentialRefresh(credentials);
+    return { config, settings: resolveDaemonSettings({ config, credentials, profile }) };
   } catch (error) {
-    console.error(`[daemon] Polling error:`, error.message);
+    console.error(`[daemon] Cannot read credentials (${error.message}), keeping the current relay key`);
+    return {
+      config,
+      settings: { ...resolveDaemonSettings({ config, profile }), relayApiUrl: settings.relayApiUrl, relayApiKey: settings.relayApiKey }
+    };
+  }
+}
+
+/**
+ * Re-read credentials and config.json and apply what changed
+ * (on SIGHUP, when either file changes, or POST /settings/reload)
+ * @param {string} reason
+ * @param {Object} [options]
+ * @param {string} [options.actor='daemon'] - Audit actor
+ * @returns {Promise<string[]>} What changed
+ */
+async function reloadSettings(reason, { actor = 'daemon' } = {}) {
+  let next;
+  try {
+    next = (await readSettings()).settings;
+  } catch (error) {
+    console.error(`[daemon] Settings not reloaded (${reason}): ${error.message}`);
+    throw error;
   }
 
-  // Schedule next poll
-  if (!isShuttingDown) {
-    pollingTimer = setTimeout(pollRelayAPI, POLL_INTERVAL_MS);
+  const changes = applySettings(next);
+  if (changes.length > 0) {
+    console.log(`[daemon] Settings reloaded (${reason}): ${changes.join('; ')}`);
+    audit('daemon.reload', { actor, reason, changes });
   }
+  return changes;
 }
 
 /**
@@ -855,7 +1792,7 @@ function cleanupOldExecutions() {
   for (const [id, exec] of executions) {
     // Remove completed executions older than 1 hour
     if (exec.completed_at && exec.completed_at < oneHourAgo) {
-      executions.delete(id);
+      deleteExecution(id);
       removed++;
     }
   }
@@ -869,6 +1806,7 @@ function cleanupOldExecutions() {
   for (const sessionId of heartbeatState.keys()) {
     if (!sessions.has(sessionId)) {
       heartbeatState.delete(sessionId);
+      persist({ op: 'heartbeat.delete', session_id: sessionId });
       heartbeatRemoved++;
     }
   }
@@ -888,7 +1826,7 @@ function cleanupOldExecutions() {
       }
     }
     if (oldestKey) {
-      executions.delete(oldestKey);
+      deleteExecution(oldestKey);
     } else {
       // If no completed executions, remove oldest by started_at
       for (const [id, exec] of executions) {
@@ -898,7 +1836,7 @@ function cleanupOldExecutions() {
         }
       }
       if (oldestKey) {
-        executions.delete(oldestKey);
+        deleteExecution(oldestKey);
       } else {
         break; // Shouldn't happen, but safety check
       }
@@ -908,15 +1846,183 @@ function cleanupOldExecutions() {
 
 /**
  * Process Approval Queue
- * Execute queued approvals one at a time (FIFO)
+ * Start as many queued approvals as the worker pool allows. Approvals for
+ * different sessions run in parallel; within a session they run strictly in
+ * queue order (a session's next approval waits until its current one ends,
+ * and nothing behind an approval awaiting a decision starts before it).
+ * Returns without waiting for the started executions to finish.
+ * @returns {Promise<number>} Number of approvals started
  */
 async function processQueue() {
-  // Process one at a time to avoid overwhelming the system
-  if (approvalQueue.length === 0) return;
+  let started = 0;
+
+  while (workerPool.hasCapacity()) {
+    // Oldest approval of a session that isn't running or held
+    const index = firstRunnableIndex();
+    if (index === -1) break;
+
+    const approval = dequeueApproval(index);
+    workerPool.run(approval.session_id, () => executeApproval(approval), {
+      id: approval.approval_id,
+      queuedAt: approval.queued_at
+    });
+    started++;
+  }
+
+  return started;
+}
+
+/**
+ * Index of the first queued approval that may start now, or -1
+ */
+function firstRunnableIndex() {
+  const blocked = new Set();
+  for (let index = 0; index < approvalQueue.length; index++) {
+    const { session_id, awaiting_decision } = approvalQueue[index];
+    if (blocked.has(session_id)) continue;
+    if (awaiting_decision || workerPool.isBusy(session_id)) {
+      blocked.add(session_id);
+      continue;
+    }
+    return index;
+  }
+  return -1;
+}
+
+/**
+ * Backpressure metrics for /health: pool state plus why queued approvals wait
+ */
+function getQueueMetrics() {
+  const now = Date.now();
+  const awaitingDecision = approvalQueue.filter(a => a.awaiting_decision).length;
+  // Decided approvals behind a running or held approval of the same session
+  const blocked = new Set();
+  let blockedBySession = 0;
+  for (const { session_id, awaiting_decision } of approvalQueue) {
+    if (awaiting_decision) {
+      blocked.add(session_id);
+    } else if (blocked.has(session_id) || workerPool.isBusy(session_id)) {
+      blockedBySession++;
+    }
+  }
+  const oldest = approvalQueue.reduce((min, a) => Math.min(min, a.queued_at || now), now);
+
+  return {
+    ...workerPool.metrics(),
+    queued: approvalQueue.length,
+    max_queue: MAX_QUEUE_SIZE,
+    awaiting_decision: awaitingDecision,
+    blocked_by_session: blockedBySession,
+    waiting_for_capacity: approvalQueue.length - awaitingDecision - blockedBySession,
+    oldest_queued_ms: approvalQueue.length > 0 ? now - oldest : 0
+  };
+}
+
+/**
+ * Remind about, then expire, handoffs still waiting for a human decision.
+ * An expired approval is denied, or released to run when its timeout action
+ * is 'allow' (policy safeTools) and the relay accepts the timeout as the first
+ * decision - if a human already decided, it is denied instead. Either way the
+ * relay records the decision and the session's agent is told.
+ * @param {number} [now]
+ * @returns {Promise<{ reminded: number, denied: number, allowed: number }>}
+ */
+async function checkApprovalTimeouts(now = Date.now()) {
+  const counts = { reminded: 0, denied: 0, allowed: 0 };
+
+  for (const approval of approvalQueue.filter(a => a.awaiting_decision)) {
+    // Decided, cancelled or updated while an earlier notification was in flight
+    if (!approvalQueue.includes(approval)) continue;
+    const { approval_id, session_id, tool_name, timeout_action: timeoutAction } = approval;
+
+    if (approval.expires_at && now >= approval.expires_at) {
+      const minutes = Math.round((approval.expires_at - approval.queued_at) / 60000);
+      let action = timeoutAction;
+      if (action === 'allow') {
+        // Only run it if the relay takes the timeout as the decision: if a human
+        // decided first (409) or the relay can't confirm, deny instead
+        const claimed = await recordApprovalDecision(approval_id, {
+          decision: 'allow',
+          decided_by: 'timeout',
+          rule_id: null,
+          reason: `No decision within ${minutes} minute(s), allowed on timeout`
+        });
+        // Denied or approved by a human while the claim was in flight
+        if (!approvalQueue.includes(approval)) continue;
+        if (!claimed) action = 'deny';
+      }
+      const reason = `No decision within ${minutes} minute(s), ${action === 'allow' ? 'allowed' : 'denied'} on timeout`;
+
+      if (action === 'allow') {
+        updateQueuedApproval({ ...approval, awaiting_decision: false });
+        counts.allowed++;
+      } else {
+        dequeueApproval(approvalQueue.indexOf(approval));
+        setExecution(approval_id, {
+          approval_id,
+          session_id,
+          tool_name,
+          status: 'timed_out',
+          started_at: null,
+          completed_at: now,
+          exit_code: null,
+          stdout: '',
+          stderr: '',
+          error: reason
+        });
+        recordHistory({ ...executions.get(approval_id), id: approval_id, command: approval.tool_input?.command });
+        counts.denied++;
+      }
+
+      audit('approval.timeout', { actor: 'daemon', session_id, approval_id, tool_name, action, reason });
+      console.log(`[daemon] Approval timed out: ${approval_id} (${tool_name}) - ${action}`);
+      if (action === 'deny') {
+        await recordApprovalDecision(approval_id, { decision: 'deny', decided_by: 'timeout', rule_id: null, reason });
+      }
+      await postAgentMessage(session_id, `${tool_name} request ${approval_id}: ${reason}`, {
+        type: 'approval_timeout',
+        target_agent_id: 'main',
+        approval_id,
+        tool_name,
+        action,
+        risk: approval.risk || null
+      });
+    } else if (approval.remind_at && !approval.reminded && now >= approval.remind_at) {
+      updateQueuedApproval({ ...approval, reminded: true });
+      counts.reminded++;
+
+      const minutesLeft = Math.max(1, Math.ceil((approval.expires_at - now) / 60000));
+      await postAgentMessage(
+        session_id,
+        `Reminder: ${tool_name} request ${approval_id} is still waiting for approval (auto-${timeoutAction} in ${minutesLeft} minute(s))`,
+        { type: 'approval_reminder', target_agent_id: 'user', approval_id, tool_name, action: timeoutAction, expires_at: approval.expires_at, risk: approval.risk || null, preview: approval.preview || null }
+      );
+    }
+  }
 
-  const approval = approvalQueue.shift();
+  if (counts.allowed > 0) {
+    await processQueue();
+  }
+  return counts;
+}
+
+/**
+ * Execute a single approval (runs inside a worker pool slot)
+ */
+async function executeApproval(queuedApproval) {
+  let approval = queuedApproval;
+  if (queuedApproval.e2e || queuedApproval.source !== 'handoff') {
+    try {
+      // Approvals made on a paired phone carry tool_input in an e2e envelope;
+      // unencrypted ones from the relay are refused once devices are paired
+      approval = await deviceRegistry.open(queuedApproval, queuedApproval.session_id);
+    } catch (error) {
+      await rejectRelayApproval(queuedApproval, error.message);
+      return;
+    }
+  }
   const { approval_id, session_id, tool_name, tool_input } = approval;
-  const command = tool_input?.command || '';
+  const command = tool_input?.command || (isFileTool(tool_name) ? `${tool_name} ${tool_input?.file_path || ''}` : '');
 
   console.log(`[daemon] Processing approval: ${approval_id} (${tool_name})`);
 
@@ -941,7 +2047,7 @@ async function processQueue() {
       }
     }
     if (oldestKey) {
-      executions.delete(oldestKey);
+      deleteExecution(oldestKey);
       console.log(`[daemon] Removed oldest execution from cache: ${oldestKey}`);
     } else {
       // If no completed executions, remove oldest by started_at
@@ -952,15 +2058,17 @@ async function processQueue() {
         }
       }
       if (oldestKey) {
-        executions.delete(oldestKey);
+        deleteExecution(oldestKey);
         console.log(`[daemon] Removed oldest execution from cache: ${oldestKey}`);
       }
     }
   }
 
   // Mark as executing
-  executions.set(approval_id, {
+  setExecution(approval_id, {
     approval_id,
+    session_id,
+    tool_name,
     status: 'executing',
     started_at: Date.now(),
     completed_at: null,
@@ -969,35 +2077,62 @@ async function processQueue() {
     stderr: '',
     error: null
   });
+  // Followers can attach as soon as the execution shows as executing
+  outputHub.open(approval_id);
 
   try {
     // Acknowledge approval BEFORE executing to prevent duplicate execution
     // if user also approves locally while daemon is executing
     try {
-      await fetch(`${RELAY_API_URL}/api/approvals/${approval_id}/ack`, {
+      await fetch(`${settings.relayApiUrl}/api/approvals/${approval_id}/ack`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
-          'Authorization': `Bearer ${RELAY_API_KEY}`
+          'Authorization': `Bearer ${settings.relayApiKey}`
         },
         body: JSON.stringify({ processed: true })
       });
       console.log(`[daemon] Acknowledged approval: ${approval_id}`);
+      audit('approval.ack', { actor: 'daemon', session_id, approval_id, ok: true });
     } catch (ackError) {
       console.error(`[daemon] Failed to acknowledge approval:`, ackError.message);
+      audit('approval.ack', { actor: 'daemon', session_id, approval_id, ok: false, error: ackError.message });
       // Continue anyway - acknowledgment is optional
     }
 
-    // Build prompt for tool execution
-    const prompt = buildToolPrompt(tool_name, tool_input);
+    audit('execution.start', { actor: 'daemon', session_id, approval_id, tool_name, command });
+    const onOutput = (stream, data) => {
+      const chunk = outputHub.append(approval_id, stream, data);
+      if (chunk) outputForwarder.push(approval_id, chunk);
+    };
+
+    let result;
+    if (isFileTool(tool_name)) {
+      // Read/Write/Edit are applied directly, confined to the session cwd
+      const session = await validateSession(session_id);
+      result = await executeFileTool(tool_name, tool_input, { cwd: session.cwd || process.cwd() });
+      if (result.stdout) onOutput('stdout', result.stdout);
+      if (result.stderr) onOutput('stderr', result.stderr);
+    } else {
+      // Spawn child Claude process, streaming output as it arrives
+      const prompt = buildToolPrompt(tool_name, tool_input);
+      result = await spawnClaudeProcess(session_id, prompt, {
+        onOutput,
+        onSpawn: (child) => trackChild(approval_id, child)
+      });
+    }
+    await outputForwarder.flush(approval_id, { final: true });
 
-    // Spawn child Claude process
-    const result = await spawnClaudeProcess(session_id, prompt);
+    if (untrackChild(approval_id)) {
+      result.success = false;
+      result.status = 'cancelled';
+      result.error = CANCELLED_ERROR;
+    }
 
     // Update execution status
-    executions.set(approval_id, {
+    setExecution(approval_id, {
       ...executions.get(approval_id),
-      status: result.success ? 'completed' : 'failed',
+      status: result.status || (result.success ? 'completed' : 'failed'),
       completed_at: Date.now(),
       exit_code: result.exit_code,
       stdout: result.stdout,
@@ -1005,22 +2140,51 @@ async function processQueue() {
       error: result.error
     });
 
+    outputHub.finish(approval_id, executionSummary(executions.get(approval_id)));
+    audit('execution.finish', {
+      actor: 'daemon',
+      session_id,
+      approval_id,
+      tool_name,
+      status: executions.get(approval_id).status,
+      exit_code: result.exit_code,
+      duration_ms: result.duration_ms,
+      error: result.error || null
+    });
+    recordHistory({
+      ...executions.get(approval_id),
+      id: approval_id,
+      command,
+      execution_type: isFileTool(tool_name) ? 'file' : result.execution_type,
+      duration_ms: result.duration_ms
+    });
+
     // Report execution status to relay API
     await reportExecutionStatus(approval_id, result);
 
     // Store execution result for later delivery to the user
     await storeExecutionResult(session_id, approval_id, tool_name, command, result);
 
-    console.log(`[daemon] Approval ${approval_id} ${result.success ? 'completed' : 'failed'}`);
+    console.log(`[daemon] Approval ${approval_id} ${executions.get(approval_id).status}`);
   } catch (error) {
     console.error(`[daemon] Execution error for approval ${approval_id}:`, error.message);
+    untrackChild(approval_id);
+    await outputForwarder.flush(approval_id, { final: true });
 
-    executions.set(approval_id, {
+    setExecution(approval_id, {
       ...executions.get(approval_id),
       status: 'failed',
       completed_at: Date.now(),
       error: error.message
     });
+    outputHub.finish(approval_id, executionSummary(executions.get(approval_id)));
+    audit('execution.finish', { actor: 'daemon', session_id, approval_id, tool_name, status: 'failed', exit_code: null, error: error.message });
+    recordHistory({
+      ...executions.get(approval_id),
+      id: approval_id,
+      command,
+      execution_type: isFileTool(tool_name) ? 'file' : null
+    });
 
     const fallbackResult = {
       success: false,
@@ -1065,12 +2229,206 @@ function buildToolPrompt(tool_name, tool_input) {
 }
 
 /**
- * Spawn child Claude Code process
- * Executes: claude --resume <session_id> -p "<prompt>"
- *
- * Security: Validates session exists and is authorized before execution
+ * Signal a child's whole process group (falls back to the child alone)
+ */
+function killProcessGroup(child, signal) {
+  try {
+    process.kill(-child.pid, signal);
+  } catch {
+    try {
+      child.kill(signal);
+    } catch {
+      // Already gone
+    }
+  }
+}
+
+/**
+ * SIGTERM the process group, then SIGKILL whatever is left after a grace period
+ */
+function terminateProcessGroup(child) {
+  killProcessGroup(child, 'SIGTERM');
+  const killTimer = setTimeout(() => killProcessGroup(child, 'SIGKILL'), CANCEL_GRACE_MS);
+  killTimer.unref();
+}
+
+/**
+ * Remember a running approval's child process so it can be cancelled
+ */
+function trackChild(approval_id, child) {
+  runningChildren.set(approval_id, child);
+  // Cancelled while the session was still being validated
+  if (cancelRequests.has(approval_id)) {
+    terminateProcessGroup(child);
+  }
+}
+
+/**
+ * Forget a finished approval's child
+ * @returns {boolean} True if the execution was cancelled
+ */
+function untrackChild(approval_id) {
+  runningChildren.delete(approval_id);
+  return cancelRequests.delete(approval_id);
+}
+
+/**
+ * Cancel an approval: drop it from the queue, or kill its running process group
+ * @param {string} approval_id
+ * @param {Object} [options]
+ * @param {string} [options.actor='daemon'] - Who asked, for the audit log (local-api, relay)
+ * @returns {Promise<{ found: boolean, cancelled: boolean, status: string|null }>}
+ *   status 'cancelled' (was queued) or 'cancelling' (kill sent); otherwise
+ *   cancelled is false and status is the finished execution's status
+ */
+async function cancelExecution(approval_id, { actor = 'daemon' } = {}) {
+  const execution = executions.get(approval_id);
+  const queuedIndex = approvalQueue.findIndex(a => a.approval_id === approval_id);
+  if (queuedIndex !== -1) {
+    const approval = dequeueApproval(queuedIndex);
+    audit('execution.cancel', { actor, session_id: approval.session_id, approval_id, was: 'queued' });
+    setExecution(approval_id, {
+      approval_id,
+      session_id: approval.session_id,
+      tool_name: approval.tool_name,
+      status: 'cancelled',
+      started_at: null,
+      completed_at: Date.now(),
+      exit_code: null,
+      stdout: '',
+      stderr: '',
+      error: CANCELLED_ERROR
+    });
+    recordHistory({ ...executions.get(approval_id), id: approval_id, command: approval.tool_input?.command });
+    console.log(`[daemon] Cancelled queued approval: ${approval_id}`);
+    await reportExecutionStatus(approval_id, { success: false, status: 'cancelled', error: CANCELLED_ERROR });
+    return { found: true, cancelled: true, status: 'cancelled' };
+  }
+
+  if (!execution || execution.status !== 'executing') {
+    return { found: Boolean(execution), cancelled: false, status: execution?.status || null };
+  }
+
+  audit('execution.cancel', { actor, session_id: execution.session_id, approval_id, was: 'executing' });
+  cancelRequests.add(approval_id);
+  const child = runningChildren.get(approval_id);
+  if (child) {
+    console.log(`[daemon] Cancelling approval ${approval_id} (pid ${child.pid})`);
+    terminateProcessGroup(child);
+  }
+  return { found: true, cancelled: true, status: 'cancelling' };
+}
+
+/**
+ * Final state of an execution, sent to output followers when it ends
  */
-async function spawnClaudeProcess(session_id, prompt) {
+function executionSummary(execution) {
+  return {
+    status: execution?.status || 'unknown',
+    exit_code: execution?.exit_code ?? null,
+    error: execution?.error || null,
+    completed_at: execution?.completed_at || null
+  };
+}
+
+/**
+ * Forward a batch of output chunks to the relay so the phone can show live output.
+ * Only complete lines are sent (and redacted); the rest waits for the next
+ * batch, or for the final one when the execution ends.
+ */
+async function sendOutputChunks(approval_id, rawChunks, { final = false } = {}) {
+  if (!relayOutputSupported) {
+    outputLines.drain(approval_id);
+    return;
+  }
+
+  const lines = outputLines.take(approval_id, rawChunks);
+  if (final) lines.push(...outputLines.drain(approval_id));
+  if (lines.length === 0) return;
+
+  let redactions = 0;
+  const chunks = lines.map((chunk) => {
+    const { text, count } = redact(chunk.data);
+    redactions += count;
+    return { ...chunk, data: text };
+  });
+
+  const response = await fetch(`${settings.relayApiUrl}/api/approvals/${approval_id}/output`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${settings.relayApiKey}`
+    },
+    body: JSON.stringify(await deviceRegistry.seal({ chunks, redactions }, ['chunks'], executions.get(approval_id)?.session_id || ''))
+  });
+
+  if (response.status === 404 || response.status === 501) {
+    // Older relay without the output endpoint - the final result still carries the output
+    relayOutputSupported = false;
+    console.log('[daemon] Relay does not accept live output, sending results only');
+    return;
+  }
+  if (!response.ok) {
+    throw new Error(`Relay rejected output chunks: ${response.status}`);
+  }
+}
+
+/**
+ * Stream an execution's output as Server-Sent Events
+ * GET /executions/:id/stream[?since=<seq>]
+ *   event: output  data: { seq, stream: 'stdout'|'stderr', data, at }
+ *   event: end     data: { status, exit_code, error, completed_at }
+ */
+function streamExecutionOutput(req, res, approval_id, since) {
+  const output = outputHub.get(approval_id);
+  const execution = executions.get(approval_id);
+  if (!output && !execution) {
+    sendJSON(res, 404, { error: `Unknown execution: ${approval_id}` });
+    return;
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+
+  const writeEvent = (event, data, id) => {
+    res.write(`${id !== undefined ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  if (!output) {
+    // Finished before this daemon started (or output was pruned) - send what we stored
+    if (execution.stdout) writeEvent('output', { seq: 1, stream: 'stdout', data: execution.stdout }, 1);
+    if (execution.stderr) writeEvent('output', { seq: 2, stream: 'stderr', data: execution.stderr }, 2);
+    writeEvent('end', executionSummary(execution));
+    res.end();
+    return;
+  }
+
+  const keepAlive = setInterval(() => res.write(': ping\n\n'), 15_000);
+  let unsubscribe = null;
+  const close = () => {
+    clearInterval(keepAlive);
+    if (unsubscribe) unsubscribe();
+  };
+
+  unsubscribe = outputHub.subscribe(approval_id, {
+    onChunk: (chunk) => writeEvent('output', chunk, chunk.seq),
+    onEnd: (summary) => {
+      writeEvent('end', summary);
+      close();
+      res.end();
+    }
+  }, since);
+  req.on('close', close);
+}
+
+/**
+ * Check a session is registered locally and still active on the relay
+ * @returns {Promise<Object>} The local session record
+ */
+async function validateSession(session_id) {
   // SECURITY: Validate session exists in local registry
   const session = sessions.get(session_id);
   if (!session) {
@@ -1081,8 +2439,8 @@ async function spawnClaudeProcess(session_id, prompt) {
 
   // SECURITY: Verify session is still active via relay API
   try {
-    const sessionCheck = await fetch(`${RELAY_API_URL}/api/sessions/${session_id}/daemon-state`, {
-      headers: { 'Authorization': `Bearer ${RELAY_API_KEY}` },
+    const sessionCheck = await fetch(`${settings.relayApiUrl}/api/sessions/${session_id}/daemon-state`, {
+      headers: { 'Authorization': `Bearer ${settings.relayApiKey}` },
       signal: AbortSignal.timeout(5000)
     });
 
@@ -1095,6 +2453,18 @@ async function spawnClaudeProcess(session_id, prompt) {
     throw new Error(`Session validation failed: ${error.message}`);
   }
 
+  return session;
+}
+
+/**
+ * Spawn child Claude Code process
+ * Executes: claude --resume <session_id> -p "<prompt>"
+ *
+ * Security: Validates session exists and is authorized before execution
+ */
+async function spawnClaudeProcess(session_id, prompt, { onOutput = null, onSpawn = null } = {}) {
+  const session = await validateSession(session_id);
+
   return new Promise((resolve) => {
     const cwd = session.cwd || process.cwd();
     const startedAt = Date.now();
@@ -1108,23 +2478,51 @@ async function spawnClaudeProcess(session_id, prompt) {
     // Determine execution mode
     let isToolExecution = false;
     let commandToRun = '';
+    let commandArgv = null;
     let agentPrompt = '';
 
     try {
       const promptObj = JSON.parse(prompt);
       if (promptObj.parameters?.command) {
-        isToolExecution = true;
         commandToRun = promptObj.parameters.command;
+        isToolExecution = true;
       }
     } catch (e) {
       // Not JSON, treat as natural language prompt
     }
 
+    if (isToolExecution) {
+      let rejection = null;
+      try {
+        commandArgv = tokenize(commandToRun);
+        if (commandArgv.length === 0) rejection = 'Command is empty';
+      } catch (e) {
+        rejection = `Command can't run without a shell (${e.message})`;
+      }
+      // SECURITY: Never hand an approved command to the agent instead - it runs
+      // with --dangerously-skip-permissions, so it could do more than was approved
+      if (rejection) {
+        console.error(`[daemon] Refusing approved command: ${rejection}`);
+        resolve({
+          success: false,
+          exit_code: -1,
+          stdout: '',
+          stderr: '',
+          error: rejection,
+          duration_ms: 0,
+          started_at: startedAt,
+          executed_at: Date.now(),
+          execution_type: 'shell'
+        });
+        return;
+      }
+    }
+
     if (!isToolExecution) {
       agentPrompt = prompt;
     }
 
-    console.log(`[daemon] Spawning process (${isToolExecution ? 'Tool Shell' : 'Claude Agent'})...`);
+    console.log(`[daemon] Spawning process (${isToolExecution ? 'Tool Exec' : 'Claude Agent'})...`);
     if (isToolExecution) {
       console.log(`[daemon] Executing tool command: ${commandToRun}`);
     } else {
@@ -1135,17 +2533,18 @@ async function spawnClaudeProcess(session_id, prompt) {
     
     if (isToolExecution) {
       /**
-       * MODE 1: Tool Execution (Direct Shell)
+       * MODE 1: Tool Execution (Direct Exec)
        * SECURITY: Command execution with defense-in-depth
        *
        * Security layers:
-       * 1. Commands validated against whitelist (isCommandAllowed)
-       * 2. Shell metacharacters blocked (sanitizeCommand) - prevents injection
-       * 3. Commands are pre-validated before reaching this point
+       * 1. The exact command was approved by the user via the relay
+       * 2. Command is tokenized into argv and exec'd without a shell, so
+       *    nothing in it can chain or substitute additional commands
        */
-      child = spawn('sh', ['-c', commandToRun], {
+      child = spawn(commandArgv[0], commandArgv.slice(1), {
         cwd,
         stdio: 'pipe',
+        detached: true, // own process group, so cancel/timeout can kill its children too
         env: {
           ...process.env,
           TELEPORTATION_DAEMON_CHILD: 'true'
@@ -1174,6 +2573,7 @@ async function spawnClaudeProcess(session_id, prompt) {
       child = spawn(cliBin, args, {
         cwd,
         stdio: 'pipe',
+        detached: true, // own process group, so cancel/timeout can kill its children too
         env: {
           ...process.env,
           TELEPORTATION_DAEMON_CHILD: 'true',
@@ -1188,24 +2588,32 @@ async function spawnClaudeProcess(session_id, prompt) {
       child.stdin.end();
     }
 
+    if (onSpawn) {
+      onSpawn(child);
+    }
+
     let stdout = '';
     let stderr = '';
     let timedOut = false;
 
-    // Capture stdout
+    // Capture stdout (and stream it to followers as it arrives)
     child.stdout.on('data', (data) => {
-      stdout += data.toString();
+      const text = data.toString();
+      stdout += text;
+      if (onOutput) onOutput('stdout', text);
     });
 
     // Capture stderr
     child.stderr.on('data', (data) => {
-      stderr += data.toString();
+      const text = data.toString();
+      stderr += text;
+      if (onOutput) onOutput('stderr', text);
     });
 
     // Timeout handler
     const timeout = setTimeout(() => {
       timedOut = true;
-      child.kill('SIGTERM');
+      terminateProcessGroup(child);
     }, CHILD_TIMEOUT_MS);
 
     // Handle process exit
@@ -1222,7 +2630,8 @@ async function spawnClaudeProcess(session_id, prompt) {
         error: timedOut ? 'Execution timed out' : null,
         duration_ms: executedAt - startedAt,
         started_at: startedAt,
-        executed_at: executedAt
+        executed_at: executedAt,
+        execution_type: isToolExecution ? 'shell' : 'agent'
       });
     });
 
@@ -1240,7 +2649,8 @@ async function spawnClaudeProcess(session_id, prompt) {
         error: err.message,
         duration_ms: 0,
         started_at: startedAt,
-        executed_at: executedAt
+        executed_at: executedAt,
+        execution_type: isToolExecution ? 'shell' : 'agent'
       });
     });
   });
@@ -1250,30 +2660,33 @@ async function spawnClaudeProcess(session_id, prompt) {
  * Store execution result in relay pending_results for later delivery
  */
 async function storeExecutionResult(session_id, approval_id, tool_name, command, executionResult) {
-  if (!session_id || !RELAY_API_URL || !RELAY_API_KEY) {
+  if (!session_id || !settings.relayApiUrl || !settings.relayApiKey) {
     return;
   }
 
+  const { result: redacted, count } = redactFields(redact, executionResult, ['stdout', 'stderr']);
   const payload = {
     approval_id,
     command: command || '',
     tool_name,
     exit_code: executionResult.exit_code ?? null,
-    stdout: (executionResult.stdout || '').slice(0, 10_000),
-    stderr: (executionResult.stderr || '').slice(0, 10_000),
+    stdout: (redacted.stdout || '').slice(0, 10_000),
+    stderr: (redacted.stderr || '').slice(0, 10_000),
+    redactions: count,
     executed_at: executionResult.executed_at || Date.now()
   };
 
-  const url = `${RELAY_API_URL}/api/sessions/${encodeURIComponent(session_id)}/results`;
+  const url = `${settings.relayApiUrl}/api/sessions/${encodeURIComponent(session_id)}/results`;
+  const body = JSON.stringify(await deviceRegistry.seal(payload, ['command', 'stdout', 'stderr'], session_id));
 
   const attempt = async () => {
     const res = await fetch(url, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
-        'Authorization': `Bearer ${RELAY_API_KEY}`
+        'Authorization': `Bearer ${settings.relayApiKey}`
       },
-      body: JSON.stringify(payload)
+      body
     });
 
     if (!res.ok) {
@@ -1299,28 +2712,105 @@ async function storeExecutionResult(session_id, approval_id, tool_name, command,
 /**
  * Report execution status to relay API
  */
-async function reportExecutionStatus(approval_id, result) {
+async function reportExecutionStatus(approval_id, rawResult) {
+  const { result, count } = redactFields(redact, rawResult);
   try {
-    await fetch(`${RELAY_API_URL}/api/approvals/${approval_id}/executed`, {
+    const report = await deviceRegistry.seal({
+      success: result.success,
+      exit_code: result.exit_code,
+      stdout: result.stdout?.slice(0, 10_000), // Send first 10KB only
+      stderr: result.stderr?.slice(0, 10_000),
+      error: result.error,
+      duration_ms: result.duration_ms,
+      redactions: count,
+      ...(result.status ? { status: result.status } : {})
+    }, ['stdout', 'stderr', 'error'], executions.get(approval_id)?.session_id || '');
+
+    await fetch(`${settings.relayApiUrl}/api/approvals/${approval_id}/executed`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
-        'Authorization': `Bearer ${RELAY_API_KEY}`
+        'Authorization': `Bearer ${settings.relayApiKey}`
       },
-      body: JSON.stringify({
-        success: result.success,
-        exit_code: result.exit_code,
-        stdout: result.stdout?.slice(0, 10_000), // Send first 10KB only
-        stderr: result.stderr?.slice(0, 10_000),
-        error: result.error,
-        duration_ms: result.duration_ms
-      })
+      body: JSON.stringify(report)
     });
   } catch (error) {
     console.error(`[daemon] Failed to report execution status:`, error.message);
   }
 }
 
+/**
+ * Restore state persisted by a previous daemon run
+ * Executions that were still running when the daemon stopped can't be resumed
+ * (their child process is gone), so they are marked interrupted and reported
+ * to the relay. Queued approvals that never started are requeued.
+ * @param {DaemonStateStore} store
+ * @returns {Promise<{ sessions: number, requeued: number, interrupted: number }>}
+ */
+async function restoreState(store) {
+  const saved = store.load();
+
+  for (const [session_id, session] of saved.sessions) {
+    sessions.set(session_id, {
+      ...session,
+      meta: { ...session.meta, daemon_pid: process.pid }
+    });
+  }
+  for (const [session_id, state] of saved.heartbeatState) {
+    heartbeatState.set(session_id, state);
+  }
+
+  const interrupted = [];
+  for (const [approval_id, execution] of saved.executions) {
+    if (execution.status === 'executing') {
+      const marked = {
+        ...execution,
+        status: 'interrupted',
+        completed_at: Date.now(),
+        error: 'Daemon stopped before execution finished'
+      };
+      executions.set(approval_id, marked);
+      interrupted.push(marked);
+      recordHistory({ ...marked, id: approval_id });
+      audit('execution.finish', { actor: 'daemon', session_id: marked.session_id, approval_id, tool_name: marked.tool_name, status: 'interrupted', error: marked.error });
+    } else {
+      executions.set(approval_id, execution);
+    }
+  }
+
+  let requeued = 0;
+  for (const approval of saved.approvalQueue) {
+    if (executions.has(approval.approval_id)) continue;
+    if (approvalQueue.some(a => a.approval_id === approval.approval_id)) continue;
+    approvalQueue.push(approval);
+    requeued++;
+  }
+
+  if (sessions.size > 0) {
+    lastSessionActivityAt = Date.now();
+  }
+
+  // Sessions whose Claude Code process died while the daemon was down
+  expireStaleSessions();
+
+  // Fold the replayed journal into a fresh snapshot
+  await store.compact({ sessions, approvalQueue, executions, heartbeatState });
+
+  for (const execution of interrupted) {
+    await reportExecutionStatus(execution.approval_id, {
+      success: false,
+      status: 'interrupted',
+      error: execution.error
+    });
+  }
+
+  const counts = { sessions: sessions.size, requeued, interrupted: interrupted.length };
+  if (counts.sessions > 0 || requeued > 0 || interrupted.length > 0) {
+    console.log(`[daemon] Restored state: ${counts.sessions} session(s), ${requeued} queued approval(s), ${interrupted.length} interrupted execution(s)`);
+  }
+  return counts;
+}
+
 /**
  * Cleanup function
  */
@@ -1329,10 +2819,17 @@ async function cleanup() {
   console.log('[daemon] Cleaning up...');
   isShuttingDown = true;
 
-  // Stop polling
-  if (pollingTimer) {
-    clearTimeout(pollingTimer);
-    pollingTimer = null;
+  // Stop relay stream and polling
+  stopRelaySync();
+
+  if (stopWatchingSettings) {
+    stopWatchingSettings();
+    stopWatchingSettings = null;
+  }
+
+  if (credentialRefreshTimer) {
+    clearTimeout(credentialRefreshTimer);
+    credentialRefreshTimer = null;
   }
 
   // Clear cleanup timer
@@ -1341,6 +2838,11 @@ async function cleanup() {
     cleanupTimer = null;
   }
 
+  if (approvalTimer) {
+    clearInterval(approvalTimer);
+    approvalTimer = null;
+  }
+
   if (idleTimer) {
     clearInterval(idleTimer);
     idleTimer = null;
@@ -1352,6 +2854,20 @@ async function cleanup() {
       server.close(resolve);
     });
   }
+  if (socketPath) {
+    await unlink(socketPath).catch(() => {});
+  }
+
+  audit('daemon.stop', { actor: 'daemon', pid: process.pid });
+
+  // Flush state to a snapshot so the next start doesn't replay the journal
+  if (stateStore) {
+    try {
+      await stateStore.compact({ sessions, approvalQueue, executions, heartbeatState });
+    } catch (error) {
+      console.error('[daemon] Failed to save state:', error.message);
+    }
+  }
 
   // Release PID lock
   await releasePidLock(process.pid);
@@ -1365,29 +2881,73 @@ async function cleanup() {
 async function main() {
   console.log('[daemon] Main function started.');
   try {
+    // Relay login, intervals and command allowlist (fails startup on invalid config)
+    const { config, settings: initialSettings } = await readSettings();
+    applySettings(initialSettings);
+
     // Acquire PID lock
     await acquirePidLock(process.pid);
 
+    // Restore sessions, queued approvals and executions from the last run
+    executionHistory = new ExecutionHistory(join(STATE_DIR, 'history'));
+    auditLog = new AuditLog(resolveAuditDir());
+    audit('daemon.start', { actor: 'daemon', pid: process.pid, allow_all_commands: ALLOW_ALL_COMMANDS });
+    stateStore = new DaemonStateStore(STATE_DIR);
+    await restoreState(stateStore);
+
     // Setup signal handlers
     setupSignalHandlers(cleanup);
 
+    // Pick up a new login or config.json edits without a restart
+    process.on('SIGHUP', () => reloadSettings('SIGHUP').catch(() => {}));
+    watchSettings();
+
+    // Bearer token hooks and the CLI must present
+    authToken = await loadOrCreateDaemonToken();
+
     // Start HTTP server (using built-in http module)
     server = http.createServer(handleRequest);
-    server.listen(PORT, '127.0.0.1', () => {
-      console.log(`[daemon] HTTP server listening on http://127.0.0.1:${PORT}`);
-      console.log(`[daemon] Relay API: ${RELAY_API_URL}`);
-      console.log(`[daemon] Poll interval: ${POLL_INTERVAL_MS}ms`);
+    socketPath = SOCKET_PATH_ENV || config.daemon?.socketPath || null;
+    if (socketPath) {
+      // We hold the PID lock, so an existing socket file is stale
+      await unlink(socketPath).catch(err => {
+        if (err.code !== 'ENOENT') throw err;
+      });
+    }
+    const onListening = async () => {
+      if (socketPath) {
+        await chmod(socketPath, 0o600).catch(err => {
+          console.error(`[daemon] Failed to restrict socket permissions: ${err.message}`);
+        });
+        console.log(`[daemon] HTTP server listening on unix:${socketPath}`);
+      } else {
+        console.log(`[daemon] HTTP server listening on http://127.0.0.1:${PORT}`);
+      }
+      console.log(`[daemon] Relay API: ${settings.relayApiUrl}`);
+      console.log(`[daemon] Poll interval: ${settings.pollIntervalMs}ms`);
+      console.log(`[daemon] Max concurrent executions: ${workerPool.concurrency}`);
       console.log(`[daemon] PID: ${process.pid}`);
-    });
+    };
+    if (socketPath) {
+      server.listen(socketPath, onListening);
+    } else {
+      server.listen(PORT, '127.0.0.1', onListening);
+    }
 
-    // Start polling loop
-    console.log('[daemon] Starting relay API polling...');
-    pollRelayAPI();
+    // Start relay sync (stream, with polling fallback)
+    console.log(`[daemon] Starting relay sync (${RELAY_STREAMING ? 'streaming' : 'polling'})...`);
+    startRelaySync();
 
     // Start cleanup interval for old executions
     cleanupTimer = setInterval(cleanupOldExecutions, CLEANUP_INTERVAL_MS);
     console.log(`[daemon] Cleanup interval: ${CLEANUP_INTERVAL_MS / 1000}s`);
 
+    approvalTimer = setInterval(() => {
+      checkApprovalTimeouts().catch((err) => {
+        console.error('[daemon] Approval timeout check failed:', err.message);
+      });
+    }, APPROVAL_CHECK_INTERVAL_MS);
+
     idleTimer = setInterval(() => {
       checkIdleTimeout().catch((err) => {
         console.error('[daemon] Idle timeout check failed:', err.message);
@@ -1412,7 +2972,55 @@ const __test = {
   _setLastSessionActivityAt: (value) => {
     lastSessionActivityAt = value;
   },
-  _getSessionsMap: () => sessions
+  _getSessionsMap: () => sessions,
+  _getApprovalQueue: () => approvalQueue,
+  _setCommandsConfig: (value) => {
+    commandsConfig = value;
+  },
+  _setApprovalsConfig: (value) => {
+    approvalsConfig = value;
+  },
+  _setRedactionConfig: (value) => {
+    redact = createRedactor(value || undefined);
+  },
+  _setDeviceRegistry: (value) => {
+    deviceRegistry = value;
+  },
+  isCommandAllowed,
+  handleRequest,
+  restoreState,
+  _getExecutionsMap: () => executions,
+  _getWorkerPool: () => workerPool,
+  _getRelayMode: () => relayMode,
+  _getRelayApiKey: () => settings.relayApiKey,
+  _getSettings: () => settings,
+  _setCredentialManager: (value) => {
+    credentialManager = value;
+  },
+  _setProfileStore: (value) => {
+    profileStore = value;
+  },
+  reloadSettings,
+  _getOutputHub: () => outputHub,
+  cancelExecution,
+  checkApprovalTimeouts,
+  queueRelayApproval,
+  pollRelayOnce,
+  handleRelayEvent,
+  _setAuthToken: (value) => {
+    authToken = value;
+  },
+  startRelaySync,
+  stopRelaySync,
+  _setStateStore: (value) => {
+    stateStore = value;
+  },
+  _setExecutionHistory: (value) => {
+    executionHistory = value;
+  },
+  _setAuditLog: (value) => {
+    auditLog = value;
+  }
 };
 
 export {
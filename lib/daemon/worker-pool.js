@@ -0,0 +1,143 @@
+/**
+ * Worker Pool
+ * Runs daemon tasks concurrently up to a global limit while keeping tasks
+ * that share a key (the session id) strictly serialized: a key is "busy"
+ * while one of its tasks runs, and callers only start the next task for a
+ * key once it is free again.
+ *
+ * The pool doesn't own a queue - the daemon keeps its approval queue (which
+ * is persisted) and asks the pool for capacity. Metrics are kept here so
+ * /health can report backpressure.
+ */
+
+const DEFAULT_CONCURRENCY = 4;
+
+export class WorkerPool {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.concurrency] - Max tasks running at once
+   * @param {Function} [options.onSettled] - Called after each task finishes (to dispatch more work)
+   */
+  constructor({ concurrency = DEFAULT_CONCURRENCY, onSettled = null } = {}) {
+    this.setConcurrency(concurrency);
+    this.onSettled = onSettled;
+    this.running = new Map(); // key -> { id, started_at }
+    this.idleWaiters = [];
+    this.stats = {
+      started: 0,
+      completed: 0,
+      failed: 0,
+      peakActive: 0,
+      totalWaitMs: 0,
+      maxWaitMs: 0
+    };
+  }
+
+  /**
+   * Change the concurrency limit (takes effect for the next dispatch)
+   * @param {number} concurrency - Positive integer
+   */
+  setConcurrency(concurrency) {
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new Error(`Worker concurrency must be a positive integer, got: ${concurrency}`);
+    }
+    this.concurrency = concurrency;
+  }
+
+  get active() {
+    return this.running.size;
+  }
+
+  hasCapacity() {
+    return this.running.size < this.concurrency;
+  }
+
+  isBusy(key) {
+    return this.running.has(key);
+  }
+
+  /**
+   * Start a task for a key. Throws if the key is already busy or the pool is
+   * full - callers check isBusy()/hasCapacity() first.
+   * @param {string} key - Serialization key (session id)
+   * @param {Function} task - Async function to run
+   * @param {Object} [info]
+   * @param {string} [info.id] - Task id for metrics (approval id)
+   * @param {number} [info.queuedAt] - When the task was queued, for wait-time metrics
+   * @returns {Promise<void>} Settles when the task finishes (never rejects)
+   */
+  run(key, task, { id = null, queuedAt = null } = {}) {
+    if (this.running.has(key)) {
+      throw new Error(`Worker for ${key} is already running`);
+    }
+    if (!this.hasCapacity()) {
+      throw new Error('Worker pool is at capacity');
+    }
+
+    const startedAt = Date.now();
+    this.running.set(key, { id, started_at: startedAt });
+    this.stats.started++;
+    this.stats.peakActive = Math.max(this.stats.peakActive, this.running.size);
+    if (queuedAt) {
+      const waitMs = Math.max(0, startedAt - queuedAt);
+      this.stats.totalWaitMs += waitMs;
+      this.stats.maxWaitMs = Math.max(this.stats.maxWaitMs, waitMs);
+    }
+
+    return Promise.resolve()
+      .then(task)
+      .then(
+        () => { this.stats.completed++; },
+        (error) => {
+          this.stats.failed++;
+          console.error(`[worker-pool] Task for ${key} failed:`, error.message);
+        }
+      )
+      .finally(() => {
+        this.running.delete(key);
+        if (this.running.size === 0) {
+          const waiters = this.idleWaiters;
+          this.idleWaiters = [];
+          waiters.forEach(resolve => resolve());
+        }
+        if (this.onSettled) {
+          this.onSettled();
+        }
+      });
+  }
+
+  /**
+   * Resolve once no tasks are running
+   * @returns {Promise<void>}
+   */
+  onIdle() {
+    if (this.running.size === 0) return Promise.resolve();
+    return new Promise(resolve => this.idleWaiters.push(resolve));
+  }
+
+  /**
+   * Snapshot of pool state for /health
+   */
+  metrics() {
+    const now = Date.now();
+    return {
+      concurrency: this.concurrency,
+      active: this.running.size,
+      available: Math.max(0, this.concurrency - this.running.size),
+      utilization: this.running.size / this.concurrency,
+      running: [...this.running].map(([key, { id, started_at }]) => ({
+        session_id: key,
+        approval_id: id,
+        running_ms: now - started_at
+      })),
+      started: this.stats.started,
+      completed: this.stats.completed,
+      failed: this.stats.failed,
+      peak_active: this.stats.peakActive,
+      avg_wait_ms: this.stats.started > 0 ? Math.round(this.stats.totalWaitMs / this.stats.started) : 0,
+      max_wait_ms: this.stats.maxWaitMs
+    };
+  }
+}
+
+export { DEFAULT_CONCURRENCY };
@@ -0,0 +1,77 @@
+import { describe, it, expect, vi } from 'vitest';
+import { WorkerPool } from './worker-pool.js';
+
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+describe('WorkerPool', () => {
+  it('should reject invalid concurrency', () => {
+    expect(() => new WorkerPool({ concurrency: 0 })).toThrow(/positive integer/);
+    expect(() => new WorkerPool({ concurrency: 1.5 })).toThrow(/positive integer/);
+  });
+
+  it('should track capacity and busy keys', async () => {
+    const pool = new WorkerPool({ concurrency: 2 });
+    const a = deferred();
+    const b = deferred();
+
+    pool.run('s1', () => a.promise);
+    expect(pool.isBusy('s1')).toBe(true);
+    expect(pool.isBusy('s2')).toBe(false);
+    expect(pool.hasCapacity()).toBe(true);
+
+    pool.run('s2', () => b.promise);
+    expect(pool.hasCapacity()).toBe(false);
+    expect(() => pool.run('s3', async () => {})).toThrow(/capacity/);
+
+    a.resolve();
+    b.resolve();
+    await pool.onIdle();
+    expect(pool.active).toBe(0);
+    expect(pool.isBusy('s1')).toBe(false);
+  });
+
+  it('should refuse a second task for a busy key', () => {
+    const pool = new WorkerPool({ concurrency: 4 });
+    const a = deferred();
+    pool.run('s1', () => a.promise);
+    expect(() => pool.run('s1', async () => {})).toThrow(/already running/);
+    a.resolve();
+  });
+
+  it('should count failures without rejecting and call onSettled', async () => {
+    const onSettled = vi.fn();
+    const pool = new WorkerPool({ concurrency: 2, onSettled });
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    await pool.run('s1', async () => { throw new Error('boom'); });
+    await pool.run('s2', async () => {});
+
+    const metrics = pool.metrics();
+    expect(metrics).toMatchObject({ started: 2, completed: 1, failed: 1, active: 0 });
+    expect(onSettled).toHaveBeenCalledTimes(2);
+    console.error.mockRestore();
+  });
+
+  it('should report running tasks and wait times', async () => {
+    const pool = new WorkerPool({ concurrency: 3 });
+    const a = deferred();
+    pool.run('s1', () => a.promise, { id: 'appr-1', queuedAt: Date.now() - 1000 });
+
+    const metrics = pool.metrics();
+    expect(metrics).toMatchObject({ concurrency: 3, active: 1, available: 2, peak_active: 1 });
+    expect(metrics.utilization).toBeCloseTo(1 / 3);
+    expect(metrics.running).toEqual([expect.objectContaining({ session_id: 's1', approval_id: 'appr-1' })]);
+    expect(metrics.max_wait_ms).toBeGreaterThanOrEqual(1000);
+
+    a.resolve();
+    await pool.onIdle();
+  });
+});
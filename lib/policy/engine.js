@@ -0,0 +1,434 @@
+#!/usr/bin/env node
+/**
+ * Approval policy engine
+ * Evaluates declarative allow/deny/ask rules against tool requests so the
+ * daemon can settle routine approvals without paging a human.
+ *
+ * Policy files:
+ *   ~/.teleportation/policy.json          global policy
+ *   <repo>/.teleportation/policy.json     per-repo override (checked first)
+ *
+ * Policy shape:
+ *   {
+ *     "default": "ask",
+ *     "trustRepoPolicies": false,
+ *     "safeTools": ["Read", "Grep"],
+ *     "rules": [
+ *       { "id": "git-status", "decision": "allow", "tool": "Bash", "command": "git status" },
+ *       { "id": "no-env", "decision": "deny", "path": "**\/.env*" },
+ *       { "id": "no-critical", "decision": "deny", "risk": "critical" }
+ *     ]
+ *   }
+ *
+ * Rules are evaluated in order (repo rules before global rules) and the first
+ * rule whose matchers all match wins. A repo policy can always deny or ask, but
+ * its allow rules only apply when the global policy sets trustRepoPolicies, so a
+ * cloned repository cannot auto-approve its own commands.
+ *
+ * risk matches the level assessRisk() gave the request (see risk.js); list
+ * several levels to match any of them.
+ *
+ * safeTools (tool globs, global policy only) marks tools whose undecided
+ * approvals are auto-allowed rather than denied when they time out.
+ */
+
+import { readFile, writeFile, mkdir, stat } from 'fs/promises';
+import { join, dirname, resolve, relative, isAbsolute } from 'path';
+import { homedir } from 'os';
+import { randomBytes } from 'crypto';
+import { matchGlob, expandHome } from '../utils/glob.js';
+import { RISK_LEVELS } from './risk.js';
+
+const DEFAULT_POLICY_PATH = join(homedir(), '.teleportation', 'policy.json');
+const REPO_POLICY_FILE = join('.teleportation', 'policy.json');
+
+const DECISIONS = ['allow', 'deny', 'ask'];
+const MATCHER_FIELDS = ['tool', 'command', 'path', 'cwd', 'risk'];
+
+// tool_input fields that carry a file path, in order of preference
+const PATH_FIELDS = ['file_path', 'notebook_path', 'path'];
+
+// Shell control characters that turn one command into several
+const SHELL_CONTROL_PATTERN = /[;&|`<>\n]|\$\(/;
+const SHELL_SEGMENT_SEPARATOR = /[;&|`<>\n()]+|\$\(/;
+
+const EMPTY_POLICY = {
+  default: 'ask',
+  trustRepoPolicies: false,
+  safeTools: [],
+  rules: []
+};
+
+/**
+ * Validate a single rule, returning a list of problems (empty when valid)
+ */
+function validateRule(rule) {
+  const errors = [];
+
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    return ['Rule must be an object'];
+  }
+
+  if (!DECISIONS.includes(rule.decision)) {
+    errors.push(`Rule decision must be one of: ${DECISIONS.join(', ')}`);
+  }
+
+  if (rule.id !== undefined && (typeof rule.id !== 'string' || !/^[a-zA-Z0-9_-]{1,64}$/.test(rule.id))) {
+    errors.push('Rule id must be 1-64 alphanumeric characters, dashes or underscores');
+  }
+
+  const matchers = MATCHER_FIELDS.filter(field => rule[field] !== undefined);
+  if (matchers.length === 0) {
+    errors.push(`Rule must specify at least one of: ${MATCHER_FIELDS.join(', ')}`);
+  }
+
+  for (const field of matchers) {
+    const values = Array.isArray(rule[field]) ? rule[field] : [rule[field]];
+    if (values.length === 0 || values.some(v => typeof v !== 'string' || v.length === 0)) {
+      errors.push(`Rule ${field} must be a non-empty string or array of strings`);
+    }
+  }
+
+  if (rule.risk !== undefined && toList(rule.risk).some(level => !RISK_LEVELS.includes(level))) {
+    errors.push(`Rule risk must be one of: ${RISK_LEVELS.join(', ')}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a whole policy document
+ */
+function validatePolicy(policy) {
+  const errors = [];
+
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    return { errors: ['Policy must be a JSON object'] };
+  }
+
+  if (policy.default !== undefined && !DECISIONS.includes(policy.default)) {
+    errors.push(`Policy default must be one of: ${DECISIONS.join(', ')}`);
+  }
+
+  if (policy.trustRepoPolicies !== undefined && typeof policy.trustRepoPolicies !== 'boolean') {
+    errors.push('trustRepoPolicies must be a boolean (true/false)');
+  }
+
+  if (policy.safeTools !== undefined) {
+    if (!Array.isArray(policy.safeTools) || policy.safeTools.some(t => typeof t !== 'string' || t.length === 0)) {
+      errors.push('safeTools must be an array of tool names or globs');
+    }
+  }
+
+  if (policy.rules !== undefined && !Array.isArray(policy.rules)) {
+    errors.push('Policy rules must be an array');
+  } else {
+    (policy.rules || []).forEach((rule, index) => {
+      for (const error of validateRule(rule)) {
+        errors.push(`rules[${index}]: ${error}`);
+      }
+    });
+  }
+
+  return { errors };
+}
+
+/**
+ * Read and validate a policy file. Returns null if the file does not exist.
+ */
+async function readPolicyFile(policyPath) {
+  let content;
+  try {
+    content = await readFile(policyPath, 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT') {
+      return null;
+    }
+    throw new Error(`Failed to read policy file ${policyPath}: ${e.message}`);
+  }
+
+  let policy;
+  try {
+    policy = JSON.parse(content);
+  } catch (e) {
+    throw new Error(`Failed to parse policy file ${policyPath} (invalid JSON): ${e.message}`);
+  }
+
+  const { errors } = validatePolicy(policy);
+  if (errors.length > 0) {
+    throw new Error(`Policy validation failed for ${policyPath}:\n${errors.map(e => `  - ${e}`).join('\n')}`);
+  }
+
+  return {
+    default: policy.default || EMPTY_POLICY.default,
+    trustRepoPolicies: policy.trustRepoPolicies === true,
+    safeTools: policy.safeTools || [],
+    rules: policy.rules || []
+  };
+}
+
+/**
+ * Walk up from cwd to the enclosing repository root (directory containing .git)
+ * and return the path of its policy override, or null if there is none.
+ */
+async function findRepoPolicyPath(cwd) {
+  if (!cwd) return null;
+
+  let dir = resolve(cwd);
+  while (true) {
+    try {
+      await stat(join(dir, '.git'));
+      const candidate = join(dir, REPO_POLICY_FILE);
+      try {
+        await stat(candidate);
+        return candidate;
+      } catch {
+        return null;
+      }
+    } catch {
+      // Not the repo root, keep walking up
+    }
+
+    const parent = dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Load the effective policy for a working directory.
+ * Repo rules are placed ahead of global rules and tagged with their source.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Session working directory used to locate a repo override
+ * @param {string} [options.policyPath] - Global policy path
+ */
+async function loadPolicy({ cwd, policyPath = DEFAULT_POLICY_PATH } = {}) {
+  const globalPolicy = (await readPolicyFile(policyPath)) || EMPTY_POLICY;
+
+  const repoPolicyPath = await findRepoPolicyPath(cwd);
+  const repo = repoPolicyPath ? await readPolicyFile(repoPolicyPath) : null;
+
+  const rules = [];
+  if (repo) {
+    for (const rule of repo.rules) {
+      rules.push({ ...rule, source: 'repo', ignored: rule.decision === 'allow' && !globalPolicy.trustRepoPolicies });
+    }
+  }
+  for (const rule of globalPolicy.rules) {
+    rules.push({ ...rule, source: 'global' });
+  }
+
+  return {
+    default: globalPolicy.default,
+    trustRepoPolicies: globalPolicy.trustRepoPolicies,
+    // Only the global policy can mark tools safe, for the same reason repo allow rules need trust
+    safeTools: globalPolicy.safeTools,
+    rules,
+    paths: { global: policyPath, repo: repoPolicyPath }
+  };
+}
+
+function toList(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Command prefix match on word boundaries: "git status" matches
+ * "git status --short" but not "git statusx".
+ */
+function matchesCommandPrefix(command, prefix) {
+  const normalized = command.trim().replace(/\s+/g, ' ');
+  const normalizedPrefix = prefix.trim().replace(/\s+/g, ' ');
+  return normalized === normalizedPrefix || normalized.startsWith(normalizedPrefix + ' ');
+}
+
+/**
+ * Match a command against a rule's prefixes.
+ * Allow rules never match compound commands ("git status && rm -rf ~" must not
+ * ride on a "git status" allow rule). Deny/ask rules match if any segment of a
+ * compound command matches, so chaining cannot dodge a deny.
+ */
+function matchesCommand(command, prefixes, decision) {
+  if (SHELL_CONTROL_PATTERN.test(command)) {
+    if (decision === 'allow') return false;
+    const segments = command.split(SHELL_SEGMENT_SEPARATOR).filter(s => s.trim());
+    return segments.some(segment => prefixes.some(prefix => matchesCommandPrefix(segment, prefix)));
+  }
+  return prefixes.some(prefix => matchesCommandPrefix(command, prefix));
+}
+
+/**
+ * Match a file path glob. Absolute (or ~) globs are matched against the
+ * absolute path; relative globs are matched against the path relative to cwd.
+ */
+function matchesPathGlob(filePath, pattern, cwd) {
+  const base = cwd || process.cwd();
+  const absolute = resolve(base, filePath);
+  const expanded = expandHome(pattern);
+
+  if (isAbsolute(expanded)) {
+    return matchGlob(absolute, expanded);
+  }
+
+  const rel = relative(base, absolute);
+  if (rel.startsWith('..') || isAbsolute(rel)) {
+    return false;
+  }
+  return matchGlob(rel, expanded);
+}
+
+function getRequestPath(toolInput) {
+  if (!toolInput || typeof toolInput !== 'object') return null;
+  for (const field of PATH_FIELDS) {
+    if (typeof toolInput[field] === 'string' && toolInput[field].length > 0) {
+      return toolInput[field];
+    }
+  }
+  return null;
+}
+
+/**
+ * Check whether every matcher on a rule matches the request
+ */
+function ruleMatches(rule, request) {
+  const { tool_name, tool_input, cwd, risk } = request;
+
+  if (rule.tool !== undefined) {
+    if (!toList(rule.tool).some(pattern => matchGlob(tool_name || '', pattern))) {
+      return false;
+    }
+  }
+
+  if (rule.command !== undefined) {
+    const command = tool_input?.command;
+    if (typeof command !== 'string') return false;
+    if (!matchesCommand(command, toList(rule.command), rule.decision)) {
+      return false;
+    }
+  }
+
+  if (rule.path !== undefined) {
+    const filePath = getRequestPath(tool_input);
+    if (!filePath) return false;
+    if (!toList(rule.path).some(pattern => matchesPathGlob(filePath, pattern, cwd))) {
+      return false;
+    }
+  }
+
+  if (rule.cwd !== undefined) {
+    if (typeof cwd !== 'string') return false;
+    if (!toList(rule.cwd).some(pattern => matchGlob(resolve(cwd), pattern))) {
+      return false;
+    }
+  }
+
+  if (rule.risk !== undefined) {
+    if (!risk?.level || !toList(rule.risk).includes(risk.level)) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Evaluate a loaded policy against a tool request
+ *
+ * @param {Object} policy - Result of loadPolicy()
+ * @param {Object} request - { tool_name, tool_input, cwd, risk }
+ *   (risk is an assessRisk() result; rules with a risk matcher never match without it)
+ * @returns {{ decision: 'allow'|'deny'|'ask', rule: Object|null, reason: string, safe: boolean }}
+ *   safe is true when the tool is listed in safeTools
+ */
+function evaluatePolicy(policy, request) {
+  const safe = (policy.safeTools || []).some(pattern => matchGlob(request.tool_name || '', pattern));
+
+  for (const rule of policy.rules || []) {
+    if (rule.ignored) continue;
+    if (ruleMatches(rule, request)) {
+      const label = rule.id ? `rule "${rule.id}"` : 'unnamed rule';
+      return {
+        decision: rule.decision,
+        rule,
+        reason: `Matched ${rule.source || 'policy'} ${label}${rule.description ? `: ${rule.description}` : ''}`,
+        safe
+      };
+    }
+  }
+
+  return {
+    decision: policy.default || 'ask',
+    rule: null,
+    reason: 'No rule matched, using policy default',
+    safe
+  };
+}
+
+/**
+ * Save a policy document (mode 0600, like config.json)
+ */
+async function savePolicy(policy, policyPath = DEFAULT_POLICY_PATH) {
+  const { errors } = validatePolicy(policy);
+  if (errors.length > 0) {
+    throw new Error(`Invalid policy:\n${errors.map(e => `  - ${e}`).join('\n')}`);
+  }
+
+  await mkdir(dirname(policyPath), { recursive: true });
+  await writeFile(policyPath, JSON.stringify(policy, null, 2) + '\n', { mode: 0o600 });
+}
+
+/**
+ * Append a rule to a policy file, generating an id if none was given
+ * @returns {Promise<Object>} The stored rule
+ */
+async function addPolicyRule(rule, policyPath = DEFAULT_POLICY_PATH) {
+  const errors = validateRule(rule);
+  if (errors.length > 0) {
+    throw new Error(`Invalid rule:\n${errors.map(e => `  - ${e}`).join('\n')}`);
+  }
+
+  const policy = (await readPolicyFile(policyPath)) || { ...EMPTY_POLICY, rules: [] };
+  const id = rule.id || `rule-${randomBytes(3).toString('hex')}`;
+
+  if (policy.rules.some(r => r.id === id)) {
+    throw new Error(`A rule with id "${id}" already exists`);
+  }
+
+  const stored = { id, ...rule };
+  policy.rules.push(stored);
+  await savePolicy(policy, policyPath);
+  return stored;
+}
+
+/**
+ * Remove a rule by id
+ * @returns {Promise<boolean>} true if a rule was removed
+ */
+async function removePolicyRule(id, policyPath = DEFAULT_POLICY_PATH) {
+  const policy = await readPolicyFile(policyPath);
+  if (!policy) return false;
+
+  const remaining = policy.rules.filter(r => r.id !== id);
+  if (remaining.length === policy.rules.length) {
+    return false;
+  }
+
+  policy.rules = remaining;
+  await savePolicy(policy, policyPath);
+  return true;
+}
+
+export {
+  loadPolicy,
+  evaluatePolicy,
+  validatePolicy,
+  validateRule,
+  savePolicy,
+  addPolicyRule,
+  removePolicyRule,
+  readPolicyFile,
+  findRepoPolicyPath,
+  DEFAULT_POLICY_PATH,
+  REPO_POLICY_FILE
+};
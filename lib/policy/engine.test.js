@@ -0,0 +1,206 @@
+/**
+ * Tests for approval policy engine
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, mkdir, writeFile, readFile, rm } from 'fs/promises';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  loadPolicy,
+  evaluatePolicy,
+  validatePolicy,
+  addPolicyRule,
+  removePolicyRule,
+  findRepoPolicyPath
+} from './engine.js';
+
+describe('policy engine', () => {
+  let tmpDir;
+  let policyPath;
+  let repoDir;
+
+  beforeEach(async () => {
+    tmpDir = await mkdtemp(join(tmpdir(), 'teleportation-policy-'));
+    policyPath = join(tmpDir, 'policy.json');
+    repoDir = join(tmpDir, 'repo');
+    await mkdir(join(repoDir, '.git'), { recursive: true });
+    await mkdir(join(repoDir, 'src'), { recursive: true });
+  });
+
+  afterEach(async () => {
+    await rm(tmpDir, { recursive: true, force: true });
+  });
+
+  async function writePolicy(path, policy) {
+    await mkdir(join(path, '..'), { recursive: true });
+    await writeFile(path, JSON.stringify(policy));
+  }
+
+  describe('evaluatePolicy', () => {
+    const policy = {
+      default: 'ask',
+      rules: [
+        { id: 'no-env', decision: 'deny', path: '**/.env*', source: 'global' },
+        { id: 'git-read', decision: 'allow', tool: 'Bash', command: ['git status', 'git diff'], source: 'global' },
+        { id: 'read-src', decision: 'allow', tool: 'Read', path: 'src/**', source: 'global' },
+        { id: 'mcp', decision: 'ask', tool: 'mcp__*', source: 'global' }
+      ]
+    };
+
+    it('should allow matching command prefixes', () => {
+      const result = evaluatePolicy(policy, { tool_name: 'Bash', tool_input: { command: 'git status --short' } });
+      expect(result.decision).toBe('allow');
+      expect(result.rule.id).toBe('git-read');
+    });
+
+    it('should match command prefixes on word boundaries', () => {
+      const result = evaluatePolicy(policy, { tool_name: 'Bash', tool_input: { command: 'git statusx' } });
+      expect(result.decision).toBe('ask');
+      expect(result.rule).toBeNull();
+    });
+
+    it('should not let compound commands ride on an allow rule', () => {
+      const result = evaluatePolicy(policy, { tool_name: 'Bash', tool_input: { command: 'git status && rm -rf ~' } });
+      expect(result.decision).toBe('ask');
+    });
+
+    it('should apply deny rules to any segment of a compound command', () => {
+      const denyPolicy = { rules: [{ id: 'no-rm', decision: 'deny', command: 'rm' }] };
+      const result = evaluatePolicy(denyPolicy, { tool_name: 'Bash', tool_input: { command: 'ls; rm -rf build' } });
+      expect(result.decision).toBe('deny');
+    });
+
+    it('should match path globs relative to cwd', () => {
+      const cwd = '/work/app';
+      expect(evaluatePolicy(policy, { tool_name: 'Read', tool_input: { file_path: '/work/app/src/a/b.js' }, cwd }).decision).toBe('allow');
+      expect(evaluatePolicy(policy, { tool_name: 'Read', tool_input: { file_path: 'src/index.js' }, cwd }).decision).toBe('allow');
+      expect(evaluatePolicy(policy, { tool_name: 'Read', tool_input: { file_path: '/etc/passwd' }, cwd }).decision).toBe('ask');
+      expect(evaluatePolicy(policy, { tool_name: 'Write', tool_input: { file_path: '/work/app/.env.local' }, cwd }).decision).toBe('deny');
+    });
+
+    it('should match tool name globs', () => {
+      const result = evaluatePolicy(policy, { tool_name: 'mcp__github__create_issue', tool_input: {} });
+      expect(result.decision).toBe('ask');
+      expect(result.rule.id).toBe('mcp');
+    });
+
+    it('should match cwd globs', () => {
+      const cwdPolicy = { rules: [{ decision: 'allow', tool: 'Read', cwd: '/work/**' }] };
+      expect(evaluatePolicy(cwdPolicy, { tool_name: 'Read', tool_input: {}, cwd: '/work/app' }).decision).toBe('allow');
+      expect(evaluatePolicy(cwdPolicy, { tool_name: 'Read', tool_input: {}, cwd: '/other' }).decision).toBe('ask');
+    });
+
+    it('should match risk levels', () => {
+      const riskPolicy = { rules: [{ id: 'no-critical', decision: 'deny', risk: ['high', 'critical'] }] };
+      const request = { tool_name: 'Bash', tool_input: { command: 'sudo rm -rf /' } };
+      expect(evaluatePolicy(riskPolicy, { ...request, risk: { level: 'critical', reasons: [] } }).decision).toBe('deny');
+      expect(evaluatePolicy(riskPolicy, { ...request, risk: { level: 'medium', reasons: [] } }).decision).toBe('ask');
+      expect(evaluatePolicy(riskPolicy, request).decision).toBe('ask');
+    });
+
+    it('should fall back to the policy default', () => {
+      const result = evaluatePolicy({ default: 'deny', rules: [] }, { tool_name: 'Bash', tool_input: { command: 'ls' } });
+      expect(result.decision).toBe('deny');
+    });
+  });
+
+  describe('loadPolicy', () => {
+    it('should return an ask-by-default policy when no file exists', async () => {
+      const policy = await loadPolicy({ policyPath });
+      expect(policy.default).toBe('ask');
+      expect(policy.rules).toEqual([]);
+    });
+
+    it('should place repo rules ahead of global rules', async () => {
+      await writePolicy(policyPath, { rules: [{ id: 'g', decision: 'allow', tool: 'Read' }] });
+      await writePolicy(join(repoDir, '.teleportation', 'policy.json'), { rules: [{ id: 'r', decision: 'deny', tool: 'Read' }] });
+
+      const policy = await loadPolicy({ cwd: join(repoDir, 'src'), policyPath });
+      expect(policy.rules.map(r => `${r.source}:${r.id}`)).toEqual(['repo:r', 'global:g']);
+      expect(evaluatePolicy(policy, { tool_name: 'Read', tool_input: {} }).decision).toBe('deny');
+    });
+
+    it('should ignore repo allow rules unless the global policy trusts them', async () => {
+      const repoPolicyPath = join(repoDir, '.teleportation', 'policy.json');
+      await writePolicy(repoPolicyPath, { rules: [{ id: 'r', decision: 'allow', tool: 'Bash' }] });
+
+      let policy = await loadPolicy({ cwd: repoDir, policyPath });
+      expect(evaluatePolicy(policy, { tool_name: 'Bash', tool_input: { command: 'ls' } }).decision).toBe('ask');
+
+      await writePolicy(policyPath, { trustRepoPolicies: true, rules: [] });
+      policy = await loadPolicy({ cwd: repoDir, policyPath });
+      expect(evaluatePolicy(policy, { tool_name: 'Bash', tool_input: { command: 'ls' } }).decision).toBe('allow');
+    });
+
+    it('should only take safeTools from the global policy', async () => {
+      await writePolicy(policyPath, { safeTools: ['Read', 'mcp__docs__*'], rules: [] });
+      await writePolicy(join(repoDir, '.teleportation', 'policy.json'), { safeTools: ['Bash'], rules: [] });
+
+      const policy = await loadPolicy({ cwd: repoDir, policyPath });
+      expect(policy.safeTools).toEqual(['Read', 'mcp__docs__*']);
+      expect(evaluatePolicy(policy, { tool_name: 'mcp__docs__search', tool_input: {} }).safe).toBe(true);
+      expect(evaluatePolicy(policy, { tool_name: 'Bash', tool_input: { command: 'ls' } }).safe).toBe(false);
+    });
+
+    it('should reject invalid policy files', async () => {
+      await writePolicy(policyPath, { rules: [{ decision: 'maybe', tool: 'Bash' }] });
+      await expect(loadPolicy({ policyPath })).rejects.toThrow('Policy validation failed');
+    });
+
+    it('should reject policy files with invalid JSON', async () => {
+      await writeFile(policyPath, '{ not json');
+      await expect(loadPolicy({ policyPath })).rejects.toThrow('invalid JSON');
+    });
+  });
+
+  describe('findRepoPolicyPath', () => {
+    it('should stop at the repository root', async () => {
+      expect(await findRepoPolicyPath(join(repoDir, 'src'))).toBeNull();
+      await writePolicy(join(repoDir, '.teleportation', 'policy.json'), { rules: [] });
+      expect(await findRepoPolicyPath(join(repoDir, 'src'))).toBe(join(repoDir, '.teleportation', 'policy.json'));
+    });
+  });
+
+  describe('validatePolicy', () => {
+    it('should require at least one matcher per rule', () => {
+      const { errors } = validatePolicy({ rules: [{ decision: 'allow' }] });
+      expect(errors[0]).toContain('at least one of');
+    });
+
+    it('should validate default and trustRepoPolicies', () => {
+      const { errors } = validatePolicy({ default: 'yes', trustRepoPolicies: 'true' });
+      expect(errors).toHaveLength(2);
+    });
+
+    it('should validate risk levels', () => {
+      expect(validatePolicy({ rules: [{ decision: 'deny', risk: 'critical' }] }).errors).toEqual([]);
+      expect(validatePolicy({ rules: [{ decision: 'deny', risk: 'severe' }] }).errors)
+        .toEqual(['rules[0]: Rule risk must be one of: low, medium, high, critical']);
+    });
+
+    it('should validate safeTools', () => {
+      expect(validatePolicy({ safeTools: 'Read' }).errors).toEqual(['safeTools must be an array of tool names or globs']);
+      expect(validatePolicy({ safeTools: ['Read', ''] }).errors).toHaveLength(1);
+    });
+  });
+
+  describe('addPolicyRule / removePolicyRule', () => {
+    it('should add a rule with a generated id and remove it again', async () => {
+      const rule = await addPolicyRule({ decision: 'allow', tool: 'Bash', command: 'git status' }, policyPath);
+      expect(rule.id).toMatch(/^rule-[0-9a-f]{6}$/);
+
+      const stored = JSON.parse(await readFile(policyPath, 'utf8'));
+      expect(stored.rules).toHaveLength(1);
+
+      expect(await removePolicyRule(rule.id, policyPath)).toBe(true);
+      expect(await removePolicyRule(rule.id, policyPath)).toBe(false);
+    });
+
+    it('should reject duplicate ids and invalid rules', async () => {
+      await addPolicyRule({ id: 'dup', decision: 'deny', tool: 'Bash' }, policyPath);
+      await expect(addPolicyRule({ id: 'dup', decision: 'deny', tool: 'Bash' }, policyPath)).rejects.toThrow('already exists');
+      await expect(addPolicyRule({ decision: 'allow' }, policyPath)).rejects.toThrow('Invalid rule');
+    });
+  });
+});
@@ -0,0 +1,242 @@
+/**
+ * Risk Scoring
+ * Rates a tool request low / medium / high / critical with the reasons, so the
+ * phone can highlight dangerous requests and policy rules can match on risk
+ * (`{ "decision": "deny", "risk": "critical" }`).
+ *
+ * Signals:
+ *   - tool type: read-only tools, file writers, network tools, MCP/unknown tools
+ *   - Bash verbs: reads vs writes, destructive forms (rm -rf, reset --hard),
+ *     running as root, package installs, network access, download-and-run
+ *   - the command allowlist: deny-listed or shell-only commands score higher
+ *   - paths touched: outside the session directory, dotfiles, .git internals,
+ *     credential files
+ *
+ * This is a heuristic for routing human attention, not a sandbox: a low score
+ * never makes a request safe to run unreviewed on its own.
+ */
+
+import { resolve, relative, isAbsolute, basename, sep } from 'path';
+import { expandHome } from '../utils/glob.js';
+import { sanitizeCommand, checkCommand, resolveAllowlist } from '../daemon/allowlist.js';
+
+export const RISK_LEVELS = ['low', 'medium', 'high', 'critical'];
+
+const READ_ONLY_TOOLS = ['Read', 'Grep', 'Glob', 'LS', 'NotebookRead', 'TodoWrite'];
+const FILE_WRITE_TOOLS = ['Write', 'Edit', 'MultiEdit', 'NotebookEdit'];
+const NETWORK_TOOLS = ['WebFetch', 'WebSearch'];
+const PATH_FIELDS = ['file_path', 'notebook_path', 'path'];
+
+const DESTRUCTIVE_VERBS = ['mkfs', 'dd', 'shutdown', 'reboot', 'halt', 'fdisk', 'diskutil'];
+const WRITE_VERBS = [
+  'rm', 'rmdir', 'mv', 'cp', 'mkdir', 'touch', 'chmod', 'chown', 'ln', 'tee',
+  'truncate', 'install', 'patch', 'unlink', 'shred'
+];
+const GIT_WRITE_SUBCOMMANDS = [
+  'commit', 'checkout', 'switch', 'reset', 'rebase', 'merge', 'stash', 'branch', 'clean',
+  'restore', 'rm', 'mv', 'tag', 'cherry-pick', 'revert', 'apply', 'am', 'add', 'worktree'
+];
+const GIT_NETWORK_SUBCOMMANDS = ['pull', 'fetch', 'clone'];
+const NETWORK_VERBS = ['curl', 'wget', 'ssh', 'scp', 'sftp', 'rsync', 'nc', 'ncat', 'telnet', 'ftp', 'http', 'https'];
+const SHELLS = ['sh', 'bash', 'zsh', 'dash', 'fish', 'python', 'python3', 'node', 'perl', 'ruby'];
+// Package managers and the subcommands that install something
+const PACKAGE_INSTALLS = {
+  npm: ['install', 'i', 'add', 'ci'],
+  pnpm: ['install', 'i', 'add'],
+  yarn: ['add', 'install', 'global'],
+  bun: ['install', 'i', 'add'],
+  pip: ['install'],
+  pip3: ['install'],
+  pipx: ['install'],
+  uv: ['add', 'pip'],
+  poetry: ['add', 'install'],
+  brew: ['install', 'reinstall'],
+  apt: ['install'],
+  'apt-get': ['install'],
+  yum: ['install'],
+  dnf: ['install'],
+  cargo: ['install', 'add'],
+  gem: ['install'],
+  go: ['install', 'get'],
+  composer: ['require', 'install']
+};
+
+const CREDENTIAL_DIRS = ['.ssh', '.aws', '.gnupg', '.kube', '.docker', '.azure', '.config/gcloud'];
+const CREDENTIAL_FILE = /^(\.env(\..+)?|id_(rsa|dsa|ecdsa|ed25519)(\.pub)?|credentials(\.json)?|\.netrc|\.npmrc|\.pypirc|\.pgpass|.*\.(pem|key|p12|pfx|keystore))$/i;
+
+// Shell operators that separate commands, as in the policy engine
+const SHELL_SEGMENT_SEPARATOR = /[;&|`<>\n()]+|\$\(/;
+const PIPE_TO_SHELL = new RegExp(`\\|\\s*(sudo\\s+)?(${SHELLS.join('|')})\\b`);
+
+/**
+ * Whether `level` is at least `minimum`
+ */
+export function riskAtLeast(level, minimum) {
+  return RISK_LEVELS.indexOf(level) >= RISK_LEVELS.indexOf(minimum);
+}
+
+class RiskReport {
+  constructor() {
+    this.level = 'low';
+    this.reasons = [];
+  }
+
+  add(level, reason) {
+    if (this.reasons.some(r => r.reason === reason)) return;
+    this.reasons.push({ level, reason });
+    if (riskAtLeast(level, this.level)) this.level = level;
+  }
+
+  toJSON() {
+    const reasons = [...this.reasons]
+      .sort((a, b) => RISK_LEVELS.indexOf(b.level) - RISK_LEVELS.indexOf(a.level))
+      .map(r => `${r.reason} (${r.level})`);
+    return { level: this.level, reasons };
+  }
+}
+
+function scorePath(report, filePath, cwd, writes) {
+  const absolute = resolve(cwd || process.cwd(), expandHome(filePath));
+  const name = basename(absolute);
+  const segments = absolute.split(sep);
+
+  const inCredentialDir = CREDENTIAL_DIRS.some(dir => absolute.includes(`${sep}${dir.split('/').join(sep)}${sep}`));
+  if (CREDENTIAL_FILE.test(name) || inCredentialDir) {
+    report.add(writes ? 'critical' : 'high', `${writes ? 'writes' : 'reads'} credentials: ${filePath}`);
+  } else if (segments.includes('.git')) {
+    report.add(writes ? 'high' : 'medium', `touches .git internals: ${filePath}`);
+  } else if (name.startsWith('.') && name !== '.' && name !== '..') {
+    report.add('medium', `touches a dotfile: ${filePath}`);
+  }
+
+  if (cwd) {
+    const rel = relative(resolve(cwd), absolute);
+    if (rel === '..' || rel.startsWith(`..${sep}`) || isAbsolute(rel)) {
+      report.add(writes ? 'high' : 'medium', `${writes ? 'writes' : 'reads'} outside the session directory: ${filePath}`);
+    }
+  }
+}
+
+function scoreSegment(report, segment, cwd) {
+  let words = segment.trim().split(/\s+/).filter(Boolean);
+  // Leading VAR=value assignments don't change what runs
+  while (words.length && /^[A-Za-z_][A-Za-z0-9_]*=/.test(words[0])) words = words.slice(1);
+  if (words[0] === 'sudo' || words[0] === 'doas') {
+    report.add('critical', `runs as root (${words[0]})`);
+    words = words.slice(1);
+    while (words.length && words[0].startsWith('-')) words = words.slice(1);
+  }
+  if (words.length === 0) return;
+
+  const verb = basename(words[0]);
+  const args = words.slice(1);
+  const sub = args.find(arg => !arg.startsWith('-'));
+  const flags = args.filter(arg => arg.startsWith('-'));
+  let writes = false;
+
+  if (DESTRUCTIVE_VERBS.includes(verb)) {
+    report.add('critical', `destructive system command: ${verb}`);
+    writes = true;
+  } else if (verb === 'rm') {
+    writes = true;
+    const recursiveForce = flags.some(f => /^-[a-zA-Z]*r/i.test(f) || f === '--recursive') && flags.some(f => /^-[a-zA-Z]*f/.test(f) || f === '--force');
+    const targets = args.filter(arg => !arg.startsWith('-'));
+    if (recursiveForce && targets.some(t => ['/', '~', '~/', '*', '/*', '.', '..'].includes(t))) {
+      report.add('critical', `recursive delete of ${targets.join(' ')}`);
+    } else {
+      report.add(recursiveForce ? 'high' : 'medium', recursiveForce ? 'recursive force delete (rm -rf)' : 'deletes files');
+    }
+  } else if (WRITE_VERBS.includes(verb) || (verb === 'sed' && flags.some(f => f.startsWith('-i'))) || (verb === 'perl' && flags.some(f => f.startsWith('-i')))) {
+    report.add('medium', `modifies files (${verb})`);
+    writes = true;
+  }
+
+  if (verb === 'git' && sub) {
+    if (sub === 'push') {
+      const forced = flags.some(f => f === '-f' || f.startsWith('--force'));
+      report.add('high', forced ? 'force-pushes (git push --force)' : 'sends commits over the network (git push)');
+    } else if (GIT_NETWORK_SUBCOMMANDS.includes(sub)) {
+      report.add('medium', `network access (git ${sub})`);
+    } else if (GIT_WRITE_SUBCOMMANDS.includes(sub)) {
+      const hard = (sub === 'reset' && flags.includes('--hard')) || (sub === 'clean' && flags.some(f => /^-[a-zA-Z]*f/.test(f))) || (sub === 'branch' && flags.includes('-D'));
+      report.add(hard ? 'high' : 'medium', hard ? `discards work (git ${sub} ${flags.join(' ')})` : `changes the repository (git ${sub})`);
+      writes = true;
+    }
+  }
+
+  if (PACKAGE_INSTALLS[verb]?.includes(sub)) {
+    report.add('high', `installs packages (${verb} ${sub})`);
+  } else if (verb === 'npx' || verb === 'bunx' || (verb === 'npm' && sub === 'exec')) {
+    report.add('high', `downloads and runs a package (${verb})`);
+  } else if (verb === 'npm' && sub === 'publish') {
+    report.add('high', 'publishes a package (npm publish)');
+  }
+
+  if (NETWORK_VERBS.includes(verb)) {
+    const uploads = ['scp', 'rsync', 'sftp', 'ftp'].includes(verb) ||
+      flags.some(f => /^(-d|--data.*|-F|--form|-T|--upload-file|--post-data|--post-file)$/.test(f));
+    report.add(uploads ? 'high' : 'medium', uploads ? `sends data over the network (${verb})` : `network access (${verb})`);
+  }
+
+  for (const arg of args) {
+    if (arg.startsWith('-') || arg.includes('://')) continue;
+    if (arg.includes('/') || arg.startsWith('.') || arg.startsWith('~')) {
+      scorePath(report, arg, cwd, writes);
+    }
+  }
+}
+
+/**
+ * Score a tool request
+ * @param {Object} request
+ * @param {string} request.tool_name
+ * @param {Object} [request.tool_input]
+ * @param {string} [request.cwd] - Session working directory
+ * @param {Object} [options]
+ * @param {Object} [options.commands] - config.commands (the daemon allowlist)
+ * @returns {{ level: 'low'|'medium'|'high'|'critical', reasons: string[] }}
+ *   reasons are most severe first, each ending in its level
+ */
+export function assessRisk({ tool_name, tool_input, cwd }, { commands } = {}) {
+  const report = new RiskReport();
+  const input = tool_input && typeof tool_input === 'object' ? tool_input : {};
+
+  if (FILE_WRITE_TOOLS.includes(tool_name)) {
+    report.add('medium', `modifies files (${tool_name})`);
+  } else if (NETWORK_TOOLS.includes(tool_name)) {
+    report.add('medium', `network access (${tool_name})`);
+  } else if (tool_name?.startsWith('mcp__')) {
+    report.add('medium', `external MCP tool (${tool_name})`);
+  } else if (tool_name !== 'Bash' && !READ_ONLY_TOOLS.includes(tool_name)) {
+    report.add('medium', `unrecognised tool (${tool_name})`);
+  }
+
+  for (const field of PATH_FIELDS) {
+    if (typeof input[field] === 'string' && input[field]) {
+      scorePath(report, input[field], cwd, FILE_WRITE_TOOLS.includes(tool_name));
+      break;
+    }
+  }
+
+  const command = typeof input.command === 'string' ? input.command.trim() : '';
+  if (tool_name === 'Bash' && command) {
+    if (PIPE_TO_SHELL.test(command) && /\b(curl|wget)\b/.test(command)) {
+      report.add('critical', 'pipes a download into a shell');
+    }
+    for (const segment of command.split(SHELL_SEGMENT_SEPARATOR)) {
+      scoreSegment(report, segment, cwd);
+    }
+
+    const { safe, argv } = sanitizeCommand(command);
+    const check = safe ? checkCommand(command, resolveAllowlist(commands || undefined, cwd)) : null;
+    if (!safe) {
+      report.add('medium', 'needs a shell (operators, substitution or expansion)');
+    } else if (check.denied) {
+      report.add('high', `matches a command deny rule: ${check.rule.rule}`);
+    } else if (!check.allowed) {
+      report.add('medium', `not on the command allowlist (${argv[0]})`);
+    }
+  }
+
+  return report.toJSON();
+}
@@ -0,0 +1,28 @@
+/**
+ * Minimal CSV writer (RFC 4180 quoting) for CLI exports
+ */
+
+/**
+ * Quote a value if it contains a comma, quote or newline
+ * @param {*} value - null/undefined become empty fields, objects are JSON-encoded
+ * @returns {string}
+ */
+export function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render rows as CSV with a header line
+ * @param {Object[]} rows
+ * @param {string[]} columns - Keys to emit, in order
+ * @returns {string}
+ */
+export function toCSV(rows, columns) {
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => csvField(row[column])).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,144 @@
+/**
+ * Line-based unified diff (the `diff -u` format)
+ *
+ * Plain text only - no colours or language-aware formatting - so the same
+ * string reads the same on the phone, in the terminal and in logs.
+ */
+
+const DEFAULT_CONTEXT = 3;
+// Largest LCS table we'll build; bigger changes are shown as one remove/add block
+const MAX_LCS_CELLS = 4_000_000;
+
+function splitLines(text) {
+  if (text === '') return [];
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+/**
+ * Edit script for the lines between the common prefix and suffix
+ * @returns {Array<' '|'-'|'+'>}
+ */
+function diffMiddle(a, b) {
+  const n = a.length;
+  const m = b.length;
+  if (n * m > MAX_LCS_CELLS) {
+    return [...Array(n).fill('-'), ...Array(m).fill('+')];
+  }
+
+  // lcs[i][j] = LCS length of a[i..] and b[j..], stored row-major
+  const width = m + 1;
+  const lcs = new Uint32Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i * width + j] = a[i] === b[j]
+        ? lcs[(i + 1) * width + j + 1] + 1
+        : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      ops.push(' ');
+      i++;
+      j++;
+    } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+      ops.push('-');
+      i++;
+    } else {
+      ops.push('+');
+      j++;
+    }
+  }
+  while (i++ < n) ops.push('-');
+  while (j++ < m) ops.push('+');
+  return ops;
+}
+
+function hunkRange(start, length) {
+  // diff -u names the line before an empty range
+  return length === 0 ? `${start - 1},0` : length === 1 ? `${start}` : `${start},${length}`;
+}
+
+/**
+ * Unified diff between two texts
+ * @param {string} oldText
+ * @param {string} newText
+ * @param {Object} [options]
+ * @param {string|null} [options.oldPath] - Header path; null renders /dev/null (new file)
+ * @param {string} [options.newPath]
+ * @param {number} [options.context=3] - Unchanged lines around each change
+ * @returns {{ diff: string, added: number, removed: number }} diff is '' when the texts match line for line
+ */
+export function unifiedDiff(oldText, newText, { oldPath = 'a', newPath = 'b', context = DEFAULT_CONTEXT } = {}) {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  let suffix = 0;
+  while (suffix < a.length - prefix && suffix < b.length - prefix && a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+
+  const ops = [
+    ...Array(prefix).fill(' '),
+    ...diffMiddle(a.slice(prefix, a.length - suffix), b.slice(prefix, b.length - suffix)),
+    ...Array(suffix).fill(' ')
+  ];
+
+  // Walk the script once, recording each op's line text and line numbers
+  const rows = [];
+  let oldLine = 0;
+  let newLine = 0;
+  let added = 0;
+  let removed = 0;
+  for (const op of ops) {
+    if (op === ' ') {
+      rows.push({ op, text: a[oldLine], oldLine: ++oldLine, newLine: ++newLine });
+    } else if (op === '-') {
+      rows.push({ op, text: a[oldLine], oldLine: ++oldLine, newLine });
+      removed++;
+    } else {
+      rows.push({ op, text: b[newLine], oldLine, newLine: ++newLine });
+      added++;
+    }
+  }
+
+  if (added === 0 && removed === 0) {
+    return { diff: '', added, removed };
+  }
+
+  // Group changes into hunks, merging those whose context would overlap
+  const hunks = [];
+  rows.forEach((row, index) => {
+    if (row.op === ' ') return;
+    const start = Math.max(0, index - context);
+    const end = Math.min(rows.length, index + context + 1);
+    const last = hunks[hunks.length - 1];
+    if (last && start <= last.end) {
+      last.end = end;
+    } else {
+      hunks.push({ start, end });
+    }
+  });
+
+  const out = [
+    oldPath === null ? '--- /dev/null' : `--- a/${oldPath}`,
+    `+++ b/${newPath}`
+  ];
+  for (const { start, end } of hunks) {
+    const slice = rows.slice(start, end);
+    const oldCount = slice.filter(row => row.op !== '+').length;
+    const newCount = slice.filter(row => row.op !== '-').length;
+    const first = slice[0];
+    const oldStart = first.op === '+' ? first.oldLine + 1 : first.oldLine;
+    const newStart = first.op === '-' ? first.newLine + 1 : first.newLine;
+    out.push(`@@ -${hunkRange(oldStart, oldCount)} +${hunkRange(newStart, newCount)} @@`);
+    for (const row of slice) out.push(`${row.op}${row.text}`);
+  }
+
+  return { diff: out.join('\n') + '\n', added, removed };
+}
@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest';
+import { unifiedDiff } from './diff.js';
+
+const lines = (...items) => items.join('\n') + '\n';
+
+describe('unifiedDiff', () => {
+  it('should produce diff -u hunks with three lines of context', () => {
+    const before = lines('a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'j', 'k', 'l', 'm');
+    const after = lines('a', 'B', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'j', 'k', 'l', 'm', 'n');
+
+    expect(unifiedDiff(before, after, { oldPath: 'x.txt', newPath: 'x.txt' })).toEqual({
+      diff: lines(
+        '--- a/x.txt', '+++ b/x.txt',
+        '@@ -1,5 +1,5 @@', ' a', '-b', '+B', ' c', ' d', ' e',
+        '@@ -11,3 +11,4 @@', ' k', ' l', ' m', '+n'
+      ),
+      added: 2,
+      removed: 1
+    });
+  });
+
+  it('should merge changes whose context overlaps', () => {
+    const { diff } = unifiedDiff(lines('1', '2', '3', '4', '5'), lines('one', '2', '3', '4', 'five'), { context: 2 });
+    expect(diff.match(/^@@/gm)).toHaveLength(1);
+  });
+
+  it('should diff a new file against /dev/null', () => {
+    expect(unifiedDiff('', 'x\ny', { oldPath: null, newPath: 'new.txt' }).diff)
+      .toBe(lines('--- /dev/null', '+++ b/new.txt', '@@ -0,0 +1,2 @@', '+x', '+y'));
+  });
+
+  it('should return an empty diff for identical text', () => {
+    expect(unifiedDiff('same\n', 'same\n')).toEqual({ diff: '', added: 0, removed: 0 });
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Minimal glob matching
+ *
+ * Supports the subset of glob syntax used by policy and allowlist files:
+ *   *      any run of characters except '/'
+ *   **     any run of characters including '/' (`**\/` also matches zero directories)
+ *   ?      a single character except '/'
+ *   {a,b}  alternation
+ *   ~      leading home directory
+ */
+
+import { homedir } from 'os';
+
+const REGEX_SPECIAL = /[.+^$()|[\]\\]/;
+
+/**
+ * Expand a leading `~` to the user's home directory
+ * @param {string} pattern
+ * @returns {string}
+ */
+export function expandHome(pattern) {
+  if (pattern === '~') return homedir();
+  if (pattern.startsWith('~/')) return homedir() + pattern.slice(1);
+  return pattern;
+}
+
+/**
+ * Convert a glob pattern into an anchored regular expression
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp}
+ */
+export function globToRegExp(pattern) {
+  if (typeof pattern !== 'string' || pattern.length === 0) {
+    throw new Error('Glob pattern must be a non-empty string');
+  }
+
+  let source = '';
+  let braceDepth = 0;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+
+    if (ch === '*') {
+      if (pattern[i + 1] === '*') {
+        i++;
+        if (pattern[i + 1] === '/') {
+          i++;
+          source += '(?:.*/)?';
+        } else {
+          source += '.*';
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (ch === '?') {
+      source += '[^/]';
+    } else if (ch === '{') {
+      braceDepth++;
+      source += '(?:';
+    } else if (ch === '}' && braceDepth > 0) {
+      braceDepth--;
+      source += ')';
+    } else if (ch === ',' && braceDepth > 0) {
+      source += '|';
+    } else if (REGEX_SPECIAL.test(ch)) {
+      source += '\\' + ch;
+    } else {
+      source += ch;
+    }
+  }
+
+  if (braceDepth !== 0) {
+    throw new Error(`Unbalanced braces in glob pattern: ${pattern}`);
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Test whether a value matches a glob pattern
+ * @param {string} value - Value to test (e.g. a file path)
+ * @param {string} pattern - Glob pattern (leading ~ is expanded)
+ * @returns {boolean}
+ */
+export function matchGlob(value, pattern) {
+  if (typeof value !== 'string') return false;
+  return globToRegExp(expandHome(pattern)).test(value);
+}
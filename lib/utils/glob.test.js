@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest';
+import { homedir } from 'os';
+import { globToRegExp, matchGlob, expandHome } from './glob.js';
+
+describe('glob', () => {
+  it('should match single-segment wildcards', () => {
+    expect(matchGlob('src/index.js', 'src/*.js')).toBe(true);
+    expect(matchGlob('src/lib/index.js', 'src/*.js')).toBe(false);
+  });
+
+  it('should match across directories with **', () => {
+    expect(matchGlob('src/lib/deep/index.js', 'src/**/*.js')).toBe(true);
+    expect(matchGlob('src/index.js', 'src/**/*.js')).toBe(true);
+    expect(matchGlob('.env', '**/.env*')).toBe(true);
+    expect(matchGlob('config/.env.local', '**/.env*')).toBe(true);
+  });
+
+  it('should support ? and brace alternation', () => {
+    expect(matchGlob('a1.txt', 'a?.txt')).toBe(true);
+    expect(matchGlob('a12.txt', 'a?.txt')).toBe(false);
+    expect(matchGlob('README.md', '*.{md,txt}')).toBe(true);
+    expect(matchGlob('README.js', '*.{md,txt}')).toBe(false);
+  });
+
+  it('should escape regex characters', () => {
+    expect(matchGlob('file(1).txt', 'file(1).txt')).toBe(true);
+    expect(matchGlob('fileX1Ytxt', 'file(1).txt')).toBe(false);
+  });
+
+  it('should expand a leading ~', () => {
+    expect(expandHome('~/projects')).toBe(`${homedir()}/projects`);
+    expect(matchGlob(`${homedir()}/projects/app`, '~/projects/*')).toBe(true);
+  });
+
+  it('should reject invalid patterns', () => {
+    expect(() => globToRegExp('')).toThrow('non-empty');
+    expect(() => globToRegExp('{a,b')).toThrow('Unbalanced');
+  });
+
+  it('should return false for non-string values', () => {
+    expect(matchGlob(undefined, '*')).toBe(false);
+  });
+});
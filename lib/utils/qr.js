@@ -0,0 +1,361 @@
+/**
+ * Minimal QR code encoder for showing a URL in the terminal
+ *
+ * Byte mode, error correction level M, versions 1-10 (up to 213 bytes) -
+ * plenty for a login or pairing link, and no dependency to install.
+ * Follows ISO/IEC 18004; the mask is chosen by the standard penalty rules.
+ */
+
+// Per version (index 0 = version 1), error correction level M:
+// [EC codewords per block, [blocks, data codewords per block], ...groups]
+const EC_BLOCKS_M = [
+  [10, [1, 16]],
+  [16, [1, 28]],
+  [26, [1, 44]],
+  [18, [2, 32]],
+  [24, [2, 43]],
+  [16, [4, 27]],
+  [18, [4, 31]],
+  [22, [2, 38], [2, 39]],
+  [22, [3, 36], [2, 37]],
+  [26, [4, 43], [1, 44]]
+];
+
+const ALIGNMENT_POSITIONS = [
+  [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34],
+  [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]
+];
+
+// Two-bit error correction indicator for M
+const FORMAT_EC_M = 0b00;
+
+// GF(256) with the QR polynomial x^8 + x^4 + x^3 + x^2 + 1
+const EXP = new Uint8Array(512);
+const LOG = new Uint8Array(256);
+for (let i = 0, x = 1; i < 255; i++) {
+  EXP[i] = x;
+  LOG[x] = i;
+  x <<= 1;
+  if (x & 0x100) x ^= 0x11d;
+}
+for (let i = 255; i < 512; i++) EXP[i] = EXP[i - 255];
+
+function gfMultiply(a, b) {
+  return a && b ? EXP[LOG[a] + LOG[b]] : 0;
+}
+
+/**
+ * Reed-Solomon error correction codewords for one block
+ * @param {number[]} data
+ * @param {number} degree - Number of EC codewords
+ * @returns {number[]}
+ */
+export function reedSolomon(data, degree) {
+  // Generator polynomial (x - a^0)(x - a^1)...(x - a^(degree-1)), highest term dropped
+  const generator = new Array(degree).fill(0);
+  generator[degree - 1] = 1;
+  for (let i = 0, root = 1; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      generator[j] = gfMultiply(generator[j], root) ^ (j + 1 < degree ? generator[j + 1] : 0);
+    }
+    root = gfMultiply(root, 2);
+  }
+
+  const remainder = new Array(degree).fill(0);
+  for (const byte of data) {
+    const factor = byte ^ remainder.shift();
+    remainder.push(0);
+    for (let j = 0; j < degree; j++) {
+      remainder[j] ^= gfMultiply(generator[j], factor);
+    }
+  }
+  return remainder;
+}
+
+function dataCapacity(version) {
+  const [, ...groups] = EC_BLOCKS_M[version - 1];
+  return groups.reduce((sum, [blocks, size]) => sum + blocks * size, 0);
+}
+
+/**
+ * Data codewords: mode, length, bytes, terminator and padding
+ */
+function encodeData(bytes, version) {
+  const bits = [];
+  const push = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+
+  push(0b0100, 4);
+  push(bytes.length, version < 10 ? 8 : 16);
+  for (const byte of bytes) push(byte, 8);
+
+  const capacityBits = dataCapacity(version) * 8;
+  push(0, Math.min(4, capacityBits - bits.length));
+  push(0, (8 - (bits.length % 8)) % 8);
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  for (let pad = 0xec; codewords.length < capacityBits / 8; pad ^= 0xec ^ 0x11) {
+    codewords.push(pad);
+  }
+  return codewords;
+}
+
+/**
+ * Split into blocks, add error correction and interleave
+ */
+function buildCodewords(data, version) {
+  const [ecLength, ...groups] = EC_BLOCKS_M[version - 1];
+  const blocks = [];
+  let offset = 0;
+  for (const [count, size] of groups) {
+    for (let i = 0; i < count; i++) {
+      const block = data.slice(offset, offset + size);
+      offset += size;
+      blocks.push({ data: block, ec: reedSolomon(block, ecLength) });
+    }
+  }
+
+  const result = [];
+  const longest = Math.max(...blocks.map(block => block.data.length));
+  for (let i = 0; i < longest; i++) {
+    for (const block of blocks) {
+      if (i < block.data.length) result.push(block.data[i]);
+    }
+  }
+  for (let i = 0; i < ecLength; i++) {
+    for (const block of blocks) result.push(block.ec[i]);
+  }
+  return result;
+}
+
+function createGrid(size) {
+  return {
+    size,
+    modules: Array.from({ length: size }, () => new Array(size).fill(false)),
+    reserved: Array.from({ length: size }, () => new Array(size).fill(false))
+  };
+}
+
+function setFunction(grid, x, y, dark) {
+  grid.modules[y][x] = dark;
+  grid.reserved[y][x] = true;
+}
+
+function drawFunctionPatterns(grid, version) {
+  const { size } = grid;
+
+  for (let i = 0; i < size; i++) {
+    setFunction(grid, 6, i, i % 2 === 0);
+    setFunction(grid, i, 6, i % 2 === 0);
+  }
+
+  // Finder patterns with their separators
+  for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        if (x < 0 || y < 0 || x >= size || y >= size) continue;
+        const ring = Math.max(Math.abs(dx), Math.abs(dy));
+        setFunction(grid, x, y, ring !== 2 && ring !== 4);
+      }
+    }
+  }
+
+  const positions = ALIGNMENT_POSITIONS[version - 1];
+  for (const cy of positions) {
+    for (const cx of positions) {
+      // Skip the three that would overlap the finder patterns
+      if ((cx === 6 && cy === 6) || (cx === 6 && cy === size - 7) || (cx === size - 7 && cy === 6)) continue;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          setFunction(grid, cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    }
+  }
+
+  if (version >= 7) {
+    let remainder = version;
+    for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    const bits = (version << 12) | remainder;
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) === 1;
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      setFunction(grid, a, b, dark);
+      setFunction(grid, b, a, dark);
+    }
+  }
+
+  // Reserve the format areas; drawFormatBits fills them per mask
+  drawFormatBits(grid, 0);
+}
+
+/**
+ * Format information: EC level and mask, BCH(15,5) protected, in two copies
+ */
+export function formatBits(mask) {
+  const data = (FORMAT_EC_M << 3) | mask;
+  let remainder = data;
+  for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+  return ((data << 10) | remainder) ^ 0x5412;
+}
+
+function drawFormatBits(grid, mask) {
+  const { size } = grid;
+  const bits = formatBits(mask);
+  const bit = (i) => ((bits >>> i) & 1) === 1;
+
+  for (let i = 0; i <= 5; i++) setFunction(grid, 8, i, bit(i));
+  setFunction(grid, 8, 7, bit(6));
+  setFunction(grid, 8, 8, bit(7));
+  setFunction(grid, 7, 8, bit(8));
+  for (let i = 9; i < 15; i++) setFunction(grid, 14 - i, 8, bit(i));
+
+  for (let i = 0; i < 8; i++) setFunction(grid, size - 1 - i, 8, bit(i));
+  for (let i = 8; i < 15; i++) setFunction(grid, 8, size - 15 + i, bit(i));
+  setFunction(grid, 8, size - 8, true);
+}
+
+/**
+ * Place codewords in the two-column zigzag from the bottom-right corner
+ */
+function drawCodewords(grid, codewords) {
+  const { size } = grid;
+  let i = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    const upward = ((right + 1) & 2) === 0;
+    for (let vert = 0; vert < size; vert++) {
+      const y = upward ? size - 1 - vert : vert;
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        if (grid.reserved[y][x]) continue;
+        // Modules past the last codeword are remainder bits (light)
+        if (i < codewords.length * 8) {
+          grid.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+          i++;
+        }
+      }
+    }
+  }
+}
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0
+];
+
+function applyMask(grid, mask) {
+  const condition = MASKS[mask];
+  for (let y = 0; y < grid.size; y++) {
+    for (let x = 0; x < grid.size; x++) {
+      if (!grid.reserved[y][x] && condition(x, y)) {
+        grid.modules[y][x] = !grid.modules[y][x];
+      }
+    }
+  }
+}
+
+const FINDER_LIKE = ['10111010000', '00001011101'];
+
+function penalty(modules) {
+  const size = modules.length;
+  const lines = [];
+  for (let i = 0; i < size; i++) {
+    lines.push(modules[i].map(Number).join(''));
+    lines.push(modules.map(row => Number(row[i])).join(''));
+  }
+
+  let score = 0;
+  for (const line of lines) {
+    for (const run of line.match(/0{5,}|1{5,}/g) || []) score += run.length - 2;
+    for (const pattern of FINDER_LIKE) {
+      for (let at = line.indexOf(pattern); at !== -1; at = line.indexOf(pattern, at + 1)) score += 40;
+    }
+  }
+
+  let dark = 0;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) dark++;
+      if (x < size - 1 && y < size - 1) {
+        const color = modules[y][x];
+        if (modules[y][x + 1] === color && modules[y + 1][x] === color && modules[y + 1][x + 1] === color) score += 3;
+      }
+    }
+  }
+  score += Math.floor(Math.abs((dark * 100) / (size * size) - 50) / 5) * 10;
+  return score;
+}
+
+/**
+ * Encode text as a QR code
+ * @param {string} text
+ * @returns {{ version: number, mask: number, size: number, modules: boolean[][] }} modules[y][x], true = dark
+ */
+export function encodeQr(text) {
+  const bytes = [...Buffer.from(String(text), 'utf8')];
+  const version = EC_BLOCKS_M.findIndex((_, index) => {
+    const v = index + 1;
+    return 4 + (v < 10 ? 8 : 16) + bytes.length * 8 <= dataCapacity(v) * 8;
+  }) + 1;
+  if (version === 0) {
+    throw new Error(`Text too long for a terminal QR code (${bytes.length} bytes, max ${dataCapacity(EC_BLOCKS_M.length) - 3})`);
+  }
+
+  const codewords = buildCodewords(encodeData(bytes, version), version);
+
+  let best = null;
+  for (let mask = 0; mask < MASKS.length; mask++) {
+    const grid = createGrid(17 + 4 * version);
+    drawFunctionPatterns(grid, version);
+    drawCodewords(grid, codewords);
+    applyMask(grid, mask);
+    drawFormatBits(grid, mask);
+    const score = penalty(grid.modules);
+    if (!best || score < best.score) best = { score, mask, modules: grid.modules };
+  }
+
+  return { version, mask: best.mask, size: best.modules.length, modules: best.modules };
+}
+
+/**
+ * Render a QR code for the terminal, two rows per line with half blocks.
+ * Colours are set explicitly (black on white) so it scans on dark and light themes.
+ * @param {string} text
+ * @param {{ margin?: number }} [options] - Quiet zone in modules
+ * @returns {string[]} Lines
+ */
+export function renderQr(text, { margin = 2 } = {}) {
+  const { modules, size } = encodeQr(text);
+  const total = size + margin * 2;
+  const dark = (x, y) => {
+    const mx = x - margin;
+    const my = y - margin;
+    return mx >= 0 && my >= 0 && mx < size && my < size && modules[my][mx];
+  };
+
+  const lines = [];
+  for (let y = 0; y < total; y += 2) {
+    let line = '';
+    for (let x = 0; x < total; x++) {
+      const top = dark(x, y);
+      const bottom = y + 1 < total && dark(x, y + 1);
+      line += top && bottom ? '█' : top ? '▀' : bottom ? '▄' : ' ';
+    }
+    lines.push(`\x1b[30;47m${line}\x1b[0m`);
+  }
+  return lines;
+}
@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest';
+import { encodeQr, renderQr, reedSolomon, formatBits } from './qr.js';
+
+const row = (modules, y, from, to) => modules[y].slice(from, to).map(Number).join('');
+
+describe('QR encoder', () => {
+  it('should compute Reed-Solomon codewords (ISO/IEC 18004 "HELLO WORLD" 1-M)', () => {
+    const data = [32, 91, 11, 120, 209, 114, 220, 77, 67, 64, 236, 17, 236, 17, 236, 17];
+    expect(reedSolomon(data, 10)).toEqual([196, 35, 39, 119, 235, 215, 231, 226, 93, 23]);
+  });
+
+  it('should compute BCH-protected format bits for level M', () => {
+    expect(formatBits(0).toString(2).padStart(15, '0')).toBe('101010000010010');
+    expect(formatBits(5).toString(2).padStart(15, '0')).toBe('100000011001110');
+  });
+
+  it('should pick the smallest version that fits', () => {
+    expect(encodeQr('hi')).toMatchObject({ version: 1, size: 21 });
+    expect(encodeQr('https://teleportation.dev/device?user_code=WDJB-MJHT')).toMatchObject({ version: 4, size: 33 });
+    expect(encodeQr('x'.repeat(213))).toMatchObject({ version: 10, size: 57 });
+    expect(() => encodeQr('x'.repeat(214))).toThrow('Text too long');
+  });
+
+  it('should draw finder and timing patterns', () => {
+    const { modules, size } = encodeQr('https://teleportation.dev/device');
+    for (const [x, y] of [[0, 0], [size - 7, 0], [0, size - 7]]) {
+      expect(row(modules, y, x, x + 7)).toBe('1111111');
+      expect(row(modules, y + 2, x, x + 7)).toBe('1011101');
+    }
+    expect(row(modules, 6, 8, size - 8)).toMatch(/^(10)+1$/);
+    expect(modules[size - 8][8]).toBe(true);
+  });
+
+  it('should render two module rows per line with a quiet zone', () => {
+    const lines = renderQr('hi');
+    expect(lines).toHaveLength(13);
+    const plain = lines.map(line => line.replace(/\x1b\[[0-9;]*m/g, ''));
+    expect(plain[0]).toBe(' '.repeat(25));
+    expect(plain[1]).toMatch(/^ {2}[█▀▄]/);
+  });
+});
@@ -0,0 +1,214 @@
+/**
+ * POSIX-ish shell word splitting
+ *
+ * Parses a command line into an argv array using sh quoting rules so the
+ * daemon can exec commands directly instead of going through `sh -c`.
+ *
+ * Supported:
+ * - 'single quotes'   everything literal
+ * - "double quotes"   literal except \" \\ \$ \` and line continuations
+ * - backslash escapes outside quotes
+ * - leading ~ / ~/ expanded to the home directory (unquoted only)
+ *
+ * Anything that needs a real shell is rejected with a ValidationError rather
+ * than silently passed through as a literal: unquoted operators (; | & < > ( )),
+ * command substitution (backticks, $(...)), parameter expansion ($VAR, ${VAR}),
+ * unquoted glob characters (* ? [) and comments.
+ */
+
+import { homedir } from 'os';
+import { ValidationError } from './errors.js';
+
+const OPERATOR_CHARS = new Set([';', '|', '&', '<', '>', '(', ')']);
+const GLOB_CHARS = new Set(['*', '?', '[']);
+const WHITESPACE = new Set([' ', '\t']);
+// Characters a backslash escapes inside double quotes
+const DOUBLE_QUOTE_ESCAPES = new Set(['"', '\\', '$', '`']);
+
+function syntaxError(message, position) {
+  return new ValidationError(`${message} at position ${position}`, { position });
+}
+
+/**
+ * Check a `$` at position i and throw if it starts an expansion.
+ * A `$` followed by something that cannot start an expansion is literal.
+ */
+function checkDollar(command, i) {
+  const next = command[i + 1];
+  if (next === '(') {
+    throw syntaxError('Command substitution $(...) is not supported', i);
+  }
+  if (next === '{') {
+    throw syntaxError('Parameter expansion ${...} is not supported', i);
+  }
+  if (next !== undefined && /[A-Za-z0-9_@*#?$!-]/.test(next)) {
+    throw syntaxError(`Variable expansion $${next}... is not supported`, i);
+  }
+}
+
+/**
+ * Split a command line into argv
+ * @param {string} command - Command line text
+ * @param {Object} [options]
+ * @param {boolean} [options.allowGlobs=false] - Keep unquoted * ? [ as literal characters
+ *   (for patterns that use them as wildcards, not for commands to execute)
+ * @returns {string[]} argv
+ * @throws {ValidationError} On unbalanced quotes or shell-only syntax
+ */
+export function tokenize(command, { allowGlobs = false } = {}) {
+  if (typeof command !== 'string') {
+    throw new ValidationError('Command must be a string');
+  }
+
+  const argv = [];
+  let word = '';
+  let inWord = false;
+  let i = 0;
+
+  const endWord = () => {
+    if (inWord) {
+      argv.push(word);
+      word = '';
+      inWord = false;
+    }
+  };
+
+  while (i < command.length) {
+    const ch = command[i];
+
+    if (WHITESPACE.has(ch)) {
+      endWord();
+      i++;
+      continue;
+    }
+
+    if (ch === '\n' || ch === '\r') {
+      throw syntaxError('Unquoted newline (multiple commands) is not supported', i);
+    }
+
+    if (ch === "'") {
+      const end = command.indexOf("'", i + 1);
+      if (end === -1) {
+        throw syntaxError('Unterminated single quote', i);
+      }
+      word += command.slice(i + 1, end);
+      inWord = true;
+      i = end + 1;
+      continue;
+    }
+
+    if (ch === '"') {
+      i++;
+      inWord = true;
+      let closed = false;
+      while (i < command.length) {
+        const c = command[i];
+        if (c === '"') {
+          closed = true;
+          i++;
+          break;
+        }
+        if (c === '\\') {
+          const next = command[i + 1];
+          if (next === '\n') {
+            i += 2;
+            continue;
+          }
+          if (DOUBLE_QUOTE_ESCAPES.has(next)) {
+            word += next;
+            i += 2;
+            continue;
+          }
+          word += c;
+          i++;
+          continue;
+        }
+        if (c === '`') {
+          throw syntaxError('Backtick command substitution is not supported', i);
+        }
+        if (c === '$') {
+          checkDollar(command, i);
+        }
+        word += c;
+        i++;
+      }
+      if (!closed) {
+        throw syntaxError('Unterminated double quote', command.lastIndexOf('"'));
+      }
+      continue;
+    }
+
+    if (ch === '\\') {
+      const next = command[i + 1];
+      if (next === undefined) {
+        throw syntaxError('Trailing backslash', i);
+      }
+      if (next === '\n') {
+        // Line continuation
+        i += 2;
+        continue;
+      }
+      word += next;
+      inWord = true;
+      i += 2;
+      continue;
+    }
+
+    if (OPERATOR_CHARS.has(ch)) {
+      throw syntaxError(`Shell operator '${ch}' is not supported (quote it to pass it literally)`, i);
+    }
+
+    if (ch === '`') {
+      throw syntaxError('Backtick command substitution is not supported', i);
+    }
+
+    if (ch === '$') {
+      checkDollar(command, i);
+    }
+
+    if (GLOB_CHARS.has(ch) && !allowGlobs) {
+      throw syntaxError(`Glob pattern '${ch}' is not expanded (quote it to pass it literally)`, i);
+    }
+
+    if (ch === '#' && !inWord) {
+      throw syntaxError('Shell comments are not supported', i);
+    }
+
+    if (ch === '~' && !inWord) {
+      const next = command[i + 1];
+      if (next === undefined || next === '/' || WHITESPACE.has(next)) {
+        word += homedir();
+        inWord = true;
+        i++;
+        continue;
+      }
+    }
+
+    word += ch;
+    inWord = true;
+    i++;
+  }
+
+  endWord();
+  return argv;
+}
+
+/**
+ * Quote a single argument for display so it round-trips through tokenize()
+ * @param {string} arg
+ * @returns {string}
+ */
+export function quote(arg) {
+  if (arg === '') return "''";
+  if (/^[A-Za-z0-9_@%+=:,./-]+$/.test(arg)) return arg;
+  return `'${arg.replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Join argv back into a display string
+ * @param {string[]} argv
+ * @returns {string}
+ */
+export function join(argv) {
+  return argv.map(quote).join(' ');
+}
@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import { homedir } from 'os';
+import { tokenize, quote, join } from './shell-words.js';
+import { ValidationError } from './errors.js';
+
+describe('shell-words', () => {
+  describe('tokenize', () => {
+    it('should split on whitespace', () => {
+      expect(tokenize('  git   log\t--oneline ')).toEqual(['git', 'log', '--oneline']);
+      expect(tokenize('')).toEqual([]);
+    });
+
+    it('should keep metacharacters inside quotes literal', () => {
+      expect(tokenize('git commit -m "fix a & b"')).toEqual(['git', 'commit', '-m', 'fix a & b']);
+      expect(tokenize("grep 'a|b' src")).toEqual(['grep', 'a|b', 'src']);
+      expect(tokenize('node -e "process.exit(0)"')).toEqual(['node', '-e', 'process.exit(0)']);
+      expect(tokenize("echo '$(whoami) `id` ${HOME}'")).toEqual(['echo', '$(whoami) `id` ${HOME}']);
+    });
+
+    it('should concatenate adjacent quoted and unquoted parts', () => {
+      expect(tokenize(`--message="it's"' done'`)).toEqual(["--message=it's done"]);
+      expect(tokenize("''")).toEqual(['']);
+    });
+
+    it('should handle backslash escapes', () => {
+      expect(tokenize('echo a\\ b \\;')).toEqual(['echo', 'a b', ';']);
+      expect(tokenize('echo "say \\"hi\\" \\$5 \\n"')).toEqual(['echo', 'say "hi" $5 \\n']);
+      expect(tokenize('git \\\nstatus')).toEqual(['git', 'status']);
+    });
+
+    it('should allow newlines inside quotes', () => {
+      expect(tokenize('git commit -m "line 1\nline 2"')).toEqual(['git', 'commit', '-m', 'line 1\nline 2']);
+    });
+
+    it('should expand a leading unquoted ~', () => {
+      expect(tokenize('ls ~/src ~')).toEqual(['ls', `${homedir()}/src`, homedir()]);
+      expect(tokenize("ls '~/src' a~b")).toEqual(['ls', '~/src', 'a~b']);
+    });
+
+    it.each([
+      ['ls; rm -rf /', "Shell operator ';'"],
+      ['cat a | grep b', "Shell operator '|'"],
+      ['make && make install', "Shell operator '&'"],
+      ['echo hi > out.txt', "Shell operator '>'"],
+      ['echo `id`', 'Backtick'],
+      ['echo "`id`"', 'Backtick'],
+      ['echo $(id)', 'Command substitution'],
+      ['echo "$(id)"', 'Command substitution'],
+      ['echo ${HOME}', 'Parameter expansion'],
+      ['echo $HOME', 'Variable expansion'],
+      ['ls *.js', "Glob pattern '*'"],
+      ['ls\nrm -rf /', 'Unquoted newline'],
+      ['echo "unterminated', 'Unterminated double quote'],
+      ["echo 'unterminated", 'Unterminated single quote'],
+      ['echo trailing\\', 'Trailing backslash'],
+      ['ls # comment', 'Shell comments']
+    ])('should reject %j', (command, message) => {
+      expect(() => tokenize(command)).toThrow(message);
+    });
+
+    it('should throw ValidationError with the position', () => {
+      try {
+        tokenize('ls; rm');
+        expect.unreachable();
+      } catch (error) {
+        expect(error).toBeInstanceOf(ValidationError);
+        expect(error.details).toEqual({ position: 2 });
+      }
+    });
+
+    it('should treat a lone $ as literal', () => {
+      expect(tokenize('echo $ "cost: 5$"')).toEqual(['echo', '$', 'cost: 5$']);
+    });
+
+    it('should keep glob characters when allowGlobs is set', () => {
+      expect(tokenize('go * ./...', { allowGlobs: true })).toEqual(['go', '*', './...']);
+    });
+  });
+
+  describe('quote / join', () => {
+    it('should round-trip through tokenize', () => {
+      const argv = ['git', 'commit', '-m', "it's a & b", '', 'plain/path.js'];
+      const line = join(argv);
+      expect(tokenize(line)).toEqual(argv);
+      expect(quote('plain/path.js')).toBe('plain/path.js');
+    });
+  });
+});
@@ -94,11 +94,12 @@ export function listWorktrees() {
 
 /**
  * Get the repository root directory
+ * @param {string} [cwd] - Directory inside the repository (default: process.cwd())
  * @returns {string}
  */
-export function getRepoRoot() {
+export function getRepoRoot(cwd) {
   try {
-    return execSync('git rev-parse --show-toplevel', { encoding: 'utf8' }).trim();
+    return execSync('git rev-parse --show-toplevel', { cwd, encoding: 'utf8' }).trim();
   } catch (error) {
     throw new Error(`Not in a git repository: ${error.message}`);
   }
@@ -109,15 +110,17 @@ export function getRepoRoot() {
  * @param {string} sessionId - Unique session identifier
  * @param {string} branchName - Name of the branch to create
  * @param {string} baseBranch - Base branch to branch from (default: 'main')
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Directory inside the repository (default: process.cwd())
  * @returns {Promise<{path: string, branch: string}>}
  */
-export async function createWorktree(sessionId, branchName, baseBranch = 'main') {
+export async function createWorktree(sessionId, branchName, baseBranch = 'main', { cwd } = {}) {
   // Validate all inputs to prevent command injection
   const validSessionId = validateSessionId(sessionId);
   const validBranchName = validateBranchName(branchName);
   const validBaseBranch = validateBranchName(baseBranch);
 
-  const repoRoot = getRepoRoot();
+  const repoRoot = getRepoRoot(cwd);
   const worktreePath = resolve(repoRoot, WORKTREE_BASE, validSessionId);
 
   // Check if worktree already exists
@@ -129,19 +132,21 @@ export async function createWorktree(sessionId, branchName, baseBranch = 'main')
   await mkdir(join(repoRoot, WORKTREE_BASE), { recursive: true });
 
   // Check if branch already exists
-  const branches = execSync('git branch --list', { encoding: 'utf8' });
+  const branches = execSync('git branch --list', { cwd: repoRoot, encoding: 'utf8' });
   const branchExists = branches.includes(validBranchName);
 
   try {
     if (branchExists) {
       // Use existing branch - inputs are validated, path is quoted
       execSync(`git worktree add "${worktreePath}" "${validBranchName}"`, {
+        cwd: repoRoot,
         encoding: 'utf8',
         stdio: 'pipe'
       });
     } else {
       // Create new branch from base - inputs are validated, path is quoted
       execSync(`git worktree add -b "${validBranchName}" "${worktreePath}" "${validBaseBranch}"`, {
+        cwd: repoRoot,
         encoding: 'utf8',
         stdio: 'pipe'
       });
@@ -159,7 +164,7 @@ export async function createWorktree(sessionId, branchName, baseBranch = 'main')
     }
     // Prune any stale worktree references
     try {
-      execSync('git worktree prune', { encoding: 'utf8', stdio: 'pipe' });
+      execSync('git worktree prune', { cwd: repoRoot, encoding: 'utf8', stdio: 'pipe' });
     } catch {
       // Prune failure is non-fatal
     }
@@ -171,9 +176,11 @@ export async function createWorktree(sessionId, branchName, baseBranch = 'main')
  * Remove a worktree
  * @param {string} worktreePath - Path to the worktree
  * @param {boolean} force - Force removal even with uncommitted changes
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Directory inside the repository (default: process.cwd())
  * @returns {Promise<void>}
  */
-export async function removeWorktree(worktreePath, force = false) {
+export async function removeWorktree(worktreePath, force = false, { cwd } = {}) {
   const absolutePath = resolve(worktreePath);
 
   if (!existsSync(absolutePath)) {
@@ -183,6 +190,7 @@ export async function removeWorktree(worktreePath, force = false) {
   try {
     const forceFlag = force ? '--force' : '';
     execSync(`git worktree remove ${forceFlag} "${absolutePath}"`, {
+      cwd,
       encoding: 'utf8',
       stdio: 'pipe'
     });
@@ -0,0 +1,179 @@
+#!/usr/bin/env node
+/**
+ * Worktree Merge Module
+ * Merges a session branch into its target branch: preflight with
+ * `git merge-tree` (nothing is touched when it reports conflicts), then
+ * merge, squash or rebase, optionally gated on a test command.
+ */
+
+import { execFileSync, spawnSync } from 'child_process';
+
+export const MERGE_STRATEGIES = ['merge', 'squash', 'rebase'];
+
+export const DEFAULT_WORKTREE_CONFIG = {
+  // Give every session registered with the daemon its own worktree (see session-isolation.js)
+  autoIsolate: false,
+  mergeStrategy: 'merge',
+  testCommand: null
+};
+
+/**
+ * Validate the `worktree` section of config.json
+ * @returns {string[]} Error messages
+ */
+export function validateWorktreeConfig(worktree) {
+  if (worktree === undefined) return [];
+  if (!worktree || typeof worktree !== 'object' || Array.isArray(worktree)) {
+    return ['worktree must be an object'];
+  }
+
+  const errors = [];
+  if (worktree.autoIsolate !== undefined && typeof worktree.autoIsolate !== 'boolean') {
+    errors.push('worktree.autoIsolate must be a boolean');
+  }
+  if (worktree.mergeStrategy !== undefined && !MERGE_STRATEGIES.includes(worktree.mergeStrategy)) {
+    errors.push(`worktree.mergeStrategy must be one of: ${MERGE_STRATEGIES.join(', ')}`);
+  }
+  if (worktree.testCommand !== undefined && worktree.testCommand !== null &&
+      (typeof worktree.testCommand !== 'string' || worktree.testCommand.trim() === '')) {
+    errors.push('worktree.testCommand must be a command line or null');
+  }
+  return errors;
+}
+
+/**
+ * Run git in `cwd` and return its trimmed stdout
+ */
+function git(args, cwd) {
+  try {
+    return execFileSync('git', args, { cwd, encoding: 'utf8', stdio: 'pipe' }).trim();
+  } catch (error) {
+    const detail = (error.stderr || error.stdout || error.message).toString().trim();
+    throw new Error(`git ${args[0]} failed: ${detail}`);
+  }
+}
+
+/**
+ * Check a worktree for uncommitted changes to tracked files.
+ * Untracked files are ignored (session worktrees live untracked inside the main checkout).
+ * @param {string} cwd - Worktree path
+ * @returns {boolean}
+ */
+export function isCleanTree(cwd) {
+  return git(['status', '--porcelain', '--untracked-files=no'], cwd) === '';
+}
+
+/**
+ * Check whether `branch` is already contained in `target`
+ * @returns {boolean}
+ */
+export function isMerged(branch, target, cwd) {
+  const result = spawnSync('git', ['merge-base', '--is-ancestor', branch, target], { cwd, encoding: 'utf8' });
+  if (result.status === 0) return true;
+  if (result.status === 1) return false;
+  throw new Error(`git merge-base failed: ${(result.stderr || '').trim()}`);
+}
+
+/**
+ * Dry-run merge of `branch` into `target` (git merge-tree --write-tree, git 2.38+).
+ * Only writes objects; no branch, index or working tree is changed.
+ * @returns {{ clean: boolean, conflicts: string[] }}
+ */
+export function previewMerge(target, branch, cwd) {
+  const result = spawnSync(
+    'git',
+    ['merge-tree', '--write-tree', '--name-only', '--no-messages', target, branch],
+    { cwd, encoding: 'utf8' }
+  );
+
+  if (result.status === 0) {
+    return { clean: true, conflicts: [] };
+  }
+  if (result.status === 1) {
+    // First line is the tree, then one conflicted path per line up to a blank line
+    const lines = result.stdout.split('\n').slice(1);
+    const end = lines.indexOf('');
+    const conflicts = [...new Set(lines.slice(0, end === -1 ? undefined : end))];
+    return { clean: false, conflicts };
+  }
+
+  const stderr = (result.stderr || '').trim();
+  if (/write-tree/.test(stderr)) {
+    throw new Error('Conflict preflight needs git 2.38 or newer (git merge-tree --write-tree)');
+  }
+  throw new Error(`git merge-tree failed: ${stderr}`);
+}
+
+/**
+ * Merge `branch` into `target`. On failure the target is reset to where it
+ * was (it must be clean beforehand - see isCleanTree), and an interrupted
+ * rebase is aborted.
+ * @param {Object} options
+ * @param {string} options.branch - Session branch
+ * @param {string} options.target - Target branch
+ * @param {string} options.targetPath - Worktree where `target` is checked out
+ * @param {string} options.branchPath - Worktree where `branch` is checked out (rebase only)
+ * @param {string} [options.strategy] - merge (--no-ff), squash or rebase (then fast-forward)
+ * @param {string} options.message - Commit message for merge and squash
+ * @returns {{ previousHead: string, head: string }}
+ */
+export function mergeBranch({ branch, target, targetPath, branchPath, strategy = 'merge', message }) {
+  if (!MERGE_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown merge strategy: "${strategy}". Valid strategies: ${MERGE_STRATEGIES.join(', ')}`);
+  }
+
+  const previousHead = git(['rev-parse', 'HEAD'], targetPath);
+  try {
+    if (strategy === 'merge') {
+      git(['merge', '--no-ff', '-m', message, branch], targetPath);
+    } else if (strategy === 'squash') {
+      git(['merge', '--squash', branch], targetPath);
+      git(['commit', '-m', message], targetPath);
+    } else {
+      try {
+        git(['rebase', target], branchPath);
+      } catch (error) {
+        spawnSync('git', ['rebase', '--abort'], { cwd: branchPath });
+        throw error;
+      }
+      git(['merge', '--ff-only', branch], targetPath);
+    }
+  } catch (error) {
+    resetTarget(targetPath, previousHead);
+    throw new Error(`${strategy} failed, ${target} was left unchanged: ${error.message}`);
+  }
+
+  return { previousHead, head: git(['rev-parse', 'HEAD'], targetPath) };
+}
+
+/**
+ * Put the target branch back where it was before the merge
+ */
+export function resetTarget(targetPath, previousHead) {
+  git(['reset', '--hard', previousHead], targetPath);
+}
+
+/**
+ * Run the configured test command in `cwd`
+ * @param {string} command - Shell command line, e.g. "npm test"
+ * @param {string} cwd
+ * @param {Object} [options]
+ * @param {'inherit'|'pipe'|'ignore'} [options.stdio]
+ * @throws {Error} When the command exits non-zero
+ */
+export function runTestCommand(command, cwd, { stdio = 'inherit' } = {}) {
+  const result = spawnSync(command, { cwd, shell: true, stdio });
+  if (result.error) {
+    throw new Error(`Test command could not run: ${result.error.message}`);
+  }
+  if (result.status !== 0) {
+    throw new Error(`Test command failed (exit ${result.status ?? result.signal}): ${command}`);
+  }
+}
+
+/**
+ * Push `target` to `remote`
+ */
+export function pushBranch(target, remote, cwd) {
+  git(['push', remote, target], cwd);
+}
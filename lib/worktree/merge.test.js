@@ -0,0 +1,109 @@
+/**
+ * Tests for Worktree Merge (against a real temporary repository)
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { execSync } from 'child_process';
+import { mkdtemp, mkdir, rm, writeFile, readFile } from 'fs/promises';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  isCleanTree,
+  isMerged,
+  previewMerge,
+  mergeBranch,
+  runTestCommand,
+  validateWorktreeConfig
+} from './merge.js';
+
+const git = (command, cwd) => execSync(`git ${command}`, { cwd, encoding: 'utf8', stdio: 'pipe' }).trim();
+
+describe('Worktree Merge', () => {
+  let dir;
+  let repo;
+  let session;
+
+  async function commit(cwd, file, content, message) {
+    await writeFile(join(cwd, file), content);
+    git(`add ${file}`, cwd);
+    git(`commit -q -m "${message}"`, cwd);
+  }
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'teleportation-merge-'));
+    repo = join(dir, 'repo');
+    session = join(dir, 'session');
+    await mkdir(repo);
+    git('init -q -b main', repo);
+    git('config user.name "Test"', repo);
+    git('config user.email "test@test.com"', repo);
+    await commit(repo, 'a.txt', 'one\n', 'initial');
+    git(`worktree add -q -b session/s1 "${session}"`, repo);
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('should report conflicts without touching either branch', async () => {
+    await commit(session, 'a.txt', 'session\n', 'session edit');
+    await commit(repo, 'a.txt', 'main\n', 'main edit');
+    const before = git('rev-parse main', repo);
+
+    expect(previewMerge('main', 'session/s1', repo)).toEqual({ clean: false, conflicts: ['a.txt'] });
+    expect(git('rev-parse main', repo)).toBe(before);
+    expect(isCleanTree(repo)).toBe(true);
+  });
+
+  it('should merge with a merge commit', async () => {
+    await commit(session, 'b.txt', 'new\n', 'add b');
+    await commit(repo, 'c.txt', 'main\n', 'add c');
+    expect(previewMerge('main', 'session/s1', repo)).toEqual({ clean: true, conflicts: [] });
+    expect(isMerged('session/s1', 'main', repo)).toBe(false);
+
+    const { previousHead, head } = mergeBranch({ branch: 'session/s1', target: 'main', targetPath: repo, message: 'Merge session s1' });
+    expect(head).not.toBe(previousHead);
+    expect(git('log -1 --format=%P', repo).split(' ')).toHaveLength(2);
+    expect(await readFile(join(repo, 'b.txt'), 'utf8')).toBe('new\n');
+    expect(isMerged('session/s1', 'main', repo)).toBe(true);
+  });
+
+  it('should squash the session into one commit', async () => {
+    await commit(session, 'b.txt', 'one\n', 'first');
+    await commit(session, 'b.txt', 'two\n', 'second');
+
+    mergeBranch({ branch: 'session/s1', target: 'main', targetPath: repo, strategy: 'squash', message: 'Session s1' });
+    expect(git('log --format=%s', repo).split('\n')).toEqual(['Session s1', 'initial']);
+    expect(await readFile(join(repo, 'b.txt'), 'utf8')).toBe('two\n');
+  });
+
+  it('should rebase the session onto the target and fast-forward', async () => {
+    await commit(session, 'b.txt', 'new\n', 'add b');
+    await commit(repo, 'c.txt', 'main\n', 'add c');
+
+    mergeBranch({ branch: 'session/s1', target: 'main', targetPath: repo, branchPath: session, strategy: 'rebase' });
+    expect(git('log --format=%s', repo).split('\n')).toEqual(['add b', 'add c', 'initial']);
+    expect(git('rev-parse main', repo)).toBe(git('rev-parse session/s1', repo));
+  });
+
+  it('should ignore untracked files when checking for a clean tree', async () => {
+    await writeFile(join(repo, 'untracked.txt'), 'x');
+    expect(isCleanTree(repo)).toBe(true);
+    await writeFile(join(repo, 'a.txt'), 'changed\n');
+    expect(isCleanTree(repo)).toBe(false);
+  });
+
+  it('should fail when the test command fails', () => {
+    expect(() => runTestCommand('exit 0', repo, { stdio: 'ignore' })).not.toThrow();
+    expect(() => runTestCommand('exit 3', repo, { stdio: 'ignore' })).toThrow('Test command failed (exit 3)');
+  });
+
+  it('should validate config.worktree', () => {
+    expect(validateWorktreeConfig(undefined)).toEqual([]);
+    expect(validateWorktreeConfig({ mergeStrategy: 'squash', testCommand: 'npm test' })).toEqual([]);
+    expect(validateWorktreeConfig({ mergeStrategy: 'octopus', testCommand: '' })).toEqual([
+      'worktree.mergeStrategy must be one of: merge, squash, rebase',
+      'worktree.testCommand must be a command line or null'
+    ]);
+  });
+});
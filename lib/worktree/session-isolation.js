@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+/**
+ * Session Isolation Module
+ * Gives each daemon-registered session its own worktree
+ * (.teleportation/sessions/<id> on a teleportation/<id> branch) so parallel
+ * agents never share a working tree, and cleans it up when the session ends.
+ */
+
+import { execFileSync } from 'child_process';
+import { existsSync } from 'fs';
+import { dirname, resolve, relative, sep, isAbsolute } from 'path';
+import { createWorktree, removeWorktree, validateSessionId, validateBranchName } from './manager.js';
+import { isMerged } from './merge.js';
+
+export const SESSION_BRANCH_PREFIX = 'teleportation/';
+
+const WORKTREE_BASE = '.teleportation/sessions';
+
+/**
+ * Run git in `cwd`; returns trimmed stdout, or null when git fails
+ */
+function tryGit(args, cwd) {
+  try {
+    return execFileSync('git', args, { cwd, encoding: 'utf8', stdio: 'pipe' }).trim();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Main checkout of the repository containing `cwd`, even when `cwd` is
+ * inside a linked worktree
+ * @returns {string|null} null when `cwd` is not in a git repository
+ */
+export function getMainRepoRoot(cwd) {
+  const commonDir = tryGit(['rev-parse', '--path-format=absolute', '--git-common-dir'], cwd);
+  return commonDir ? dirname(commonDir) : null;
+}
+
+/**
+ * Worktree path and branch for a session
+ * @returns {{ path: string, branch: string }}
+ */
+export function sessionWorktreeFor(repoRoot, sessionId) {
+  validateSessionId(sessionId);
+  return {
+    path: resolve(repoRoot, WORKTREE_BASE, sessionId),
+    branch: `${SESSION_BRANCH_PREFIX}${sessionId}`
+  };
+}
+
+/**
+ * Create (or reuse, for a resumed session) the session's worktree.
+ * The new branch starts from whatever is checked out in `cwd`.
+ * @param {string} sessionId
+ * @param {string} cwd - Directory the session was started in
+ * @returns {Promise<{ path: string, branch: string, base: string, repoRoot: string, cwd: string }|null>}
+ *   null when `cwd` is not in a git repository. `cwd` is the matching
+ *   subdirectory inside the worktree.
+ */
+export async function isolateSession(sessionId, cwd) {
+  const repoRoot = getMainRepoRoot(cwd);
+  if (!repoRoot) return null;
+
+  const { path, branch } = sessionWorktreeFor(repoRoot, sessionId);
+  const base = tryGit(['symbolic-ref', '--short', '-q', 'HEAD'], cwd) || tryGit(['rev-parse', 'HEAD'], cwd);
+  if (!base) {
+    throw new Error(`Cannot isolate session ${sessionId}: ${repoRoot} has no commits yet`);
+  }
+
+  if (!existsSync(path)) {
+    await createWorktree(sessionId, branch, validateBranchName(base), { cwd: repoRoot });
+  }
+
+  // Keep the session in the same subdirectory it started in
+  const checkoutRoot = tryGit(['rev-parse', '--show-toplevel'], cwd) || repoRoot;
+  const subdir = relative(checkoutRoot, resolve(cwd));
+  const insideCheckout = subdir && !subdir.startsWith('..') && !isAbsolute(subdir) &&
+    subdir.split(sep)[0] !== '.teleportation';
+  const sessionCwd = insideCheckout && existsSync(resolve(path, subdir)) ? resolve(path, subdir) : path;
+
+  return { path, branch, base, repoRoot, cwd: sessionCwd };
+}
+
+/**
+ * Remove the session's worktree and branch if there is nothing to keep:
+ * no uncommitted or untracked files, and no commits missing from the base
+ * branch. Otherwise the worktree is left for `teleportation worktree merge`.
+ * @param {{ path: string, branch: string, base: string, repoRoot: string }} worktree
+ * @returns {Promise<{ removed: boolean, reason?: string }>}
+ */
+export async function releaseSessionWorktree({ path, branch, base, repoRoot }) {
+  if (!existsSync(path)) {
+    return { removed: true, reason: 'already removed' };
+  }
+
+  const status = tryGit(['status', '--porcelain'], path);
+  if (status === null) {
+    return { removed: false, reason: 'git status failed' };
+  }
+  if (status !== '') {
+    return { removed: false, reason: 'uncommitted changes' };
+  }
+  if (!isMerged(branch, base, repoRoot)) {
+    return { removed: false, reason: `commits not merged into ${base}` };
+  }
+
+  await removeWorktree(path, false, { cwd: repoRoot });
+  tryGit(['branch', '-d', branch], repoRoot);
+  return { removed: true };
+}
@@ -0,0 +1,83 @@
+/**
+ * Tests for Session Isolation (against a real temporary repository)
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { execSync } from 'child_process';
+import { mkdtemp, mkdir, rm, writeFile, realpath } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { isolateSession, releaseSessionWorktree, getMainRepoRoot, sessionWorktreeFor } from './session-isolation.js';
+
+const git = (command, cwd) => execSync(`git ${command}`, { cwd, encoding: 'utf8', stdio: 'pipe' }).trim();
+
+describe('Session Isolation', () => {
+  let dir;
+  let repo;
+
+  beforeEach(async () => {
+    dir = await realpath(await mkdtemp(join(tmpdir(), 'teleportation-isolation-')));
+    repo = join(dir, 'repo');
+    await mkdir(repo);
+    git('init -q -b main', repo);
+    git('config user.name "Test"', repo);
+    git('config user.email "test@test.com"', repo);
+    await writeFile(join(repo, 'a.txt'), 'one\n');
+    git('add a.txt', repo);
+    git('commit -q -m initial', repo);
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('should branch from the checked-out branch of the session cwd', async () => {
+    git('checkout -q -b feature', repo);
+
+    const isolated = await isolateSession('s1', repo);
+    expect(isolated).toEqual({
+      path: join(repo, '.teleportation', 'sessions', 's1'),
+      branch: 'teleportation/s1',
+      base: 'feature',
+      repoRoot: repo,
+      cwd: join(repo, '.teleportation', 'sessions', 's1')
+    });
+    expect(git('rev-parse --abbrev-ref HEAD', isolated.path)).toBe('teleportation/s1');
+  });
+
+  it('should place worktrees in the main checkout when started from a linked worktree', async () => {
+    const linked = join(dir, 'linked');
+    git(`worktree add -q -b other "${linked}"`, repo);
+
+    expect(getMainRepoRoot(linked)).toBe(repo);
+    const isolated = await isolateSession('s2', linked);
+    expect(isolated).toMatchObject({ path: sessionWorktreeFor(repo, 's2').path, base: 'other' });
+  });
+
+  it('should leave sessions outside git alone', async () => {
+    const plain = join(dir, 'plain');
+    await mkdir(plain);
+    expect(await isolateSession('s3', plain)).toBeNull();
+  });
+
+  it('should keep a worktree with untracked files', async () => {
+    const isolated = await isolateSession('s4', repo);
+    await writeFile(join(isolated.path, 'notes.txt'), 'draft\n');
+
+    expect(await releaseSessionWorktree(isolated)).toEqual({ removed: false, reason: 'uncommitted changes' });
+    expect(existsSync(isolated.path)).toBe(true);
+  });
+
+  it('should remove a worktree once its branch is merged', async () => {
+    const isolated = await isolateSession('s5', repo);
+    await writeFile(join(isolated.path, 'b.txt'), 'new\n');
+    git('add b.txt', isolated.path);
+    git('commit -q -m "add b"', isolated.path);
+    git('merge -q --ff-only teleportation/s5', repo);
+
+    expect(await releaseSessionWorktree(isolated)).toEqual({ removed: true });
+    expect(existsSync(isolated.path)).toBe(false);
+    expect(git('branch --list teleportation/s5', repo)).toBe('');
+  });
+});
@@ -71,21 +71,36 @@ class ConfigManager {
 
 const config = new ConfigManager();
 
-// Credential loader (async, uses ES module)
+// Credential profiles (async, uses ES module)
+let profileStore = null;
+async function loadProfileStore() {
+  if (!profileStore) {
+    const { ProfileStore } = await import('./lib/auth/profiles.js');
+    profileStore = new ProfileStore();
+  }
+  return profileStore;
+}
+
+// Credential loader for the active profile (teleportation profile use / TELEPORTATION_PROFILE)
 let credentialManager = null;
 async function loadCredentialManager() {
   if (!credentialManager) {
     try {
-      const { CredentialManager } = await import('./lib/auth/credentials.js');
-      credentialManager = new CredentialManager();
+      credentialManager = (await loadProfileStore()).credentialManager();
     } catch (e) {
-      // Credential manager not available, will fall back to env vars
+      // Credential manager not available (or a bad profile name), will fall back to env vars
+      console.warn(`⚠️  ${e.message}`);
       credentialManager = null;
     }
   }
   return credentialManager;
 }
 
+// ~/.teleportation/... for messages
+function displayPath(filePath) {
+  return filePath.startsWith(HOME_DIR) ? '~' + filePath.slice(HOME_DIR.length) : filePath;
+}
+
 // Load credentials on startup
 let loadedCredentials = null;
 async function loadCredentials() {
@@ -94,7 +109,10 @@ async function loadCredentials() {
   try {
     const manager = await loadCredentialManager();
     if (manager) {
-      loadedCredentials = await manager.load();
+      // Device code logins get their access token refreshed shortly before it expires
+      loadedCredentials = await manager.loadFresh({
+        onRefreshError: (error) => console.warn(`⚠️  ${error.message}`)
+      });
     }
   } catch (e) {
     // Distinguish between different error types
@@ -118,19 +136,13 @@ async function loadCredentials() {
 // Get credentials with fallback to environment variables
 async function getCredentials() {
   const creds = await loadCredentials();
-  if (creds) {
-    return {
-      RELAY_API_URL: creds.relayApiUrl || process.env.RELAY_API_URL || '',
-      RELAY_API_KEY: creds.relayApiKey || creds.apiKey || process.env.RELAY_API_KEY || '',
-      SLACK_WEBHOOK_URL: creds.slackWebhookUrl || process.env.SLACK_WEBHOOK_URL || ''
-    };
-  }
-  
-  // Fall back to environment variables
+  // Same precedence as the daemon and lib/daemon/lifecycle.js
+  const { resolveRelayConfig } = await import('./lib/auth/profiles.js');
+  const relay = resolveRelayConfig({ credentials: creds });
   return {
-    RELAY_API_URL: process.env.RELAY_API_URL || '',
-    RELAY_API_KEY: process.env.RELAY_API_KEY || '',
-    SLACK_WEBHOOK_URL: process.env.SLACK_WEBHOOK_URL || ''
+    RELAY_API_URL: relay.url,
+    RELAY_API_KEY: relay.key,
+    SLACK_WEBHOOK_URL: creds?.slackWebhookUrl || process.env.SLACK_WEBHOOK_URL || ''
   };
 }
 
@@ -206,8 +218,14 @@ function commandHelp() {
   console.log('  ' + c.green('status') + '           Check system status and connectivity\n');
 
   console.log(c.yellow('Authentication:'));
-  console.log('  ' + c.green('login') + '            Authenticate with API key or token');
-  console.log('  ' + c.green('logout') + '           Clear saved credentials\n');
+  console.log('  ' + c.green('login') + '            Authenticate with API key, token or --device (browser)');
+  console.log('  ' + c.green('login --profile <name>') + ' Log in to another relay under a named profile');
+  console.log('  ' + c.green('logout') + '           Clear saved credentials');
+  console.log('  ' + c.green('profile list') + '     Show credential profiles (also: use <name>, remove <name>)');
+  console.log('  ' + c.green('auth rotate') + '      Replace the API key with a new one (--auto: only near expiry)');
+  console.log('  ' + c.green('secrets status') + '   Show where the credentials encryption key is kept');
+  console.log('  ' + c.green('secrets unlock') + '   Enter the passphrase once for this login session (also: lock)');
+  console.log('  ' + c.green('secrets migrate') + '  Move to another key backend (--to file|passphrase|command)\n');
 
   console.log(c.yellow('Setup Commands:'));
   console.log('  ' + c.green('on') + '               Enable remote control hooks');
@@ -232,13 +250,32 @@ function commandHelp() {
   console.log('  ' + c.green('daemon start') + '     Start the teleportation daemon');
   console.log('  ' + c.green('daemon stop') + '      Stop the daemon');
   console.log('  ' + c.green('daemon restart') + '   Restart the daemon');
+  console.log('  ' + c.green('daemon reload') + '    Apply a new login or config.json without a restart');
   console.log('  ' + c.green('daemon status') + '    Show daemon status');
-  console.log('  ' + c.green('daemon health') + '    Check daemon health\n');
-  
+  console.log('  ' + c.green('daemon health') + '    Check daemon health');
+  console.log('  ' + c.green('allowlist') + '        Show commands the daemon may run directly');
+  console.log('  ' + c.green('allowlist test "<cmd>"') + ' Check a command against the allowlist');
+  console.log('  ' + c.green('executions list') + '    Show past daemon executions (also show/search/export)');
+  console.log('  ' + c.green('executions tail <id>') + ' Follow a daemon execution\'s output live');
+  console.log('  ' + c.green('executions cancel <id>') + ' Cancel a queued or running execution');
+  console.log('  ' + c.green('audit verify') + '       Check the daemon audit log for tampering (also: audit export)\n');
+  
+  console.log(c.yellow('Approval Policy:'));
+  console.log('  ' + c.green('policy list') + '      Show auto-approve/deny rules for this directory');
+  console.log('  ' + c.green('policy test') + '      Evaluate a request (--tool, --command, --path)');
+  console.log('  ' + c.green('policy add') + '       Add a rule (allow|deny|ask with --tool/--command/--path/--cwd/--risk)');
+  console.log('  ' + c.green('policy remove <id>') + ' Remove a rule\n');
+
   console.log(c.yellow('Inbox & Messaging:'));
+  console.log('  ' + c.green('approve') + '           Review pending approvals in the terminal (a/d/A keys)');
   console.log('  ' + c.green('command "<text>"') + '   Enqueue a command message for this session');
   console.log('  ' + c.green('inbox') + '             View next inbox message for this session');
   console.log('  ' + c.green('inbox-ack <id>') + '    Acknowledge inbox message by id\n');
+
+  console.log(c.yellow('End-to-End Encryption:'));
+  console.log('  ' + c.green('devices list') + '     Show this device and paired phones');
+  console.log('  ' + c.green('devices pair') + '     Pair a phone so relay payloads are end-to-end encrypted');
+  console.log('  ' + c.green('devices revoke <id>') + ' Stop encrypting for a paired device\n');
   
   console.log(c.yellow('Configuration:'));
   console.log('  ' + c.green('config') + '           Manage configuration');
@@ -688,6 +725,7 @@ async function commandStatus() {
   if (hasCredentials) {
     console.log('  ' + c.green('✅') + ' Logged in');
     console.log('     Source: Encrypted credentials file');
+    console.log('     Profile: ' + c.cyan((await loadProfileStore()).active()));
     console.log('     API key: ' + c.cyan('***' + (creds.RELAY_API_KEY?.slice(-4) || '????')));
   } else if (creds.RELAY_API_KEY) {
     console.log('  ' + c.yellow('⚠️') + ' Using environment variables');
@@ -1171,7 +1209,7 @@ async function commandDoctor() {
         if (daysUntil !== null) {
           if (daysUntil < 7) {
             console.log(c.yellow(`   ⚠️  Credentials expire in ${daysUntil} days\n`));
-            recommendations.push('Consider refreshing credentials soon');
+            recommendations.push('Run: teleportation auth rotate');
           } else {
             console.log(c.green(`   ✅ Credentials valid for ${daysUntil} more days\n`));
           }
@@ -1536,17 +1574,25 @@ async function commandLogin(args) {
   
   console.log(c.purple('Teleportation Login\n'));
   
-  // Load credential manager
-  const manager = await loadCredentialManager();
-  if (!manager) {
-    console.log(c.red('❌ Failed to load credential manager'));
+  // Load credential manager (--profile <name> logs in to another relay, the active profile is kept)
+  let manager;
+  let profile;
+  try {
+    const store = await loadProfileStore();
+    if (flags.profile === true) {
+      throw new Error('--profile needs a name, e.g. --profile staging');
+    }
+    profile = flags.profile || store.active();
+    manager = store.credentialManager(profile);
+  } catch (error) {
+    console.log(c.red(`❌ ${error.message}\n`));
     process.exit(1);
   }
 
   // Check for existing credentials
   const existing = await manager.load();
   if (existing) {
-    console.log(c.yellow('⚠️  You are already logged in.'));
+    console.log(c.yellow(profile === 'default' ? '⚠️  You are already logged in.' : `⚠️  Profile ${profile} is already logged in.`));
     console.log(c.cyan('   Run "teleportation logout" to clear existing credentials.\n'));
     
     const readline = require('readline').createInterface({
@@ -1562,19 +1608,29 @@ async function commandLogin(args) {
           resolve();
           return;
         }
-        await performLogin(manager, flags, positional);
+        await performLogin(manager, flags, positional, profile);
         resolve();
       });
     });
   }
   
-  await performLogin(manager, flags, positional);
+  await performLogin(manager, flags, positional, profile);
+}
+
+// Where the login was saved, and how to switch to it when it isn't the active profile
+async function printLoginSaved(manager, profile) {
+  console.log(c.cyan(`Credentials saved to ${displayPath(manager.credentialsPath)}\n`));
+  if (profile !== (await loadProfileStore()).active()) {
+    console.log(c.cyan(`Switch to it with: teleportation profile use ${profile}\n`));
+  }
 }
 
-async function performLogin(manager, flags, positional) {
+async function performLogin(manager, flags, positional, profile = 'default') {
   let apiKey = flags['api-key'] || flags.k;
   let token = flags.token || flags.t;
   const relayApiUrl = flags['relay-url'] || flags.r || process.env.RELAY_API_URL || 'https://api.teleportation.dev';
+  // A named profile keeps its relay URL in its own config.json overrides
+  const relayUrlConfigKey = profile === 'default' ? 'relay.url' : `profiles.${profile}.relay.url`;
 
   // Create backup before modifying credentials (only if credentials exist)
   const existingCreds = await manager.load().catch(() => null);
@@ -1593,6 +1649,27 @@ async function performLogin(manager, flags, positional) {
     }
   }
 
+  // OAuth device code flow: approve in a browser, tokens refresh automatically
+  if (flags.device) {
+    const loginPath = path.join(TELEPORTATION_DIR, 'lib', 'cli', 'login-commands.js');
+    const { commandLoginDevice } = await import('file://' + loginPath);
+    await commandLoginDevice({ relayUrl: relayApiUrl, manager, qr: !flags['no-qr'] });
+
+    // Also sync config to match credentials
+    try {
+      const configManagerPath = path.join(TELEPORTATION_DIR, 'lib', 'config', 'manager.js');
+      const { setConfigValue } = await import('file://' + configManagerPath);
+      await setConfigValue(relayUrlConfigKey, relayApiUrl);
+    } catch (configErr) {
+      // Non-fatal - just warn
+      console.log(c.yellow(`⚠️  Could not sync config: ${configErr.message}`));
+    }
+
+    await printLoginSaved(manager, profile);
+    console.log(c.yellow('⚠️  Restart Claude Code to apply changes to current session.\n'));
+    return;
+  }
+
   // If API key provided via flag
   if (apiKey) {
     console.log(c.yellow('Authenticating with API key...\n'));
@@ -1621,14 +1698,14 @@ async function performLogin(manager, flags, positional) {
       try {
         const configManagerPath = path.join(TELEPORTATION_DIR, 'lib', 'config', 'manager.js');
         const { setConfigValue } = await import('file://' + configManagerPath);
-        await setConfigValue('relay.url', relayApiUrl);
+        await setConfigValue(relayUrlConfigKey, relayApiUrl);
       } catch (configErr) {
         // Non-fatal - just warn
         console.log(c.yellow(`⚠️  Could not sync config: ${configErr.message}`));
       }
 
       console.log(c.green('✅ Successfully authenticated with API key!\n'));
-      console.log(c.cyan('Credentials saved to ~/.teleportation/credentials\n'));
+      await printLoginSaved(manager, profile);
       console.log(c.yellow('⚠️  Restart Claude Code to apply changes to current session.\n'));
       return;
     } catch (error) {
@@ -1656,14 +1733,14 @@ async function performLogin(manager, flags, positional) {
       try {
         const configManagerPath = path.join(TELEPORTATION_DIR, 'lib', 'config', 'manager.js');
         const { setConfigValue } = await import('file://' + configManagerPath);
-        await setConfigValue('relay.url', relayApiUrl);
+        await setConfigValue(relayUrlConfigKey, relayApiUrl);
       } catch (configErr) {
         // Non-fatal - just warn
         console.log(c.yellow(`⚠️  Could not sync config: ${configErr.message}`));
       }
 
       console.log(c.green('✅ Successfully authenticated with token!\n'));
-      console.log(c.cyan('Credentials saved to ~/.teleportation/credentials\n'));
+      await printLoginSaved(manager, profile);
       console.log(c.yellow('⚠️  Restart Claude Code to apply changes to current session.\n'));
       return;
     } catch (error) {
@@ -1676,7 +1753,7 @@ async function performLogin(manager, flags, positional) {
   console.log(c.cyan('Interactive login mode\n'));
   console.log(c.yellow('Options:'));
   console.log('  1. API Key authentication (recommended)');
-  console.log('  2. OAuth device code flow (coming soon)\n');
+  console.log('  2. OAuth device code flow: teleportation login --device\n');
   
   const readline = require('readline').createInterface({
     input: process.stdin,
@@ -1718,7 +1795,7 @@ async function performLogin(manager, flags, positional) {
         
         await manager.save(credentials);
         console.log(c.green('✅ Successfully authenticated!\n'));
-        console.log(c.cyan('Credentials saved to ~/.teleportation/credentials\n'));
+        await printLoginSaved(manager, profile);
         resolve();
       } catch (error) {
         console.log(c.red(`❌ Error: ${error.message}\n`));
@@ -1870,7 +1947,7 @@ async function commandLogout() {
       try {
         await manager.delete();
         console.log(c.green('✅ Successfully logged out!\n'));
-        console.log(c.cyan('Credentials cleared from ~/.teleportation/credentials\n'));
+        console.log(c.cyan(`Credentials cleared from ${displayPath(manager.credentialsPath)}\n`));
         resolve();
       } catch (error) {
         console.log(c.red(`❌ Error: ${error.message}\n`));
@@ -1920,16 +1997,269 @@ async function commandSession(args) {
   await routeCommand(parsed);
 }
 
+async function commandPolicy(args) {
+  const subcommand = args[0] || 'list';
+  const { flags, positional } = parseFlags(args.slice(1));
+  const policyPath = path.join(TELEPORTATION_DIR, 'lib', 'cli', 'policy-commands.js');
+  const {
+    commandPolicyList,
+    commandPolicyTest,
+    commandPolicyAdd,
+    commandPolicyRemove
+  } = await import('file://' + policyPath);
+
+  if (subcommand === 'list') {
+    await commandPolicyList({ cwd: flags.cwd || process.cwd() });
+  } else if (subcommand === 'test') {
+    await commandPolicyTest({
+      tool: flags.tool,
+      command: flags.command,
+      path: flags.path,
+      cwd: flags.cwd || process.cwd()
+    });
+  } else if (subcommand === 'add') {
+    await commandPolicyAdd({
+      decision: positional[0],
+      id: flags.id,
+      tool: flags.tool,
+      command: flags.command,
+      path: flags.path,
+      cwd: flags.cwd,
+      risk: flags.risk,
+      description: flags.description,
+      repo: Boolean(flags.repo)
+    });
+  } else if (subcommand === 'remove') {
+    await commandPolicyRemove({ id: positional[0], repo: Boolean(flags.repo) });
+  } else {
+    console.log(c.red(`❌ Unknown policy subcommand: ${subcommand}\n`));
+    console.log(c.yellow('Available subcommands:'));
+    console.log('  list                              - Show effective policy for this directory');
+    console.log('  test --tool <name> [--command <cmd>] [--path <file>]  - Evaluate a request');
+    console.log('  add <allow|deny|ask> [--tool] [--command] [--path] [--cwd] [--risk] [--id] [--description] [--repo]');
+    console.log('  remove <id> [--repo]              - Remove a rule\n');
+  }
+}
+
+async function commandAllowlist(args) {
+  const subcommand = args[0] || 'list';
+  const allowlistPath = path.join(TELEPORTATION_DIR, 'lib', 'cli', 'allowlist-commands.js');
+  const { commandAllowlistList, commandAllowlistTest } = await import('file://' + allowlistPath);
+
+  // Only --cwd is ours; every other word (including flags like --force) belongs to the tested command
+  const rest = args.slice(1);
+  let cwd = process.cwd();
+  const cwdIndex = rest.indexOf('--cwd');
+  if (cwdIndex !== -1) {
+    cwd = rest[cwdIndex + 1] || cwd;
+    rest.splice(cwdIndex, 2);
+  }
+
+  if (subcommand === 'list') {
+    await commandAllowlistList({ cwd });
+  } else if (subcommand === 'test') {
+    await commandAllowlistTest({ command: rest.join(' '), cwd });
+  } else {
+    console.log(c.red(`❌ Unknown allowlist subcommand: ${subcommand}\n`));
+    console.log(c.yellow('Available subcommands:'));
+    console.log('  list [--cwd <dir>]               - Show effective allow/deny rules');
+    console.log('  test "<command>" [--cwd <dir>]   - Check a command against the rules\n');
+  }
+}
+
+async function commandExecutions(args) {
+  const subcommand = args[0];
+  const executionsPath = path.join(TELEPORTATION_DIR, 'lib', 'cli', 'executions-commands.js');
+  const {
+    commandExecutionsList,
+    commandExecutionsShow,
+    commandExecutionsSearch,
+    commandExecutionsExport,
+    commandExecutionsTail,
+    commandExecutionsCancel
+  } = await import('file://' + executionsPath);
+  const { flags, positional } = parseFlags(args.slice(1));
+  const filters = {
+    session: flags.session,
+    status: flags.status,
+    tool: flags.tool,
+    since: flags.since,
+    until: flags.until,
+    limit: flags.limit
+  };
+
+  if (!subcommand || subcommand === 'list') {
+    await commandExecutionsList({ ...filters, json: Boolean(flags.json) });
+  } else if (subcommand === 'show') {
+    await commandExecutionsShow({ id: positional[0], json: Boolean(flags.json) });
+  } else if (subcommand === 'search') {
+    await commandExecutionsSearch({ query: positional.join(' '), ...filters, json: Boolean(flags.json) });
+  } else if (subcommand === 'export') {
+    await commandExecutionsExport({ ...filters, limit: flags.limit || 0, format: flags.format, output: flags.output });
+  } else if (subcommand === 'tail') {
+    const summary = await commandExecutionsTail({
+      id: positional[0],
+      since: flags.since ? parseInt(flags.since, 10) : 0
+    });
+    if (summary.status !== 'completed') {
+      process.exitCode = 1;
+    }
+  } else if (subcommand === 'cancel') {
+    await commandExecutionsCancel({ id: positional[0] });
+  } else {
+    console.log(c.red(`❌ Unknown executions subcommand: ${subcommand || '(none)'}\n`));
+    console.log(c.yellow('Available subcommands:'));
+    console.log('  list [filters] [--json]              - Recent executions from the local history');
+    console.log('  show <id> [--json]                   - Full record for one execution');
+    console.log('  search <text> [filters] [--json]     - Search commands, output and errors');
+    console.log('  export [--format jsonl|json|csv] [--output <file>] [filters]');
+    console.log('  tail <id> [--since <seq>]            - Follow an execution\'s output live');
+    console.log('  cancel <id>                          - Cancel a queued or running execution');
+    console.log(c.yellow('\nFilters:') + ' --session <id> --status <status> --tool <name> --since <24h|7d|date> --until <date> --limit <n>\n');
+  }
+}
+
+async function commandApproveTUI(args) {
+  const approvePath = path.join(TELEPORTATION_DIR, 'lib', 'cli', 'approve-commands.js');
+  const { commandApprove } = await import('file://' + approvePath);
+  const { flags } = parseFlags(args);
+  const creds = await getCredentials();
+
+  await commandApprove({
+    relayUrl: creds.RELAY_API_URL,
+    apiKey: creds.RELAY_API_KEY,
+    session: flags.session
+  });
+}
+
+async function commandDevices(args) {
+  const subcommand = args[0];
+  const devicesPath = path.join(TELEPORTATION_DIR, 'lib', 'cli', 'devices-commands.js');
+  const { commandDevicesList, commandDevicesPair, commandDevicesRevoke } = await import('file://' + devicesPath);
+  const { flags, positional } = parseFlags(args.slice(1));
+
+  if (!subcommand || subcommand === 'list') {
+    await commandDevicesList();
+  } else if (subcommand === 'pair') {
+    const creds = await getCredentials();
+    await commandDevicesPair({
+      relayUrl: creds.RELAY_API_URL,
+      apiKey: creds.RELAY_API_KEY,
+      name: flags.name,
+      timeoutSeconds: flags.timeout ? parseInt(flags.timeout, 10) : undefined
+    });
+  } else if (subcommand === 'revoke') {
+    const creds = await getCredentials();
+    await commandDevicesRevoke({
+      id: positional[0],
+      relayUrl: creds.RELAY_API_URL,
+      apiKey: creds.RELAY_API_KEY
+    });
+  } else {
+    console.log(c.red(`❌ Unknown devices subcommand: ${subcommand}\n`));
+    console.log(c.yellow('Available subcommands:'));
+    console.log('  list                                 - This device and paired phones');
+    console.log('  pair [--name <name>] [--timeout <s>] - Pair a phone with a one-time code');
+    console.log('  revoke <device_id>                   - Stop encrypting for a device\n');
+  }
+}
+
+async function commandAuth(args) {
+  const subcommand = args[0];
+  const authPath = path.join(TELEPORTATION_DIR, 'lib', 'cli', 'auth-commands.js');
+  const { commandAuthRotate } = await import('file://' + authPath);
+  const { flags } = parseFlags(args.slice(1));
+
+  if (subcommand === 'rotate') {
+    await commandAuthRotate({ auto: Boolean(flags.auto) });
+  } else {
+    console.log(c.red(`❌ Unknown auth subcommand: ${subcommand || '(none)'}\n`));
+    console.log(c.yellow('Available subcommands:'));
+    console.log('  rotate [--auto]                          - New API key, swapped in without restarting the daemon\n');
+  }
+}
+
+async function commandProfile(args) {
+  const subcommand = args[0];
+  const profilePath = path.join(TELEPORTATION_DIR, 'lib', 'cli', 'profile-commands.js');
+  const { commandProfileList, commandProfileUse, commandProfileRemove } = await import('file://' + profilePath);
+  const { positional } = parseFlags(args.slice(1));
+
+  if (!subcommand || subcommand === 'list') {
+    await commandProfileList();
+  } else if (subcommand === 'use') {
+    await commandProfileUse({ name: positional[0] });
+  } else if (subcommand === 'remove') {
+    await commandProfileRemove({ name: positional[0] });
+  } else {
+    console.log(c.red(`❌ Unknown profile subcommand: ${subcommand}\n`));
+    console.log(c.yellow('Available subcommands:'));
+    console.log('  list            - Credential profiles and their relays');
+    console.log('  use <name>      - Switch the CLI and daemon to a profile');
+    console.log('  remove <name>   - Delete a profile\'s credentials\n');
+  }
+}
+
+async function commandSecrets(args) {
+  const subcommand = args[0];
+  const secretsPath = path.join(TELEPORTATION_DIR, 'lib', 'cli', 'secrets-commands.js');
+  const { commandSecretsStatus, commandSecretsUnlock, commandSecretsLock, commandSecretsMigrate } = await import('file://' + secretsPath);
+  const { flags } = parseFlags(args.slice(1));
+
+  if (!subcommand || subcommand === 'status') {
+    await commandSecretsStatus();
+  } else if (subcommand === 'unlock') {
+    await commandSecretsUnlock();
+  } else if (subcommand === 'lock') {
+    await commandSecretsLock();
+  } else if (subcommand === 'migrate') {
+    await commandSecretsMigrate({ to: flags.to, keepKey: Boolean(flags['keep-key']) });
+  } else {
+    console.log(c.red(`❌ Unknown secrets subcommand: ${subcommand}\n`));
+    console.log(c.yellow('Available subcommands:'));
+    console.log('  status                                   - Current backend and encrypted files');
+    console.log('  unlock                                   - Cache the passphrase-derived key in the daemon');
+    console.log('  lock                                     - Forget the cached key');
+    console.log('  migrate --to <file|passphrase|command> [--keep-key]\n');
+  }
+}
+
+async function commandAudit(args) {
+  const subcommand = args[0];
+  const auditPath = path.join(TELEPORTATION_DIR, 'lib', 'cli', 'audit-commands.js');
+  const { commandAuditVerify, commandAuditExport } = await import('file://' + auditPath);
+  const { flags } = parseFlags(args.slice(1));
+
+  if (subcommand === 'verify') {
+    await commandAuditVerify();
+  } else if (subcommand === 'export') {
+    await commandAuditExport({
+      format: flags.format,
+      output: flags.output,
+      since: flags.since,
+      until: flags.until,
+      event: flags.event,
+      session: flags.session
+    });
+  } else {
+    console.log(c.red(`❌ Unknown audit subcommand: ${subcommand || '(none)'}\n`));
+    console.log(c.yellow('Available subcommands:'));
+    console.log('  verify                                - Check the audit log hash chain for tampering');
+    console.log('  export [--format jsonl|csv] [--output <file>] [--since <24h|7d|date>] [--until <date>] [--event <name>] [--session <id>]\n');
+  }
+}
+
 async function commandDaemon(args) {
   const subCommand = args[0] || 'status';
 
-  // Get daemon port from env with default (consistent with daemon itself)
-  const DAEMON_PORT = process.env.TELEPORTATION_DAEMON_PORT || '3050';
-
   try {
-    // Dynamically import lifecycle module
+    // Dynamically import lifecycle and client modules
     const lifecyclePath = path.join(TELEPORTATION_DIR, 'lib', 'daemon', 'lifecycle.js');
     const { startDaemon, stopDaemon, restartDaemon, getDaemonStatus } = await import('file://' + lifecyclePath);
+    const clientPath = path.join(TELEPORTATION_DIR, 'lib', 'daemon', 'client.js');
+    const { resolveDaemonEndpoint, formatDaemonEndpoint, getDaemonHealth, reloadDaemonSettings } = await import('file://' + clientPath);
+    // Where the daemon listens (TCP port or Unix socket, consistent with daemon itself)
+    const daemonAddress = formatDaemonEndpoint(await resolveDaemonEndpoint());
 
     switch (subCommand) {
       case 'start':
@@ -1937,7 +2267,7 @@ async function commandDaemon(args) {
         try {
           const result = await startDaemon();
           console.log(c.green(`✅ Daemon started successfully (PID: ${result.pid})\n`));
-          console.log(c.cyan(`Daemon is running at http://127.0.0.1:${DAEMON_PORT}\n`));
+          console.log(c.cyan(`Daemon is running at ${daemonAddress}\n`));
         } catch (error) {
           console.log(c.red(`❌ Failed to start daemon: ${error.message}\n`));
           process.exit(1);
@@ -1972,12 +2302,28 @@ async function commandDaemon(args) {
         }
         break;
 
+      case 'reload':
+        try {
+          const { changes } = await reloadDaemonSettings();
+          if (changes.length === 0) {
+            console.log(c.green('✅ Daemon settings are up to date\n'));
+          } else {
+            console.log(c.green('✅ Daemon reloaded credentials and config:'));
+            changes.forEach(change => console.log(`   ${change}`));
+            console.log('');
+          }
+        } catch (error) {
+          console.log(c.red(`❌ Failed to reload daemon: ${error.message}\n`));
+          process.exit(1);
+        }
+        break;
+
       case 'status':
         const status = await getDaemonStatus();
         console.log(c.purple('Teleportation Daemon Status\n'));
         if (status.running) {
           console.log(c.green(`✅ Running (PID: ${status.pid})`));
-          console.log(c.cyan(`   HTTP server: http://127.0.0.1:${DAEMON_PORT}`));
+          console.log(c.cyan(`   HTTP server: ${daemonAddress}`));
           if (status.uptime) {
             console.log(c.cyan(`   Uptime: ${Math.round(status.uptime / 60000)}m`));
           }
@@ -1990,19 +2336,18 @@ async function commandDaemon(args) {
       case 'health':
         console.log(c.yellow('Checking daemon health...\n'));
         try {
-          const response = await fetch(`http://127.0.0.1:${DAEMON_PORT}/health`);
-          if (response.ok) {
-            const data = await response.json();
-            console.log(c.green('✅ Daemon is healthy\n'));
-            console.log(c.cyan('Health Report:'));
-            console.log(`  Status: ${c.green(data.status)}`);
-            console.log(`  Uptime: ${c.cyan(Math.round(data.uptime) + 's')}`);
+          const data = await getDaemonHealth();
+          console.log(c.green('✅ Daemon is healthy\n'));
+          console.log(c.cyan('Health Report:'));
+          console.log(`  Status: ${c.green(data.status)}`);
+          console.log(`  Uptime: ${c.cyan(Math.round(data.uptime) + 's')}`);
+          if (data.sessions === undefined) {
+            // Token missing or not accepted - only liveness is public
+            console.log(c.yellow('  Details unavailable (daemon token not accepted)\n'));
+          } else {
             console.log(`  Sessions: ${c.cyan(data.sessions)}`);
             console.log(`  Queue: ${c.cyan(data.queue)}`);
             console.log(`  Executions: ${c.cyan(data.executions)}\n`);
-          } else {
-            console.log(c.red('❌ Daemon is unhealthy\n'));
-            process.exit(1);
           }
         } catch (error) {
           console.log(c.red(`❌ Cannot reach daemon: ${error.message}\n`));
@@ -2016,6 +2361,7 @@ async function commandDaemon(args) {
         console.log('  teleportation daemon start    - Start the daemon');
         console.log('  teleportation daemon stop     - Stop the daemon');
         console.log('  teleportation daemon restart  - Restart the daemon');
+        console.log('  teleportation daemon reload   - Re-read credentials and config without a restart');
         console.log('  teleportation daemon status   - Show daemon status');
         console.log('  teleportation daemon health   - Check daemon health\n');
         process.exit(1);
@@ -2200,16 +2546,37 @@ async function commandInbox() {
       process.exit(1);
     }
 
-    const data = await res.json();
+    let data = await res.json();
     const keys = data && typeof data === 'object' ? Object.keys(data) : [];
     if (!keys.length) {
       console.log(c.cyan('📭 No pending inbox messages for this session\n'));
       return;
     }
+    if (data.e2e) {
+      const { DeviceRegistry } = await import('file://' + path.join(TELEPORTATION_DIR, 'lib', 'auth', 'devices.js'));
+      data = await new DeviceRegistry().open(data, sessionId);
+    }
 
     console.log(c.cyan('📨 Next inbox message:\n'));
     console.log('  ID:   ' + c.green(data.id));
     console.log('  Text: ' + data.text + '\n');
+    if (data.meta && data.meta.risk) {
+      const riskColor = { critical: c.purple, high: c.red, medium: c.yellow }[data.meta.risk.level] || c.green;
+      console.log('  Risk: ' + riskColor(data.meta.risk.level));
+      for (const reason of data.meta.risk.reasons || []) {
+        console.log('        - ' + reason);
+      }
+      console.log('');
+    }
+    if (data.meta && data.meta.preview) {
+      // File approvals carry a diff preview (lib/daemon/diff-preview.js)
+      const { formatDiffPreview } = await import('file://' + path.join(TELEPORTATION_DIR, 'lib', 'daemon', 'diff-preview.js'));
+      for (const line of formatDiffPreview(data.meta.preview)) {
+        const color = line.startsWith('+') ? c.green : line.startsWith('-') ? c.red : line.startsWith('@@') ? c.cyan : (text) => text;
+        console.log('  ' + color(line));
+      }
+      console.log('');
+    }
     console.log(c.cyan('Use `teleportation inbox-ack ' + data.id + '` to acknowledge this message.\n'));
   } catch (error) {
     console.log(c.red('❌ Error: ' + error.message + '\n'));
@@ -2510,13 +2877,15 @@ async function commandCommand() {
   }
 
   try {
+    const { DeviceRegistry } = await import('file://' + path.join(TELEPORTATION_DIR, 'lib', 'auth', 'devices.js'));
     const res = await fetch(`${relayUrl}/api/messages`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
         'Authorization': `Bearer ${relayKey}`,
       },
-      body: JSON.stringify({
+      // Encrypted for paired devices (and the daemon) when any are paired
+      body: JSON.stringify(await new DeviceRegistry().sealMessage({
         session_id: sessionId,
         text,
         meta: {
@@ -2525,7 +2894,7 @@ async function commandCommand() {
           source: 'teleportation-cli',
           target_agent_id: 'daemon',
         },
-      }),
+      })),
     });
 
     if (!res.ok) {
@@ -2781,7 +3150,7 @@ const command = process.argv[2] || 'help';
 const args = process.argv.slice(3);
 
 // Handle async commands that need to complete before exit
-const asyncCommands = ['login', 'logout', 'status', 'test', 'env', 'config', 'daemon', 'away', 'back', 'daemon-status', 'command', 'inbox', 'inbox-ack', 'install-hooks', 'update'];
+const asyncCommands = ['login', 'logout', 'status', 'test', 'env', 'config', 'daemon', 'away', 'back', 'daemon-status', 'command', 'inbox', 'inbox-ack', 'install-hooks', 'update', 'policy', 'allowlist', 'executions', 'audit', 'approve', 'devices', 'secrets', 'auth', 'profile'];
 if (asyncCommands.includes(command)) {
   // These commands handle their own async execution
 }
@@ -2872,6 +3241,60 @@ try {
         process.exit(1);
       });
       break;
+    case 'policy':
+      commandPolicy(args).catch(err => {
+        console.error(c.red('❌ Error:'), err.message);
+        process.exit(1);
+      });
+      break;
+    case 'allowlist':
+      commandAllowlist(args).catch(err => {
+        console.error(c.red('❌ Error:'), err.message);
+        process.exit(1);
+      });
+      break;
+    case 'executions':
+      commandExecutions(args).catch(err => {
+        console.error(c.red('❌ Error:'), err.message);
+        process.exit(1);
+      });
+      break;
+    case 'approve':
+      commandApproveTUI(args).catch(err => {
+        console.error(c.red('❌ Error:'), err.message);
+        process.exit(1);
+      });
+      break;
+    case 'auth':
+      commandAuth(args).catch(err => {
+        console.error(c.red('❌ Error:'), err.message);
+        process.exit(1);
+      });
+      break;
+    case 'secrets':
+      commandSecrets(args).catch(err => {
+        console.error(c.red('❌ Error:'), err.message);
+        process.exit(1);
+      });
+      break;
+    case 'profile':
+      commandProfile(args).catch(err => {
+        console.error(c.red('❌ Error:'), err.message);
+        process.exit(1);
+      });
+      break;
+    case 'devices':
+      commandDevices(args).catch(err => {
+        console.error(c.red('❌ Error:'), err.message);
+        process.exit(1);
+      });
+      break;
+    case 'audit':
+      commandAudit(args).catch(err => {
+        console.error(c.red('❌ Error:'), err.message);
+        process.exit(1);
+      });
+      break;
     case 'daemon':
       commandDaemon(args).catch(err => {
         console.error(c.red('❌ Error:'), err.message);